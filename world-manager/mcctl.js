@@ -0,0 +1,708 @@
+#!/usr/bin/env node
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * mcctl — command-line client for the MC World Manager
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Drives a running World Manager through its REST API (/api/v1), so scripts
+ * go through the same routes, roles, validation and audit log as the web UI.
+ * Nothing here touches the server files directly.
+ *
+ * Usage: mcctl [options] <command> [arguments]   (mcctl help for the list)
+ *
+ * Connection settings, first match wins:
+ *   --url, MCCTL_URL, "url" in the config file        (http://localhost:3000)
+ *   --user, MCCTL_USER, "user"                        (admin)
+ *   --password-file, MCCTL_PASSWORD_FILE, MCCTL_PASSWORD, "password"
+ * The config file is --config, MCCTL_CONFIG or ~/.config/mcctl/config.json.
+ *
+ * Exit codes:
+ *   0  success
+ *   1  the World Manager refused the request, or the job failed
+ *   2  usage error
+ *   3  login failed, or the account lacks the role for the command
+ *   4  the World Manager could not be reached
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+
+const EXIT = { OK: 0, FAILED: 1, USAGE: 2, AUTH: 3, UNREACHABLE: 4 };
+const VALUE_OPTIONS = new Set([
+  "url", "user", "password-file", "config", "seed", "gamemode", "difficulty", "type",
+  "countdown", "destination", "target", "name", "output",
+]);
+const FLAG_OPTIONS = new Set(["json", "wait", "yes", "incremental", "help"]);
+const API_METHODS = new Set(["GET", "POST", "PUT", "PATCH", "DELETE"]);
+const JOB_POLL_MS = 2000;
+
+class CliError extends Error {
+  constructor(message, exitCode = EXIT.FAILED) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+// ── Arguments & Config ─────────────────────────────────────────────────────
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    // Everything after "--" is positional, e.g. an RCON command with dashes
+    if (arg === "--") {
+      positional.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    if (FLAG_OPTIONS.has(name)) {
+      options[name] = true;
+    } else if (VALUE_OPTIONS.has(name)) {
+      const value = inline ?? argv[++i];
+      if (value === undefined) throw new CliError(`--${name} needs a value`, EXIT.USAGE);
+      options[name] = value;
+    } else {
+      throw new CliError(`Unknown option --${name}`, EXIT.USAGE);
+    }
+  }
+  return { options, positional };
+}
+
+function loadConfig(options) {
+  const configPath = options.config || process.env.MCCTL_CONFIG ||
+    path.join(os.homedir(), ".config", "mcctl", "config.json");
+  let file = {};
+  if (fs.existsSync(configPath)) {
+    try {
+      file = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+    } catch (err) {
+      throw new CliError(`Could not read ${configPath}: ${err.message}`, EXIT.USAGE);
+    }
+  } else if (options.config) {
+    throw new CliError(`Config file ${configPath} not found`, EXIT.USAGE);
+  }
+
+  const passwordFile = options["password-file"] || process.env.MCCTL_PASSWORD_FILE;
+  let password = process.env.MCCTL_PASSWORD || file.password || null;
+  if (passwordFile) {
+    try {
+      password = fs.readFileSync(passwordFile, "utf-8").trim();
+    } catch (err) {
+      throw new CliError(`Could not read ${passwordFile}: ${err.message}`, EXIT.USAGE);
+    }
+  }
+  return {
+    url: (options.url || process.env.MCCTL_URL || file.url || "http://localhost:3000").replace(/\/+$/, ""),
+    user: options.user || process.env.MCCTL_USER || file.user || "admin",
+    password,
+  };
+}
+
+// ── API Client ─────────────────────────────────────────────────────────────
+// One session per run: open it with POST /session, send the cookie and CSRF
+// token with every request, delete it at the end. Paths are relative to
+// /api/v1; failures come back as { error: { code, message } }.
+const API_PREFIX = "/api/v1";
+let config = null;
+let session = null;
+
+function errorMessage(data, res) {
+  return (data && data.error && data.error.message) || `HTTP ${res.status}`;
+}
+
+async function send(apiPath, { method = "GET", body, headers = {} } = {}) {
+  let res;
+  try {
+    res = await fetch(`${config.url}${API_PREFIX}/${apiPath}`, {
+      method,
+      headers: {
+        ...(session ? { Cookie: session.cookie, "X-CSRF-Token": session.csrfToken } : {}),
+        ...headers,
+      },
+      body,
+      duplex: body instanceof ReadableStream ? "half" : undefined,
+      redirect: "manual",
+    });
+  } catch (err) {
+    throw new CliError(`Cannot reach the World Manager at ${config.url}: ${(err.cause || err).message}`, EXIT.UNREACHABLE);
+  }
+  if (res.status === 401 || res.status === 403) {
+    const data = await res.json().catch(() => ({}));
+    throw new CliError(errorMessage(data, res), EXIT.AUTH);
+  }
+  return res;
+}
+
+async function readJSON(res) {
+  // A DELETE with nothing to report answers 204
+  if (res.status === 204) return {};
+  let data;
+  try {
+    data = await res.json();
+  } catch (_) {
+    throw new CliError(`Unexpected response from the World Manager (HTTP ${res.status})`);
+  }
+  if (!res.ok) throw new CliError(errorMessage(data, res));
+  return data;
+}
+
+async function api(method, apiPath, body) {
+  const res = await send(apiPath, body === undefined ? { method } : {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return readJSON(res);
+}
+
+async function login() {
+  if (!config.password) {
+    throw new CliError("No password configured. Set MCCTL_PASSWORD, MCCTL_PASSWORD_FILE or --password-file.", EXIT.USAGE);
+  }
+  let res;
+  let data;
+  try {
+    res = await send("session", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username: config.user, password: config.password }),
+    });
+    data = await readJSON(res);
+  } catch (err) {
+    if (err.exitCode === EXIT.UNREACHABLE) throw err;
+    throw new CliError(`Login as ${config.user} failed: ${err.message}`, EXIT.AUTH);
+  }
+  const cookie = res.headers.getSetCookie().map((c) => c.split(";")[0]).join("; ");
+  session = { cookie, csrfToken: data.csrfToken };
+}
+
+async function logout() {
+  if (!session) return;
+  try {
+    await send("session", { method: "DELETE" });
+  } catch (_) {}
+  session = null;
+}
+
+async function uploadFile(apiPath, file) {
+  if (!fs.existsSync(file)) throw new CliError(`${file} not found`, EXIT.USAGE);
+  const res = await send(apiPath, {
+    method: "PUT",
+    headers: { "Content-Type": "application/octet-stream" },
+    body: Readable.toWeb(fs.createReadStream(file)),
+  });
+  return readJSON(res);
+}
+
+async function downloadFile(apiPath, output, fallbackName) {
+  const res = await send(apiPath);
+  if (!res.ok || (res.headers.get("content-type") || "").includes("application/json")) {
+    await readJSON(res);
+    throw new CliError(`Download failed (HTTP ${res.status})`);
+  }
+  const disposition = (res.headers.get("content-disposition") || "").match(/filename="([^"]+)"/);
+  const target = output || (disposition ? path.basename(disposition[1]) : fallbackName);
+  const partial = target + ".partial";
+  try {
+    await pipeline(Readable.fromWeb(res.body), fs.createWriteStream(partial));
+    fs.renameSync(partial, target);
+  } catch (err) {
+    fs.rmSync(partial, { force: true });
+    throw new CliError(`Download failed: ${err.message}`);
+  }
+  return { success: true, file: target, sizeBytes: fs.statSync(target).size };
+}
+
+// Polls until the job leaves queued/running; progress goes to stderr
+async function waitForJob(id) {
+  for (;;) {
+    const job = await api("GET", `jobs/${encodeURIComponent(id)}`);
+    if (job.status !== "queued" && job.status !== "running") {
+      if (process.stderr.isTTY) process.stderr.write("\r\x1b[K");
+      return job;
+    }
+    if (process.stderr.isTTY && job.progress && job.progress.total) {
+      const percent = Math.floor(job.progress.bytes / job.progress.total * 100);
+      process.stderr.write(`\r\x1b[K${job.type} of ${job.world}: ${percent}%`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_MS));
+  }
+}
+
+// Queues a job and, with --wait, follows it; a failed job exits with 1
+async function jobCommand(options, apiPath, body) {
+  const queued = await api("POST", apiPath, body);
+  const ids = queued.jobIds || [queued.jobId];
+  if (!options.wait) return { data: queued, text: `${queued.message} (job ${ids.join(", ")})` };
+
+  const finished = [];
+  for (const id of ids) finished.push(await waitForJob(id));
+  const failed = finished.find((j) => j.status !== "succeeded");
+  const output = { data: finished.length === 1 ? finished[0] : finished, rows: finished.map(jobRows) };
+  if (failed) output.exitCode = EXIT.FAILED;
+  return output;
+}
+
+// ── Output ─────────────────────────────────────────────────────────────────
+function formatBytes(bytes) {
+  if (bytes >= 1073741824) return (bytes / 1073741824).toFixed(1) + " GB";
+  if (bytes >= 1048576) return (bytes / 1048576).toFixed(1) + " MB";
+  return (bytes / 1024).toFixed(0) + " KB";
+}
+
+function formatTime(iso) {
+  return iso ? new Date(iso).toISOString().replace("T", " ").slice(0, 19) : "-";
+}
+
+function table(rows, columns) {
+  if (!rows.length) return "(none)";
+  const cells = rows.map((row) => columns.map(([key]) => String(row[key] ?? "-")));
+  const widths = columns.map(([, label], i) => Math.max(label.length, ...cells.map((c) => c[i].length)));
+  const line = (values) => values.map((v, i) => v.padEnd(widths[i])).join("  ").trimEnd();
+  return [line(columns.map(([, label]) => label)), ...cells.map(line)].join("\n");
+}
+
+// Two-column "label  value" listing
+function details(pairs) {
+  const shown = pairs.filter(([, value]) => value !== undefined && value !== null && value !== "");
+  const width = Math.max(...shown.map(([label]) => label.length));
+  return shown.map(([label, value]) => `${label.padEnd(width)}  ${value}`).join("\n");
+}
+
+function jobRows(job) {
+  const result = job.result || {};
+  return details([
+    ["Job", job.id],
+    ["Type", job.type],
+    ["World", job.world],
+    ["Status", job.status],
+    ["File", result.filename],
+    ["Message", result.message],
+    ["Error", job.error],
+  ]);
+}
+
+// ── Commands ───────────────────────────────────────────────────────────────
+// Each command returns { data, text | rows, exitCode? }: data is printed
+// with --json, the text otherwise.
+function need(value, usage) {
+  if (value === undefined || value === "") throw new CliError(`Usage: mcctl ${usage}`, EXIT.USAGE);
+  return value;
+}
+
+function countdownOption(options) {
+  if (options.countdown === undefined) return undefined;
+  const seconds = Number(options.countdown);
+  if (!Number.isInteger(seconds) || seconds < 0) throw new CliError("--countdown must be a whole number of seconds", EXIT.USAGE);
+  return seconds;
+}
+
+// "@active" stands for whichever world server.properties points at
+async function resolveWorld(name) {
+  if (name !== "@active") return name;
+  const active = (await api("GET", "worlds")).find((w) => w.active);
+  if (!active) throw new CliError("No active world found");
+  return active.name;
+}
+
+const COMMANDS = {
+  "status": {
+    usage: "status",
+    summary: "Server status, players and the container",
+    async run() {
+      const s = await api("GET", "status");
+      const container = s.container || {};
+      return {
+        data: s,
+        rows: details([
+          ["Server", s.online ? "online" : "offline"],
+          ["Players", `${s.playerCount}/${s.maxPlayers}${s.players.length ? " (" + s.players.join(", ") + ")" : ""}`],
+          ["Active world", s.serverProperties["level-name"] || "world"],
+          ["Container", container.available ? container.status + (container.health ? ` (${container.health})` : "") : null],
+          ["Pending action", s.serverAction ? s.serverAction.message : null],
+          ["Remote backups", s.remoteBackups.message],
+        ]),
+      };
+    },
+  },
+
+  "worlds list": {
+    usage: "worlds list",
+    summary: "All worlds with size and version",
+    async run() {
+      const worlds = await api("GET", "worlds");
+      return {
+        data: worlds,
+        rows: table(worlds.map((w) => ({
+          ...w,
+          active: w.active ? "yes" : "",
+          size: formatBytes(w.sizeBytes),
+          version: (w.version || "-") + (w.newerThanServer ? " (newer than server)" : ""),
+          modified: formatTime(w.lastModified),
+        })), [["name", "NAME"], ["active", "ACTIVE"], ["size", "SIZE"], ["version", "VERSION"], ["modified", "MODIFIED"]]),
+      };
+    },
+  },
+
+  "worlds info": {
+    usage: "worlds info <name|@active>",
+    summary: "level.dat details of a world",
+    async run(options, args) {
+      const name = await resolveWorld(need(args[0], this.usage));
+      const { world: w } = await api("GET", `worlds/${encodeURIComponent(name)}`);
+      return {
+        data: w,
+        rows: details([
+          ["Name", w.name],
+          ["Active", w.active ? "yes" : "no"],
+          ["Level name", w.levelName],
+          ["Seed", w.seed],
+          ["Version", w.versionName],
+          ["Spawn", w.spawn.x !== null ? `${w.spawn.x}, ${w.spawn.y}, ${w.spawn.z}` : null],
+          ["Game type", w.gameType],
+          ["Difficulty", w.difficulty],
+          ["Hardcore", w.hardcore ? "yes" : "no"],
+          ["Size", formatBytes(w.sizeBytes)],
+          ["Last played", formatTime(w.lastPlayed)],
+          ["Warning", w.warning],
+        ]),
+      };
+    },
+  },
+
+  "worlds create": {
+    usage: "worlds create <name> [--seed S] [--gamemode M] [--difficulty D] [--type T] [--countdown SEC]",
+    summary: "Create a world and restart the server into it",
+    async run(options, args) {
+      const result = await api("POST", "worlds", {
+        name: need(args[0], this.usage),
+        seed: options.seed,
+        gamemode: options.gamemode,
+        difficulty: options.difficulty,
+        worldType: options.type,
+        countdown: countdownOption(options),
+      });
+      return { data: result, text: result.message };
+    },
+  },
+
+  "worlds delete": {
+    usage: "worlds delete <name> --yes",
+    summary: "Delete an inactive world",
+    async run(options, args) {
+      const name = need(args[0], this.usage);
+      if (!options.yes) throw new CliError(`Deleting ${name} cannot be undone; add --yes to confirm`, EXIT.USAGE);
+      const result = await api("DELETE", `worlds/${encodeURIComponent(name)}`);
+      return { data: result, text: result.message || `Deleted ${name}` };
+    },
+  },
+
+  "worlds activate": {
+    usage: "worlds activate <name> [--countdown SEC]",
+    summary: "Switch the server to another world",
+    async run(options, args) {
+      const name = need(args[0], this.usage);
+      const result = await api("POST", `worlds/${encodeURIComponent(name)}/activate`, { countdown: countdownOption(options) });
+      return { data: result, text: result.message };
+    },
+  },
+
+  "worlds backup": {
+    usage: "worlds backup <name|@active> [--incremental] [--wait]",
+    summary: "Back up a world",
+    async run(options, args) {
+      const name = await resolveWorld(need(args[0], this.usage));
+      return jobCommand(options, `worlds/${encodeURIComponent(name)}/backups`, { mode: options.incremental ? "incremental" : "full" });
+    },
+  },
+
+  "worlds download": {
+    usage: "worlds download <name> [--output FILE]",
+    summary: "Download a world as .tar.gz",
+    async run(options, args) {
+      const name = need(args[0], this.usage);
+      const result = await downloadFile(`worlds/${encodeURIComponent(name)}/archive`, options.output, `${name}.tar.gz`);
+      return { data: result, text: `Saved ${result.file} (${formatBytes(result.sizeBytes)})` };
+    },
+  },
+
+  "worlds import": {
+    usage: "worlds import <file> --name <world>",
+    summary: "Import a .zip or .tar.gz as a new world",
+    async run(options, args) {
+      const file = need(args[0], this.usage);
+      const name = need(options.name, this.usage);
+      const result = await uploadFile(`worlds/${encodeURIComponent(name)}/archive`, file);
+      return { data: result, text: result.message };
+    },
+  },
+
+  "backups list": {
+    usage: "backups list",
+    summary: "Local backups with their verification state",
+    async run() {
+      const backups = await api("GET", "backups");
+      return {
+        data: backups,
+        rows: table(backups.map((b) => ({
+          ...b,
+          size: b.type === "incremental" ? `+${b.sizeMB} MB` : `${b.sizeMB} MB`,
+          created: formatTime(b.created),
+        })), [["filename", "FILENAME"], ["type", "TYPE"], ["size", "SIZE"], ["created", "CREATED"], ["verification", "VERIFIED"]]),
+      };
+    },
+  },
+
+  "backups upload": {
+    usage: "backups upload <filename> [--destination ID] [--wait]",
+    summary: "Copy a backup to remote destinations",
+    async run(options, args) {
+      const filename = need(args[0], this.usage);
+      return jobCommand(options, `backups/${encodeURIComponent(filename)}/upload`, { destination: options.destination });
+    },
+  },
+
+  "backups verify": {
+    usage: "backups verify <filename> [--wait]",
+    summary: "Re-hash and test-extract a backup",
+    async run(options, args) {
+      return jobCommand(options, `backups/${encodeURIComponent(need(args[0], this.usage))}/verify`);
+    },
+  },
+
+  "backups restore": {
+    usage: "backups restore <filename> [--target WORLD] --yes [--wait]",
+    summary: "Restore a backup over its world or into another",
+    async run(options, args) {
+      const filename = need(args[0], this.usage);
+      if (!options.yes) throw new CliError("Restoring replaces the target world; add --yes to confirm", EXIT.USAGE);
+      return jobCommand(options, `backups/${encodeURIComponent(filename)}/restore`, { target: options.target });
+    },
+  },
+
+  "backups download": {
+    usage: "backups download <filename> [--output FILE]",
+    summary: "Download a full backup archive",
+    async run(options, args) {
+      const filename = need(args[0], this.usage);
+      const result = await downloadFile(`backups/${encodeURIComponent(filename)}/archive`, options.output, filename);
+      return { data: result, text: `Saved ${result.file} (${formatBytes(result.sizeBytes)})` };
+    },
+  },
+
+  "backups import": {
+    usage: "backups import <file>",
+    summary: "Upload a .tar.gz backup made elsewhere",
+    async run(options, args) {
+      const file = need(args[0], this.usage);
+      // Stored under the .tar.gz name either way
+      const filename = path.basename(file).replace(/\.tgz$/, ".tar.gz");
+      const result = await uploadFile(`backups/${encodeURIComponent(filename)}`, file);
+      return { data: result, text: result.message };
+    },
+  },
+
+  "jobs list": {
+    usage: "jobs list",
+    summary: "Recent and running jobs",
+    async run() {
+      const jobs = await api("GET", "jobs");
+      return {
+        data: jobs,
+        rows: table(jobs.map((j) => ({
+          ...j,
+          created: formatTime(j.created),
+          detail: j.error || (j.result && (j.result.filename || j.result.message)) || "",
+        })), [["id", "ID"], ["type", "TYPE"], ["world", "WORLD"], ["status", "STATUS"], ["created", "CREATED"], ["detail", "DETAIL"]]),
+      };
+    },
+  },
+
+  "jobs wait": {
+    usage: "jobs wait <id>",
+    summary: "Wait for a job to finish",
+    async run(options, args) {
+      const job = await waitForJob(need(args[0], this.usage));
+      return { data: job, rows: jobRows(job), exitCode: job.status === "succeeded" ? EXIT.OK : EXIT.FAILED };
+    },
+  },
+
+  "jobs cancel": {
+    usage: "jobs cancel <id>",
+    summary: "Cancel a queued or running job",
+    async run(options, args) {
+      const result = await api("POST", `jobs/${encodeURIComponent(need(args[0], this.usage))}/cancel`);
+      return { data: result, text: result.message };
+    },
+  },
+
+  "server start": {
+    usage: "server start",
+    summary: "Start the Minecraft container",
+    async run() {
+      const result = await api("POST", "server/start");
+      return { data: result, text: result.message };
+    },
+  },
+
+  "server stop": {
+    usage: "server stop [--countdown SEC]",
+    summary: "Stop the server, warning players first",
+    async run(options) {
+      const result = await api("POST", "server/stop", { countdown: countdownOption(options) });
+      return { data: result, text: result.message };
+    },
+  },
+
+  "server restart": {
+    usage: "server restart [--countdown SEC]",
+    summary: "Restart the server, warning players first",
+    async run(options) {
+      const result = await api("POST", "server/restart", { countdown: countdownOption(options) });
+      return { data: result, text: result.message };
+    },
+  },
+
+  "server cancel": {
+    usage: "server cancel",
+    summary: "Cancel a pending stop or restart",
+    async run() {
+      const result = await api("DELETE", "server/action");
+      return { data: result, text: result.message };
+    },
+  },
+
+  "rcon": {
+    usage: "rcon <command...>",
+    summary: "Run a console command and print the reply",
+    async run(options, args) {
+      const result = await api("POST", "rcon", { command: need(args.join(" "), this.usage) });
+      return { data: result, text: result.response };
+    },
+  },
+
+  "properties get": {
+    usage: "properties get [key...]",
+    summary: "Print server.properties, or selected keys",
+    async run(options, args) {
+      const props = await api("GET", "properties");
+      const keys = args.length ? args : Object.keys(props).sort();
+      const missing = keys.filter((k) => !(k in props));
+      if (missing.length) throw new CliError(`Unknown propert${missing.length > 1 ? "ies" : "y"}: ${missing.join(", ")}`);
+      const selected = Object.fromEntries(keys.map((k) => [k, props[k]]));
+      return {
+        data: selected,
+        text: args.length === 1 ? props[args[0]] : keys.map((k) => `${k}=${props[k]}`).join("\n"),
+      };
+    },
+  },
+
+  "properties set": {
+    usage: "properties set <key=value>...",
+    summary: "Change server.properties with validation",
+    async run(options, args) {
+      need(args[0], this.usage);
+      const changes = {};
+      for (const arg of args) {
+        const eq = arg.indexOf("=");
+        if (eq < 1) throw new CliError(`Expected key=value, got "${arg}"`, EXIT.USAGE);
+        changes[arg.slice(0, eq)] = arg.slice(eq + 1);
+      }
+      const result = await api("PATCH", "properties", changes);
+      return { data: result, text: result.message };
+    },
+  },
+
+  "api": {
+    usage: "api [METHOD] <path> [json-body]",
+    summary: "Call any /api/v1 route; GET, or POST with a body",
+    async run(options, args) {
+      const method = API_METHODS.has(args[0]) ? args.shift() : null;
+      const route = need(args[0], this.usage).replace(/^\/?(api\/v1\/)?/, "");
+      let body;
+      if (args[1] !== undefined) {
+        try {
+          body = JSON.parse(args[1]);
+        } catch (err) {
+          throw new CliError(`Body is not valid JSON: ${err.message}`, EXIT.USAGE);
+        }
+      }
+      const result = await api(method || (body === undefined ? "GET" : "POST"), route, body);
+      return { data: result, text: JSON.stringify(result, null, 2) };
+    },
+  },
+};
+
+// A bare "mcctl worlds", "mcctl backups" etc. runs the listing command
+const DEFAULT_SUBCOMMANDS = { worlds: "list", backups: "list", jobs: "list", properties: "get" };
+
+function usage() {
+  // Long usages get their summary on the next line
+  const width = 44;
+  return [
+    "Usage: mcctl [options] <command> [arguments]",
+    "",
+    "Commands:",
+    ...Object.values(COMMANDS).map((c) => (c.usage.length > width
+      ? `  ${c.usage}\n  ${"".padEnd(width)}  ${c.summary}`
+      : `  ${c.usage.padEnd(width)}  ${c.summary}`)),
+    "",
+    "Options:",
+    "  --url URL             World Manager address (MCCTL_URL, default http://localhost:3000)",
+    "  --user NAME           Account to log in as (MCCTL_USER, default admin)",
+    "  --password-file FILE  File holding the password (MCCTL_PASSWORD_FILE or MCCTL_PASSWORD)",
+    "  --config FILE         JSON file with url, user and password (MCCTL_CONFIG)",
+    "  --json                Print the raw API response",
+    "  --wait                Wait for queued jobs and fail if they fail",
+    "",
+    "Exit codes: 0 ok, 1 refused or failed, 2 usage, 3 login or permission, 4 unreachable",
+  ].join("\n");
+}
+
+function findCommand(positional) {
+  const [group, sub] = positional;
+  if (COMMANDS[`${group} ${sub}`]) return { command: COMMANDS[`${group} ${sub}`], args: positional.slice(2) };
+  if (DEFAULT_SUBCOMMANDS[group] && sub === undefined) {
+    return { command: COMMANDS[`${group} ${DEFAULT_SUBCOMMANDS[group]}`], args: [] };
+  }
+  if (COMMANDS[group]) return { command: COMMANDS[group], args: positional.slice(1) };
+  return null;
+}
+
+// ── Main ───────────────────────────────────────────────────────────────────
+async function main(argv) {
+  const { options, positional } = parseArgs(argv);
+  if (options.help || !positional.length || positional[0] === "help") {
+    console.log(usage());
+    return EXIT.OK;
+  }
+  const found = findCommand(positional);
+  if (!found) throw new CliError(`Unknown command "${positional.join(" ")}". Run mcctl help for the list.`, EXIT.USAGE);
+
+  config = loadConfig(options);
+  await login();
+  try {
+    const output = await found.command.run(options, found.args);
+    if (options.json) console.log(JSON.stringify(output.data, null, 2));
+    else if (output.rows !== undefined) console.log(Array.isArray(output.rows) ? output.rows.join("\n\n") : output.rows);
+    else if (output.text) console.log(output.text);
+    return output.exitCode ?? EXIT.OK;
+  } finally {
+    await logout();
+  }
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    console.error(`mcctl: ${err.message}`);
+    process.exitCode = err instanceof CliError ? err.exitCode : EXIT.FAILED;
+  },
+);
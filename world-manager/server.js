@@ -8,21 +8,45 @@
  *
  * Features:
  *   - Server status & player list
- *   - World listing with size info
+ *   - World listing with level.dat details and per-dimension sizes
+ *   - Prune rarely visited chunks from inactive worlds
  *   - Create new worlds (name, seed, gamemode, difficulty, world type)
  *   - Delete, backup, and restore worlds
- *   - RCON console
- *   - Server properties viewer
- *   - Google Drive backup via rclone
+ *   - Incremental, deduplicated snapshots
+ *   - Backup manifests with checksums and test-restore verification
+ *   - Upload and download worlds and backups through the browser
+ *   - Manage the whitelist, operators and bans
+ *   - Player sessions, daily active players and playtime statistics
+ *   - Performance charts and a Prometheus /metrics endpoint
+ *   - Paper plugin manager
+ *   - Per-world datapacks with pack format checks
+ *   - RCON console with live server log
+ *   - Scheduled RCON tasks and rotating announcements
+ *   - Server properties editor with validation
+ *   - Backups to any rclone remote (Google Drive, S3, B2, SFTP, NAS)
+ *   - Scheduled backups with grandfather-father-son retention
+ *   - Background jobs with progress for backups, uploads and restores
+ *   - Login with viewer / operator / admin roles
+ *   - Audit log of management actions with an Activity tab
+ *   - Webhook notifications (Discord, Slack, generic JSON)
+ *   - Start, stop and countdown restarts through the Docker Engine API
+ *   - Versioned REST API (/api/v1) with request validation and an OpenAPI document
  */
 
 const http = require("http");
+const net = require("net");
 const fs = require("fs");
 const path = require("path");
-const { execSync, exec } = require("child_process");
-const { Rcon } = require("rcon-client");
+const crypto = require("crypto");
+const zlib = require("zlib");
+const { pipeline } = require("stream/promises");
+const { Transform } = require("stream");
+const { promisify } = require("util");
+const { spawn } = require("child_process");
 
 // ── Configuration ──────────────────────────────────────────────────────────
+const MC_DATA_PATH = process.env.MC_DATA_PATH || "/mc-data";
+
 const CONFIG = {
   port: 3000,
   rcon: {
@@ -30,29 +54,283 @@ const CONFIG = {
     port: parseInt(process.env.MC_RCON_PORT || "25575"),
     password: process.env.MC_RCON_PASSWORD || "appliance-rcon-changeme",
   },
-  mcDataPath: process.env.MC_DATA_PATH || "/mc-data",
+  mcDataPath: MC_DATA_PATH,
   rcloneConfigPath:
     process.env.RCLONE_CONFIG_PATH || "/config/rclone/rclone.conf",
   backupDir: process.env.BACKUP_DIR || "/backups",
+  // World Manager's own state (users, settings) lives on the data volume
+  stateDir: process.env.WM_STATE_DIR || path.join(MC_DATA_PATH, ".world-manager"),
+  sessionTtlHours: parseInt(process.env.WM_SESSION_TTL_HOURS || "12"),
+  maxUploadMB: parseInt(process.env.WM_MAX_UPLOAD_MB || "4096"),
+  metricsIntervalSec: parseInt(process.env.WM_METRICS_INTERVAL_SEC || "60"),
+  metricsToken: process.env.WM_METRICS_TOKEN || "",
+  dockerSocket: process.env.DOCKER_SOCKET || "/var/run/docker.sock",
+  mcContainer: process.env.MC_CONTAINER || "mc-server",
 };
 
-// ── RCON Helper ────────────────────────────────────────────────────────────
-async function rconCommand(command) {
-  let rcon;
+// ── State Storage ──────────────────────────────────────────────────────────
+function readState(name, fallback) {
   try {
-    rcon = await Rcon.connect({
-      host: CONFIG.rcon.host,
-      port: CONFIG.rcon.port,
-      password: CONFIG.rcon.password,
-      timeout: 5000,
+    return JSON.parse(fs.readFileSync(path.join(CONFIG.stateDir, name), "utf-8"));
+  } catch (_) {
+    return fallback;
+  }
+}
+
+function writeState(name, data) {
+  if (!fs.existsSync(CONFIG.stateDir)) {
+    fs.mkdirSync(CONFIG.stateDir, { recursive: true, mode: 0o700 });
+  }
+  // Write-then-rename so a crash never leaves a half-written file behind
+  const file = path.join(CONFIG.stateDir, name);
+  fs.writeFileSync(file + ".tmp", JSON.stringify(data, null, 2), { mode: 0o600 });
+  fs.renameSync(file + ".tmp", file);
+}
+
+// ── Errors ─────────────────────────────────────────────────────────────────
+// Handlers report failures as { success: false, status, error }, where status
+// is the HTTP code the v1 API answers with. Code that throws instead (upload
+// checks, Mojang lookups) attaches the status to the error for the catch.
+function statusError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// ── Child Processes ────────────────────────────────────────────────────────
+// Long-running tools (tar, rclone) are spawned rather than exec'd so they
+// never block the event loop; an AbortSignal kills them on cancel.
+function waitForExit(child, name) {
+  return new Promise((resolve, reject) => {
+    let stderr = "";
+    child.stderr.on("data", (d) => (stderr += d));
+    child.on("error", reject);
+    child.on("close", (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(stderr.trim() || `${name} exited with code ${code}`));
+    });
+  });
+}
+
+async function runProcess(command, args, { signal, onStderrLine } = {}) {
+  const child = spawn(command, args, { signal });
+  let stdout = "";
+  child.stdout.on("data", (d) => (stdout += d));
+  if (onStderrLine) {
+    let pending = "";
+    child.stderr.on("data", (d) => {
+      const lines = (pending + d).split("\n");
+      pending = lines.pop();
+      lines.forEach(onStderrLine);
+    });
+  }
+  await waitForExit(child, command);
+  return stdout;
+}
+
+// ── RCON Client ────────────────────────────────────────────────────────────
+// One shared, long-lived connection. Commands are queued and sent one at a
+// time, and a dropped connection is re-established with exponential backoff.
+// Minecraft splits replies longer than 4096 bytes over several packets, so
+// each command is followed by an empty marker packet: everything that
+// arrives before the marker's reply belongs to the command.
+const RCON_PACKET = { RESPONSE: 0, COMMAND: 2, AUTH_RESPONSE: 2, AUTH: 3 };
+const RCON_CONNECT_TIMEOUT = 5000;
+const RCON_COMMAND_TIMEOUT = 10000;
+
+const rcon = {
+  socket: null,
+  status: "disconnected",
+  connectedSince: null,
+  lastError: null,
+  attempts: 0,
+  nextRetry: null,
+  retryTimer: null,
+  connecting: null,
+  requestId: 0,
+  queue: [],
+  busy: false,
+  pending: null,
+};
+
+function nextRconId() {
+  rcon.requestId = (rcon.requestId % 0x7ffffff0) + 1;
+  return rcon.requestId;
+}
+
+function encodeRconPacket(id, type, body) {
+  const payload = Buffer.from(body, "utf-8");
+  const packet = Buffer.alloc(payload.length + 14);
+  packet.writeInt32LE(payload.length + 10, 0);
+  packet.writeInt32LE(id, 4);
+  packet.writeInt32LE(type, 8);
+  payload.copy(packet, 12);
+  return packet;
+}
+
+// Splits the complete packets off the front of a receive buffer; `rest` is
+// a partial packet still waiting for the next chunk.
+function decodeRconPackets(buffer) {
+  const packets = [];
+  while (buffer.length >= 4) {
+    const length = buffer.readInt32LE(0);
+    if (length < 10 || length > 1048576) throw new Error("Malformed RCON packet");
+    if (buffer.length < length + 4) break;
+    packets.push({
+      id: buffer.readInt32LE(4),
+      type: buffer.readInt32LE(8),
+      body: buffer.subarray(12, length + 2),
+    });
+    buffer = buffer.subarray(length + 4);
+  }
+  return { packets, rest: buffer };
+}
+
+function scheduleRconReconnect() {
+  clearTimeout(rcon.retryTimer);
+  const delay = Math.min(30000, 1000 * 2 ** rcon.attempts++);
+  rcon.nextRetry = new Date(Date.now() + delay).toISOString();
+  rcon.retryTimer = setTimeout(() => rconConnect().catch(() => {}), delay);
+}
+
+function rconConnect() {
+  if (rcon.connecting) return rcon.connecting;
+  clearTimeout(rcon.retryTimer);
+  rcon.status = "connecting";
+
+  rcon.connecting = new Promise((resolve, reject) => {
+    const socket = net.connect({ host: CONFIG.rcon.host, port: CONFIG.rcon.port });
+    const authId = nextRconId();
+    let buffer = Buffer.alloc(0);
+    let settled = false;
+
+    const settle = (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      rcon.connecting = null;
+      if (err) {
+        socket.destroy();
+        Object.assign(rcon, { status: err.authFailed ? "auth-failed" : "disconnected", lastError: err.message });
+        scheduleRconReconnect();
+        reject(err);
+      } else {
+        Object.assign(rcon, {
+          socket,
+          status: "connected",
+          connectedSince: new Date().toISOString(),
+          lastError: null,
+          attempts: 0,
+          nextRetry: null,
+        });
+        resolve();
+      }
+    };
+    const timer = setTimeout(() => settle(new Error("RCON connection timed out")), RCON_CONNECT_TIMEOUT);
+
+    socket.on("connect", () => {
+      socket.setNoDelay(true);
+      socket.write(encodeRconPacket(authId, RCON_PACKET.AUTH, CONFIG.rcon.password));
+    });
+
+    socket.on("data", (chunk) => {
+      let packets;
+      try {
+        ({ packets, rest: buffer } = decodeRconPackets(Buffer.concat([buffer, chunk])));
+      } catch (err) {
+        socket.destroy(err);
+        return;
+      }
+      for (const packet of packets) {
+        if (!settled) {
+          if (packet.type !== RCON_PACKET.AUTH_RESPONSE) continue;
+          if (packet.id === -1) {
+            settle(Object.assign(new Error("RCON authentication failed"), { authFailed: true }));
+          } else {
+            settle();
+          }
+        } else if (rcon.pending) {
+          if (packet.id === rcon.pending.id) rcon.pending.parts.push(packet.body);
+          else if (packet.id === rcon.pending.markerId) rcon.pending.finish();
+        }
+      }
     });
-    const response = await rcon.send(command);
-    await rcon.end();
-    return { success: true, response: response.replace(/§[0-9a-fk-or]/g, "") };
+
+    socket.on("error", (err) => settle(err));
+
+    socket.on("close", () => {
+      if (!settled) return settle(new Error("RCON connection closed"));
+      if (rcon.socket !== socket) return;
+      Object.assign(rcon, { socket: null, status: "disconnected", connectedSince: null });
+      if (rcon.pending) rcon.pending.closed();
+      scheduleRconReconnect();
+    });
+  });
+
+  return rcon.connecting;
+}
+
+function rconExchange(command) {
+  return new Promise((resolve, reject) => {
+    const parts = [];
+    const done = (err) => {
+      clearTimeout(timer);
+      rcon.pending = null;
+      if (err) reject(err);
+      else resolve(Buffer.concat(parts).toString("utf-8"));
+    };
+    const timer = setTimeout(() => {
+      done(new Error("RCON command timed out"));
+      if (rcon.socket) rcon.socket.destroy();
+    }, RCON_COMMAND_TIMEOUT);
+
+    rcon.pending = {
+      id: nextRconId(),
+      markerId: nextRconId(),
+      parts,
+      finish: () => done(null),
+      // e.g. "stop": the server answers, then hangs up before the marker
+      closed: () => done(parts.length ? null : new Error("RCON connection closed")),
+    };
+    rcon.socket.write(encodeRconPacket(rcon.pending.id, RCON_PACKET.COMMAND, command));
+    rcon.socket.write(encodeRconPacket(rcon.pending.markerId, RCON_PACKET.RESPONSE, ""));
+  });
+}
+
+async function processRconQueue() {
+  if (rcon.busy || !rcon.queue.length) return;
+  rcon.busy = true;
+  const { command, resolve } = rcon.queue.shift();
+  try {
+    if (rcon.status !== "connected") await rconConnect();
+    const response = await rconExchange(command);
+    resolve({ success: true, response: response.replace(/§[0-9a-fk-or]/g, "") });
   } catch (err) {
-    if (rcon) try { await rcon.end(); } catch (_) {}
-    return { success: false, response: err.message };
+    resolve({ success: false, status: 503, response: err.message });
+  }
+  rcon.busy = false;
+  processRconQueue();
+}
+
+function rconCommand(command) {
+  if (typeof command !== "string" || !command.trim()) {
+    return Promise.resolve({ success: false, status: 400, response: "No command given" });
   }
+  return new Promise((resolve) => {
+    rcon.queue.push({ command, resolve });
+    processRconQueue();
+  });
+}
+
+function getRconState() {
+  return {
+    status: rcon.status,
+    connectedSince: rcon.connectedSince,
+    lastError: rcon.lastError,
+    reconnectAttempts: rcon.attempts,
+    nextRetry: rcon.status === "connected" ? null : rcon.nextRetry,
+    queued: rcon.queue.length,
+  };
 }
 
 // ── Server Status ──────────────────────────────────────────────────────────
@@ -80,17 +358,42 @@ async function getServerStatus() {
 }
 
 // ── World Listing ──────────────────────────────────────────────────────────
+// `du` over a large world takes seconds, so listings read sizes from a cache
+// that is refreshed in the background once an entry is older than a minute.
+const DIRECTORY_SIZE_TTL_MS = 60000;
+const directorySizes = new Map();
+
+function refreshDirectorySize(dir) {
+  let entry = directorySizes.get(dir);
+  if (!entry) {
+    entry = { bytes: 0, checkedAt: 0, pending: null };
+    directorySizes.set(dir, entry);
+  }
+  if (!entry.pending) {
+    entry.pending = runProcess("du", ["-sb", dir])
+      .then((output) => { entry.bytes = parseInt(output.split("\t")[0]) || 0; })
+      .catch(() => {})
+      .then(() => {
+        entry.checkedAt = Date.now();
+        entry.pending = null;
+        return entry.bytes;
+      });
+  }
+  return entry.pending;
+}
+
+// Last known size; 0 until the first refresh finishes
+function directorySize(dir) {
+  const entry = directorySizes.get(dir);
+  if (!entry || Date.now() - entry.checkedAt > DIRECTORY_SIZE_TTL_MS) refreshDirectorySize(dir);
+  return entry ? entry.bytes : 0;
+}
+
 function getWorlds() {
   const worlds = [];
   const dataPath = CONFIG.mcDataPath;
 
-  let activeWorld = "world";
-  const propsPath = path.join(dataPath, "server.properties");
-  if (fs.existsSync(propsPath)) {
-    const props = fs.readFileSync(propsPath, "utf-8");
-    const match = props.match(/^level-name=(.+)$/m);
-    if (match) activeWorld = match[1].trim();
-  }
+  const activeWorld = getServerProperties()["level-name"] || "world";
 
   try {
     const entries = fs.readdirSync(dataPath, { withFileTypes: true });
@@ -100,20 +403,21 @@ function getWorlds() {
       const levelDat = path.join(worldPath, "level.dat");
       if (!fs.existsSync(levelDat)) continue;
 
-      let sizeBytes = 0;
+      const sizeBytes = directorySize(worldPath);
+      const stat = fs.statSync(levelDat);
+
+      let version = null;
       try {
-        const output = execSync(`du -sb "${worldPath}" 2>/dev/null`).toString();
-        sizeBytes = parseInt(output.split("\t")[0]) || 0;
+        version = (readLevelData(worldPath).Version || {}).Name || null;
       } catch (_) {}
 
-      const stat = fs.statSync(levelDat);
-
       worlds.push({
         name: entry.name,
         active: entry.name === activeWorld,
         sizeBytes,
         sizeMB: (sizeBytes / 1048576).toFixed(1),
         lastModified: stat.mtime.toISOString(),
+        version,
       });
     }
   } catch (err) {
@@ -123,240 +427,6232 @@ function getWorlds() {
   return worlds;
 }
 
-// ── Server Properties ──────────────────────────────────────────────────────
-function getServerProperties() {
-  const propsPath = path.join(CONFIG.mcDataPath, "server.properties");
-  if (!fs.existsSync(propsPath)) return {};
+// ── Level Data (NBT) ───────────────────────────────────────────────────────
+// level.dat is a gzip-compressed, big-endian NBT compound. Only reading is
+// needed, so this is a small recursive decoder rather than a dependency.
+// Longs come back as BigInt; callers convert what they expose.
 
-  const content = fs.readFileSync(propsPath, "utf-8");
-  const props = {};
-  for (const line of content.split("\n")) {
-    if (line.startsWith("#") || !line.includes("=")) continue;
-    const [key, ...valueParts] = line.split("=");
-    props[key.trim()] = valueParts.join("=").trim();
-  }
-  return props;
+const NBT_MAX_DEPTH = 512;
+const GAME_TYPES = ["survival", "creative", "adventure", "spectator"];
+const DIFFICULTIES = ["peaceful", "easy", "normal", "hard"];
+
+function parseNBT(buffer) {
+  let offset = 0;
+  const take = (n) => {
+    if (offset + n > buffer.length) throw new Error("Unexpected end of NBT data");
+    offset += n;
+    return offset - n;
+  };
+  const readString = () => {
+    const length = buffer.readUInt16BE(take(2));
+    // Java's modified UTF-8 only differs from UTF-8 for NUL and astral characters
+    return buffer.toString("utf8", take(length), offset);
+  };
+  const readArray = (width, read) => {
+    const length = buffer.readInt32BE(take(4));
+    if (length < 0) throw new Error("Negative NBT array length");
+    const start = take(length * width);
+    return Array.from({ length }, (_, i) => read(start + i * width));
+  };
+
+  const readTag = (type, depth) => {
+    if (depth > NBT_MAX_DEPTH) throw new Error("NBT nesting too deep");
+    switch (type) {
+      case 1: return buffer.readInt8(take(1));
+      case 2: return buffer.readInt16BE(take(2));
+      case 3: return buffer.readInt32BE(take(4));
+      case 4: return buffer.readBigInt64BE(take(8));
+      case 5: return buffer.readFloatBE(take(4));
+      case 6: return buffer.readDoubleBE(take(8));
+      case 7: return readArray(1, (at) => buffer.readInt8(at));
+      case 8: return readString();
+      case 9: {
+        const itemType = buffer.readUInt8(take(1));
+        const length = buffer.readInt32BE(take(4));
+        const list = [];
+        for (let i = 0; i < length; i++) list.push(readTag(itemType, depth + 1));
+        return list;
+      }
+      case 10: {
+        const compound = {};
+        for (;;) {
+          const childType = buffer.readUInt8(take(1));
+          if (childType === 0) return compound;
+          compound[readString()] = readTag(childType, depth + 1);
+        }
+      }
+      case 11: return readArray(4, (at) => buffer.readInt32BE(at));
+      case 12: return readArray(8, (at) => buffer.readBigInt64BE(at));
+      default: throw new Error(`Unknown NBT tag type ${type}`);
+    }
+  };
+
+  const rootType = buffer.readUInt8(take(1));
+  if (rootType !== 10) throw new Error("NBT root is not a compound");
+  readString();
+  return readTag(10, 0);
 }
 
-// ── Backup a World ─────────────────────────────────────────────────────────
-async function backupWorld(worldName) {
-  const worldPath = path.join(CONFIG.mcDataPath, worldName);
-  if (!fs.existsSync(worldPath)) {
-    return { success: false, error: "World not found" };
+// Parsed level.dat by path, reused until the file's mtime or size changes.
+// The world list reads every world's level.dat on each refresh.
+const levelDataCache = new Map();
+
+function readLevelData(worldPath) {
+  const file = path.join(worldPath, "level.dat");
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (err) {
+    levelDataCache.delete(file);
+    throw err;
   }
+  const cached = levelDataCache.get(file);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached.data;
 
-  await rconCommand("save-all flush");
-  await new Promise((r) => setTimeout(r, 2000));
-  await rconCommand("save-off");
+  const raw = fs.readFileSync(file);
+  // Some tools write level.dat uncompressed; gzip starts with 1f 8b
+  const data = raw[0] === 0x1f && raw[1] === 0x8b ? zlib.gunzipSync(raw) : raw;
+  const root = parseNBT(data);
+  if (!root.Data) throw new Error("level.dat has no Data compound");
+  levelDataCache.set(file, { mtimeMs: stat.mtimeMs, size: stat.size, data: root.Data });
+  return root.Data;
+}
+
+// Snapshot names ("24w14a") cannot be ordered against releases, so only
+// plain release numbers are compared
+function savedByNewerVersion(worldVersion, serverVersion) {
+  const release = /^\d+(\.\d+)+$/;
+  if (!release.test(worldVersion || "") || !release.test(serverVersion || "")) return false;
+  return compareVersions(worldVersion, serverVersion) > 0;
+}
+
+async function getWorldDetails(name) {
+  const world = getWorlds().find((w) => w.name === name);
+  if (!world) return { success: false, status: 404, error: "World not found" };
 
+  let data;
   try {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-    const filename = `${worldName}_${timestamp}.tar.gz`;
-    const backupPath = path.join(CONFIG.backupDir, filename);
+    data = readLevelData(path.join(CONFIG.mcDataPath, name));
+  } catch (err) {
+    return { success: false, status: 500, error: `Could not read level.dat: ${err.message}` };
+  }
+
+  // 1.16 moved the seed into WorldGenSettings; newer releases keep
+  // difficulty under difficulty_settings
+  const worldGen = data.WorldGenSettings || {};
+  const difficultySettings = data.difficulty_settings || {};
+  const version = data.Version || {};
+  const seed = worldGen.seed ?? data.RandomSeed;
+  const difficulty = difficultySettings.difficulty ?? DIFFICULTIES[data.Difficulty];
+  const hardcore = difficultySettings.hardcore ?? data.hardcore;
+  const gameRules = {};
+  for (const [rule, value] of Object.entries(data.GameRules || data.game_rules || {})) {
+    gameRules[rule] = String(value);
+  }
+
+  const serverVersion = await getServerVersion();
+  const versionName = version.Name || null;
+  const newerThanServer = savedByNewerVersion(versionName, serverVersion);
+
+  return {
+    success: true,
+    world: {
+      ...world,
+      levelName: data.LevelName || null,
+      seed: seed !== undefined ? String(seed) : null,
+      dataVersion: data.DataVersion ?? null,
+      versionName,
+      snapshot: Boolean(version.Snapshot),
+      spawn: { x: data.SpawnX ?? null, y: data.SpawnY ?? null, z: data.SpawnZ ?? null },
+      gameType: GAME_TYPES[data.GameType] || null,
+      difficulty: difficulty || null,
+      hardcore: Boolean(hardcore),
+      // Time counts game ticks (20 per second) since the world was created
+      timePlayedSeconds: data.Time !== undefined ? Math.floor(Number(data.Time) / 20) : null,
+      lastPlayed: data.LastPlayed ? new Date(Number(data.LastPlayed)).toISOString() : null,
+      gameRules,
+      storage: getWorldStorage(world),
+      serverVersion,
+      warning: newerThanServer
+        ? `This world was last saved by Minecraft ${versionName}, which is newer than the server (${serverVersion}). Loading it may fail or corrupt it.`
+        : null,
+    },
+  };
+}
+
+// ── World Storage & Chunk Pruning ──────────────────────────────────────────
+// Each dimension keeps its chunks in Anvil region files (r.<x>.<z>.mca):
+// an 8 KiB header of 1024 sector locations and timestamps, then one
+// length-prefixed, compressed NBT blob per chunk. Paper moves the nether
+// and the end into sibling <world>_nether / <world>_the_end folders.
 
-    if (!fs.existsSync(CONFIG.backupDir)) {
-      fs.mkdirSync(CONFIG.backupDir, { recursive: true });
+const REGION_SECTOR = 4096;
+const REGION_FOLDERS = ["region", "entities", "poi"];
+const DIMENSIONS = [
+  { id: "overworld", label: "Overworld", folder: "" },
+  { id: "nether", label: "Nether", folder: "DIM-1", paperSuffix: "_nether" },
+  { id: "end", label: "The End", folder: "DIM1", paperSuffix: "_the_end" },
+];
+
+function worldInUse(name) {
+  const active = getServerProperties()["level-name"] || "world";
+  return name === active || name === `${active}_nether` || name === `${active}_the_end`;
+}
+
+// Every dimension folder that belongs to a world, including Paper's siblings
+function worldDimensions(name) {
+  const found = [];
+  for (const dim of DIMENSIONS) {
+    const locations = [{ relative: path.join(name, dim.folder), inWorld: true }];
+    if (dim.paperSuffix) {
+      locations.push({ relative: path.join(name + dim.paperSuffix, dim.folder), inWorld: false });
+    }
+    for (const { relative, inWorld } of locations) {
+      const dir = path.join(CONFIG.mcDataPath, relative);
+      if (REGION_FOLDERS.some((f) => fs.existsSync(path.join(dir, f)))) {
+        found.push({ ...dim, dir, relative, inWorld });
+      }
     }
+  }
+  return found;
+}
 
-    execSync(
-      `tar -czf "${backupPath}" -C "${CONFIG.mcDataPath}" "${worldName}"`,
-      { timeout: 120000 }
-    );
+function listRegionFiles(dir) {
+  try {
+    return fs.readdirSync(dir)
+      .map((file) => ({ file, match: file.match(/^r\.(-?\d+)\.(-?\d+)\.mca$/) }))
+      .filter((r) => r.match)
+      .map(({ file, match }) => ({
+        file,
+        x: parseInt(match[1]),
+        z: parseInt(match[2]),
+        bytes: fs.statSync(path.join(dir, file)).size,
+      }));
+  } catch (_) {
+    return [];
+  }
+}
 
-    await rconCommand("save-on");
+// Indexes 0-1023 of the chunks present in a region file, with their sectors
+function readRegionHeader(file) {
+  const header = Buffer.alloc(REGION_SECTOR);
+  const fd = fs.openSync(file, "r");
+  try {
+    fs.readSync(fd, header, 0, REGION_SECTOR, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return regionChunks(header);
+}
 
-    const stat = fs.statSync(backupPath);
-    return {
-      success: true,
-      filename,
-      sizeMB: (stat.size / 1048576).toFixed(1),
-      path: backupPath,
-    };
-  } catch (err) {
-    await rconCommand("save-on");
-    return { success: false, error: err.message };
+// Same, from a region file already in memory
+function regionChunks(buffer) {
+  const chunks = [];
+  for (let i = 0; i < 1024 && i * 4 + 4 <= buffer.length; i++) {
+    const entry = buffer.readUInt32BE(i * 4);
+    if (entry) chunks.push({ index: i, offset: entry >>> 8, sectors: entry & 0xff });
   }
+  return chunks;
 }
 
-// ── List Backups ───────────────────────────────────────────────────────────
-function listBackups() {
-  if (!fs.existsSync(CONFIG.backupDir)) return [];
+// Size of each dimension and region file, for a world already known to exist
+function getWorldStorage(world) {
+  let inWorldBytes = 0;
+  const dimensions = worldDimensions(world.name).map((dim) => {
+    const folders = {};
+    for (const folder of REGION_FOLDERS) {
+      folders[folder] = listRegionFiles(path.join(dim.dir, folder)).reduce((sum, r) => sum + r.bytes, 0);
+    }
+    const regions = listRegionFiles(path.join(dim.dir, "region")).map((r) => {
+      let chunks = 0;
+      try {
+        chunks = readRegionHeader(path.join(dim.dir, "region", r.file)).length;
+      } catch (_) {}
+      return { ...r, chunks };
+    }).sort((a, b) => b.bytes - a.bytes);
+    const bytes = Object.values(folders).reduce((a, b) => a + b, 0);
+    if (dim.inWorld) inWorldBytes += bytes;
+    return { id: dim.id, label: dim.label, folder: dim.relative, bytes, folders, regions };
+  });
 
-  return fs
-    .readdirSync(CONFIG.backupDir)
-    .filter((f) => f.endsWith(".tar.gz"))
-    .map((f) => {
-      const stat = fs.statSync(path.join(CONFIG.backupDir, f));
-      return {
-        filename: f,
-        sizeMB: (stat.size / 1048576).toFixed(1),
-        created: stat.mtime.toISOString(),
-      };
-    })
-    .sort((a, b) => new Date(b.created) - new Date(a.created));
+  return {
+    // playerdata, stats, data/ and so on
+    otherBytes: Math.max(0, world.sizeBytes - inWorldBytes),
+    dimensions,
+  };
 }
 
-// ── Delete a World ─────────────────────────────────────────────────────────
-async function deleteWorld(worldName) {
-  const worlds = getWorlds();
-  const world = worlds.find((w) => w.name === worldName);
-  if (!world) return { success: false, error: "World not found" };
-  if (world.active)
-    return { success: false, error: "Cannot delete the active world" };
+function readChunkNBT(buffer, { offset, sectors }) {
+  const start = offset * REGION_SECTOR;
+  if (offset < 2 || start + 5 > buffer.length || sectors === 0) throw new Error("Chunk outside the file");
+  const length = buffer.readUInt32BE(start);
+  if (start + 4 + length > buffer.length) throw new Error("Truncated chunk");
+  const compression = buffer[start + 4];
+  const payload = buffer.subarray(start + 5, start + 4 + length);
+  // 4 is LZ4 and 128+ means the chunk lives in an external .mcc file
+  if (compression === 1) return parseNBT(zlib.gunzipSync(payload));
+  if (compression === 2) return parseNBT(zlib.inflateSync(payload));
+  if (compression === 3) return parseNBT(payload);
+  throw new Error(`Unsupported chunk compression ${compression}`);
+}
 
-  const worldPath = path.join(CONFIG.mcDataPath, worldName);
+// Copies the surviving chunks into a fresh, gap-free file. Returns bytes freed.
+async function rewriteRegion(file, drop) {
+  let buffer;
   try {
-    fs.rmSync(worldPath, { recursive: true, force: true });
-    return { success: true };
+    buffer = await fs.promises.readFile(file);
   } catch (err) {
-    return { success: false, error: err.message };
+    if (err.code === "ENOENT") return 0;
+    throw err;
   }
+  const header = Buffer.alloc(REGION_SECTOR * 2);
+  const parts = [header];
+  let sector = 2;
+  for (const chunk of regionChunks(buffer)) {
+    const start = chunk.offset * REGION_SECTOR;
+    const end = start + chunk.sectors * REGION_SECTOR;
+    if (drop.has(chunk.index) || chunk.offset < 2 || end > buffer.length) continue;
+    header.writeUInt32BE((sector << 8) | chunk.sectors, chunk.index * 4);
+    header.writeUInt32BE(buffer.readUInt32BE(REGION_SECTOR + chunk.index * 4), REGION_SECTOR + chunk.index * 4);
+    parts.push(buffer.subarray(start, end));
+    sector += chunk.sectors;
+  }
+  if (parts.length === 1) {
+    await fs.promises.rm(file);
+    return buffer.length;
+  }
+  const output = Buffer.concat(parts);
+  await fs.promises.writeFile(file + ".tmp", output);
+  await fs.promises.rename(file + ".tmp", file);
+  return buffer.length - output.length;
 }
 
-// ── Create a World ─────────────────────────────────────────────────────────
-async function createWorld(options) {
-  const { name, seed, gamemode, difficulty, worldType } = options;
-
-  if (!name || !/^[a-zA-Z0-9_-]+$/.test(name)) {
-    return { success: false, error: "Invalid world name. Use letters, numbers, hyphens, underscores only." };
-  }
+// Distance in blocks from a point to the nearest block of a chunk
+function chunkDistance(cx, cz, point) {
+  const dx = Math.max(cx * 16 - point.x, 0, point.x - (cx * 16 + 15));
+  const dz = Math.max(cz * 16 - point.z, 0, point.z - (cz * 16 + 15));
+  return Math.hypot(dx, dz);
+}
 
+// Drops chunks nobody spent time in, outside a circle around spawn (the
+// overworld) or the origin (nether and end, where the end island sits).
+// A dry run only reports; a real run backs the world up first.
+async function pruneChunks(params, { signal, onProgress } = {}) {
+  const { world: name, dryRun, minInhabitedMinutes, protectRadius } = params;
   const worldPath = path.join(CONFIG.mcDataPath, name);
-  if (fs.existsSync(worldPath)) {
-    return { success: false, error: "A world with that name already exists." };
+  if (!fs.existsSync(worldPath)) return { success: false, error: "World not found" };
+  if (!dryRun && worldInUse(name)) {
+    return { success: false, error: "Chunks can only be pruned in a world that is not active" };
   }
 
-  const propsPath = path.join(CONFIG.mcDataPath, "server.properties");
-  if (fs.existsSync(propsPath)) {
-    let content = fs.readFileSync(propsPath, "utf-8");
-    content = content.replace(/^level-name=.*/m, `level-name=${name}`);
-    if (seed) content = content.replace(/^level-seed=.*/m, `level-seed=${seed}`);
-    else content = content.replace(/^level-seed=.*/m, `level-seed=`);
-    if (gamemode) content = content.replace(/^gamemode=.*/m, `gamemode=${gamemode}`);
-    if (difficulty) content = content.replace(/^difficulty=.*/m, `difficulty=${difficulty}`);
-    if (worldType) content = content.replace(/^level-type=.*/m, `level-type=${worldType}`);
-    fs.writeFileSync(propsPath, content);
+  let spawn = { x: 0, z: 0 };
+  try {
+    const data = readLevelData(worldPath);
+    spawn = { x: data.SpawnX || 0, z: data.SpawnZ || 0 };
+  } catch (_) {}
+  const threshold = BigInt(Math.round(minInhabitedMinutes * 60 * 20));
+
+  // Only folders inside the world are touched; Paper's sibling folders are
+  // listed as worlds of their own and pruned (and backed up) separately
+  const dimensions = worldDimensions(name).filter((d) => d.inWorld);
+  const regionsByDim = dimensions.map((d) => listRegionFiles(path.join(d.dir, "region")));
+  const total = regionsByDim.flat().reduce((sum, r) => sum + r.bytes, 0);
+
+  let backup = null;
+  if (!dryRun) {
+    const result = await backupWorld(name, { signal });
+    if (!result.success) return { success: false, error: `Backup before pruning failed: ${result.error}` };
+    backup = result.filename;
   }
 
-  await rconCommand("stop");
+  let scanned = 0;
+  let unreadable = 0;
+  let freedBytes = 0;
+  const report = [];
+  for (const [d, dim] of dimensions.entries()) {
+    const center = dim.id === "overworld" ? spawn : { x: 0, z: 0 };
+    const summary = { id: dim.id, label: dim.label, regions: 0, chunks: 0, pruned: 0, prunedBytes: 0, emptiedRegions: 0 };
+    for (const region of regionsByDim[d]) {
+      if (signal && signal.aborted) {
+        return { success: false, error: "Cancelled", backup };
+      }
+      const file = path.join(dim.dir, "region", region.file);
+      const buffer = await fs.promises.readFile(file);
+      const chunks = regionChunks(buffer);
+      const drop = new Set();
+      let dropBytes = 0;
+      for (const chunk of chunks) {
+        const cx = region.x * 32 + (chunk.index % 32);
+        const cz = region.z * 32 + Math.floor(chunk.index / 32);
+        if (chunkDistance(cx, cz, center) <= protectRadius) continue;
+        let inhabited;
+        try {
+          const nbt = readChunkNBT(buffer, chunk);
+          // Before 1.18 chunk data sat under a "Level" compound
+          inhabited = (nbt.Level || nbt).InhabitedTime;
+        } catch (_) {
+          unreadable++;
+          continue;
+        }
+        if (typeof inhabited === "bigint" && inhabited < threshold) {
+          drop.add(chunk.index);
+          dropBytes += chunk.sectors * REGION_SECTOR;
+        }
+      }
+
+      summary.regions++;
+      summary.chunks += chunks.length;
+      summary.pruned += drop.size;
+      summary.prunedBytes += dropBytes;
+      if (drop.size && drop.size === chunks.length) summary.emptiedRegions++;
+      if (!dryRun && drop.size) {
+        for (const folder of REGION_FOLDERS) {
+          freedBytes += await rewriteRegion(path.join(dim.dir, folder, region.file), drop);
+        }
+      }
+      scanned += region.bytes;
+      if (onProgress) onProgress(scanned, total);
+    }
+    report.push(summary);
+  }
 
+  const pruned = report.reduce((sum, r) => sum + r.pruned, 0);
+  const chunks = report.reduce((sum, r) => sum + r.chunks, 0);
+  const prunedMB = (report.reduce((sum, r) => sum + r.prunedBytes, 0) / 1048576).toFixed(1);
   return {
     success: true,
-    message: `World "${name}" configured. The server is restarting to generate it. This may take a minute.`,
+    dryRun: Boolean(dryRun),
+    backup,
+    report,
+    unreadable,
+    freedMB: (freedBytes / 1048576).toFixed(1),
+    message: dryRun
+      ? `Dry run: ${pruned} of ${chunks} chunks in ${name} would be pruned (about ${prunedMB} MB of region data)`
+      : `Pruned ${pruned} of ${chunks} chunks in ${name}, freeing ${(freedBytes / 1048576).toFixed(1)} MB`,
   };
 }
 
-// ── Google Drive Status ────────────────────────────────────────────────────
-function getGDriveStatus() {
-  try {
-    if (!fs.existsSync(CONFIG.rcloneConfigPath)) {
-      return { configured: false, message: "rclone not configured" };
-    }
-    const config = fs.readFileSync(CONFIG.rcloneConfigPath, "utf-8");
-    if (!config.includes("[gdrive]")) {
-      return { configured: false, message: "Google Drive remote not set up" };
-    }
-    return { configured: true, message: "Google Drive connected" };
-  } catch (_) {
-    return { configured: false, message: "Could not read rclone config" };
+// ── Server Properties ──────────────────────────────────────────────────────
+// Standard vanilla/Paper keys. `live` maps a new value to the RCON command
+// that applies it without a restart; everything else needs a restart.
+const PROPERTY_SCHEMA = {
+  "accepts-transfers": { type: "boolean" },
+  "allow-flight": { type: "boolean" },
+  "allow-nether": { type: "boolean" },
+  "broadcast-console-to-ops": { type: "boolean" },
+  "broadcast-rcon-to-ops": { type: "boolean" },
+  "bug-report-link": { type: "string" },
+  "difficulty": { type: "enum", values: ["peaceful", "easy", "normal", "hard"], live: (v) => `difficulty ${v}` },
+  "enable-command-block": { type: "boolean" },
+  "enable-jmx-monitoring": { type: "boolean" },
+  "enable-query": { type: "boolean" },
+  "enable-rcon": { type: "boolean", readOnly: true },
+  "enable-status": { type: "boolean" },
+  "enforce-secure-profile": { type: "boolean" },
+  "enforce-whitelist": { type: "boolean" },
+  "entity-broadcast-range-percentage": { type: "integer", min: 10, max: 1000 },
+  "force-gamemode": { type: "boolean" },
+  "function-permission-level": { type: "integer", min: 1, max: 4 },
+  "gamemode": { type: "enum", values: ["survival", "creative", "adventure", "spectator"], live: (v) => `defaultgamemode ${v}` },
+  "generate-structures": { type: "boolean" },
+  "generator-settings": { type: "string" },
+  "hardcore": { type: "boolean" },
+  "hide-online-players": { type: "boolean" },
+  "initial-disabled-packs": { type: "string" },
+  "initial-enabled-packs": { type: "string" },
+  "level-name": { type: "string", readOnly: true },
+  "level-seed": { type: "string" },
+  "level-type": { type: "enum", values: ["minecraft:normal", "minecraft:flat", "minecraft:large_biomes", "minecraft:amplified", "minecraft:single_biome_surface"] },
+  "log-ips": { type: "boolean" },
+  "max-chained-neighbor-updates": { type: "integer", min: -1, max: 2147483647 },
+  "max-players": { type: "integer", min: 0, max: 2147483647 },
+  "max-tick-time": { type: "integer", min: -1, max: 2147483647 },
+  "max-world-size": { type: "integer", min: 1, max: 29999984 },
+  "motd": { type: "string" },
+  "network-compression-threshold": { type: "integer", min: -1, max: 2147483647 },
+  "online-mode": { type: "boolean" },
+  "op-permission-level": { type: "integer", min: 0, max: 4 },
+  "pause-when-empty-seconds": { type: "integer", min: 0, max: 2147483647 },
+  "player-idle-timeout": { type: "integer", min: 0, max: 2147483647, live: (v) => `setidletimeout ${v}` },
+  "prevent-proxy-connections": { type: "boolean" },
+  "pvp": { type: "boolean" },
+  "query.port": { type: "integer", min: 1, max: 65535 },
+  "rate-limit": { type: "integer", min: 0, max: 2147483647 },
+  "rcon.password": { type: "string", readOnly: true, secret: true },
+  "rcon.port": { type: "integer", min: 1, max: 65535, readOnly: true },
+  "region-file-compression": { type: "enum", values: ["deflate", "lz4", "none"] },
+  "require-resource-pack": { type: "boolean" },
+  "resource-pack": { type: "string" },
+  "resource-pack-id": { type: "string" },
+  "resource-pack-prompt": { type: "string" },
+  "resource-pack-sha1": { type: "string" },
+  "server-ip": { type: "string" },
+  "server-port": { type: "integer", min: 1, max: 65535 },
+  "simulation-distance": { type: "integer", min: 3, max: 32 },
+  "spawn-monsters": { type: "boolean" },
+  "spawn-protection": { type: "integer", min: 0, max: 2147483647 },
+  "sync-chunk-writes": { type: "boolean" },
+  "text-filtering-config": { type: "string" },
+  "use-native-transport": { type: "boolean" },
+  "view-distance": { type: "integer", min: 3, max: 32 },
+  "white-list": { type: "boolean", live: (v) => `whitelist ${v === "true" ? "on" : "off"}` },
+};
+
+// server.properties is a java.util.Properties file: values may contain
+// escapes such as `minecraft\:normal` or `§`.
+function unescapeProperty(raw) {
+  return raw.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (_, c) => {
+    if (c[0] === "u" && c.length === 5) return String.fromCharCode(parseInt(c.slice(1), 16));
+    return { t: "\t", n: "\n", r: "\r", f: "\f" }[c] || c;
+  });
+}
+
+function escapeProperty(value) {
+  return value
+    .replace(/[\\:=#!]/g, (c) => "\\" + c)
+    .replace(/\t/g, "\\t").replace(/\n/g, "\\n").replace(/\r/g, "\\r").replace(/\f/g, "\\f")
+    .replace(/[^\x20-\x7e]/g, (c) => "\\u" + c.charCodeAt(0).toString(16).toUpperCase().padStart(4, "0"));
+}
+
+function readPropertiesFile() {
+  const propsPath = path.join(CONFIG.mcDataPath, "server.properties");
+  const content = fs.existsSync(propsPath) ? fs.readFileSync(propsPath, "utf-8") : "";
+  const lines = content ? content.replace(/\n$/, "").split("\n") : [];
+  const entries = new Map();
+  lines.forEach((line, index) => {
+    const trimmed = line.trimStart();
+    if (!trimmed || trimmed.startsWith("#") || trimmed.startsWith("!") || !line.includes("=")) return;
+    const eq = line.indexOf("=");
+    const key = line.slice(0, eq).trim();
+    entries.set(key, { index, value: unescapeProperty(line.slice(eq + 1).trimStart().replace(/\r$/, "")) });
+  });
+  return { propsPath, lines, entries };
+}
+
+function getServerProperties() {
+  const props = {};
+  for (const [key, entry] of readPropertiesFile().entries) {
+    props[key] = PROPERTY_SCHEMA[key] && PROPERTY_SCHEMA[key].secret ? "********" : entry.value;
   }
+  return props;
 }
 
-// ── Push Backup to Google Drive ────────────────────────────────────────────
-async function pushToGDrive(filename) {
-  const status = getGDriveStatus();
-  if (!status.configured) {
-    return { success: false, error: "Google Drive not configured" };
+function validateProperty(key, value) {
+  const schema = PROPERTY_SCHEMA[key] || { type: "string" };
+  const str = value === null || value === undefined ? "" : String(value).trim();
+
+  switch (schema.type) {
+    case "boolean":
+      if (str !== "true" && str !== "false") return { error: "must be true or false" };
+      return { value: str };
+    case "integer": {
+      if (!/^-?\d+$/.test(str)) return { error: "must be a whole number" };
+      const n = parseInt(str);
+      if (n < schema.min || n > schema.max) return { error: `must be between ${schema.min} and ${schema.max}` };
+      return { value: String(n) };
+    }
+    case "enum":
+      if (!schema.values.includes(str)) return { error: "must be one of: " + schema.values.join(", ") };
+      return { value: str };
+    default:
+      if (/[\r\n]/.test(String(value))) return { error: "must be a single line" };
+      return { value: String(value ?? "") };
   }
+}
 
-  const backupPath = path.join(CONFIG.backupDir, filename);
-  if (!fs.existsSync(backupPath)) {
-    return { success: false, error: "Backup file not found" };
+// Rewrites only the changed lines, keeping comments and key order; keys that
+// are not in the file yet are appended at the end. Values must be validated.
+function writeServerProperties(changes) {
+  const { propsPath, lines, entries } = readPropertiesFile();
+  for (const [key, value] of Object.entries(changes)) {
+    const line = `${key}=${escapeProperty(value)}`;
+    if (entries.has(key)) lines[entries.get(key).index] = line;
+    else lines.push(line);
   }
+  fs.writeFileSync(propsPath, lines.join("\n") + "\n");
+}
 
-  return new Promise((resolve) => {
-    exec(
-      `rclone copy "${backupPath}" gdrive:mc-appliance-backups/ --config "${CONFIG.rcloneConfigPath}"`,
-      { timeout: 300000 },
-      (err) => {
-        if (err) resolve({ success: false, error: err.message });
-        else resolve({ success: true, message: `Uploaded ${filename} to Google Drive` });
-      }
-    );
+function getPropertiesSchema() {
+  const { entries } = readPropertiesFile();
+  const keys = new Set([...Object.keys(PROPERTY_SCHEMA), ...entries.keys()]);
+  return [...keys].sort().map((key) => {
+    const schema = PROPERTY_SCHEMA[key] || { type: "string" };
+    const entry = entries.get(key);
+    return {
+      key,
+      value: entry ? (schema.secret ? "********" : entry.value) : null,
+      type: schema.type,
+      min: schema.min,
+      max: schema.max,
+      values: schema.values,
+      apply: schema.live ? "live" : "restart",
+      readOnly: !!schema.readOnly,
+      known: !!PROPERTY_SCHEMA[key],
+    };
   });
 }
 
-// ── API Router ─────────────────────────────────────────────────────────────
-async function handleAPI(req, res) {
-  const url = new URL(req.url, `http://${req.headers.host}`);
-  const apiPath = url.pathname.replace("/api/", "");
+async function updateServerProperties(changes) {
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    return { success: false, status: 400, error: "Expected an object of property changes" };
+  }
 
-  let body = {};
-  if (req.method === "POST") {
-    body = await new Promise((resolve) => {
-      let data = "";
-      req.on("data", (chunk) => (data += chunk));
-      req.on("end", () => {
-        try { resolve(JSON.parse(data)); }
-        catch (_) { resolve({}); }
-      });
-    });
+  const { entries } = readPropertiesFile();
+  const errors = {};
+  const validated = {};
+  for (const [key, value] of Object.entries(changes)) {
+    const schema = PROPERTY_SCHEMA[key];
+    if (!schema && !entries.has(key)) errors[key] = "is not a known server property";
+    else if (schema && schema.readOnly) errors[key] = "is managed by the appliance and cannot be edited here";
+    else {
+      const result = validateProperty(key, value);
+      if (result.error) errors[key] = result.error;
+      else if (!entries.has(key) || entries.get(key).value !== result.value) validated[key] = result.value;
+    }
+  }
+  if (Object.keys(errors).length) {
+    return {
+      success: false,
+      status: 400,
+      error: Object.entries(errors).map(([k, e]) => `${k} ${e}`).join("; "),
+      errors,
+    };
+  }
+  if (!Object.keys(validated).length) {
+    return { success: true, changed: [], appliedLive: [], restartRequired: [], message: "No changes" };
   }
 
-  let result;
+  writeServerProperties(validated);
 
-  switch (apiPath) {
-    case "status":
-      const status = await getServerStatus();
-      const props = getServerProperties();
-      const gdrive = getGDriveStatus();
-      result = { ...status, serverProperties: props, gdrive };
-      break;
-    case "worlds":
-      result = getWorlds();
-      break;
-    case "worlds/create":
-      result = await createWorld(body);
-      break;
-    case "worlds/delete":
-      result = await deleteWorld(body.name);
-      break;
-    case "worlds/backup":
-      result = await backupWorld(body.name);
-      break;
-    case "backups":
-      result = listBackups();
-      break;
-    case "backups/upload":
-      result = await pushToGDrive(body.filename);
-      break;
-    case "rcon":
-      result = await rconCommand(body.command);
-      break;
-    case "properties":
-      result = getServerProperties();
-      break;
-    case "gdrive/status":
-      result = getGDriveStatus();
-      break;
-    default:
-      res.writeHead(404, { "Content-Type": "application/json" });
-      res.end(JSON.stringify({ error: "Not found" }));
-      return;
+  const appliedLive = [];
+  const restartRequired = [];
+  const online = (await getServerStatus()).online;
+  for (const [key, value] of Object.entries(validated)) {
+    const schema = PROPERTY_SCHEMA[key];
+    if (online && schema && schema.live && (await rconCommand(schema.live(value))).success) {
+      appliedLive.push(key);
+    } else {
+      restartRequired.push(key);
+    }
   }
 
-  res.writeHead(200, { "Content-Type": "application/json" });
-  res.end(JSON.stringify(result));
+  return {
+    success: true,
+    changed: Object.keys(validated),
+    appliedLive,
+    restartRequired,
+    message: restartRequired.length
+      ? `Saved. Restart the server to apply: ${restartRequired.join(", ")}`
+      : "Saved and applied live.",
+  };
 }
 
-// ── HTML Frontend ──────────────────────────────────────────────────────────
-function getHTML() {
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>MC World Manager</title>
+// ── Players ────────────────────────────────────────────────────────────────
+// The server owns whitelist.json, ops.json and the ban lists while it runs,
+// so changes go through RCON when it is online and are written to the files
+// directly only when it is stopped (they are read again on startup).
+const PLAYER_NAME_RE = /^[A-Za-z0-9_]{1,16}$/;
+const UUID_CACHE_TTL_MS = 30 * 86400000;
+
+const PLAYER_LISTS = {
+  whitelist: {
+    file: "whitelist.json",
+    add: (p) => `whitelist add ${p.name}`,
+    remove: (p) => `whitelist remove ${p.name}`,
+    entry: (p) => ({ uuid: p.uuid, name: p.name }),
+  },
+  ops: {
+    file: "ops.json",
+    add: (p) => `op ${p.name}`,
+    remove: (p) => `deop ${p.name}`,
+    entry: (p) => ({
+      uuid: p.uuid,
+      name: p.name,
+      level: parseInt(getServerProperties()["op-permission-level"]) || 4,
+      bypassesPlayerLimit: false,
+    }),
+  },
+  bans: {
+    file: "banned-players.json",
+    add: (p) => `ban ${p.name}${p.reason ? " " + p.reason : ""}`,
+    remove: (p) => `pardon ${p.name}`,
+    entry: (p) => ({
+      uuid: p.uuid,
+      name: p.name,
+      created: formatBanDate(new Date()),
+      source: "World Manager",
+      expires: "forever",
+      reason: p.reason || "Banned by an operator.",
+    }),
+  },
+  ipBans: {
+    file: "banned-ips.json",
+    byIp: true,
+    add: (p) => `ban-ip ${p.ip}${p.reason ? " " + p.reason : ""}`,
+    remove: (p) => `pardon-ip ${p.ip}`,
+    entry: (p) => ({
+      ip: p.ip,
+      created: formatBanDate(new Date()),
+      source: "World Manager",
+      expires: "forever",
+      reason: p.reason || "Banned by an operator.",
+    }),
+  },
+};
+
+// Same layout the server writes: "2024-05-01 13:37:00 +0000"
+function formatBanDate(date) {
+  return date.toISOString().replace("T", " ").replace(/\.\d+Z$/, " +0000");
+}
+
+function readPlayerList(list) {
+  try {
+    const entries = JSON.parse(fs.readFileSync(path.join(CONFIG.mcDataPath, PLAYER_LISTS[list].file), "utf-8"));
+    return Array.isArray(entries) ? entries : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function writePlayerList(list, entries) {
+  fs.writeFileSync(path.join(CONFIG.mcDataPath, PLAYER_LISTS[list].file), JSON.stringify(entries, null, 2) + "\n");
+}
+
+function formatUUID(hex) {
+  return hex.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, "$1-$2-$3-$4-$5");
+}
+
+// What the server uses when online-mode=false: a v3 UUID of "OfflinePlayer:<name>"
+function offlineUUID(name) {
+  const hash = crypto.createHash("md5").update("OfflinePlayer:" + name).digest();
+  hash[6] = (hash[6] & 0x0f) | 0x30;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+  return formatUUID(hash.toString("hex"));
+}
+
+// Looks a name up in our cache, then the server's usercache.json, then the
+// Mojang API. Offline-mode servers derive the UUID from the name instead.
+async function resolvePlayer(name) {
+  if (!PLAYER_NAME_RE.test(name || "")) throw statusError(400, "Invalid player name");
+  const key = name.toLowerCase();
+
+  if (getServerProperties()["online-mode"] === "false") {
+    return { uuid: offlineUUID(name), name };
+  }
+
+  const cache = readState("uuid-cache.json", {});
+  const cached = cache[key];
+  if (cached && Date.now() - cached.resolvedAt < UUID_CACHE_TTL_MS) {
+    return { uuid: cached.uuid, name: cached.name };
+  }
+
+  let player = null;
+  try {
+    const usercache = JSON.parse(fs.readFileSync(path.join(CONFIG.mcDataPath, "usercache.json"), "utf-8"));
+    const hit = usercache.find((u) => u.name.toLowerCase() === key);
+    if (hit) player = { uuid: hit.uuid, name: hit.name };
+  } catch (_) {}
+
+  if (!player) {
+    let res;
+    try {
+      res = await fetch(`https://api.mojang.com/users/profiles/minecraft/${encodeURIComponent(name)}`, {
+        signal: AbortSignal.timeout(5000),
+      });
+    } catch (err) {
+      if (cached) return { uuid: cached.uuid, name: cached.name };
+      throw statusError(502, "Could not reach the Mojang API: " + err.message);
+    }
+    if (res.status === 204 || res.status === 404) throw statusError(404, `No Minecraft account named "${name}"`);
+    if (!res.ok) throw statusError(502, `Mojang API returned HTTP ${res.status}`);
+    const profile = await res.json();
+    player = { uuid: formatUUID(profile.id), name: profile.name };
+  }
+
+  cache[key] = { ...player, resolvedAt: Date.now() };
+  writeState("uuid-cache.json", cache);
+  return player;
+}
+
+async function getPlayers() {
+  const status = await getServerStatus();
+  return {
+    online: status.online,
+    players: status.players,
+    whitelistEnabled: getServerProperties()["white-list"] === "true",
+    whitelist: readPlayerList("whitelist"),
+    ops: readPlayerList("ops"),
+    bans: readPlayerList("bans"),
+    ipBans: readPlayerList("ipBans"),
+  };
+}
+
+async function updatePlayerList(list, options) {
+  const def = PLAYER_LISTS[list];
+  const { action } = options || {};
+  if (action !== "add" && action !== "remove") {
+    return { success: false, status: 400, error: "Action must be add or remove" };
+  }
+  const reason = String(options.reason || "").replace(/[\r\n]+/g, " ").trim();
+
+  let target;
+  if (def.byIp) {
+    if (!net.isIP(options.ip || "")) return { success: false, status: 400, error: "Invalid IP address" };
+    target = { ip: options.ip, reason };
+  } else {
+    if (!PLAYER_NAME_RE.test(options.name || "")) return { success: false, status: 400, error: "Invalid player name" };
+    target = { name: options.name, reason };
+  }
+
+  if ((await getServerStatus()).online) {
+    const result = await rconCommand(def[action](target));
+    if (!result.success) return { success: false, status: 503, error: result.response };
+    return { success: true, live: true, message: result.response || "Done" };
+  }
+
+  const entries = readPlayerList(list);
+  const matches = def.byIp
+    ? (e) => e.ip === target.ip
+    : (e) => (e.name || "").toLowerCase() === target.name.toLowerCase();
+
+  if (action === "remove") {
+    const remaining = entries.filter((e) => !matches(e));
+    if (remaining.length === entries.length) return { success: false, status: 404, error: "Not on the list" };
+    writePlayerList(list, remaining);
+  } else {
+    if (entries.some(matches)) return { success: false, status: 409, error: "Already on the list" };
+    if (!def.byIp) {
+      try {
+        Object.assign(target, await resolvePlayer(target.name));
+      } catch (err) {
+        return { success: false, status: err.status || 502, error: err.message };
+      }
+    }
+    entries.push(def.entry(target));
+    writePlayerList(list, entries);
+  }
+  return { success: true, live: false, message: "Saved. The server picks this up when it starts." };
+}
+
+async function kickPlayer(options) {
+  const { name } = options || {};
+  if (!PLAYER_NAME_RE.test(name || "")) return { success: false, status: 400, error: "Invalid player name" };
+  const reason = String(options.reason || "").replace(/[\r\n]+/g, " ").trim();
+  const result = await rconCommand(`kick ${name}${reason ? " " + reason : ""}`);
+  if (!result.success) return { success: false, status: 503, error: result.response };
+  return { success: true, message: result.response || `Kicked ${name}` };
+}
+
+async function setWhitelistEnabled(options) {
+  return updateServerProperties({ "white-list": String(!!(options && options.enabled)) });
+}
+
+// ── Server Lifecycle ───────────────────────────────────────────────────────
+// Start, stop and restart go through the Docker Engine API on the mounted
+// socket. Without the socket a restart falls back to RCON "stop" and the
+// container's restart policy brings the server back; stop and start need it.
+const LIFECYCLE_WARNINGS = [3600, 1800, 900, 600, 300, 120, 60, 30, 15, 10, 5, 4, 3, 2, 1];
+const LIFECYCLE_MAX_COUNTDOWN = 3600;
+const HEALTHY_TIMEOUT_MS = 10 * 60000;
+let serverAction = null;
+
+// Polls RCON until the server is reachable (online=true) or gone (false).
+async function waitForServerState(online, timeoutMs = 60000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const result = await rconCommand("list");
+    if (result.success === online) return true;
+    await new Promise((r) => setTimeout(r, 2000));
+  }
+  return false;
+}
+
+function dockerRequest(method, apiPath) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ socketPath: CONFIG.dockerSocket, path: apiPath, method, timeout: 120000 }, (res) => {
+      let data = "";
+      res.on("data", (d) => (data += d));
+      res.on("end", () => {
+        let body = null;
+        try { body = data ? JSON.parse(data) : null; } catch (_) {}
+        resolve({ status: res.statusCode, body });
+      });
+    });
+    req.on("timeout", () => req.destroy(new Error("Docker API did not answer")));
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+async function getContainerState() {
+  if (!fs.existsSync(CONFIG.dockerSocket)) {
+    return { available: false, error: `Docker socket ${CONFIG.dockerSocket} is not mounted` };
+  }
+  try {
+    const { status, body } = await dockerRequest("GET", `/containers/${encodeURIComponent(CONFIG.mcContainer)}/json`);
+    if (status !== 200) {
+      return { available: false, error: (body && body.message) || `Docker API returned ${status}` };
+    }
+    return {
+      available: true,
+      status: body.State.Status,
+      health: body.State.Health ? body.State.Health.Status : null,
+      startedAt: body.State.StartedAt,
+    };
+  } catch (err) {
+    return { available: false, error: err.message };
+  }
+}
+
+async function containerAction(action) {
+  // Docker's own stop timeout is 10s; give Paper time to save the worlds
+  const query = action === "start" ? "" : "?t=90";
+  const { status, body } = await dockerRequest("POST", `/containers/${encodeURIComponent(CONFIG.mcContainer)}/${action}${query}`);
+  // 304: already in the requested state
+  if (status !== 204 && status !== 304) {
+    throw new Error((body && body.message) || `Docker ${action} returned ${status}`);
+  }
+}
+
+function lifecycleBusy() {
+  if (serverAction && ["countdown", "stopping", "starting"].includes(serverAction.phase)) {
+    return `A server ${serverAction.action} is already in progress`;
+  }
+  if (worldSwitch && !["online", "failed"].includes(worldSwitch.phase)) {
+    return `Already switching to world "${worldSwitch.world}"`;
+  }
+  return null;
+}
+
+function formatCountdown(seconds) {
+  if (seconds >= 60 && seconds % 60 === 0) {
+    const minutes = seconds / 60;
+    return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+  }
+  return `${seconds} second${seconds === 1 ? "" : "s"}`;
+}
+
+async function warnPlayers(heading, detail) {
+  await rconCommand(`say ${heading} ${detail}`);
+  await rconCommand(`title @a subtitle ${JSON.stringify({ text: detail, color: "yellow" })}`);
+  await rconCommand(`title @a title ${JSON.stringify({ text: heading, color: "red" })}`);
+}
+
+// Follows the container until mc-health reports healthy. Containers without
+// a healthcheck count as ready once RCON answers.
+async function waitForHealthy(update, useDocker) {
+  if (!useDocker) return waitForServerState(true, HEALTHY_TIMEOUT_MS);
+  const deadline = Date.now() + HEALTHY_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const state = await getContainerState();
+    if (state.available) {
+      if (state.health === "healthy") return true;
+      if (!state.health && state.status === "running" && (await rconCommand("list")).success) return true;
+      if (state.status === "exited" || state.status === "dead") {
+        throw new Error(`Container ${state.status} while starting`);
+      }
+      update("starting", `Container ${state.status}${state.health ? `, health: ${state.health}` : ""}...`);
+    }
+    await new Promise((r) => setTimeout(r, 3000));
+  }
+  return false;
+}
+
+async function runServerAction(action, countdown, reason) {
+  const current = serverAction;
+  const update = (phase, message) =>
+    Object.assign(current, { phase, message, updated: new Date().toISOString() });
+  const heading = action === "stop" ? "Server stopping" : "Server restarting";
+
+  try {
+    for (let remaining = countdown; remaining > 0; remaining--) {
+      if (current.cancelled) {
+        await rconCommand(`say ${action === "stop" ? "Stop" : "Restart"} cancelled`);
+        update("cancelled", `${action === "stop" ? "Stop" : "Restart"} cancelled`);
+        return;
+      }
+      if (remaining === countdown || LIFECYCLE_WARNINGS.includes(remaining)) {
+        await warnPlayers(heading, `in ${formatCountdown(remaining)}${reason ? ` ${reason}` : ""}`);
+      }
+      current.message = `${heading} in ${formatCountdown(remaining)}`;
+      await new Promise((r) => setTimeout(r, 1000));
+    }
+
+    const docker = await getContainerState();
+    if (action !== "start") {
+      update("stopping", action === "stop" ? "Stopping the server..." : "Restarting the server...");
+      if (docker.available) {
+        await containerAction(action);
+      } else {
+        await rconCommand("stop");
+        if (!(await waitForServerState(false))) throw new Error("Server did not stop within 60 seconds");
+      }
+    } else {
+      update("starting", "Starting the container...");
+      await containerAction("start");
+    }
+    if (action === "stop") {
+      update("stopped", "Server stopped. It stays down until started again.");
+      return;
+    }
+
+    update("starting", "Waiting for the server to become healthy...");
+    if (!(await waitForHealthy(update, docker.available))) {
+      throw new Error("Server did not become healthy within 10 minutes");
+    }
+    update("online", "Server is up and healthy.");
+  } catch (err) {
+    update("failed", err.message);
+  }
+}
+
+async function scheduleServerAction(options) {
+  const { action, reason = "" } = options || {};
+  if (!["start", "stop", "restart"].includes(action)) {
+    return { success: false, status: 400, error: "Action must be start, stop or restart" };
+  }
+  const countdown = action === "start" ? 0 : parseInt(options.countdown ?? 0);
+  if (!Number.isInteger(countdown) || countdown < 0 || countdown > LIFECYCLE_MAX_COUNTDOWN) {
+    return { success: false, status: 400, error: `Countdown must be between 0 and ${LIFECYCLE_MAX_COUNTDOWN} seconds` };
+  }
+  const busy = lifecycleBusy();
+  if (busy) return { success: false, status: 409, error: busy };
+
+  const docker = await getContainerState();
+  if (action !== "restart" && !docker.available) {
+    return { success: false, status: 503, error: `Cannot ${action} the server without the Docker API: ${docker.error}` };
+  }
+  if (action === "start" && docker.status === "running") {
+    return { success: false, status: 409, error: "The server container is already running" };
+  }
+  if (action === "stop" && docker.status !== "running") {
+    return { success: false, status: 409, error: "The server container is not running" };
+  }
+  if (action === "restart" && !docker.available && !(await getServerStatus()).online) {
+    return { success: false, status: 503, error: `The server is offline and the Docker API is unavailable: ${docker.error}` };
+  }
+
+  const now = { start: "Starting the server", stop: "Stopping the server", restart: "Restarting the server" }[action];
+  serverAction = {
+    action,
+    phase: countdown > 0 ? "countdown" : action === "start" ? "starting" : "stopping",
+    message: countdown > 0 ? `${action === "stop" ? "Stopping" : "Restarting"} in ${formatCountdown(countdown)}` : `${now}...`,
+    countdownEnds: countdown > 0 ? new Date(Date.now() + countdown * 1000).toISOString() : null,
+    started: new Date().toISOString(),
+    cancelled: false,
+  };
+  runServerAction(action, countdown, reason);
+  return {
+    success: true,
+    message: countdown > 0
+      ? `Server ${action} scheduled in ${formatCountdown(countdown)}`
+      : now,
+  };
+}
+
+function cancelServerAction() {
+  if (!serverAction || serverAction.phase !== "countdown") {
+    return { success: false, status: 409, error: "No countdown to cancel" };
+  }
+  serverAction.cancelled = true;
+  return { success: true, message: `${serverAction.action === "stop" ? "Stop" : "Restart"} cancelled` };
+}
+
+// ── Backup a World ─────────────────────────────────────────────────────────
+// save-off is server-wide, so overlapping backups of different worlds share
+// a single hold and saving resumes when the last one finishes.
+let saveHolds = 0;
+let saveHoldReady = null;
+
+async function holdSaves() {
+  if (saveHolds++ === 0) {
+    saveHoldReady = (async () => {
+      await rconCommand("save-all flush");
+      await new Promise((r) => setTimeout(r, 2000));
+      await rconCommand("save-off");
+    })();
+  }
+  await saveHoldReady;
+}
+
+async function releaseSaves() {
+  if (--saveHolds === 0) await rconCommand("save-on");
+}
+
+// `schedule` is the id of the schedule making the backup; retention only
+// ever prunes backups its own schedule made.
+async function backupWorld(worldName, { signal, onProgress, schedule } = {}) {
+  const worldPath = path.join(CONFIG.mcDataPath, worldName);
+  if (!fs.existsSync(worldPath)) {
+    return { success: false, error: "World not found" };
+  }
+
+  if (!fs.existsSync(CONFIG.backupDir)) {
+    fs.mkdirSync(CONFIG.backupDir, { recursive: true });
+  }
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const filename = `${worldName}_${timestamp}.tar.gz`;
+  const backupPath = path.join(CONFIG.backupDir, filename);
+  const partialPath = backupPath + ".partial";
+
+  let totalBytes = 0;
+  try {
+    totalBytes = parseInt((await runProcess("du", ["-sb", worldPath], { signal })).split("\t")[0]) || 0;
+  } catch (_) {}
+
+  await holdSaves();
+  try {
+    const fileCount = (await walkWorld(worldPath)).files.length;
+    let level = null;
+    try {
+      level = levelSummary(worldPath);
+    } catch (_) {}
+
+    // tar writes the raw archive and Node compresses it, so the bytes read
+    // from tar are the bytes archived so far
+    const tar = spawn("tar", ["-cf", "-", "-C", CONFIG.mcDataPath, worldName], { signal });
+    let archived = 0;
+    tar.stdout.on("data", (chunk) => {
+      archived += chunk.length;
+      if (onProgress) onProgress(Math.min(archived, totalBytes || archived), totalBytes);
+    });
+    const hash = crypto.createHash("sha256");
+    const hasher = new Transform({
+      transform(chunk, _encoding, callback) {
+        hash.update(chunk);
+        callback(null, chunk);
+      },
+    });
+    await Promise.all([
+      pipeline(tar.stdout, zlib.createGzip(), hasher, fs.createWriteStream(partialPath), { signal }),
+      waitForExit(tar, "tar"),
+    ]);
+
+    const stat = fs.statSync(partialPath);
+    writeJSONAtomic(backupManifestPath(filename), {
+      version: 1,
+      filename,
+      world: worldName,
+      created: new Date().toISOString(),
+      sizeBytes: stat.size,
+      sha256: hash.digest("hex"),
+      fileCount,
+      level,
+      schedule: schedule || null,
+    });
+    fs.renameSync(partialPath, backupPath);
+
+    return {
+      success: true,
+      filename,
+      sizeMB: (stat.size / 1048576).toFixed(1),
+      path: backupPath,
+    };
+  } catch (err) {
+    fs.rmSync(partialPath, { force: true });
+    fs.rmSync(backupManifestPath(filename), { force: true });
+    return { success: false, error: signal && signal.aborted ? "Cancelled" : err.message };
+  } finally {
+    await releaseSaves();
+  }
+}
+
+// ── Incremental Snapshots ──────────────────────────────────────────────────
+// An incremental backup is a manifest in <backupDir>/store/snapshots that
+// lists every file of the world as a sequence of fixed-size blocks. Blocks
+// are stored gzipped under their SHA-256 in <backupDir>/store/objects, so
+// region data that has not changed since an earlier snapshot costs nothing.
+const SNAPSHOT_SUFFIX = ".snapshot";
+const SNAPSHOT_BLOCK_SIZE = 256 * 1024;
+const SNAPSHOT_SKIP = new Set(["session.lock"]);
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+let storeQueue = Promise.resolve();
+
+function storePath(...parts) {
+  return path.join(CONFIG.backupDir, "store", ...parts);
+}
+
+function objectPath(hash) {
+  return storePath("objects", hash.slice(0, 2), hash.slice(2));
+}
+
+function snapshotManifestPath(name) {
+  return storePath("snapshots", name + ".json");
+}
+
+// Snapshots and garbage collection take turns: a collection running next to
+// a snapshot would see its freshly written blocks as unreferenced.
+function withStore(task) {
+  const run = storeQueue.then(task, task);
+  storeQueue = run.catch(() => {});
+  return run;
+}
+
+function isSnapshotName(name) {
+  return !!name && name === path.basename(name) && name.endsWith(SNAPSHOT_SUFFIX);
+}
+
+function listSnapshotNames() {
+  const dir = storePath("snapshots");
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((f) => f.endsWith(SNAPSHOT_SUFFIX + ".json"))
+    .map((f) => f.slice(0, -".json".length));
+}
+
+function readSnapshot(name) {
+  return JSON.parse(fs.readFileSync(snapshotManifestPath(name), "utf-8"));
+}
+
+// Files and directories below root, relative paths with "/" separators
+async function walkWorld(root, relative = "", result = { files: [], dirs: [] }) {
+  for (const entry of await fs.promises.readdir(path.join(root, relative), { withFileTypes: true })) {
+    const rel = relative ? `${relative}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      result.dirs.push(rel);
+      await walkWorld(root, rel, result);
+    } else if (entry.isFile() && !SNAPSHOT_SKIP.has(rel)) {
+      const stat = await fs.promises.stat(path.join(root, rel));
+      result.files.push({ path: rel, size: stat.size, mtimeMs: stat.mtimeMs, mode: stat.mode & 0o777 });
+    }
+  }
+  return result;
+}
+
+async function snapshotWorld(worldName, { signal, onProgress, schedule } = {}) {
+  const worldPath = path.join(CONFIG.mcDataPath, worldName);
+  if (!fs.existsSync(worldPath)) {
+    return { success: false, error: "World not found" };
+  }
+
+  return withStore(async () => {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const name = `${worldName}_${timestamp}${SNAPSHOT_SUFFIX}`;
+
+    // Files whose size and mtime match the newest snapshot of this world
+    // reuse its block list without being read again
+    const previous = listSnapshotNames()
+      .map(parseBackupFilename)
+      .filter((b) => b && b.world === worldName)
+      .sort((a, b) => b.created - a.created)[0];
+    const known = new Map(previous ? readSnapshot(previous.filename).files.map((f) => [f.path, f]) : []);
+
+    await holdSaves();
+    try {
+      const { files, dirs } = await walkWorld(worldPath);
+      const totalBytes = files.reduce((sum, f) => sum + f.size, 0);
+      let processed = 0;
+      let addedBytes = 0;
+      let addedBlocks = 0;
+      const entries = [];
+
+      for (const file of files) {
+        if (signal && signal.aborted) throw new Error("Cancelled");
+        const before = known.get(file.path);
+        if (before && before.size === file.size && before.mtimeMs === file.mtimeMs) {
+          entries.push({ ...file, blocks: before.blocks });
+          processed += file.size;
+          if (onProgress) onProgress(processed, totalBytes);
+          continue;
+        }
+
+        const blocks = [];
+        const handle = await fs.promises.open(path.join(worldPath, file.path), "r");
+        try {
+          const buffer = Buffer.alloc(SNAPSHOT_BLOCK_SIZE);
+          let bytesRead;
+          while ((bytesRead = (await handle.read(buffer, 0, SNAPSHOT_BLOCK_SIZE, null)).bytesRead) > 0) {
+            const block = buffer.subarray(0, bytesRead);
+            const hash = crypto.createHash("sha256").update(block).digest("hex");
+            const target = objectPath(hash);
+            if (!fs.existsSync(target)) {
+              const compressed = await gzip(block);
+              fs.mkdirSync(path.dirname(target), { recursive: true });
+              fs.writeFileSync(target + ".tmp", compressed);
+              fs.renameSync(target + ".tmp", target);
+              addedBytes += compressed.length;
+              addedBlocks++;
+            }
+            blocks.push(hash);
+            processed += bytesRead;
+            if (onProgress) onProgress(processed, totalBytes);
+          }
+        } finally {
+          await handle.close();
+        }
+        entries.push({ ...file, blocks });
+      }
+
+      let level = null;
+      try {
+        level = levelSummary(worldPath);
+      } catch (_) {}
+      const manifest = {
+        version: 1,
+        world: worldName,
+        created: new Date().toISOString(),
+        level,
+        schedule: schedule || null,
+        blockSize: SNAPSHOT_BLOCK_SIZE,
+        totalBytes,
+        addedBytes,
+        addedBlocks,
+        dirs,
+        files: entries,
+      };
+      const manifestPath = snapshotManifestPath(name);
+      fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+      fs.writeFileSync(manifestPath + ".tmp", JSON.stringify(manifest));
+      fs.renameSync(manifestPath + ".tmp", manifestPath);
+
+      return {
+        success: true,
+        filename: name,
+        sizeMB: (addedBytes / 1048576).toFixed(1),
+        totalSizeMB: (totalBytes / 1048576).toFixed(1),
+      };
+    } catch (err) {
+      return { success: false, error: signal && signal.aborted ? "Cancelled" : err.message };
+    } finally {
+      await releaseSaves();
+    }
+  });
+}
+
+// Rebuilds the full world folder of a snapshot at destination
+async function materializeSnapshot(name, destination, { signal, onProgress } = {}) {
+  const manifest = readSnapshot(name);
+  const safe = (rel) => !path.isAbsolute(rel) && !rel.split("/").includes("..");
+
+  fs.mkdirSync(destination, { recursive: true });
+  for (const dir of manifest.dirs) {
+    if (!safe(dir)) throw new Error(`Snapshot contains an unsafe path: ${dir}`);
+    fs.mkdirSync(path.join(destination, dir), { recursive: true });
+  }
+
+  let written = 0;
+  for (const file of manifest.files) {
+    if (!safe(file.path)) throw new Error(`Snapshot contains an unsafe path: ${file.path}`);
+    const target = path.join(destination, file.path);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const handle = await fs.promises.open(target, "w", file.mode || 0o644);
+    try {
+      for (const hash of file.blocks) {
+        if (signal && signal.aborted) throw new Error("Cancelled");
+        let block;
+        try {
+          block = await gunzip(fs.readFileSync(objectPath(hash)));
+        } catch (_) {
+          throw new Error(`Block ${hash.slice(0, 12)} of ${file.path} is missing or damaged`);
+        }
+        if (crypto.createHash("sha256").update(block).digest("hex") !== hash) {
+          throw new Error(`Block ${hash.slice(0, 12)} of ${file.path} is damaged`);
+        }
+        await handle.write(block);
+        written += block.length;
+        if (onProgress) onProgress(written, manifest.totalBytes);
+      }
+    } finally {
+      await handle.close();
+    }
+    fs.utimesSync(target, new Date(), new Date(file.mtimeMs));
+  }
+  return manifest.world;
+}
+
+// Deletes blocks no snapshot refers to, plus leftovers of interrupted writes
+function collectGarbage() {
+  return withStore(async () => {
+    const referenced = new Set();
+    for (const name of listSnapshotNames()) {
+      for (const file of readSnapshot(name).files) file.blocks.forEach((h) => referenced.add(h));
+    }
+
+    let removedBlocks = 0;
+    let freedBytes = 0;
+    const objectsDir = storePath("objects");
+    if (fs.existsSync(objectsDir)) {
+      for (const prefix of fs.readdirSync(objectsDir)) {
+        for (const rest of fs.readdirSync(path.join(objectsDir, prefix))) {
+          if (referenced.has(prefix + rest)) continue;
+          const file = path.join(objectsDir, prefix, rest);
+          freedBytes += fs.statSync(file).size;
+          fs.rmSync(file, { force: true });
+          removedBlocks++;
+        }
+      }
+    }
+    return {
+      success: true,
+      removedBlocks,
+      freedBytes,
+      message: `Removed ${removedBlocks} unreferenced block${removedBlocks === 1 ? "" : "s"} (${(freedBytes / 1048576).toFixed(1)} MB)`,
+    };
+  });
+}
+
+// ── List Backups ───────────────────────────────────────────────────────────
+// Full archives and incremental snapshots. For snapshots sizeMB is what the
+// snapshot added to the store; totalSizeMB is the size of the world it holds.
+function listBackups() {
+  if (!fs.existsSync(CONFIG.backupDir)) return [];
+
+  const full = fs
+    .readdirSync(CONFIG.backupDir)
+    .filter((f) => f.endsWith(".tar.gz"))
+    .map((f) => {
+      const stat = fs.statSync(path.join(CONFIG.backupDir, f));
+      const manifest = readBackupManifest(f);
+      const check = verificationStatus(manifest, stat.size);
+      return {
+        filename: f,
+        type: "full",
+        sizeMB: (stat.size / 1048576).toFixed(1),
+        created: stat.mtime.toISOString(),
+        sha256: manifest && manifest.sha256 ? manifest.sha256 : null,
+        fileCount: manifest ? manifest.fileCount ?? null : null,
+        level: manifest ? manifest.level || null : null,
+        schedule: manifest ? manifest.schedule || null : null,
+        verification: check.status,
+        verifiedAt: check.checked || null,
+        verificationError: check.error,
+      };
+    });
+
+  const incremental = [];
+  for (const name of listSnapshotNames()) {
+    try {
+      const manifest = readSnapshot(name);
+      const check = verificationStatus(manifest);
+      incremental.push({
+        filename: name,
+        type: "incremental",
+        sizeMB: (manifest.addedBytes / 1048576).toFixed(1),
+        totalSizeMB: (manifest.totalBytes / 1048576).toFixed(1),
+        created: manifest.created,
+        fileCount: manifest.files.length,
+        level: manifest.level || null,
+        schedule: manifest.schedule || null,
+        verification: check.status,
+        verifiedAt: check.checked || null,
+        verificationError: check.error,
+      });
+    } catch (err) {
+      console.error(`Snapshot manifest ${name} is unreadable:`, err.message);
+    }
+  }
+
+  return [...full, ...incremental].sort((a, b) => new Date(b.created) - new Date(a.created));
+}
+
+// ── Backup Manifests & Verification ────────────────────────────────────────
+// Every full archive gets a <filename>.manifest.json next to it with the
+// world it holds, what level.dat said, its file count and a SHA-256 of the
+// archive. Verifying re-hashes the archive, extracts it into a scratch
+// folder and reads level.dat back. Snapshots keep the same details in their
+// own manifest and are verified by rebuilding them.
+const BACKUP_MANIFEST_SUFFIX = ".manifest.json";
+
+function backupManifestPath(filename) {
+  return path.join(CONFIG.backupDir, filename + BACKUP_MANIFEST_SUFFIX);
+}
+
+function readBackupManifest(filename) {
+  try {
+    return JSON.parse(fs.readFileSync(backupManifestPath(filename), "utf-8"));
+  } catch (_) {
+    return null;
+  }
+}
+
+function writeJSONAtomic(file, data) {
+  fs.writeFileSync(file + ".tmp", JSON.stringify(data));
+  fs.renameSync(file + ".tmp", file);
+}
+
+// What a backup's level.dat says, recorded so a restore can be checked
+// against it later
+function levelSummary(worldPath) {
+  const data = readLevelData(worldPath);
+  const worldGen = data.WorldGenSettings || {};
+  const seed = worldGen.seed ?? data.RandomSeed;
+  return {
+    levelName: data.LevelName || null,
+    versionName: (data.Version && data.Version.Name) || null,
+    dataVersion: data.DataVersion ?? null,
+    seed: seed !== undefined ? String(seed) : null,
+    lastPlayed: data.LastPlayed ? new Date(Number(data.LastPlayed)).toISOString() : null,
+  };
+}
+
+function hashFile(file, { signal, onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    const total = fs.statSync(file).size;
+    let read = 0;
+    const input = fs.createReadStream(file, { signal });
+    input.on("data", (chunk) => {
+      hash.update(chunk);
+      read += chunk.length;
+      if (onProgress) onProgress(read, total);
+    });
+    input.on("error", reject);
+    input.on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+// "verified", "corrupt" or "unverified", plus why. A full archive whose
+// size no longer matches its manifest is corrupt without re-hashing it.
+function verificationStatus(manifest, sizeBytes) {
+  if (!manifest) return { status: "unverified", error: "No manifest" };
+  if (sizeBytes !== undefined && manifest.sizeBytes !== undefined && manifest.sizeBytes !== sizeBytes) {
+    return { status: "corrupt", error: `Archive is ${sizeBytes} bytes, the manifest recorded ${manifest.sizeBytes}` };
+  }
+  const check = manifest.verification;
+  if (!check) return { status: "unverified", error: null };
+  return { status: check.status, checked: check.checked, error: check.error || null };
+}
+
+async function verifyArchive(filename, { signal, onProgress }) {
+  const archivePath = path.join(CONFIG.backupDir, filename);
+  if (!fs.existsSync(archivePath)) throw new Error("Backup file not found");
+  // A manifest without a checksum only records an earlier failed check
+  let manifest = readBackupManifest(filename);
+  if (manifest && !manifest.sha256) manifest = null;
+
+  // Hashing is the first half of the progress bar, extracting the second
+  const size = fs.statSync(archivePath).size;
+  const half = (offset) => (bytes, total) => onProgress(offset + bytes, total * 2);
+  const sha256 = await hashFile(archivePath, { signal, onProgress: half(0) });
+  if (manifest && manifest.sha256 && manifest.sha256 !== sha256) {
+    throw new Error(`Checksum mismatch: the archive hashes to ${sha256.slice(0, 12)}, the manifest recorded ${manifest.sha256.slice(0, 12)}`);
+  }
+
+  const root = await inspectBackupArchive(archivePath, signal);
+  const scratch = path.join(CONFIG.backupDir, `.verify-${Date.now()}`);
+  try {
+    fs.mkdirSync(scratch);
+    await extractArchive(archivePath, scratch, { signal, onProgress: half(size) });
+    const worldPath = path.join(scratch, root);
+    let level;
+    try {
+      level = levelSummary(worldPath);
+    } catch (err) {
+      throw new Error(`level.dat is unreadable: ${err.message}`);
+    }
+    const fileCount = (await walkWorld(worldPath)).files.length;
+    if (manifest && manifest.fileCount !== undefined && manifest.fileCount !== fileCount) {
+      throw new Error(`Archive holds ${fileCount} files, the manifest recorded ${manifest.fileCount}`);
+    }
+    return {
+      manifest: manifest || {
+        version: 1,
+        filename,
+        world: root,
+        // Written on first verification, e.g. for imported or downloaded archives
+        created: new Date().toISOString(),
+        sizeBytes: size,
+        sha256,
+        fileCount,
+        level,
+      },
+      created: !manifest,
+    };
+  } finally {
+    fs.rmSync(scratch, { recursive: true, force: true });
+  }
+}
+
+async function verifySnapshot(filename, { signal, onProgress }) {
+  if (!fs.existsSync(snapshotManifestPath(filename))) throw new Error("Backup file not found");
+  const scratch = path.join(CONFIG.backupDir, `.verify-${Date.now()}`);
+  try {
+    // Rebuilding checks every block against its hash
+    await materializeSnapshot(filename, path.join(scratch, "world"), { signal, onProgress });
+    const worldPath = path.join(scratch, "world");
+    try {
+      levelSummary(worldPath);
+    } catch (err) {
+      throw new Error(`level.dat is unreadable: ${err.message}`);
+    }
+    return { manifest: readSnapshot(filename), created: false };
+  } finally {
+    fs.rmSync(scratch, { recursive: true, force: true });
+  }
+}
+
+async function verifyBackup(params, { signal, onProgress }) {
+  const { filename } = params;
+  const snapshot = isSnapshotName(filename);
+  if (!snapshot && !isBackupName(filename)) return { success: false, error: "Invalid backup filename" };
+  const manifestPath = snapshot ? snapshotManifestPath(filename) : backupManifestPath(filename);
+
+  let outcome;
+  let error = null;
+  try {
+    outcome = await (snapshot ? verifySnapshot : verifyArchive)(filename, { signal, onProgress });
+  } catch (err) {
+    if (signal && signal.aborted) return { success: false, error: "Cancelled" };
+    if (err.message === "Backup file not found") return { success: false, error: err.message };
+    error = err.message;
+  }
+
+  // The backup may have been pruned while it was being checked
+  if (fs.existsSync(snapshot ? manifestPath : path.join(CONFIG.backupDir, filename))) {
+    let manifest = outcome ? outcome.manifest : snapshot ? readSnapshot(filename) : readBackupManifest(filename);
+    if (!manifest) {
+      const parsed = parseBackupFilename(filename);
+      manifest = { version: 1, filename, world: parsed ? parsed.world : null, created: new Date().toISOString() };
+    }
+    manifest.verification = { status: error ? "corrupt" : "verified", checked: new Date().toISOString(), error };
+    writeJSONAtomic(manifestPath, manifest);
+  }
+
+  if (error) return { success: false, filename, error: `${filename} is corrupt: ${error}` };
+  return {
+    success: true,
+    message: `${filename} verified` + (outcome.created ? "; no manifest existed, so one was written from the archive" : ""),
+  };
+}
+
+// ── Restore a Backup ───────────────────────────────────────────────────────
+function isZipFile(archivePath) {
+  const fd = fs.openSync(archivePath, "r");
+  try {
+    const magic = Buffer.alloc(4);
+    fs.readSync(fd, magic, 0, 4, 0);
+    return magic.equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Lists a .tar.gz or .zip and refuses anything that could write outside the
+// extraction directory: absolute paths, ".." segments and links.
+async function listArchive(archivePath, signal) {
+  let listing;
+  if (isZipFile(archivePath)) {
+    const names = (await runProcess("unzip", ["-Z1", archivePath], { signal })).split("\n").filter(Boolean);
+    const verbose = (await runProcess("unzip", ["-Z", archivePath], { signal })).split("\n");
+    const totals = verbose.map((l) => l.match(/(\d+) bytes uncompressed/)).find(Boolean);
+    listing = {
+      type: "zip",
+      names,
+      hasLinks: verbose.some((l) => /^l[rwx-]{9}/.test(l)),
+      size: totals ? parseInt(totals[1]) : 0,
+    };
+  } else {
+    const names = (await runProcess("tar", ["-tzf", archivePath], { signal })).split("\n").filter(Boolean);
+    const verbose = (await runProcess("tar", ["-tvzf", archivePath], { signal })).split("\n").filter(Boolean);
+    listing = {
+      type: "tar",
+      names,
+      hasLinks: verbose.some((l) => l[0] === "l" || l[0] === "h"),
+      size: verbose.reduce((sum, l) => sum + (parseInt(l.split(/\s+/)[2]) || 0), 0),
+    };
+  }
+
+  for (const name of listing.names) {
+    if (path.isAbsolute(name) || /^[a-zA-Z]:/.test(name) || name.split(/[\\/]/).includes("..")) {
+      throw new Error(`Archive contains an unsafe path: ${name}`);
+    }
+  }
+  if (listing.hasLinks) {
+    throw new Error("Archive contains links, which are not allowed in a world archive");
+  }
+  return listing;
+}
+
+// Backups hold exactly one top-level world folder; returns its name.
+async function inspectBackupArchive(archivePath, signal) {
+  const listing = await listArchive(archivePath, signal);
+  if (listing.type !== "tar") throw new Error("Backups must be .tar.gz archives");
+
+  const roots = new Set(listing.names.map((n) => n.split("/")[0]));
+  if (roots.size !== 1 || roots.has(".") || !listing.names.some((n) => /^[^/]+\/level\.dat$/.test(n))) {
+    throw new Error("Archive must contain a single world folder with a level.dat");
+  }
+  return [...roots][0];
+}
+
+async function extractArchive(archivePath, destination, { signal, onProgress } = {}) {
+  if (isZipFile(archivePath)) {
+    await runProcess("unzip", ["-q", archivePath, "-d", destination], { signal });
+    return;
+  }
+  const total = fs.statSync(archivePath).size;
+  const tar = spawn("tar", ["-xf", "-", "-C", destination, "--no-same-owner"], { signal });
+  const input = fs.createReadStream(archivePath);
+  let read = 0;
+  input.on("data", (chunk) => {
+    read += chunk.length;
+    if (onProgress) onProgress(read, total);
+  });
+  await Promise.all([
+    pipeline(input, zlib.createGunzip(), tar.stdin, { signal }),
+    waitForExit(tar, "tar"),
+  ]);
+}
+
+// Cheap checks done before a restore is queued; the archive itself is
+// inspected when the job runs.
+function prepareRestore(options) {
+  const { filename, target } = options;
+  const snapshot = isSnapshotName(filename);
+
+  if (!snapshot && (!filename || filename !== path.basename(filename) || !filename.endsWith(".tar.gz"))) {
+    return { status: 400, error: "Invalid backup filename" };
+  }
+  const archivePath = snapshot ? snapshotManifestPath(filename) : path.join(CONFIG.backupDir, filename);
+  if (!fs.existsSync(archivePath)) {
+    return { status: 404, error: "Backup file not found" };
+  }
+
+  const parsed = parseBackupFilename(filename);
+  const worldName = target || (parsed && parsed.world);
+  if (!worldName) {
+    return { status: 400, error: "Choose a world name to restore this archive into." };
+  }
+  if (!/^[a-zA-Z0-9_-]+$/.test(worldName)) {
+    return { status: 400, error: "Invalid world name. Use letters, numbers, hyphens, underscores only." };
+  }
+  return { archivePath, worldName, snapshot };
+}
+
+async function restoreBackup(options, { signal, onProgress } = {}) {
+  const { filename } = options;
+  const { error, archivePath, worldName, snapshot } = prepareRestore(options);
+  if (error) return { success: false, error };
+
+  // Snapshots are rebuilt into "world" inside the staging folder
+  let sourceName = "world";
+  if (!snapshot) {
+    try {
+      sourceName = await inspectBackupArchive(archivePath, signal);
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  const world = getWorlds().find((w) => w.name === worldName);
+  const worldPath = path.join(CONFIG.mcDataPath, worldName);
+  if (!world && fs.existsSync(worldPath)) {
+    return { success: false, error: "A non-world folder with that name already exists." };
+  }
+
+  // Never overwrite a world without a way back
+  let safetyBackup = null;
+  if (world) {
+    const backup = await backupWorld(worldName, { signal });
+    if (!backup.success) {
+      return { success: false, error: "Safety backup failed, restore aborted: " + backup.error };
+    }
+    safetyBackup = backup.filename;
+  }
+
+  // Extract next to the worlds so the final swap is a same-disk rename
+  const stagingPath = path.join(CONFIG.mcDataPath, `.restore-${Date.now()}`);
+  const previousPath = stagingPath + "-previous";
+  let containerStopped = false;
+  let failure = null;
+  try {
+    fs.mkdirSync(stagingPath);
+    if (snapshot) await materializeSnapshot(filename, path.join(stagingPath, sourceName), { signal, onProgress });
+    else await extractArchive(archivePath, stagingPath, { signal, onProgress });
+
+    // Past this point the restore is no longer cancellable. The container
+    // is stopped like the lifecycle Stop does, so its restart policy cannot
+    // bring the server back while the folders are swapped; without the
+    // Docker API, RCON "stop" and the restart policy are all there is.
+    if (world && world.active) {
+      const docker = await getContainerState();
+      if (docker.available) {
+        if (["running", "restarting"].includes(docker.status)) {
+          await containerAction("stop");
+          containerStopped = true;
+        }
+      } else {
+        await rconCommand("stop");
+        if (!(await waitForServerState(false))) {
+          throw new Error("Server did not stop within 60 seconds");
+        }
+      }
+    }
+
+    if (world) fs.renameSync(worldPath, previousPath);
+    fs.renameSync(path.join(stagingPath, sourceName), worldPath);
+    fs.rmSync(stagingPath, { recursive: true, force: true });
+    fs.rmSync(previousPath, { recursive: true, force: true });
+  } catch (err) {
+    if (fs.existsSync(previousPath) && !fs.existsSync(worldPath)) {
+      fs.renameSync(previousPath, worldPath);
+    }
+    fs.rmSync(stagingPath, { recursive: true, force: true });
+    failure = signal && signal.aborted ? "Cancelled" : err.message;
+  }
+
+  // Whatever happened to the swap, a server stopped for it comes back
+  if (containerStopped) {
+    try {
+      await containerAction("start");
+    } catch (err) {
+      failure = (failure ? failure + "; " : "") + `The server container did not start again: ${err.message}`;
+    }
+  }
+  if (failure) return { success: false, error: failure, safetyBackup };
+
+  return {
+    success: true,
+    world: worldName,
+    safetyBackup,
+    message: world && world.active
+      ? `World "${worldName}" restored from ${filename}. The server is restarting to load it.`
+      : `World "${worldName}" restored from ${filename}.`,
+  };
+}
+
+// ── Delete a World ─────────────────────────────────────────────────────────
+async function deleteWorld(worldName) {
+  const worlds = getWorlds();
+  const world = worlds.find((w) => w.name === worldName);
+  if (!world) return { success: false, status: 404, error: "World not found" };
+  if (world.active)
+    return { success: false, status: 409, error: "Cannot delete the active world" };
+  if (worldQueues.has(worldName))
+    return { success: false, status: 409, error: "A backup or restore of this world is in progress" };
+
+  const worldPath = path.join(CONFIG.mcDataPath, worldName);
+  try {
+    fs.rmSync(worldPath, { recursive: true, force: true });
+    notify("world.deleted", `World "${worldName}" was deleted.`, { world: worldName });
+    return { success: true };
+  } catch (err) {
+    return { success: false, status: 500, error: err.message };
+  }
+}
+
+// ── Create a World ─────────────────────────────────────────────────────────
+async function createWorld(options) {
+  const { name, seed, gamemode, difficulty, worldType } = options;
+
+  if (!name || !/^[a-zA-Z0-9_-]+$/.test(name)) {
+    return { success: false, status: 400, error: "Invalid world name. Use letters, numbers, hyphens, underscores only." };
+  }
+
+  const worldPath = path.join(CONFIG.mcDataPath, name);
+  if (fs.existsSync(worldPath)) {
+    return { success: false, status: 409, error: "A world with that name already exists." };
+  }
+
+  const busy = lifecycleBusy();
+  if (busy) return { success: false, status: 409, error: busy };
+
+  const changes = { "level-name": name, "level-seed": seed || "" };
+  const optional = { gamemode, difficulty, "level-type": worldType };
+  for (const [key, value] of Object.entries(optional)) {
+    if (!value) continue;
+    const result = validateProperty(key, value);
+    if (result.error) return { success: false, status: 400, error: `${key} ${result.error}` };
+    changes[key] = result.value;
+  }
+  writeServerProperties(changes);
+
+  // Players get the same countdown as when switching worlds
+  const status = await getServerStatus();
+  const countdown = status.playerCount > 0
+    ? Math.min(Math.max(parseInt(options.countdown ?? 30) || 0, 0), 300)
+    : 0;
+  const restart = await scheduleServerAction({ action: "restart", countdown, reason: `to create world "${name}"` });
+  notify("world.created", `World "${name}" was created and the server is restarting to generate it.`, { world: name });
+
+  if (!restart.success) {
+    return {
+      success: true,
+      message: `World "${name}" configured. It will be generated when the server next starts (${restart.error}).`,
+    };
+  }
+  return {
+    success: true,
+    message: `World "${name}" configured. The server is restarting${countdown ? ` in ${countdown} seconds` : ""} to generate it. This may take a minute.`,
+  };
+}
+
+// ── Activate a World ───────────────────────────────────────────────────────
+const COUNTDOWN_WARNINGS = [300, 120, 60, 30, 15, 10, 5, 4, 3, 2, 1];
+let worldSwitch = null;
+
+async function activateWorld(options) {
+  const { name } = options;
+  const countdown = Math.min(Math.max(parseInt(options.countdown ?? 30) || 0, 0), 300);
+
+  const busy = lifecycleBusy();
+  if (busy) return { success: false, status: 409, error: `${busy}.` };
+
+  const world = getWorlds().find((w) => w.name === name);
+  if (!world) return { success: false, status: 404, error: "World not found" };
+  if (world.active) return { success: false, status: 409, error: "That world is already active" };
+  if (jobs.some((j) => j.type === "prune" && j.world === name && !j.params.dryRun && !j.finished)) {
+    return { success: false, status: 409, error: "Chunks are being pruned in that world; try again when the job finishes" };
+  }
+
+  const status = await getServerStatus();
+  if (!status.online) {
+    writeServerProperties({ "level-name": name });
+    worldSwitch = null;
+    return {
+      success: true,
+      message: `World "${name}" activated. The server is offline; it will load this world when it next starts.`,
+    };
+  }
+
+  worldSwitch = {
+    world: name,
+    phase: "countdown",
+    message: status.playerCount > 0
+      ? `Warning ${status.playerCount} player(s), restarting in ${countdown}s...`
+      : "Restarting...",
+    started: new Date().toISOString(),
+  };
+  runWorldSwitch(name, status.playerCount > 0 ? countdown : 0);
+
+  return {
+    success: true,
+    message: `Switching to world "${name}". The server will restart${status.playerCount > 0 ? ` in ${countdown} seconds` : ""}.`,
+  };
+}
+
+async function runWorldSwitch(name, countdown) {
+  const update = (phase, message) =>
+    Object.assign(worldSwitch, { phase, message, updated: new Date().toISOString() });
+
+  try {
+    for (let remaining = countdown; remaining > 0; remaining--) {
+      if (remaining === countdown || COUNTDOWN_WARNINGS.includes(remaining)) {
+        await rconCommand(`say Server restarting in ${remaining} second${remaining === 1 ? "" : "s"} to switch to world "${name}"`);
+      }
+      await new Promise((r) => setTimeout(r, 1000));
+    }
+
+    writeServerProperties({ "level-name": name });
+    update("stopping", "Stopping the server...");
+    const stoppedAt = Date.now();
+    await rconCommand("stop");
+    if (!(await waitForServerState(false))) {
+      throw new Error("Server did not stop within 60 seconds");
+    }
+
+    update("starting", `Waiting for the server to load "${name}"...`);
+    if (!(await waitForServerState(true, 5 * 60000))) {
+      throw new Error("Server did not come back online within 5 minutes");
+    }
+
+    // Paper takes the world's session.lock when it loads the level
+    const lockFile = path.join(CONFIG.mcDataPath, name, "session.lock");
+    const loaded = fs.existsSync(lockFile) && fs.statSync(lockFile).mtimeMs >= stoppedAt;
+    update("online", loaded
+      ? `Server is back online with world "${name}" loaded.`
+      : `Server is back online, but could not confirm that "${name}" was loaded.`);
+  } catch (err) {
+    update("failed", err.message);
+  }
+}
+
+// ── Remote Destinations ────────────────────────────────────────────────────
+// Remotes are whatever `rclone config` created (Google Drive, S3, B2, SFTP,
+// a NAS mounted as "local", ...). A destination is a remote plus a folder;
+// they are kept in destinations.json and uploads go to every enabled one.
+const DEFAULT_REMOTE_PATH = "mc-appliance-backups";
+
+function readRcloneRemotes() {
+  if (!fs.existsSync(CONFIG.rcloneConfigPath)) {
+    return { error: "rclone not configured", remotes: [] };
+  }
+  let text;
+  try {
+    text = fs.readFileSync(CONFIG.rcloneConfigPath, "utf-8");
+  } catch (_) {
+    return { error: "Could not read rclone config", remotes: [] };
+  }
+  if (/^# Encrypted rclone configuration File/m.test(text)) {
+    return { error: "rclone.conf is encrypted, so its remotes cannot be listed", remotes: [] };
+  }
+
+  const remotes = [];
+  let current = null;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith("#") || line.startsWith(";")) continue;
+    const section = line.match(/^\[(.+)\]$/);
+    if (section) {
+      current = { name: section[1].trim(), type: null };
+      remotes.push(current);
+      continue;
+    }
+    const pair = line.match(/^([^=]+?)\s*=\s*(.*)$/);
+    if (pair && current && pair[1] === "type") current.type = pair[2];
+  }
+  return { remotes };
+}
+
+function loadDestinations() {
+  const stored = readState("destinations.json", null);
+  if (stored) return stored;
+  // Before destinations were configurable every upload went to
+  // gdrive:mc-appliance-backups, so keep doing that until someone edits them.
+  return readRcloneRemotes().remotes.some((r) => r.name === "gdrive")
+    ? [{ id: "gdrive", remote: "gdrive", path: DEFAULT_REMOTE_PATH, enabled: true }]
+    : [];
+}
+
+function remoteTarget(destination) {
+  return `${destination.remote}:${destination.path}`;
+}
+
+function getRemoteStatus() {
+  const { error, remotes } = readRcloneRemotes();
+  const destinations = loadDestinations().map((d) => ({
+    ...d,
+    target: remoteTarget(d),
+    available: remotes.some((r) => r.name === d.remote),
+  }));
+  const active = destinations.filter((d) => d.enabled && d.available);
+
+  let message;
+  if (error) message = error;
+  else if (active.length) message = "Backing up to " + active.map((d) => d.target).join(", ");
+  else if (remotes.length) message = "No backup destination enabled";
+  else message = "No rclone remotes configured";
+  return { configured: active.length > 0, message, remotes, destinations };
+}
+
+// Deprecated: the shape of the old gdrive/status route and the `gdrive` field
+// of /api/status, kept for scripts written before destinations existed
+function getGDriveStatus() {
+  const { configured, message } = getRemoteStatus();
+  return { configured, message };
+}
+
+// Enabled destinations whose remote still exists in rclone.conf
+function activeDestinations() {
+  return getRemoteStatus().destinations.filter((d) => d.enabled && d.available);
+}
+
+function getDestination(id) {
+  return getRemoteStatus().destinations.find((d) => d.id === id && d.available) || null;
+}
+
+function saveDestination(options) {
+  const { id, remote, enabled } = options || {};
+  const remotePath = String(options.path ?? DEFAULT_REMOTE_PATH).trim().replace(/^\/+|\/+$/g, "");
+
+  if (!readRcloneRemotes().remotes.some((r) => r.name === remote)) {
+    return { success: false, status: 400, error: `No rclone remote named "${remote}"` };
+  }
+  if (/[\r\n]/.test(remotePath) || remotePath.split("/").includes("..")) {
+    return { success: false, status: 400, error: "Invalid remote path" };
+  }
+
+  const destinations = loadDestinations();
+  let destination = destinations.find((d) => d.id === id);
+  if (id && !destination) return { success: false, status: 404, error: "Destination not found" };
+  if (destinations.some((d) => d !== destination && d.remote === remote && d.path === remotePath)) {
+    return { success: false, status: 409, error: "That destination already exists" };
+  }
+  if (!destination) {
+    destination = { id: crypto.randomBytes(6).toString("hex") };
+    destinations.push(destination);
+  }
+  Object.assign(destination, { remote, path: remotePath, enabled: enabled !== false });
+  writeState("destinations.json", destinations);
+  return { success: true, destination };
+}
+
+function deleteDestination(id) {
+  const destinations = loadDestinations();
+  if (!destinations.some((d) => d.id === id)) return { success: false, status: 404, error: "Destination not found" };
+  writeState("destinations.json", destinations.filter((d) => d.id !== id));
+  return { success: true };
+}
+
+// ── Remote Backups ─────────────────────────────────────────────────────────
+// rclone reports progress and errors as JSON log lines on stderr
+async function runRclone(args, { signal, onProgress, size } = {}) {
+  const errors = [];
+  try {
+    return await runProcess("rclone", [
+      ...args,
+      "--config", CONFIG.rcloneConfigPath,
+      "--use-json-log", "--stats", "2s", "--stats-log-level", "NOTICE",
+    ], {
+      signal,
+      onStderrLine: (line) => {
+        try {
+          const entry = JSON.parse(line);
+          if (entry.stats && onProgress) onProgress(entry.stats.bytes, entry.stats.totalBytes || size);
+          if (entry.level === "error") errors.push(entry.msg);
+        } catch (_) {}
+      },
+    });
+  } catch (err) {
+    if (errors.length && !(signal && signal.aborted)) throw new Error(errors.join("; "));
+    throw err;
+  }
+}
+
+function isBackupName(filename) {
+  return !!filename && filename === path.basename(filename) && filename.endsWith(".tar.gz");
+}
+
+async function pushToRemote(filename, destinationId, { signal, onProgress } = {}) {
+  const destination = getDestination(destinationId);
+  if (!destination) {
+    return { success: false, error: "Backup destination not found or its remote is missing" };
+  }
+
+  const backupPath = path.join(CONFIG.backupDir, filename);
+  if (!fs.existsSync(backupPath)) {
+    return { success: false, error: "Backup file not found" };
+  }
+
+  try {
+    await runRclone(["copy", backupPath, remoteTarget(destination)], {
+      signal, onProgress, size: fs.statSync(backupPath).size,
+    });
+    // The manifest travels with the archive so a downloaded copy can be verified
+    if (fs.existsSync(backupManifestPath(filename))) {
+      await runRclone(["copy", backupManifestPath(filename), remoteTarget(destination)], { signal });
+    }
+    return { success: true, message: `Uploaded ${filename} to ${remoteTarget(destination)}` };
+  } catch (err) {
+    if (signal && signal.aborted) return { success: false, error: "Cancelled" };
+    return { success: false, error: err.message };
+  }
+}
+
+async function listRemoteBackups(destinationId) {
+  const destination = getDestination(destinationId);
+  if (!destination) return { success: false, status: 404, error: "Backup destination not found or its remote is missing" };
+  try {
+    const entries = JSON.parse(await runRclone(["lsjson", "--files-only", remoteTarget(destination)]));
+    const files = entries
+      .filter((e) => e.Name.endsWith(".tar.gz"))
+      .map((e) => ({ filename: e.Name, size: e.Size, modified: e.ModTime }))
+      .sort((a, b) => new Date(b.modified) - new Date(a.modified));
+    return { success: true, destination: destination.target, files };
+  } catch (err) {
+    // Nothing has been uploaded yet
+    if (/directory not found/i.test(err.message)) return { success: true, destination: destination.target, files: [] };
+    return { success: false, status: 502, error: err.message };
+  }
+}
+
+async function deleteRemoteBackup(destinationId, filename) {
+  const destination = getDestination(destinationId);
+  if (!destination) return { success: false, status: 404, error: "Backup destination not found or its remote is missing" };
+  if (!isBackupName(filename)) return { success: false, status: 400, error: "Invalid backup filename" };
+  try {
+    await runRclone(["deletefile", `${remoteTarget(destination)}/${filename}`]);
+    try {
+      await runRclone(["deletefile", `${remoteTarget(destination)}/${filename}${BACKUP_MANIFEST_SUFFIX}`]);
+    } catch (_) {}
+    return { success: true, message: `Deleted ${filename} from ${remoteTarget(destination)}` };
+  } catch (err) {
+    return { success: false, status: 502, error: err.message };
+  }
+}
+
+// Copies a remote backup into CONFIG.backupDir so it can be restored
+async function pullFromRemote(params, { signal, onProgress } = {}) {
+  const { destination: destinationId, filename } = params;
+  const destination = getDestination(destinationId);
+  if (!destination) return { success: false, error: "Backup destination not found or its remote is missing" };
+  if (!isBackupName(filename)) return { success: false, error: "Invalid backup filename" };
+
+  const finalPath = path.join(CONFIG.backupDir, filename);
+  if (fs.existsSync(finalPath)) return { success: false, error: `${filename} already exists locally` };
+  if (!fs.existsSync(CONFIG.backupDir)) fs.mkdirSync(CONFIG.backupDir, { recursive: true });
+
+  const partialPath = finalPath + ".partial";
+  try {
+    await runRclone(["copyto", `${remoteTarget(destination)}/${filename}`, partialPath], { signal, onProgress });
+    await inspectBackupArchive(partialPath, signal);
+    // Older uploads have no manifest; verifying one of those writes it
+    try {
+      await runRclone(["copyto", `${remoteTarget(destination)}/${filename}${BACKUP_MANIFEST_SUFFIX}`,
+        backupManifestPath(filename)], { signal });
+    } catch (_) {}
+    fs.renameSync(partialPath, finalPath);
+    return { success: true, filename, message: `Downloaded ${filename} from ${remoteTarget(destination)}` };
+  } catch (err) {
+    fs.rmSync(partialPath, { force: true });
+    if (signal && signal.aborted) return { success: false, error: "Cancelled" };
+    return { success: false, error: err.message };
+  }
+}
+
+// ── Cron Expressions ───────────────────────────────────────────────────────
+// Standard 5-field cron (minute hour day-of-month month day-of-week) with
+// `*`, lists, ranges and steps, evaluated in the container's local time.
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+function parseCronField(field, { name, min, max }) {
+  const values = new Set();
+  for (const item of field.split(",")) {
+    const match = item.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid ${name} field "${field}"`);
+    const step = match[2] ? parseInt(match[2]) : 1;
+    let [lo, hi] = match[1] === "*" ? [min, max] : match[1].split("-").map(Number);
+    if (hi === undefined) hi = match[2] ? max : lo;
+    if (lo < min || hi > max || lo > hi || step < 1) {
+      throw new Error(`Invalid ${name} field "${field}" (allowed ${min}-${max})`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron(expression) {
+  const parts = String(expression || "").trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error("Cron expression must have 5 fields: minute hour day month weekday");
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseCronField(p, CRON_FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+  // cron(8) counts a field starting with "*" (so "*/2" too) as unrestricted
+  return {
+    minutes, hours, days, months, weekdays,
+    anyDay: parts[2].startsWith("*"),
+    anyWeekday: parts[4].startsWith("*"),
+  };
+}
+
+function cronMatchesDay(cron, date) {
+  const dom = cron.days.has(date.getDate());
+  const dow = cron.weekdays.has(date.getDay());
+  // Like cron(8): when both day fields are restricted, either may match
+  if (!cron.anyDay && !cron.anyWeekday) return dom || dow;
+  return dom && dow;
+}
+
+function cronMatches(cron, date) {
+  return cron.minutes.has(date.getMinutes()) && cron.hours.has(date.getHours()) &&
+    cron.months.has(date.getMonth() + 1) && cronMatchesDay(cron, date);
+}
+
+function nextCronRun(cron, from = new Date()) {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = from.getTime() + 366 * 86400000;
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!cronMatchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+// ── Backup Retention ───────────────────────────────────────────────────────
+const RETENTION_PERIODS = {
+  hourly: (d) => `${d.getFullYear()}-${d.getMonth()}-${d.getDate()}T${d.getHours()}`,
+  daily: (d) => `${d.getFullYear()}-${d.getMonth()}-${d.getDate()}`,
+  weekly: (d) => {
+    const monday = new Date(d.getFullYear(), d.getMonth(), d.getDate() - ((d.getDay() + 6) % 7));
+    return `${monday.getFullYear()}-${monday.getMonth()}-${monday.getDate()}`;
+  },
+  monthly: (d) => `${d.getFullYear()}-${d.getMonth()}`,
+};
+
+// Backup names are `<world>_<ISO timestamp with : and . replaced by ->`
+// followed by .tar.gz for full archives or .snapshot for incremental ones
+function parseBackupFilename(filename) {
+  const match = filename.match(/^(.+)_(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z(\.tar\.gz|\.snapshot)$/);
+  if (!match) return null;
+  const [, world, day, h, m, s, ms, suffix] = match;
+  return {
+    filename,
+    world,
+    type: suffix === SNAPSHOT_SUFFIX ? "incremental" : "full",
+    created: new Date(`${day}T${h}:${m}:${s}.${ms}Z`),
+  };
+}
+
+// Grandfather-father-son: keep the newest backup in each of the last N
+// hours/days/weeks/months that have one. Returns the filenames to delete.
+function selectExpiredBackups(filenames, worldName, retention) {
+  const backups = filenames
+    .map(parseBackupFilename)
+    .filter((b) => b && b.world === worldName)
+    .sort((a, b) => b.created - a.created);
+
+  const keep = new Set();
+  for (const [period, bucketOf] of Object.entries(RETENTION_PERIODS)) {
+    const limit = retention[period] || 0;
+    const buckets = new Set();
+    for (const backup of backups) {
+      if (buckets.size >= limit) break;
+      const bucket = bucketOf(backup.created);
+      if (buckets.has(bucket)) continue;
+      buckets.add(bucket);
+      keep.add(backup.filename);
+    }
+  }
+  return backups.filter((b) => !keep.has(b.filename)).map((b) => b.filename);
+}
+
+// A schedule only prunes the backups it made, as recorded in their
+// manifests: manual backups, restore safety backups and other schedules'
+// backups are never touched. Remote copies are pruned first, while the local
+// manifests still say which uploads are the schedule's; blocks only the
+// pruned snapshots used are collected.
+async function pruneBackups(scheduleId, worldName, retention, destinations = []) {
+  const own = listBackups().filter((b) => b.schedule === scheduleId);
+  const ownNames = new Set(own.map((b) => b.filename));
+  const pruned = { local: [], remote: [] };
+
+  for (const destination of destinations) {
+    const listing = await listRemoteBackups(destination.id);
+    if (!listing.success) throw new Error(`Could not list ${destination.target}: ${listing.error}`);
+    const remote = listing.files.map((f) => f.filename).filter((f) => ownNames.has(f));
+    for (const filename of selectExpiredBackups(remote, worldName, retention)) {
+      const result = await deleteRemoteBackup(destination.id, filename);
+      if (!result.success) throw new Error(`Could not delete ${filename} from ${destination.target}: ${result.error}`);
+      pruned.remote.push(`${destination.target}/${filename}`);
+    }
+  }
+
+  for (const filename of selectExpiredBackups([...ownNames], worldName, retention)) {
+    if (parseBackupFilename(filename).type === "incremental") {
+      fs.rmSync(snapshotManifestPath(filename), { force: true });
+    } else {
+      fs.rmSync(path.join(CONFIG.backupDir, filename), { force: true });
+      fs.rmSync(backupManifestPath(filename), { force: true });
+    }
+    pruned.local.push(filename);
+  }
+  if (pruned.local.some((f) => f.endsWith(SNAPSHOT_SUFFIX))) await collectGarbage();
+  return pruned;
+}
+
+// ── Backup Schedules ───────────────────────────────────────────────────────
+// Stored in schedules.json. `world` is a world name or "@active" to follow
+// whichever world is active when the schedule fires.
+const DEFAULT_RETENTION = { hourly: 24, daily: 7, weekly: 4, monthly: 0 };
+const runningSchedules = new Set();
+
+function loadSchedules() {
+  return readState("schedules.json", []);
+}
+
+function listSchedules() {
+  return loadSchedules().map((s) => {
+    let nextRun = null;
+    if (s.enabled) {
+      try { nextRun = nextCronRun(parseCron(s.cron)); } catch (_) {}
+    }
+    return { ...s, nextRun: nextRun && nextRun.toISOString(), running: runningSchedules.has(s.id) };
+  });
+}
+
+function saveSchedule(options) {
+  const { id, world, cron, upload, enabled } = options;
+  const mode = options.mode || "full";
+
+  if (world !== "@active" && !/^[a-zA-Z0-9_-]+$/.test(world || "")) {
+    return { success: false, status: 400, error: "World must be a world name or @active" };
+  }
+  try {
+    parseCron(cron);
+  } catch (err) {
+    return { success: false, status: 400, error: err.message };
+  }
+  if (mode !== "full" && mode !== "incremental") {
+    return { success: false, status: 400, error: "Mode must be full or incremental" };
+  }
+  if (mode === "incremental" && upload) {
+    return { success: false, status: 400, error: "Incremental snapshots stay in the local store and cannot be uploaded" };
+  }
+
+  const retention = {};
+  for (const period of Object.keys(RETENTION_PERIODS)) {
+    const value = (options.retention || {})[period] ?? DEFAULT_RETENTION[period];
+    const count = parseInt(value);
+    if (!Number.isInteger(count) || count < 0 || count > 1000) {
+      return { success: false, status: 400, error: `Retention for ${period} must be between 0 and 1000` };
+    }
+    retention[period] = count;
+  }
+  if (!Object.values(retention).some((n) => n > 0)) {
+    return { success: false, status: 400, error: "Retention must keep at least one backup" };
+  }
+
+  const schedules = loadSchedules();
+  let schedule = schedules.find((s) => s.id === id);
+  if (id && !schedule) return { success: false, status: 404, error: "Schedule not found" };
+  if (!schedule) {
+    schedule = { id: crypto.randomBytes(6).toString("hex"), lastRun: null };
+    schedules.push(schedule);
+  }
+  Object.assign(schedule, {
+    world,
+    cron: cron.trim().split(/\s+/).join(" "),
+    mode,
+    retention,
+    upload: !!upload,
+    enabled: enabled !== false,
+  });
+  writeState("schedules.json", schedules);
+  return { success: true, schedule };
+}
+
+function deleteSchedule(id) {
+  const schedules = loadSchedules();
+  if (!schedules.some((s) => s.id === id)) return { success: false, status: 404, error: "Schedule not found" };
+  writeState("schedules.json", schedules.filter((s) => s.id !== id));
+  return { success: true };
+}
+
+async function runSchedule(schedule) {
+  const lastRun = { started: new Date().toISOString() };
+  try {
+    const worldName = schedule.world === "@active"
+      ? getServerProperties()["level-name"] || "world"
+      : schedule.world;
+    lastRun.world = worldName;
+
+    const mode = schedule.mode || "full";
+    const backup = await waitForJob(enqueueJob("backup", worldName, { world: worldName, schedule: schedule.id, mode }).id);
+    if (backup.status !== "succeeded") throw new Error(backup.error);
+    lastRun.filename = backup.result.filename;
+
+    // A backup that does not verify is never uploaded
+    const verify = await waitForJob(enqueueJob("verify", worldName, {
+      filename: lastRun.filename,
+      schedule: schedule.id,
+    }).id);
+    if (verify.status !== "succeeded") throw new Error(verify.error);
+    lastRun.verified = true;
+
+    const destinations = schedule.upload ? activeDestinations() : [];
+    if (schedule.upload && !destinations.length) throw new Error("No remote backup destination is enabled");
+    for (const destination of destinations) {
+      const upload = await waitForJob(enqueueJob("upload", worldName, {
+        filename: lastRun.filename,
+        destination: destination.id,
+      }).id);
+      if (upload.status !== "succeeded") throw new Error(`Upload to ${destination.target} failed: ${upload.error}`);
+      lastRun.uploaded = true;
+    }
+
+    const pruned = await pruneBackups(schedule.id, worldName, schedule.retention, destinations);
+    lastRun.pruned = pruned.local.length + pruned.remote.length;
+    lastRun.success = true;
+  } catch (err) {
+    lastRun.success = false;
+    lastRun.error = err.message;
+  }
+  lastRun.finished = new Date().toISOString();
+
+  // Re-read so edits made while the backup ran are not lost
+  const schedules = loadSchedules();
+  const stored = schedules.find((s) => s.id === schedule.id);
+  if (stored) {
+    stored.lastRun = lastRun;
+    writeState("schedules.json", schedules);
+  }
+  if (!lastRun.success) console.error(`Scheduled backup of ${lastRun.world} failed:`, lastRun.error);
+  return lastRun;
+}
+
+function queueSchedule(schedule) {
+  if (runningSchedules.has(schedule.id)) return false;
+  runningSchedules.add(schedule.id);
+  runSchedule(schedule).finally(() => runningSchedules.delete(schedule.id));
+  return true;
+}
+
+function runScheduleNow(id) {
+  const schedule = loadSchedules().find((s) => s.id === id);
+  if (!schedule) return { success: false, status: 404, error: "Schedule not found" };
+  if (!queueSchedule(schedule)) return { success: false, status: 409, error: "This schedule is already running" };
+  return { success: true, message: "Scheduled backup started. Follow it in the Jobs tab." };
+}
+
+function startScheduler() {
+  const tick = () => {
+    const now = new Date();
+    for (const schedule of loadSchedules()) {
+      if (!schedule.enabled) continue;
+      try {
+        if (cronMatches(parseCron(schedule.cron), now)) queueSchedule(schedule);
+      } catch (err) {
+        console.error(`Schedule ${schedule.id} has an invalid cron expression:`, err.message);
+      }
+    }
+    runDueTasks(now);
+    setTimeout(tick, 60000 - (Date.now() % 60000) + 100);
+  };
+  setTimeout(tick, 60000 - (Date.now() % 60000) + 100);
+}
+
+// ── Scheduled Tasks ────────────────────────────────────────────────────────
+// Cron-driven RCON commands, stored in tasks.json. Each run sends every
+// command in order, then the next of the task's rotating announcements.
+// "@restart <seconds>" is not sent to the server: it starts a graceful
+// countdown restart instead of the bare "stop" a cron job would use.
+const TASK_CONDITIONS = {
+  always: "Always",
+  players: "Only if players are online",
+  empty: "Only if the server is empty",
+};
+const TASK_MAX_COMMANDS = 20;
+const TASK_RESPONSE_LIMIT = 500;
+const runningTasks = new Set();
+
+function loadTasks() {
+  return readState("tasks.json", []);
+}
+
+function listTasks() {
+  return loadTasks().map((t) => {
+    let nextRun = null;
+    if (t.enabled) {
+      try { nextRun = nextCronRun(parseCron(t.cron)); } catch (_) {}
+    }
+    return { ...t, nextRun: nextRun && nextRun.toISOString(), running: runningTasks.has(t.id) };
+  });
+}
+
+function cleanLines(value) {
+  return (Array.isArray(value) ? value : String(value || "").split("\n"))
+    .map((line) => String(line).trim())
+    .filter(Boolean);
+}
+
+function saveTask(options) {
+  const { id, name, cron, condition = "always", enabled } = options || {};
+  const commands = cleanLines(options && options.commands);
+  const announcements = cleanLines(options && options.announcements);
+
+  if (!name || typeof name !== "string" || name.length > 64) {
+    return { success: false, status: 400, error: "Name must be 1-64 characters" };
+  }
+  try {
+    parseCron(cron);
+  } catch (err) {
+    return { success: false, status: 400, error: err.message };
+  }
+  if (!(condition in TASK_CONDITIONS)) {
+    return { success: false, status: 400, error: "Condition must be one of: " + Object.keys(TASK_CONDITIONS).join(", ") };
+  }
+  if (!commands.length && !announcements.length) {
+    return { success: false, status: 400, error: "Add at least one command or announcement" };
+  }
+  if (commands.length > TASK_MAX_COMMANDS || announcements.length > TASK_MAX_COMMANDS) {
+    return { success: false, status: 400, error: `At most ${TASK_MAX_COMMANDS} commands and ${TASK_MAX_COMMANDS} announcements` };
+  }
+  for (const command of commands) {
+    const restart = command.match(/^@restart(?:\s+(\d+))?$/);
+    if (command.startsWith("@") && (!restart || parseInt(restart[1] || "0") > LIFECYCLE_MAX_COUNTDOWN)) {
+      return { success: false, status: 400, error: `Unknown task command "${command}"; use @restart <0-${LIFECYCLE_MAX_COUNTDOWN} seconds>` };
+    }
+  }
+
+  const tasks = loadTasks();
+  let task = tasks.find((t) => t.id === id);
+  if (id && !task) return { success: false, status: 404, error: "Task not found" };
+  if (!task) {
+    task = { id: crypto.randomBytes(6).toString("hex"), nextAnnouncement: 0, lastRun: null };
+    tasks.push(task);
+  }
+  Object.assign(task, {
+    name,
+    cron: cron.trim().split(/\s+/).join(" "),
+    condition,
+    commands,
+    announcements,
+    enabled: enabled !== false,
+  });
+  if (task.nextAnnouncement >= announcements.length) task.nextAnnouncement = 0;
+  writeState("tasks.json", tasks);
+  return { success: true, task };
+}
+
+function deleteTask(id) {
+  const tasks = loadTasks();
+  if (!tasks.some((t) => t.id === id)) return { success: false, status: 404, error: "Task not found" };
+  writeState("tasks.json", tasks.filter((t) => t.id !== id));
+  return { success: true };
+}
+
+async function runTask(task, { manual = false } = {}) {
+  const lastRun = { started: new Date().toISOString(), manual, results: [] };
+  const status = await getServerStatus();
+  if (!status.online) {
+    lastRun.skipped = "Server offline";
+  } else if (!manual && task.condition === "players" && status.playerCount === 0) {
+    lastRun.skipped = "Nobody online";
+  } else if (!manual && task.condition === "empty" && status.playerCount > 0) {
+    lastRun.skipped = `${status.playerCount} player(s) online`;
+  } else {
+    for (const command of task.commands) {
+      const restart = command.match(/^@restart(?:\s+(\d+))?$/);
+      const result = restart
+        ? await scheduleServerAction({ action: "restart", countdown: parseInt(restart[1] || "0") })
+        : await rconCommand(command);
+      lastRun.results.push({
+        command,
+        success: result.success,
+        response: String(result.message || result.response || result.error || "").slice(0, TASK_RESPONSE_LIMIT),
+      });
+    }
+    if (task.announcements.length) {
+      const message = task.announcements[(task.nextAnnouncement || 0) % task.announcements.length];
+      const result = await rconCommand(`say ${message}`);
+      lastRun.results.push({ command: `say ${message}`, success: result.success, response: "" });
+      lastRun.announced = true;
+    }
+  }
+  lastRun.success = !lastRun.skipped && lastRun.results.every((r) => r.success);
+  lastRun.finished = new Date().toISOString();
+
+  // Re-read so edits made during the run are not lost
+  const tasks = loadTasks();
+  const stored = tasks.find((t) => t.id === task.id);
+  if (stored) {
+    stored.lastRun = lastRun;
+    if (lastRun.announced && stored.announcements.length) {
+      stored.nextAnnouncement = ((stored.nextAnnouncement || 0) + 1) % stored.announcements.length;
+    }
+    writeState("tasks.json", tasks);
+  }
+  if (!lastRun.skipped) {
+    recordAudit({
+      action: "task/run",
+      params: { task: task.name, commands: lastRun.results.map((r) => r.command) },
+      result: lastRun.success ? { success: true } : { success: false, error: "One or more commands failed" },
+    });
+  }
+  return lastRun;
+}
+
+function queueTask(task, options) {
+  if (runningTasks.has(task.id)) return false;
+  runningTasks.add(task.id);
+  runTask(task, options).finally(() => runningTasks.delete(task.id));
+  return true;
+}
+
+// A manual run ignores the player condition so a task can be tried out
+function runTaskNow(id) {
+  const task = loadTasks().find((t) => t.id === id);
+  if (!task) return { success: false, status: 404, error: "Task not found" };
+  if (!queueTask(task, { manual: true })) return { success: false, status: 409, error: "This task is already running" };
+  return { success: true, message: `Task "${task.name}" started` };
+}
+
+function runDueTasks(now) {
+  for (const task of loadTasks()) {
+    if (!task.enabled) continue;
+    try {
+      if (cronMatches(parseCron(task.cron), now)) queueTask(task);
+    } catch (err) {
+      console.error(`Task ${task.id} has an invalid cron expression:`, err.message);
+    }
+  }
+}
+
+// ── Jobs ───────────────────────────────────────────────────────────────────
+// Backups, uploads, downloads, restores, verification and chunk pruning run
+// as jobs: the API hands back a job id straight away, jobs for the same world
+// run one at a time, and the history is kept in jobs.json so it survives a
+// restart.
+const JOB_HANDLERS = {
+  backup: (params, ctx) => (params.mode === "incremental"
+    ? snapshotWorld(params.world, { ...ctx, schedule: params.schedule })
+    : backupWorld(params.world, { ...ctx, schedule: params.schedule })),
+  upload: (params, ctx) => pushToRemote(params.filename, params.destination, ctx),
+  download: (params, ctx) => pullFromRemote(params, ctx),
+  restore: (params, ctx) => restoreBackup(params, ctx),
+  prune: (params, ctx) => pruneChunks(params, ctx),
+  verify: (params, ctx) => verifyBackup(params, ctx),
+};
+const JOB_HISTORY_LIMIT = 200;
+const jobs = [];
+const jobControllers = new Map();
+const jobPromises = new Map();
+const worldQueues = new Map();
+
+function persistJobs() {
+  while (jobs.length > JOB_HISTORY_LIMIT && jobs[0].finished) jobs.shift();
+  writeState("jobs.json", jobs);
+}
+
+function loadJobs() {
+  for (const job of readState("jobs.json", [])) {
+    if (job.status === "queued" || job.status === "running") {
+      Object.assign(job, {
+        status: "failed",
+        error: "Interrupted by a World Manager restart",
+        finished: new Date().toISOString(),
+      });
+    }
+    jobs.push(job);
+  }
+  persistJobs();
+
+  // Clean up what interrupted jobs left behind
+  if (fs.existsSync(CONFIG.backupDir)) {
+    for (const f of fs.readdirSync(CONFIG.backupDir)) {
+      if (f.endsWith(".partial") || /^\.verify-\d+$/.test(f)) {
+        fs.rmSync(path.join(CONFIG.backupDir, f), { recursive: true, force: true });
+      }
+    }
+  }
+  if (fs.existsSync(pluginsDir())) {
+    for (const f of fs.readdirSync(pluginsDir())) {
+      if (/^\.upload-\d+\.partial$/.test(f)) fs.rmSync(path.join(pluginsDir(), f), { force: true });
+    }
+  }
+  if (fs.existsSync(CONFIG.mcDataPath)) {
+    for (const f of fs.readdirSync(CONFIG.mcDataPath)) {
+      if (/^\.restore-\d+$/.test(f) || /^\.upload-\d+(\.archive)?$/.test(f)) {
+        fs.rmSync(path.join(CONFIG.mcDataPath, f), { recursive: true, force: true });
+      } else if (/^\.restore-\d+-previous$/.test(f)) {
+        console.error(`Found ${f} from an interrupted restore; it holds the previous world and was left in place.`);
+      }
+    }
+  }
+}
+
+function enqueueJob(type, world, params) {
+  const job = {
+    id: crypto.randomBytes(6).toString("hex"),
+    type,
+    world,
+    params,
+    status: "queued",
+    progress: null,
+    created: new Date().toISOString(),
+    started: null,
+    finished: null,
+    result: null,
+    error: null,
+  };
+  jobs.push(job);
+  persistJobs();
+
+  const previous = worldQueues.get(world) || Promise.resolve();
+  const done = previous.then(() => executeJob(job));
+  worldQueues.set(world, done);
+  jobPromises.set(job.id, done);
+  done.then(() => {
+    if (worldQueues.get(world) === done) worldQueues.delete(world);
+    jobPromises.delete(job.id);
+  });
+  return job;
+}
+
+async function executeJob(job) {
+  if (job.status === "cancelled") return job;
+
+  const controller = new AbortController();
+  jobControllers.set(job.id, controller);
+  Object.assign(job, { status: "running", started: new Date().toISOString() });
+  persistJobs();
+
+  let result;
+  try {
+    result = await JOB_HANDLERS[job.type](job.params, {
+      signal: controller.signal,
+      onProgress: (bytes, total) => { job.progress = { bytes, total }; },
+    });
+  } catch (err) {
+    result = { success: false, error: err.message };
+  }
+  jobControllers.delete(job.id);
+
+  let status = result.success ? "succeeded" : "failed";
+  if (!result.success && controller.signal.aborted) status = "cancelled";
+  Object.assign(job, {
+    status,
+    result,
+    error: result.success ? null : result.error,
+    finished: new Date().toISOString(),
+  });
+  persistJobs();
+  recordAudit({ action: `job/${job.type}`, params: { world: job.world, ...job.params }, result: { ...result, jobId: job.id } });
+  if ((job.type === "backup" || job.type === "upload") && status !== "cancelled") {
+    const filename = result.filename || job.params.filename || null;
+    // Name the remote:path; the id alone means nothing in a notification
+    const destination = job.type === "upload" ? loadDestinations().find((d) => d.id === job.params.destination) : null;
+    const what = job.type === "backup"
+      ? `Backup of ${job.world}`
+      : `Upload of ${filename} to ${destination ? remoteTarget(destination) : job.params.destination}`;
+    notify(`${job.type}.${status}`,
+      result.success ? `${what} finished (${filename}).` : `${what} failed: ${result.error}`,
+      { world: job.world, jobId: job.id, filename });
+  }
+  if (job.type === "verify" && status === "failed") {
+    notify("backup.failed", `Verification failed: ${result.error}`,
+      { world: job.world, jobId: job.id, filename: job.params.filename });
+  }
+  return job;
+}
+
+function waitForJob(id) {
+  return jobPromises.get(id) || Promise.resolve(jobs.find((j) => j.id === id));
+}
+
+function listJobs() {
+  return [...jobs].reverse();
+}
+
+function cancelJob(id) {
+  const job = jobs.find((j) => j.id === id);
+  if (!job) return { success: false, status: 404, error: "Job not found" };
+  if (job.status === "queued") {
+    Object.assign(job, { status: "cancelled", finished: new Date().toISOString() });
+    persistJobs();
+    return { success: true, message: "Job cancelled" };
+  }
+  if (job.status === "running") {
+    jobControllers.get(id).abort();
+    return { success: true, message: "Cancelling job..." };
+  }
+  return { success: false, status: 409, error: "Job has already finished" };
+}
+
+function queueBackup(worldName, mode = "full") {
+  if (!worldName || !/^[a-zA-Z0-9_-]+$/.test(worldName) ||
+      !fs.existsSync(path.join(CONFIG.mcDataPath, worldName))) {
+    return { success: false, status: 404, error: "World not found" };
+  }
+  if (mode !== "full" && mode !== "incremental") {
+    return { success: false, status: 400, error: "Mode must be full or incremental" };
+  }
+  const job = enqueueJob("backup", worldName, { world: worldName, mode });
+  return {
+    success: true,
+    jobId: job.id,
+    message: `${mode === "incremental" ? "Incremental backup" : "Backup"} of ${worldName} queued`,
+  };
+}
+
+// Uploads to one destination, or to every enabled one when none is given
+function queueUpload(options) {
+  const { filename, destination } = options || {};
+  if (isSnapshotName(filename)) {
+    return { success: false, status: 400, error: "Incremental snapshots stay in the local store and cannot be uploaded" };
+  }
+  if (!filename || filename !== path.basename(filename) ||
+      !fs.existsSync(path.join(CONFIG.backupDir, filename))) {
+    return { success: false, status: 404, error: "Backup file not found" };
+  }
+  const destinations = destination ? [getDestination(destination)].filter(Boolean) : activeDestinations();
+  if (!destinations.length) {
+    return { success: false, status: destination ? 404 : 409, error: destination ? "Backup destination not found" : "No remote backup destination is enabled" };
+  }
+  const parsed = parseBackupFilename(filename);
+  const jobIds = destinations.map((d) =>
+    enqueueJob("upload", parsed ? parsed.world : filename, { filename, destination: d.id }).id);
+  return {
+    success: true,
+    jobId: jobIds[0],
+    jobIds,
+    message: `Upload of ${filename} to ${destinations.map((d) => d.target).join(", ")} queued`,
+  };
+}
+
+function queueDownload(options) {
+  const { filename, destination } = options || {};
+  if (!isBackupName(filename)) return { success: false, status: 400, error: "Invalid backup filename" };
+  if (!getDestination(destination)) return { success: false, status: 404, error: "Backup destination not found" };
+  if (fs.existsSync(path.join(CONFIG.backupDir, filename))) {
+    return { success: false, status: 409, error: `${filename} already exists locally` };
+  }
+  const parsed = parseBackupFilename(filename);
+  const job = enqueueJob("download", parsed ? parsed.world : filename, { filename, destination });
+  return { success: true, jobId: job.id, message: `Download of ${filename} queued` };
+}
+
+function queueRestore(options) {
+  const { error, status, worldName } = prepareRestore(options);
+  if (error) return { success: false, status, error };
+  const job = enqueueJob("restore", worldName, { filename: options.filename, target: worldName });
+  return { success: true, jobId: job.id, message: `Restore of ${options.filename} into "${worldName}" queued` };
+}
+
+function queueVerify(options) {
+  const { filename } = options || {};
+  const snapshot = isSnapshotName(filename);
+  if (!snapshot && !isBackupName(filename)) return { success: false, status: 400, error: "Invalid backup filename" };
+  if (!fs.existsSync(snapshot ? snapshotManifestPath(filename) : path.join(CONFIG.backupDir, filename))) {
+    return { success: false, status: 404, error: "Backup file not found" };
+  }
+  const parsed = parseBackupFilename(filename);
+  const job = enqueueJob("verify", parsed ? parsed.world : filename, { filename });
+  return { success: true, jobId: job.id, message: `Verification of ${filename} queued` };
+}
+
+function queuePrune(options) {
+  const { name, dryRun } = options || {};
+  if (!name || !/^[a-zA-Z0-9_-]+$/.test(name) || !fs.existsSync(path.join(CONFIG.mcDataPath, name))) {
+    return { success: false, status: 404, error: "World not found" };
+  }
+  if (!dryRun && worldInUse(name)) {
+    return { success: false, status: 409, error: "Chunks can only be pruned in a world that is not active" };
+  }
+  const minInhabitedMinutes = Number(options.minInhabitedMinutes ?? 5);
+  const protectRadius = Number(options.protectRadius ?? 1000);
+  if (!Number.isFinite(minInhabitedMinutes) || minInhabitedMinutes < 0) {
+    return { success: false, status: 400, error: "Minimum inhabited time must be zero or more minutes" };
+  }
+  if (!Number.isInteger(protectRadius) || protectRadius < 0 || protectRadius > 30000000) {
+    return { success: false, status: 400, error: "Protected radius must be a whole number of blocks between 0 and 30000000" };
+  }
+  const job = enqueueJob("prune", name, { world: name, dryRun: Boolean(dryRun), minInhabitedMinutes, protectRadius });
+  return {
+    success: true,
+    jobId: job.id,
+    message: dryRun ? `Chunk pruning dry run for ${name} queued` : `Backup and chunk pruning of ${name} queued`,
+  };
+}
+
+// ── Upload & Download ──────────────────────────────────────────────────────
+// Uploads are streamed straight to disk (never buffered like JSON bodies),
+// capped at CONFIG.maxUploadMB, and checked before anything is moved into
+// place: a world only shows up in the list once its archive passed.
+async function receiveUpload(req, destination) {
+  const limit = CONFIG.maxUploadMB * 1048576;
+  if (parseInt(req.headers["content-length"]) > limit) {
+    req.resume();
+    throw statusError(413, `Upload exceeds the ${CONFIG.maxUploadMB} MB limit`);
+  }
+  let received = 0;
+  const counter = new Transform({
+    transform(chunk, _encoding, callback) {
+      received += chunk.length;
+      if (received > limit) callback(statusError(413, `Upload exceeds the ${CONFIG.maxUploadMB} MB limit`));
+      else callback(null, chunk);
+    },
+  });
+  try {
+    await pipeline(req, counter, fs.createWriteStream(destination));
+  } catch (err) {
+    fs.rmSync(destination, { force: true });
+    // Otherwise the client went away mid-upload, or the disk filled up
+    if (!err.status) err.status = err.code === "ENOSPC" ? 507 : 400;
+    throw err;
+  }
+  if (!received) {
+    fs.rmSync(destination, { force: true });
+    throw statusError(400, "Upload was empty");
+  }
+  return received;
+}
+
+function freeDiskBytes(dir) {
+  const stats = fs.statfsSync(dir);
+  return stats.bavail * stats.bsize;
+}
+
+async function importWorld(req, name) {
+  if (!name || !/^[a-zA-Z0-9_-]+$/.test(name)) {
+    return { success: false, status: 400, error: "Invalid world name. Use letters, numbers, hyphens, underscores only." };
+  }
+  if (fs.existsSync(path.join(CONFIG.mcDataPath, name))) {
+    return { success: false, status: 409, error: "A world with that name already exists." };
+  }
+
+  const stagingPath = path.join(CONFIG.mcDataPath, `.upload-${Date.now()}`);
+  const archivePath = stagingPath + ".archive";
+  try {
+    fs.mkdirSync(stagingPath);
+    await receiveUpload(req, archivePath);
+
+    const listing = await listArchive(archivePath);
+    // Single-player saves are usually zipped as "<World>/level.dat", but
+    // accept a bare world too; the shallowest level.dat marks the world root.
+    const levelDats = listing.names
+      .map((n) => n.replace(/\\/g, "/").replace(/^\.\//, ""))
+      .filter((n) => n === "level.dat" || n.endsWith("/level.dat"))
+      .map((n) => n.slice(0, -"level.dat".length));
+    if (!levelDats.length) throw new Error("No level.dat found in the archive");
+    const depth = (p) => p.split("/").length;
+    const shallowest = Math.min(...levelDats.map(depth));
+    const roots = levelDats.filter((p) => depth(p) === shallowest);
+    if (roots.length > 1) throw new Error("Archive contains more than one world");
+
+    if (listing.size > freeDiskBytes(CONFIG.mcDataPath)) {
+      throw statusError(507, "Not enough free disk space to extract this world");
+    }
+    await extractArchive(archivePath, stagingPath);
+    fs.renameSync(path.join(stagingPath, roots[0]), path.join(CONFIG.mcDataPath, name));
+    notify("world.created", `World "${name}" was imported from an uploaded archive.`, { world: name });
+    return { success: true, message: `World "${name}" imported.` };
+  } catch (err) {
+    // Anything else that threw was a problem with the uploaded file itself
+    return { success: false, status: err.status || 422, error: err.message };
+  } finally {
+    fs.rmSync(stagingPath, { recursive: true, force: true });
+    fs.rmSync(archivePath, { force: true });
+  }
+}
+
+async function importBackup(req, filename) {
+  // Same format; stored under the .tar.gz name retention and restore expect
+  if (filename && filename.endsWith(".tgz")) filename = filename.slice(0, -".tgz".length) + ".tar.gz";
+  if (!filename || filename !== path.basename(filename) || !filename.endsWith(".tar.gz")) {
+    return { success: false, status: 400, error: "Backups must be .tar.gz or .tgz files" };
+  }
+  if (!fs.existsSync(CONFIG.backupDir)) {
+    fs.mkdirSync(CONFIG.backupDir, { recursive: true });
+  }
+
+  const partialPath = path.join(CONFIG.backupDir, `.import-${Date.now()}.partial`);
+  try {
+    await receiveUpload(req, partialPath);
+    const worldName = await inspectBackupArchive(partialPath);
+
+    // Keep the uploaded name if it follows the backup naming scheme so
+    // retention and restore understand it; otherwise derive one.
+    let finalName = filename;
+    if (!parseBackupFilename(filename)) {
+      const timestamp = fs.statSync(partialPath).mtime.toISOString().replace(/[:.]/g, "-");
+      finalName = `${worldName}_${timestamp}.tar.gz`;
+    }
+    if (fs.existsSync(path.join(CONFIG.backupDir, finalName))) {
+      throw statusError(409, "A backup with that name already exists.");
+    }
+    fs.renameSync(partialPath, path.join(CONFIG.backupDir, finalName));
+    return { success: true, filename: finalName, message: `Backup ${finalName} imported.` };
+  } catch (err) {
+    fs.rmSync(partialPath, { force: true });
+    // Anything else that threw was a problem with the uploaded file itself
+    return { success: false, status: err.status || 422, error: err.message };
+  }
+}
+
+// The file is opened before the headers go out, so a backup pruned in the
+// meantime is a 404 rather than a broken download
+async function downloadBackup(res, filename) {
+  if (!filename || filename !== path.basename(filename) || !filename.endsWith(".tar.gz")) {
+    return sendJSON(res, 404, { success: false, error: "Backup file not found" });
+  }
+  let handle;
+  try {
+    handle = await fs.promises.open(path.join(CONFIG.backupDir, filename));
+  } catch (_) {
+    return sendJSON(res, 404, { success: false, error: "Backup file not found" });
+  }
+  const input = handle.createReadStream();
+  try {
+    res.writeHead(200, {
+      "Content-Type": "application/gzip",
+      "Content-Length": (await handle.stat()).size,
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    });
+    await pipeline(input, res);
+  } catch (err) {
+    input.destroy();
+    // A client that goes away mid-download is not an error
+    if (err.code !== "ERR_STREAM_PREMATURE_CLOSE") console.error(`Download of backup ${filename} failed:`, err.message);
+    if (!res.headersSent) sendJSON(res, 500, { success: false, error: "Could not read the backup: " + err.message });
+  }
+}
+
+// Archives the world on the fly; the active world is archived with saving
+// paused, exactly like a backup.
+async function downloadWorld(req, res, name) {
+  const world = getWorlds().find((w) => w.name === name);
+  if (!world) return sendJSON(res, 404, { success: false, error: "World not found" });
+
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  fs.mkdirSync(CONFIG.backupDir, { recursive: true });
+  const archivePath = path.join(CONFIG.backupDir, `.download-${Date.now()}.partial`);
+
+  // Archive to disk first, like a backup: saves are held only while tar
+  // runs, not for as long as the browser takes to fetch the file
+  if (world.active) await holdSaves();
+  try {
+    const tar = spawn("tar", ["-cf", "-", "-C", CONFIG.mcDataPath, name], { signal: controller.signal });
+    await Promise.all([
+      pipeline(tar.stdout, zlib.createGzip(), fs.createWriteStream(archivePath), { signal: controller.signal }),
+      waitForExit(tar, "tar"),
+    ]);
+  } catch (err) {
+    fs.rmSync(archivePath, { force: true });
+    if (controller.signal.aborted) return;
+    console.error(`Download of world ${name} failed:`, err.message);
+    return sendJSON(res, 500, { success: false, error: "Could not archive the world: " + err.message });
+  } finally {
+    if (world.active) await releaseSaves();
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "application/gzip",
+    "Content-Length": fs.statSync(archivePath).size,
+    "Content-Disposition": `attachment; filename="${name}_${timestamp}.tar.gz"`,
+  });
+  try {
+    await pipeline(fs.createReadStream(archivePath), res);
+  } catch (err) {
+    if (!controller.signal.aborted) console.error(`Download of world ${name} failed:`, err.message);
+  } finally {
+    fs.rmSync(archivePath, { force: true });
+  }
+}
+
+// ── Plugins ────────────────────────────────────────────────────────────────
+// Jars in <data>/plugins are read but never loaded here: every change only
+// takes effect when the server restarts. Disabling renames the jar to
+// .jar.disabled, which Paper skips.
+const PLUGINS_DIR_NAME = "plugins";
+let knownServerVersion = null;
+let knownServerVersionSocket = null;
+
+function pluginsDir() {
+  return path.join(CONFIG.mcDataPath, PLUGINS_DIR_NAME);
+}
+
+// Just enough YAML for plugin descriptors: nested maps, block and inline
+// lists of scalars, quoted strings and |/> block scalars.
+function parseSimpleYaml(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((l) => l.replace(/\t/g, "  ").replace(/\s+#.*$/, ""))
+    .filter((l) => l.trim() && !l.trim().startsWith("#"));
+  const indentOf = (line) => line.length - line.trimStart().length;
+  const unquote = (v) => v.replace(/^(["'])(.*)\1$/, "$2");
+  const scalar = (v) => {
+    if (/^\[.*\]$/.test(v)) {
+      return v.slice(1, -1).split(",").map((s) => unquote(s.trim())).filter(Boolean);
+    }
+    return unquote(v);
+  };
+
+  let i = 0;
+  const parseBlock = (indent) => {
+    const isList = lines[i].trim().startsWith("-");
+    const result = isList ? [] : {};
+    while (i < lines.length) {
+      const line = lines[i];
+      if (indentOf(line) < indent) break;
+      if (indentOf(line) > indent) { i++; continue; }
+      const content = line.trim();
+      if (isList) {
+        if (!content.startsWith("-")) break;
+        result.push(scalar(content.slice(1).trim()));
+        i++;
+        continue;
+      }
+      if (content.startsWith("-")) break;
+      const match = content.match(/^([^:]+?):(?:\s+(.*))?$/);
+      i++;
+      if (!match) continue;
+      const key = unquote(match[1]);
+      const rest = (match[2] || "").trim();
+      if (/^[|>][+-]?$/.test(rest)) {
+        const parts = [];
+        while (i < lines.length && indentOf(lines[i]) > indent) parts.push(lines[i++].trim());
+        result[key] = parts.join(rest[0] === "|" ? "\n" : " ");
+      } else if (rest) {
+        result[key] = scalar(rest);
+      } else if (i < lines.length && (indentOf(lines[i]) > indent ||
+                 (indentOf(lines[i]) === indent && lines[i].trim().startsWith("-")))) {
+        result[key] = parseBlock(indentOf(lines[i]));
+      } else {
+        result[key] = null;
+      }
+    }
+    return result;
+  };
+  return lines.length ? parseBlock(indentOf(lines[0])) : {};
+}
+
+function asList(value) {
+  return (Array.isArray(value) ? value : value ? [value] : []).map(String);
+}
+
+async function readPluginDescriptor(jarPath) {
+  const entries = (await runProcess("unzip", ["-Z1", jarPath])).split("\n");
+  // Paper prefers paper-plugin.yml when a jar ships both
+  const file = ["paper-plugin.yml", "plugin.yml"].find((f) => entries.includes(f));
+  if (!file) throw new Error("No plugin.yml or paper-plugin.yml in this jar");
+  const yaml = parseSimpleYaml(await runProcess("unzip", ["-p", jarPath, file]));
+  if (!yaml.name) throw new Error(`${file} has no name`);
+
+  let depend = asList(yaml.depend);
+  let softdepend = asList(yaml.softdepend);
+  if (file === "paper-plugin.yml" && yaml.dependencies && typeof yaml.dependencies === "object") {
+    const server = yaml.dependencies.server || {};
+    depend = Object.keys(server).filter((n) => !server[n] || server[n].required !== "false");
+    softdepend = Object.keys(server).filter((n) => !depend.includes(n));
+  }
+  return {
+    name: String(yaml.name),
+    version: yaml.version ? String(yaml.version) : null,
+    authors: [...asList(yaml.author), ...asList(yaml.authors)],
+    description: yaml.description ? String(yaml.description) : null,
+    website: yaml.website ? String(yaml.website) : null,
+    apiVersion: yaml["api-version"] ? String(yaml["api-version"]) : null,
+    depend,
+    softdepend,
+    descriptor: file,
+  };
+}
+
+// "version" over RCON while the server runs, otherwise the startup line in
+// the current log. Remembered so the tab still works while it is stopped,
+// and asked once per connection: only a restart changes the version, and
+// that drops the connection.
+async function getServerVersion() {
+  if (knownServerVersion && rcon.status === "connected" && rcon.socket === knownServerVersionSocket) {
+    return knownServerVersion;
+  }
+  const result = await rconCommand("version");
+  const reply = result.success
+    ? stripFormatting(result.response).match(/\(MC: ([\d.]+)\)|Implementing API version ([\d.]+)/)
+    : null;
+  if (reply) {
+    knownServerVersion = reply[1] || reply[2];
+    knownServerVersionSocket = rcon.socket;
+  } else if (!knownServerVersion) {
+    try {
+      const log = fs.readFileSync(path.join(CONFIG.mcDataPath, "logs", "latest.log"), "utf-8");
+      const started = log.match(/Starting minecraft server version ([\d.]+)/);
+      if (started) knownServerVersion = started[1];
+    } catch (_) {}
+  }
+  return knownServerVersion;
+}
+
+function compareVersions(a, b) {
+  const pa = a.split(".").map((n) => parseInt(n) || 0);
+  const pb = b.split(".").map((n) => parseInt(n) || 0);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) - (pb[i] || 0);
+  }
+  return 0;
+}
+
+async function listPlugins() {
+  const dir = pluginsDir();
+  const serverVersion = await getServerVersion();
+  if (!fs.existsSync(dir)) return { serverVersion, plugins: [] };
+
+  const plugins = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    if (!file.endsWith(".jar") && !file.endsWith(".jar.disabled")) continue;
+    const stat = fs.statSync(path.join(dir, file));
+    const plugin = {
+      file,
+      enabled: file.endsWith(".jar"),
+      sizeBytes: stat.size,
+      modified: stat.mtime.toISOString(),
+      problems: [],
+    };
+    try {
+      Object.assign(plugin, await readPluginDescriptor(path.join(dir, file)));
+    } catch (err) {
+      plugin.name = file.replace(/\.jar(\.disabled)?$/, "");
+      plugin.problems.push(err.message);
+    }
+    plugins.push(plugin);
+  }
+
+  const enabledNames = new Set(plugins.filter((p) => p.enabled && p.descriptor).map((p) => p.name.toLowerCase()));
+  for (const plugin of plugins) {
+    if (!plugin.descriptor) continue;
+    const missing = plugin.depend.filter((d) => !enabledNames.has(d.toLowerCase()));
+    if (missing.length) plugin.problems.push(`Missing required plugin${missing.length > 1 ? "s" : ""}: ${missing.join(", ")}`);
+    if (!plugin.apiVersion) {
+      plugin.problems.push("No api-version: loaded in legacy compatibility mode");
+    } else if (serverVersion && compareVersions(plugin.apiVersion, serverVersion) > 0) {
+      plugin.problems.push(`Built for API ${plugin.apiVersion}, newer than this server (${serverVersion})`);
+    }
+  }
+  return { serverVersion, plugins };
+}
+
+function resolvePluginFile(file) {
+  if (!file || file !== path.basename(file) || !/\.jar(\.disabled)?$/.test(file)) return null;
+  const pluginPath = path.join(pluginsDir(), file);
+  return fs.existsSync(pluginPath) ? pluginPath : null;
+}
+
+function setPluginEnabled(options) {
+  const { file, enabled } = options || {};
+  const pluginPath = resolvePluginFile(file);
+  if (!pluginPath) return { success: false, status: 404, error: "Plugin not found" };
+  const target = enabled ? pluginPath.replace(/\.disabled$/, "") : pluginPath.replace(/\.jar$/, ".jar.disabled");
+  if (target === pluginPath) return { success: true, file, message: "Nothing to change" };
+  if (fs.existsSync(target)) return { success: false, status: 409, error: `${path.basename(target)} already exists` };
+  fs.renameSync(pluginPath, target);
+  return {
+    success: true,
+    file: path.basename(target),
+    message: `${enabled ? "Enabled" : "Disabled"} ${file}. Restart the server to apply.`,
+  };
+}
+
+function deletePlugin(options) {
+  const pluginPath = resolvePluginFile(options && options.file);
+  if (!pluginPath) return { success: false, status: 404, error: "Plugin not found" };
+  fs.rmSync(pluginPath);
+  return { success: true, message: `Deleted ${options.file}. Restart the server to apply; its config folder was kept.` };
+}
+
+async function uploadPlugin(req, filename) {
+  if (!filename || filename !== path.basename(filename) || !filename.endsWith(".jar")) {
+    return { success: false, status: 400, error: "Plugins must be .jar files" };
+  }
+  const dir = pluginsDir();
+  if (fs.existsSync(path.join(dir, filename)) || fs.existsSync(path.join(dir, filename + ".disabled"))) {
+    return { success: false, status: 409, error: `${filename} already exists. Delete the old version first.` };
+  }
+  fs.mkdirSync(dir, { recursive: true });
+
+  const partialPath = path.join(dir, `.upload-${Date.now()}.partial`);
+  try {
+    await receiveUpload(req, partialPath);
+    if (!isZipFile(partialPath)) throw new Error("Not a jar file");
+    const plugin = await readPluginDescriptor(partialPath);
+    const { plugins } = await listPlugins();
+    const clash = plugins.find((p) => p.enabled && p.name.toLowerCase() === plugin.name.toLowerCase());
+    if (clash) throw statusError(409, `${clash.file} already provides ${plugin.name}. Delete it first.`);
+    fs.renameSync(partialPath, path.join(dir, filename));
+    return {
+      success: true,
+      plugin: { ...plugin, file: filename },
+      message: `Installed ${plugin.name}${plugin.version ? " " + plugin.version : ""}. Restart the server to load it.`,
+    };
+  } catch (err) {
+    fs.rmSync(partialPath, { force: true });
+    // Anything else that threw was a problem with the uploaded file itself
+    return { success: false, status: err.status || 422, error: err.message };
+  }
+}
+
+// ── Datapacks ──────────────────────────────────────────────────────────────
+// Packs live in <world>/datapacks as folders or .zip files, each with a
+// pack.mcmeta at its root. The server knows them as "file/<name>". Which
+// ones are enabled comes from RCON for the active world and from level.dat
+// for the others.
+
+// Data pack format of each release range; versions outside it are unknown
+const PACK_FORMATS = [
+  ["1.13", "1.14.4", 4],
+  ["1.15", "1.16.1", 5],
+  ["1.16.2", "1.16.5", 6],
+  ["1.17", "1.17.1", 7],
+  ["1.18", "1.18.1", 8],
+  ["1.18.2", "1.18.2", 9],
+  ["1.19", "1.19.3", 10],
+  ["1.19.4", "1.19.4", 12],
+  ["1.20", "1.20.1", 15],
+  ["1.20.2", "1.20.2", 18],
+  ["1.20.3", "1.20.4", 26],
+  ["1.20.5", "1.20.6", 41],
+  ["1.21", "1.21.1", 48],
+  ["1.21.2", "1.21.3", 57],
+  ["1.21.4", "1.21.4", 61],
+  ["1.21.5", "1.21.5", 71],
+  ["1.21.6", "1.21.6", 80],
+  ["1.21.7", "1.21.8", 81],
+];
+
+function packFormatFor(version) {
+  if (!version) return null;
+  const range = PACK_FORMATS.find(([from, to]) =>
+    compareVersions(version, from) >= 0 && compareVersions(version, to) <= 0);
+  return range ? range[2] : null;
+}
+
+function textComponentToString(component) {
+  if (component === null || component === undefined) return "";
+  if (typeof component !== "object") return String(component);
+  if (Array.isArray(component)) return component.map(textComponentToString).join("");
+  return textComponentToString(component.text ?? component.translate ?? "") +
+    (component.extra ? textComponentToString(component.extra) : "");
+}
+
+// [min, max] pack formats a pack declares it works with
+function supportedFormats(pack) {
+  const range = pack.supported_formats;
+  if (Number.isInteger(range)) return [range, range];
+  if (Array.isArray(range) && range.length === 2) return range;
+  if (range && typeof range === "object") return [range.min_inclusive, range.max_inclusive];
+  return [pack.pack_format, pack.pack_format];
+}
+
+function datapacksDir(world) {
+  return path.join(CONFIG.mcDataPath, world, "datapacks");
+}
+
+async function readPackMeta(packPath) {
+  const raw = fs.statSync(packPath).isDirectory()
+    ? fs.readFileSync(path.join(packPath, "pack.mcmeta"), "utf-8")
+    : await runProcess("unzip", ["-p", packPath, "pack.mcmeta"]);
+  const meta = JSON.parse(raw.replace(/^\uFEFF/, ""));
+  if (!meta.pack || !Number.isInteger(meta.pack.pack_format)) {
+    throw new Error("pack.mcmeta has no pack_format");
+  }
+  return meta.pack;
+}
+
+// "datapack list" answers with two lines of [id (source)] entries
+function parseDatapackList(response) {
+  const text = stripFormatting(response);
+  const section = (label) => {
+    const match = text.match(new RegExp(`data packs?(?:\\(s\\))? ${label}:(.*?)(?=There (?:are|is)|$)`, "s"));
+    return match ? [...match[1].matchAll(/\[([^\]]+?)(?: \([^)]*\))?\]/g)].map((m) => m[1]) : [];
+  };
+  return { enabled: section("enabled"), available: section("available") };
+}
+
+function resolveDatapack(world, pack) {
+  if (!pack || pack !== path.basename(pack) || pack.startsWith(".")) return null;
+  const packPath = path.join(datapacksDir(world), pack);
+  return fs.existsSync(packPath) ? packPath : null;
+}
+
+async function listDatapacks(name) {
+  const world = getWorlds().find((w) => w.name === name);
+  if (!world) return { success: false, status: 404, error: "World not found" };
+
+  let enabled = null;
+  let source = "level.dat";
+  if (world.active) {
+    const result = await rconCommand("datapack list");
+    if (result.success) {
+      enabled = parseDatapackList(result.response).enabled;
+      source = "rcon";
+    }
+  }
+  if (!enabled) {
+    try {
+      const data = readLevelData(path.join(CONFIG.mcDataPath, name));
+      enabled = (data.DataPacks && data.DataPacks.Enabled) || [];
+    } catch (_) {
+      enabled = [];
+    }
+  }
+
+  const serverVersion = await getServerVersion();
+  const serverFormat = packFormatFor(serverVersion);
+  const packs = [];
+  let files = [];
+  try {
+    files = fs.readdirSync(datapacksDir(name)).filter((f) => !f.startsWith("."));
+  } catch (_) {}
+  for (const file of files.sort()) {
+    const packPath = path.join(datapacksDir(name), file);
+    const isDir = fs.statSync(packPath).isDirectory();
+    if (!isDir && !file.endsWith(".zip")) continue;
+    const pack = { file, id: `file/${file}`, folder: isDir, enabled: enabled.includes(`file/${file}`) };
+    try {
+      const meta = await readPackMeta(packPath);
+      const [min, max] = supportedFormats(meta);
+      Object.assign(pack, {
+        description: stripFormatting(textComponentToString(meta.description)),
+        packFormat: meta.pack_format,
+        supportedFormats: min === max ? null : [min, max],
+      });
+      if (serverFormat !== null && (serverFormat < min || serverFormat > max)) {
+        pack.warning = `Made for pack format ${min === max ? min : `${min}-${max}`}; ` +
+          `Minecraft ${serverVersion} uses ${serverFormat}`;
+      }
+    } catch (err) {
+      pack.error = `Unreadable pack.mcmeta: ${err.message}`;
+    }
+    packs.push(pack);
+  }
+
+  return {
+    success: true,
+    world: name,
+    active: world.active,
+    source,
+    serverVersion,
+    serverFormat,
+    // Built-in and other packs the server reports, for completeness
+    otherEnabled: enabled.filter((id) => !id.startsWith("file/")),
+    packs,
+  };
+}
+
+async function setDatapackEnabled(options) {
+  const { name, pack, enabled } = options || {};
+  const world = getWorlds().find((w) => w.name === name);
+  if (!world) return { success: false, status: 404, error: "World not found" };
+  if (!world.active) {
+    return { success: false, status: 409, error: "Datapacks can only be switched on the active world; the server does it live" };
+  }
+  if (!resolveDatapack(name, pack)) return { success: false, status: 404, error: "Datapack not found" };
+  const result = await rconCommand(`datapack ${enabled ? "enable" : "disable"} ${JSON.stringify(`file/${pack}`)}`);
+  if (!result.success) return { success: false, status: 503, error: result.response };
+  const response = stripFormatting(result.response);
+  if (/unknown|not enabled|already enabled|incorrect|error/i.test(response)) {
+    return { success: false, status: 409, error: response };
+  }
+  return { success: true, message: response || `${enabled ? "Enabled" : "Disabled"} ${pack}` };
+}
+
+function deleteDatapack(options) {
+  const { name, pack } = options || {};
+  const world = getWorlds().find((w) => w.name === name);
+  if (!world) return { success: false, status: 404, error: "World not found" };
+  if (worldInUse(name)) return { success: false, status: 409, error: "Datapacks can only be deleted from a world that is not active" };
+  const packPath = resolveDatapack(name, pack);
+  if (!packPath) return { success: false, status: 404, error: "Datapack not found" };
+  fs.rmSync(packPath, { recursive: true, force: true });
+  return { success: true, message: `Deleted ${pack} from ${name}` };
+}
+
+async function uploadDatapack(req, name, filename) {
+  const world = getWorlds().find((w) => w.name === name);
+  if (!world) {
+    return { success: false, status: 404, error: "World not found" };
+  }
+  if (!filename || filename !== path.basename(filename) || filename.startsWith(".") || !filename.endsWith(".zip")) {
+    return { success: false, status: 400, error: "Datapacks must be uploaded as .zip files" };
+  }
+  const dir = datapacksDir(name);
+  if (fs.existsSync(path.join(dir, filename))) {
+    return { success: false, status: 409, error: `${filename} already exists. Delete the old version first.` };
+  }
+  fs.mkdirSync(dir, { recursive: true });
+
+  const partialPath = path.join(dir, `.upload-${Date.now()}.partial`);
+  try {
+    await receiveUpload(req, partialPath);
+    if (!isZipFile(partialPath)) throw new Error("Not a zip file");
+    const entries = (await runProcess("unzip", ["-Z1", partialPath])).split("\n");
+    if (!entries.includes("pack.mcmeta")) {
+      throw new Error("pack.mcmeta must be at the top level of the zip, not inside a folder");
+    }
+    const meta = await readPackMeta(partialPath);
+    fs.renameSync(partialPath, path.join(dir, filename));
+    return {
+      success: true,
+      message: `Added ${filename} (pack format ${meta.pack_format}).` +
+        (world.active ? " Reload datapacks to make the server see it." : ""),
+    };
+  } catch (err) {
+    fs.rmSync(partialPath, { force: true });
+    // Anything else that threw was a problem with the uploaded file itself
+    return { success: false, status: err.status || 422, error: err.message };
+  }
+}
+
+async function reloadDatapacks() {
+  const result = await rconCommand("reload");
+  if (!result.success) return { success: false, status: 503, error: result.response };
+  return { success: true, message: "Datapacks reloaded" };
+}
+
+// ── Server Log ─────────────────────────────────────────────────────────────
+// latest.log is tailed by polling while at least one browser is listening.
+// Rotation (new inode or a file that got shorter) restarts from the top of
+// the new file. Older logs are the gzipped files next to it.
+const LOG_LEVELS = ["TRACE", "DEBUG", "INFO", "WARN", "ERROR", "FATAL"];
+const LOG_BACKLOG_LINES = 200;
+const logClients = new Set();
+let logTail = null;
+let logTimer = null;
+
+function logDir() {
+  return path.join(CONFIG.mcDataPath, "logs");
+}
+
+// Paper: "[12:00:00 INFO]: ..."; vanilla: "[12:00:00] [Server thread/INFO]: ..."
+// Lines without a level (stack traces) belong to the line before them.
+function parseLogLines(lines, previousLevel = "INFO") {
+  let level = previousLevel;
+  return lines.map((text) => {
+    const match = text.match(/^\[[^\]]*?[\s/](TRACE|DEBUG|INFO|WARN|ERROR|FATAL)\]|^\[[^\]]*\] \[[^\]]*\/(TRACE|DEBUG|INFO|WARN|ERROR|FATAL)\]/);
+    if (match) level = match[1] || match[2];
+    return { level, text };
+  });
+}
+
+function broadcastLog(entries) {
+  for (const res of logClients) {
+    for (const entry of entries) res.write(`data: ${JSON.stringify(entry)}\n\n`);
+  }
+}
+
+// Complete lines appended to latest.log since the last call, advancing
+// `tail` ({ ino, position, partial }). A fresh tail starts at the end of the
+// file; null means there is no log to read.
+function readNewLogLines(tail) {
+  const file = path.join(logDir(), "latest.log");
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (_) {
+    return null;
+  }
+
+  if (tail.ino === undefined) {
+    Object.assign(tail, { ino: stat.ino, position: stat.size, partial: "" });
+    return { lines: [], rotated: false };
+  }
+  let rotated = false;
+  if (stat.ino !== tail.ino || stat.size < tail.position) {
+    Object.assign(tail, { ino: stat.ino, position: 0, partial: "" });
+    rotated = true;
+  }
+  if (stat.size === tail.position) return { lines: [], rotated };
+
+  const length = Math.min(stat.size - tail.position, 1048576);
+  const buffer = Buffer.alloc(length);
+  const fd = fs.openSync(file, "r");
+  try {
+    fs.readSync(fd, buffer, 0, length, tail.position);
+  } finally {
+    fs.closeSync(fd);
+  }
+  tail.position += length;
+
+  const lines = (tail.partial + buffer.toString("utf-8")).split("\n");
+  tail.partial = lines.pop();
+  return { lines: lines.map((l) => l.replace(/\r$/, "")), rotated };
+}
+
+function pollLatestLog() {
+  if (!logTail) logTail = { level: "INFO" };
+  const update = readNewLogLines(logTail);
+  if (!update) return;
+  if (update.rotated) {
+    broadcastLog([{ level: "INFO", text: "── log rotated ──", marker: true }]);
+    logTail.level = "INFO";
+  }
+  const entries = parseLogLines(update.lines, logTail.level);
+  if (entries.length) {
+    logTail.level = entries[entries.length - 1].level;
+    broadcastLog(entries);
+  }
+}
+
+function readLogBacklog() {
+  const file = path.join(logDir(), "latest.log");
+  if (!fs.existsSync(file)) return [];
+  const size = fs.statSync(file).size;
+  const length = Math.min(size, 131072);
+  const buffer = Buffer.alloc(length);
+  const fd = fs.openSync(file, "r");
+  try {
+    fs.readSync(fd, buffer, 0, length, size - length);
+  } finally {
+    fs.closeSync(fd);
+  }
+  const lines = buffer.toString("utf-8").split("\n").map((l) => l.replace(/\r$/, ""));
+  if (length < size) lines.shift(); // probably cut mid-line
+  if (lines[lines.length - 1] === "") lines.pop();
+  return parseLogLines(lines.slice(-LOG_BACKLOG_LINES));
+}
+
+function streamLog(req, res) {
+  // Set rather than passed to writeHead so the audit hook can see the type
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.writeHead(200);
+  for (const entry of readLogBacklog()) {
+    res.write(`data: ${JSON.stringify({ ...entry, backlog: true })}\n\n`);
+  }
+
+  logClients.add(res);
+  if (!logTimer) {
+    pollLatestLog();
+    logTimer = setInterval(pollLatestLog, 1000);
+  }
+
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 25000);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    logClients.delete(res);
+    if (!logClients.size) {
+      clearInterval(logTimer);
+      logTimer = null;
+      logTail = null;
+    }
+  });
+}
+
+function listLogFiles() {
+  if (!fs.existsSync(logDir())) return [];
+  return fs
+    .readdirSync(logDir())
+    .filter((f) => /\.log(\.gz)?$/.test(f))
+    .map((f) => {
+      const stat = fs.statSync(path.join(logDir(), f));
+      return { name: f, sizeKB: Math.ceil(stat.size / 1024), modified: stat.mtime.toISOString() };
+    })
+    .sort((a, b) => new Date(b.modified) - new Date(a.modified));
+}
+
+// Returns `limit` lines ending at `end` (default: the end of the file), so
+// the UI can page backwards through a log.
+async function readLogFile(name, end, limit) {
+  if (!listLogFiles().some((f) => f.name === name)) {
+    return { success: false, status: 404, error: "Log file not found" };
+  }
+  let data = await fs.promises.readFile(path.join(logDir(), name));
+  if (name.endsWith(".gz")) data = await promisify(zlib.gunzip)(data);
+
+  const lines = data.toString("utf-8").split("\n").map((l) => l.replace(/\r$/, ""));
+  if (lines[lines.length - 1] === "") lines.pop();
+
+  const count = Math.min(Math.max(parseInt(limit) || 500, 1), 5000);
+  const stop = end === null || end === undefined || end === "" ? lines.length : Math.min(Math.max(parseInt(end) || 0, 0), lines.length);
+  const start = Math.max(0, stop - count);
+  // Parse from a little earlier so continuation lines get the right level
+  const context = Math.max(0, start - 50);
+  const entries = parseLogLines(lines.slice(context, stop)).slice(start - context);
+  return { success: true, name, totalLines: lines.length, start, end: stop, lines: entries };
+}
+
+// ── Player Sessions ────────────────────────────────────────────────────────
+// Joins and leaves come from latest.log; every poll also checks the RCON
+// `list`, which opens sessions the log missed (the World Manager started
+// while someone was online) and closes ones whose leave never got logged.
+// Sessions are kept in player-sessions.json for a year; the file is written
+// when a session opens or closes, and otherwise only every few minutes to
+// keep open sessions' lastSeen roughly current. Daily actives and
+// peak concurrency are worked out from them when asked for, and lifetime
+// totals come from the server's own stats/<uuid>.json in each world.
+const PLAYER_POLL_MS = 15000;
+const PLAYER_FLUSH_MS = 300000;
+const PLAYER_SESSION_RETENTION_MS = 365 * 86400000;
+const PLAYER_RANGES = { "7d": 7, "30d": 30, "90d": 90, "365d": 365 };
+const PLAYER_HISTORY_LIMIT = 200;
+
+let playerSessions = null;
+let playerSessionsSavedAt = 0;
+const playerLogTail = {};
+
+function savePlayerSessions() {
+  const cutoff = Date.now() - PLAYER_SESSION_RETENTION_MS;
+  playerSessions.sessions = playerSessions.sessions.filter((s) => !s.end || Date.parse(s.end) >= cutoff);
+  writeState("player-sessions.json", playerSessions);
+  playerSessionsSavedAt = Date.now();
+}
+
+function openSession(name) {
+  return playerSessions.sessions.find((s) => !s.end && s.name === name);
+}
+
+// Log lines first, then usercache.json; offline-mode servers derive it
+function sessionUUID(name) {
+  const known = playerSessions.players[name.toLowerCase()];
+  if (known && known.uuid) return known.uuid;
+  if (getServerProperties()["online-mode"] === "false") return offlineUUID(name);
+  try {
+    const usercache = JSON.parse(fs.readFileSync(path.join(CONFIG.mcDataPath, "usercache.json"), "utf-8"));
+    const hit = usercache.find((u) => u.name.toLowerCase() === name.toLowerCase());
+    if (hit) return hit.uuid;
+  } catch (_) {}
+  return null;
+}
+
+function rememberPlayer(name, fields) {
+  const key = name.toLowerCase();
+  const player = playerSessions.players[key] || { name, uuid: null, firstSeen: fields.lastSeen || new Date().toISOString() };
+  playerSessions.players[key] = { ...player, name, ...fields };
+}
+
+function startPlayerSession(name, time, source) {
+  if (openSession(name)) return false;
+  const uuid = sessionUUID(name);
+  rememberPlayer(name, { lastSeen: time, ...(uuid ? { uuid } : {}) });
+  playerSessions.sessions.push({
+    name,
+    uuid,
+    world: getServerProperties()["level-name"] || "world",
+    start: time,
+    end: null,
+    lastSeen: time,
+    source,
+  });
+  return true;
+}
+
+function endPlayerSession(session, time) {
+  session.end = time;
+  delete session.lastSeen;
+  rememberPlayer(session.name, { lastSeen: time });
+}
+
+// Vanilla and Paper both log "Steve joined the game" / "Steve left the game"
+// straight after the "]: " prefix; chat lines have "<name>" there instead.
+function parsePlayerLogLine(text) {
+  let match = text.match(/\]: UUID of player ([A-Za-z0-9_]{1,16}) is ([0-9a-f-]{36})$/);
+  if (match) return { type: "uuid", name: match[1], uuid: match[2] };
+  match = text.match(/\]: ([A-Za-z0-9_]{1,16}) (joined|left) the game$/);
+  if (match) return { type: match[2] === "joined" ? "join" : "leave", name: match[1] };
+  if (/\]: Stopping (the )?server$/.test(text)) return { type: "stop" };
+  return null;
+}
+
+// Log lines start with the server's local time of day, "[21:04:55 INFO]" on
+// Paper and "[21:04:55] [Server thread/INFO]" on vanilla. They are read
+// within seconds, so the day is today's, or yesterday's when the stamp is
+// ahead of `now` (written just before midnight). Unstamped lines get `now`.
+function logLineTime(text, now) {
+  const match = text.match(/^\[(\d{2}):(\d{2}):(\d{2})[\] ]/);
+  if (!match) return now;
+  const date = new Date(now);
+  date.setHours(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]), 0);
+  if (date.getTime() - Date.parse(now) > 60000) date.setDate(date.getDate() - 1);
+  return date.toISOString();
+}
+
+function applyPlayerLogLines(lines, now) {
+  let changed = false;
+  for (const line of lines) {
+    const event = parsePlayerLogLine(line);
+    if (!event) continue;
+    const time = logLineTime(line, now);
+    if (event.type === "uuid") {
+      rememberPlayer(event.name, { uuid: event.uuid });
+    } else if (event.type === "join") {
+      changed = startPlayerSession(event.name, time, "log") || changed;
+    } else {
+      const sessions = event.type === "stop"
+        ? playerSessions.sessions.filter((s) => !s.end)
+        : [openSession(event.name)].filter(Boolean);
+      sessions.forEach((s) => endPlayerSession(s, time));
+      changed = changed || sessions.length > 0;
+    }
+  }
+  return changed;
+}
+
+// A session that ends without a leave line (crash, RCON outage) ends when
+// the player was last seen online rather than when we noticed.
+function endUnseenSession(session, now) {
+  const recent = Date.parse(session.lastSeen) >= Date.parse(now) - 2 * PLAYER_POLL_MS;
+  endPlayerSession(session, recent ? now : session.lastSeen);
+}
+
+async function pollPlayerSessions() {
+  const now = new Date().toISOString();
+  const open = () => playerSessions.sessions.filter((s) => !s.end);
+  const update = readNewLogLines(playerLogTail);
+  let changed = false;
+  if (update) {
+    // A new latest.log means the server restarted
+    if (update.rotated) open().forEach((s) => endUnseenSession(s, now));
+    changed = applyPlayerLogLines(update.lines, now) || update.rotated;
+  }
+
+  // No answer from RCON says nothing about who is online
+  const status = await getServerStatus();
+  if (status.online) {
+    for (const session of open()) {
+      if (status.players.includes(session.name)) {
+        session.lastSeen = now;
+      } else {
+        endUnseenSession(session, now);
+        changed = true;
+      }
+    }
+    for (const name of status.players) changed = startPlayerSession(name, now, "list") || changed;
+  }
+
+  if (changed || (open().length && Date.now() - playerSessionsSavedAt >= PLAYER_FLUSH_MS)) savePlayerSessions();
+}
+
+function startPlayerTracking() {
+  playerSessions = readState("player-sessions.json", {});
+  if (!playerSessions.players) playerSessions.players = {};
+  if (!Array.isArray(playerSessions.sessions)) playerSessions.sessions = [];
+
+  // Sessions left open while the World Manager was down end when they were
+  // last seen; anyone still online gets a new one from the first `list`.
+  // The stored lastSeen can be up to PLAYER_FLUSH_MS old.
+  const stale = Date.now() - PLAYER_FLUSH_MS - 2 * PLAYER_POLL_MS;
+  for (const session of playerSessions.sessions.filter((s) => !s.end)) {
+    if (Date.parse(session.lastSeen) < stale) endPlayerSession(session, session.lastSeen);
+  }
+  savePlayerSessions();
+
+  const poll = async () => {
+    try {
+      await pollPlayerSessions();
+    } catch (err) {
+      console.error("Player session poll failed:", err.message);
+    }
+    setTimeout(poll, PLAYER_POLL_MS);
+  };
+  poll();
+}
+
+// ── Player Stats
+
+// stats/<uuid>.json keeps counters since the player first joined that
+// world. play_time replaced play_one_minute (also ticks) in 1.17.
+function summarizeStats(stats) {
+  const custom = (stats.stats || {})["minecraft:custom"] || {};
+  const ticks = custom["minecraft:play_time"] ?? custom["minecraft:play_one_minute"] ?? 0;
+  const centimetres = Object.entries(custom)
+    .filter(([key]) => key.endsWith("_one_cm"))
+    .reduce((sum, [, value]) => sum + value, 0);
+  return {
+    playTimeSec: Math.round(ticks / 20),
+    deaths: custom["minecraft:deaths"] || 0,
+    distanceKm: Math.round(centimetres / 1000) / 100,
+    mobKills: custom["minecraft:mob_kills"] || 0,
+    playerKills: custom["minecraft:player_kills"] || 0,
+    jumps: custom["minecraft:jump"] || 0,
+  };
+}
+
+function addStats(total, stats) {
+  for (const [key, value] of Object.entries(stats)) total[key] = Math.round(((total[key] || 0) + value) * 100) / 100;
+  return total;
+}
+
+// { uuid: { total, worlds: { world: summary } } } for every stats file on disk
+function readAllPlayerStats() {
+  const result = {};
+  let entries;
+  try {
+    entries = fs.readdirSync(CONFIG.mcDataPath, { withFileTypes: true });
+  } catch (_) {
+    return result;
+  }
+  for (const entry of entries) {
+    const dir = path.join(CONFIG.mcDataPath, entry.name, "stats");
+    if (!entry.isDirectory() || !fs.existsSync(dir)) continue;
+    for (const file of fs.readdirSync(dir)) {
+      const match = file.match(/^([0-9a-f-]{36})\.json$/);
+      if (!match) continue;
+      let summary;
+      try {
+        summary = summarizeStats(JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8")));
+      } catch (_) {
+        continue;
+      }
+      const player = result[match[1]] || (result[match[1]] = { total: {}, worlds: {} });
+      player.worlds[entry.name] = summary;
+      addStats(player.total, summary);
+    }
+  }
+  return result;
+}
+
+// ── Player Analytics
+
+function localDay(ms) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function startOfLocalDay(ms) {
+  const d = new Date(ms);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+// Not ms + 24h: local days are 23 or 25 hours long across DST changes
+function nextLocalMidnight(ms) {
+  const d = new Date(ms);
+  d.setHours(24, 0, 0, 0);
+  return d.getTime();
+}
+
+// Sessions cut at local midnights: [{ day, name, start, end }] in ms
+function sessionSegments(sessions, since, until) {
+  const segments = [];
+  for (const s of sessions) {
+    let start = Math.max(Date.parse(s.start), since);
+    const end = Math.min(s.end ? Date.parse(s.end) : until, until);
+    while (start < end) {
+      const next = Math.min(end, nextLocalMidnight(start));
+      segments.push({ day: localDay(start), name: s.name, start, end: next });
+      start = next;
+    }
+  }
+  return segments;
+}
+
+// Most players online at once: leaves sort before joins at the same instant
+function peakConcurrency(segments) {
+  const events = segments.flatMap((s) => [[s.start, 1], [s.end, -1]]).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  let current = 0;
+  let peak = { count: 0, time: null };
+  for (const [time, delta] of events) {
+    current += delta;
+    if (current > peak.count) peak = { count: current, time: new Date(time).toISOString() };
+  }
+  return peak;
+}
+
+function getPlayerAnalytics(range) {
+  const days = PLAYER_RANGES[range || "30d"];
+  if (!days) return { success: false, status: 400, error: "Range must be one of: " + Object.keys(PLAYER_RANGES).join(", ") };
+
+  const now = Date.now();
+  const since = startOfLocalDay(now - (days - 1) * 86400000);
+  const segments = sessionSegments(playerSessions.sessions, since, now);
+
+  const daily = [];
+  for (let t = since; t <= now; t = nextLocalMidnight(t)) {
+    const day = localDay(t);
+    const daySegments = segments.filter((s) => s.day === day);
+    daily.push({
+      date: day,
+      t,
+      activePlayers: new Set(daySegments.map((s) => s.name)).size,
+      peakOnline: peakConcurrency(daySegments).count,
+      playtimeSec: Math.round(daySegments.reduce((sum, s) => sum + s.end - s.start, 0) / 1000),
+    });
+  }
+
+  const stats = readAllPlayerStats();
+  // A UUID line alone can be a join the whitelist turned away
+  const players = Object.values(playerSessions.players).filter((p) => p.lastSeen).map((p) => {
+    const own = segments.filter((s) => s.name === p.name);
+    return {
+      name: p.name,
+      uuid: p.uuid,
+      online: Boolean(openSession(p.name)),
+      firstSeen: p.firstSeen,
+      lastSeen: p.lastSeen,
+      sessions: playerSessions.sessions.filter((s) => s.name === p.name && (s.end ? Date.parse(s.end) : now) >= since).length,
+      daysActive: new Set(own.map((s) => s.day)).size,
+      playtimeSec: Math.round(own.reduce((sum, s) => sum + s.end - s.start, 0) / 1000),
+      stats: (stats[p.uuid] || {}).total || null,
+    };
+  });
+
+  // Players with stats from before tracking started
+  const tracked = new Set(players.map((p) => p.uuid));
+  let usercache = [];
+  try {
+    usercache = JSON.parse(fs.readFileSync(path.join(CONFIG.mcDataPath, "usercache.json"), "utf-8"));
+  } catch (_) {}
+  for (const [uuid, entry] of Object.entries(stats)) {
+    if (tracked.has(uuid)) continue;
+    const cached = usercache.find((u) => u.uuid === uuid);
+    players.push({
+      name: cached ? cached.name : uuid,
+      uuid,
+      online: false,
+      firstSeen: null,
+      lastSeen: null,
+      sessions: 0,
+      daysActive: 0,
+      playtimeSec: 0,
+      stats: entry.total,
+    });
+  }
+  players.sort((a, b) => b.online - a.online || b.playtimeSec - a.playtimeSec ||
+    ((b.stats || {}).playTimeSec || 0) - ((a.stats || {}).playTimeSec || 0));
+
+  return {
+    success: true,
+    range: range || "30d",
+    since: new Date(since).toISOString(),
+    activePlayers: new Set(segments.map((s) => s.name)).size,
+    playtimeSec: daily.reduce((sum, d) => sum + d.playtimeSec, 0),
+    peak: peakConcurrency(segments),
+    online: playerSessions.sessions.filter((s) => !s.end).map((s) => s.name),
+    trackingSince: playerSessions.sessions.length ? playerSessions.sessions[0].start : null,
+    daily,
+    players,
+  };
+}
+
+function getPlayerHistory(name) {
+  if (!PLAYER_NAME_RE.test(name || "")) return { success: false, status: 400, error: "Invalid player name" };
+  const player = playerSessions.players[name.toLowerCase()];
+  const uuid = player ? player.uuid : sessionUUID(name);
+  const stats = uuid ? readAllPlayerStats()[uuid] : null;
+  if (!player && !stats) return { success: false, status: 404, error: "Player not found" };
+
+  const now = Date.now();
+  const sessions = playerSessions.sessions
+    .filter((s) => s.name.toLowerCase() === name.toLowerCase())
+    .reverse()
+    .slice(0, PLAYER_HISTORY_LIMIT)
+    .map((s) => ({
+      world: s.world,
+      start: s.start,
+      end: s.end,
+      durationSec: Math.round(((s.end ? Date.parse(s.end) : now) - Date.parse(s.start)) / 1000),
+    }));
+
+  const since = startOfLocalDay(now - 29 * 86400000);
+  const segments = sessionSegments(playerSessions.sessions.filter((s) => s.name.toLowerCase() === name.toLowerCase()), since, now);
+  const daily = [];
+  for (let t = since; t <= now; t = nextLocalMidnight(t)) {
+    const day = localDay(t);
+    daily.push({
+      date: day,
+      t,
+      playtimeSec: Math.round(segments.filter((s) => s.day === day).reduce((sum, s) => sum + s.end - s.start, 0) / 1000),
+    });
+  }
+
+  return {
+    success: true,
+    name: player ? player.name : name,
+    uuid,
+    online: Boolean(player && openSession(player.name)),
+    firstSeen: player ? player.firstSeen : null,
+    lastSeen: player ? player.lastSeen : null,
+    stats: stats ? stats.total : null,
+    worlds: stats ? stats.worlds : {},
+    daily,
+    sessions,
+  };
+}
+
+// ── Metrics ────────────────────────────────────────────────────────────────
+// Sampled every CONFIG.metricsIntervalSec and kept in metrics.json at three
+// resolutions. Each coarser tier averages the samples that land in the same
+// bucket as they arrive, so there is no separate rollup pass to schedule.
+const METRIC_FIELDS = ["tps", "mspt", "players", "worldBytes", "backupBytes", "freeBytes"];
+const METRIC_TIERS = [
+  { name: "raw", bucketMs: 0, retentionMs: 86400000 },
+  { name: "15m", bucketMs: 15 * 60000, retentionMs: 7 * 86400000 },
+  { name: "2h", bucketMs: 2 * 3600000, retentionMs: 90 * 86400000 },
+];
+const METRIC_RANGES = { "1h": 3600000, "24h": 86400000, "7d": 7 * 86400000, "90d": 90 * 86400000 };
+
+let metricsHistory = null;
+let latestSample = null;
+
+// Paper colours its replies with § codes
+function stripFormatting(text) {
+  return text.replace(/§./g, "");
+}
+
+// "TPS from last 1m, 5m, 15m: 20.0, 19.98, *20.0" -> 20.0 (the 1m average)
+function parseTps(response) {
+  const match = stripFormatting(response).match(/TPS from last [^:]*:\s*\*?([\d.]+)/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+// First avg/min/max triple is the last 5s; we keep the average
+function parseMspt(response) {
+  const match = stripFormatting(response).match(/([\d.]+)\/[\d.]+\/[\d.]+/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+async function collectSample() {
+  const status = await getServerStatus();
+  let tps = null;
+  let mspt = null;
+  if (status.online) {
+    const tpsResult = await rconCommand("tps");
+    if (tpsResult.success) tps = parseTps(tpsResult.response);
+    const msptResult = await rconCommand("mspt");
+    if (msptResult.success) mspt = parseMspt(msptResult.response);
+  }
+
+  // The storage graph plots these, so wait for fresh sizes here
+  const dirs = getWorlds().map((w) => path.join(CONFIG.mcDataPath, w.name));
+  if (fs.existsSync(CONFIG.backupDir)) dirs.push(CONFIG.backupDir);
+  await Promise.all(dirs.map(refreshDirectorySize));
+
+  const worlds = getWorlds();
+  return {
+    t: Date.now(),
+    online: status.online,
+    tps,
+    mspt,
+    players: status.online ? status.playerCount : null,
+    maxPlayers: status.online ? status.maxPlayers : null,
+    worlds: Object.fromEntries(worlds.map((w) => [w.name, w.sizeBytes])),
+    worldBytes: worlds.reduce((sum, w) => sum + w.sizeBytes, 0),
+    backupBytes: fs.existsSync(CONFIG.backupDir) ? directorySize(CONFIG.backupDir) : 0,
+    freeBytes: freeDiskBytes(CONFIG.mcDataPath),
+  };
+}
+
+// Fields that were null (server offline) are left out of the averages so a
+// bucket that was partly offline still shows the real TPS.
+function recordSample(sample) {
+  for (const tier of METRIC_TIERS) {
+    const points = metricsHistory[tier.name];
+    const last = points[points.length - 1];
+    const bucket = tier.bucketMs ? sample.t - (sample.t % tier.bucketMs) : sample.t;
+
+    if (tier.bucketMs && last && last.t === bucket) {
+      for (const field of METRIC_FIELDS) {
+        if (sample[field] == null) continue;
+        const n = last.n[field] || 0;
+        last[field] = ((last[field] || 0) * n + sample[field]) / (n + 1);
+        last.n[field] = n + 1;
+      }
+    } else {
+      const point = { t: bucket };
+      for (const field of METRIC_FIELDS) point[field] = sample[field];
+      if (tier.bucketMs) {
+        point.n = {};
+        for (const field of METRIC_FIELDS) if (sample[field] != null) point.n[field] = 1;
+      }
+      points.push(point);
+    }
+
+    const cutoff = sample.t - tier.retentionMs;
+    while (points.length && points[0].t < cutoff) points.shift();
+  }
+  writeState("metrics.json", metricsHistory);
+}
+
+function getMetricsHistory(range) {
+  const span = METRIC_RANGES[range || "24h"];
+  if (!span) return { success: false, status: 400, error: "Range must be one of: " + Object.keys(METRIC_RANGES).join(", ") };
+
+  // The finest tier that still covers the whole range
+  const tier = METRIC_TIERS.find((t) => t.retentionMs >= span);
+  const since = Date.now() - span;
+  const round = (v) => (v == null ? null : Math.round(v * 100) / 100);
+  return {
+    success: true,
+    range: range || "24h",
+    bucketMs: tier.bucketMs || CONFIG.metricsIntervalSec * 1000,
+    points: metricsHistory[tier.name]
+      .filter((p) => p.t >= since)
+      .map((p) => Object.fromEntries([["t", p.t], ...METRIC_FIELDS.map((f) => [f, round(p[f])])])),
+    latest: latestSample,
+  };
+}
+
+function startMetrics() {
+  metricsHistory = readState("metrics.json", {});
+  for (const tier of METRIC_TIERS) {
+    if (!Array.isArray(metricsHistory[tier.name])) metricsHistory[tier.name] = [];
+  }
+  const sample = async () => {
+    try {
+      latestSample = await collectSample();
+      recordSample(latestSample);
+    } catch (err) {
+      console.error("Metrics sample failed:", err.message);
+    }
+    setTimeout(sample, CONFIG.metricsIntervalSec * 1000);
+  };
+  sample();
+}
+
+// Prometheus text exposition of the latest sample
+function renderPrometheusMetrics() {
+  const lines = [];
+  const label = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+  const gauge = (name, help, values) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+    for (const [labels, value] of values) {
+      if (value != null) lines.push(`${name}${labels} ${value}`);
+    }
+  };
+
+  const s = latestSample;
+  if (!s) return "# No samples collected yet\n";
+  gauge("minecraft_up", "Whether the server answers RCON.", [["", s.online ? 1 : 0]]);
+  gauge("minecraft_tps", "Ticks per second over the last minute.", [["", s.tps]]);
+  gauge("minecraft_mspt", "Average milliseconds per tick over the last 5 seconds.", [["", s.mspt]]);
+  gauge("minecraft_players_online", "Players currently online.", [["", s.players]]);
+  gauge("minecraft_players_max", "Player limit.", [["", s.maxPlayers]]);
+  gauge("minecraft_world_size_bytes", "Size of each world folder.",
+    Object.entries(s.worlds).map(([name, bytes]) => [`{world="${label(name)}"}`, bytes]));
+  gauge("world_manager_backup_dir_bytes", "Disk space used by local backups.", [["", s.backupBytes]]);
+  gauge("world_manager_disk_free_bytes", "Free space on the data volume.", [["", s.freeBytes]]);
+  gauge("world_manager_last_sample_timestamp_seconds", "When the values above were sampled.", [["", s.t / 1000]]);
+  return lines.join("\n") + "\n";
+}
+
+// Scrapers send "Authorization: Bearer <WM_METRICS_TOKEN>"; a logged-in
+// browser session works too. Without a token set, only sessions get in.
+function serveMetrics(req, res) {
+  let authorized = Boolean(getSession(req));
+  if (!authorized && CONFIG.metricsToken) {
+    const expected = Buffer.from(`Bearer ${CONFIG.metricsToken}`);
+    const given = Buffer.from(req.headers.authorization || "");
+    authorized = given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+  if (!authorized) {
+    res.writeHead(401, { "Content-Type": "text/plain", "WWW-Authenticate": "Bearer" });
+    return res.end("Unauthorized\n");
+  }
+  res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+  res.end(renderPrometheusMetrics());
+}
+
+// ── Audit Log ──────────────────────────────────────────────────────────────
+// Every mutating API call, console command and finished job is appended as
+// one JSON line to audit/audit.log in the state directory. The file rotates
+// to audit.log.1, .2, ... at AUDIT_MAX_BYTES; the oldest is dropped.
+const AUDIT_MAX_BYTES = 5 * 1048576;
+const AUDIT_KEEP_FILES = 10;
+const AUDIT_QUERY_LIMIT = 1000;
+const AUDIT_REDACT = /pass|secret|token|^url$/i;
+
+function auditDir() {
+  return path.join(CONFIG.stateDir, "audit");
+}
+
+function redactParams(value) {
+  if (Array.isArray(value)) return value.map(redactParams);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(Object.entries(value).map(([key, v]) =>
+    [key, AUDIT_REDACT.test(key) ? "[redacted]" : redactParams(v)]));
+}
+
+// The world an action concerns, when the parameters name one. "name" only
+// means a world on the worlds/ routes.
+function auditWorld(action, params) {
+  const name = params.world || params.target || (action.startsWith("worlds/") ? params.name : null);
+  if (typeof name === "string" && /^[a-zA-Z0-9_-]+$/.test(name)) return name;
+  const parsed = typeof params.filename === "string" ? parseBackupFilename(params.filename) : null;
+  return parsed ? parsed.world : null;
+}
+
+function recordAudit({ user = null, ip = null, action, params = {}, result }) {
+  const entry = {
+    time: new Date().toISOString(),
+    user,
+    ip,
+    action,
+    world: auditWorld(action, params),
+    params: redactParams(params),
+    success: Boolean(result && result.success),
+    error: result && !result.success ? result.error || result.response || "Failed" : null,
+  };
+  if (result && result.jobId) entry.jobId = result.jobId;
+
+  try {
+    const dir = auditDir();
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    const file = path.join(dir, "audit.log");
+    const line = JSON.stringify(entry) + "\n";
+    if (fs.existsSync(file) && fs.statSync(file).size + line.length > AUDIT_MAX_BYTES) {
+      fs.rmSync(`${file}.${AUDIT_KEEP_FILES - 1}`, { force: true });
+      for (let i = AUDIT_KEEP_FILES - 2; i >= 1; i--) {
+        if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+      }
+      fs.renameSync(file, `${file}.1`);
+    }
+    fs.appendFileSync(file, line, { mode: 0o600 });
+  } catch (err) {
+    console.error("Could not write the audit log:", err.message);
+  }
+}
+
+// Records an API request once its response is over, however it ended: a
+// denial, a failed or thrown handler, a download or an event stream. The
+// router fills in `audit` ({ user, action, params, result }) as it goes;
+// without a result, the status code and whether the body was sent decide.
+function auditResponse(req, res, audit) {
+  // Gone from the socket by the time a stream closes
+  const ip = req.socket.remoteAddress;
+  res.on("close", () => {
+    let result = audit.result;
+    if (!result) {
+      // Event streams only ever end by the client leaving
+      const stream = res.getHeader("Content-Type") === "text/event-stream";
+      if (res.statusCode >= 400) result = { success: false, error: `HTTP ${res.statusCode} ${http.STATUS_CODES[res.statusCode]}` };
+      else if (!res.writableFinished && !stream) result = { success: false, error: "Client disconnected before the response was sent" };
+      else result = { success: true };
+    }
+    recordAudit({ user: audit.user, ip, action: audit.action, params: audit.params, result });
+  });
+}
+
+// Oldest first, across the rotated files
+function readAuditEntries() {
+  const file = path.join(auditDir(), "audit.log");
+  const entries = [];
+  for (let i = AUDIT_KEEP_FILES - 1; i >= 0; i--) {
+    let text;
+    try {
+      text = fs.readFileSync(i ? `${file}.${i}` : file, "utf-8");
+    } catch (_) {
+      continue;
+    }
+    for (const line of text.split("\n")) {
+      if (!line) continue;
+      try { entries.push(JSON.parse(line)); } catch (_) {}
+    }
+  }
+  return entries;
+}
+
+function queryAudit(searchParams, limit = Infinity) {
+  const action = searchParams.get("action");
+  const world = searchParams.get("world");
+  const from = searchParams.get("from") ? Date.parse(searchParams.get("from")) : null;
+  const to = searchParams.get("to") ? Date.parse(searchParams.get("to")) : null;
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return { success: false, status: 400, error: "from and to must be dates" };
+  }
+
+  const all = readAuditEntries();
+  const entries = all.filter((e) => {
+    const time = Date.parse(e.time);
+    return (!action || e.action === action) &&
+      (!world || e.world === world) &&
+      (from === null || time >= from) &&
+      (to === null || time <= to);
+  }).reverse();
+  return {
+    success: true,
+    actions: [...new Set(all.map((e) => e.action))].sort(),
+    worlds: [...new Set(all.map((e) => e.world).filter(Boolean))].sort(),
+    total: entries.length,
+    entries: entries.slice(0, limit),
+  };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? ""
+    : typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportAudit(res, searchParams) {
+  const result = queryAudit(searchParams);
+  if (!result.success) return sendJSON(res, 400, result);
+  const format = searchParams.get("format") === "csv" ? "csv" : "json";
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  let body;
+  if (format === "csv") {
+    const columns = ["time", "user", "ip", "action", "world", "success", "error", "jobId", "params"];
+    body = [columns.join(","), ...result.entries.map((e) => columns.map((c) => csvField(e[c])).join(","))].join("\r\n") + "\r\n";
+  } else {
+    body = JSON.stringify(result.entries, null, 2);
+  }
+  res.writeHead(200, {
+    "Content-Type": format === "csv" ? "text/csv" : "application/json",
+    "Content-Disposition": `attachment; filename="audit_${stamp}.${format}"`,
+  });
+  res.end(body);
+}
+
+// ── Notifications ──────────────────────────────────────────────────────────
+// Webhook targets in notifications.json, each subscribed to a set of events.
+// Deliveries run in the background and are retried with exponential backoff
+// on network errors, 429 and 5xx; nothing a webhook does can fail an action.
+const NOTIFY_EVENTS = {
+  "server.online": "Server came online",
+  "server.offline": "Server went offline",
+  "player.join": "Player joined",
+  "player.leave": "Player left",
+  "backup.succeeded": "Backup succeeded",
+  "backup.failed": "Backup failed",
+  "upload.succeeded": "Upload succeeded",
+  "upload.failed": "Upload failed",
+  "world.created": "World created",
+  "world.deleted": "World deleted",
+  "disk.low": "Low disk space",
+};
+const NOTIFY_FORMATS = ["generic", "discord", "slack"];
+const NOTIFY_POLL_MS = 15000;
+const NOTIFY_RETRY_DELAYS_MS = [5000, 30000, 120000, 600000];
+const NOTIFY_TIMEOUT_MS = 10000;
+const DEFAULT_LOW_DISK_MB = 2048;
+
+// Last delivery per target, for the settings page
+const notifyDeliveries = new Map();
+
+function loadNotificationSettings() {
+  const stored = readState("notifications.json", {});
+  return {
+    targets: Array.isArray(stored.targets) ? stored.targets : [],
+    lowDiskMB: stored.lowDiskMB ?? DEFAULT_LOW_DISK_MB,
+  };
+}
+
+// Webhook URLs carry their credentials in the path, so only the host is shown
+function maskWebhookUrl(url) {
+  try {
+    return new URL(url).origin + "/…";
+  } catch (_) {
+    return "";
+  }
+}
+
+function getNotificationSettings() {
+  const { targets, lowDiskMB } = loadNotificationSettings();
+  return {
+    events: NOTIFY_EVENTS,
+    formats: NOTIFY_FORMATS,
+    lowDiskMB,
+    targets: targets.map(({ url, ...t }) => ({
+      ...t,
+      url: maskWebhookUrl(url),
+      lastDelivery: notifyDeliveries.get(t.id) || null,
+    })),
+  };
+}
+
+function saveNotificationTarget(options) {
+  const { id, name, format, url, enabled } = options || {};
+  const events = Array.isArray(options && options.events) ? options.events : [];
+  const settings = loadNotificationSettings();
+  let target = settings.targets.find((t) => t.id === id);
+  if (id && !target) return { success: false, status: 404, error: "Notification target not found" };
+
+  if (!name || typeof name !== "string" || name.length > 64) {
+    return { success: false, status: 400, error: "Name must be 1-64 characters" };
+  }
+  if (!NOTIFY_FORMATS.includes(format)) {
+    return { success: false, status: 400, error: "Format must be one of: " + NOTIFY_FORMATS.join(", ") };
+  }
+  // Editing without a new URL keeps the stored one
+  if (url || !target) {
+    let parsed;
+    try { parsed = new URL(url); } catch (_) {}
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+      return { success: false, status: 400, error: "Webhook URL must be an http(s) URL" };
+    }
+  }
+  const unknown = events.filter((e) => !(e in NOTIFY_EVENTS));
+  if (unknown.length) return { success: false, status: 400, error: "Unknown events: " + unknown.join(", ") };
+
+  if (!target) {
+    target = { id: crypto.randomBytes(6).toString("hex") };
+    settings.targets.push(target);
+  }
+  Object.assign(target, { name, format, enabled: enabled !== false, events });
+  if (url) target.url = url;
+  writeState("notifications.json", settings);
+  return { success: true, id: target.id };
+}
+
+function deleteNotificationTarget(id) {
+  const settings = loadNotificationSettings();
+  if (!settings.targets.some((t) => t.id === id)) {
+    return { success: false, status: 404, error: "Notification target not found" };
+  }
+  settings.targets = settings.targets.filter((t) => t.id !== id);
+  writeState("notifications.json", settings);
+  notifyDeliveries.delete(id);
+  return { success: true };
+}
+
+function saveNotificationSettings(options) {
+  const lowDiskMB = parseInt((options || {}).lowDiskMB);
+  if (!Number.isInteger(lowDiskMB) || lowDiskMB < 0) {
+    return { success: false, status: 400, error: "Low disk threshold must be a whole number of MB (0 turns it off)" };
+  }
+  const settings = loadNotificationSettings();
+  settings.lowDiskMB = lowDiskMB;
+  writeState("notifications.json", settings);
+  return { success: true };
+}
+
+function notificationPayload(format, event) {
+  const title = NOTIFY_EVENTS[event.type] || event.type;
+  if (format === "discord") {
+    const color = /failed|offline|low/.test(event.type) ? 0xe74c3c : 0x2ecc71;
+    return {
+      username: "MC World Manager",
+      embeds: [{ title, description: event.message, color, timestamp: event.time }],
+    };
+  }
+  if (format === "slack") {
+    return { text: `*${title}*\n${event.message}` };
+  }
+  return { event: event.type, title, message: event.message, details: event.details, time: event.time };
+}
+
+async function postWebhook(target, event) {
+  let res;
+  try {
+    res = await fetch(target.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(notificationPayload(target.format, event)),
+      signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS),
+    });
+  } catch (err) {
+    return { success: false, retry: true, error: err.cause ? err.cause.message : err.message };
+  }
+  res.body && res.body.cancel().catch(() => {});
+  if (res.ok) return { success: true };
+  const retryAfter = parseInt(res.headers.get("retry-after"));
+  return {
+    success: false,
+    retry: res.status === 429 || res.status >= 500,
+    retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null,
+    error: `HTTP ${res.status}`,
+  };
+}
+
+async function deliverNotification(target, event, attempt = 0) {
+  const result = await postWebhook(target, event);
+  notifyDeliveries.set(target.id, {
+    time: new Date().toISOString(),
+    event: event.type,
+    success: result.success,
+    error: result.error || null,
+    attempt: attempt + 1,
+  });
+  if (result.success || !result.retry || attempt >= NOTIFY_RETRY_DELAYS_MS.length) {
+    if (!result.success) console.error(`Notification to ${target.name} failed: ${result.error}`);
+    return;
+  }
+  const delay = Math.max(NOTIFY_RETRY_DELAYS_MS[attempt], result.retryAfterMs || 0);
+  setTimeout(() => {
+    // Deleted, disabled or unsubscribed in the meantime: stop. An edited URL
+    // or format applies to the next attempt.
+    const current = loadNotificationSettings().targets.find((t) => t.id === target.id);
+    if (current && current.enabled && current.events.includes(event.type)) {
+      deliverNotification(current, event, attempt + 1);
+    }
+  }, delay);
+}
+
+function notify(type, message, details = {}) {
+  const event = { type, message, details, time: new Date().toISOString() };
+  for (const target of loadNotificationSettings().targets) {
+    if (target.enabled && target.events.includes(type)) deliverNotification(target, event);
+  }
+}
+
+// Sent once, without retries, so the button reports what actually happened
+async function testNotificationTarget(id) {
+  const target = loadNotificationSettings().targets.find((t) => t.id === id);
+  if (!target) return { success: false, status: 404, error: "Notification target not found" };
+  const result = await postWebhook(target, {
+    type: "test",
+    message: "Test notification from MC World Manager",
+    details: {},
+    time: new Date().toISOString(),
+  });
+  return result.success
+    ? { success: true, message: `Test notification sent to ${target.name}` }
+    : { success: false, status: 502, error: result.error };
+}
+
+// Watches for online/offline transitions, joins and leaves, and free disk
+// space. The first poll only records a baseline.
+function startNotifications() {
+  let previous = null;
+  let diskLow = false;
+  const poll = async () => {
+    try {
+      const status = await getServerStatus();
+      if (previous && status.online !== previous.online) {
+        notify(status.online ? "server.online" : "server.offline",
+          status.online ? "The Minecraft server is back online." : "The Minecraft server stopped responding to RCON.");
+      }
+      if (previous && status.online && previous.online) {
+        for (const name of status.players.filter((p) => !previous.players.includes(p))) {
+          notify("player.join", `${name} joined the server.`, { player: name });
+        }
+        for (const name of previous.players.filter((p) => !status.players.includes(p))) {
+          notify("player.leave", `${name} left the server.`, { player: name });
+        }
+      }
+      previous = status;
+
+      const { lowDiskMB } = loadNotificationSettings();
+      const freeMB = Math.floor(freeDiskBytes(CONFIG.mcDataPath) / 1048576);
+      if (lowDiskMB > 0 && freeMB < lowDiskMB && !diskLow) {
+        notify("disk.low", `Only ${freeMB} MB of disk space is left on the data volume.`, { freeMB, thresholdMB: lowDiskMB });
+      }
+      diskLow = lowDiskMB > 0 && freeMB < lowDiskMB;
+    } catch (err) {
+      console.error("Notification poll failed:", err.message);
+    }
+    setTimeout(poll, NOTIFY_POLL_MS);
+  };
+  poll();
+}
+
+// ── Authentication & Sessions ──────────────────────────────────────────────
+const ROLES = ["viewer", "operator", "admin"];
+const SESSION_COOKIE = "wm_session";
+const sessions = new Map();
+const loginFailures = new Map();
+
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return { salt, hash };
+}
+
+function verifyPassword(password, user) {
+  const { hash } = hashPassword(password, user.salt);
+  return crypto.timingSafeEqual(Buffer.from(hash, "hex"), Buffer.from(user.hash, "hex"));
+}
+
+function loadUsers() {
+  return readState("users.json", []);
+}
+
+function saveUsers(users) {
+  writeState("users.json", users);
+}
+
+function publicUser(user) {
+  return { username: user.username, role: user.role, created: user.created };
+}
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < 8) {
+    return "Password must be at least 8 characters.";
+  }
+  return null;
+}
+
+// On first start there are no accounts, so seed an admin from the environment
+// (or a random password printed to the container log).
+function ensureAdminUser() {
+  if (loadUsers().length) return;
+
+  const username = process.env.WM_ADMIN_USER || "admin";
+  let password = process.env.WM_ADMIN_PASSWORD;
+  if (!password) {
+    password = crypto.randomBytes(12).toString("base64url");
+    console.log(`  Created initial admin account "${username}" with password: ${password}`);
+    console.log("  Change it from the Users tab after logging in.");
+  }
+
+  saveUsers([{
+    username,
+    role: "admin",
+    ...hashPassword(password),
+    created: new Date().toISOString(),
+  }]);
+}
+
+function listUsers() {
+  return loadUsers().map(publicUser);
+}
+
+function createUser(options) {
+  const { username, password, role } = options;
+
+  if (!username || !/^[a-zA-Z0-9_.-]{1,32}$/.test(username)) {
+    return { success: false, status: 400, error: "Invalid username. Use up to 32 letters, numbers, dots, hyphens, underscores." };
+  }
+  if (!ROLES.includes(role)) {
+    return { success: false, status: 400, error: "Role must be one of: " + ROLES.join(", ") };
+  }
+  const passwordError = validatePassword(password);
+  if (passwordError) return { success: false, status: 400, error: passwordError };
+
+  const users = loadUsers();
+  if (users.some((u) => u.username === username)) {
+    return { success: false, status: 409, error: "A user with that name already exists." };
+  }
+
+  users.push({ username, role, ...hashPassword(password), created: new Date().toISOString() });
+  saveUsers(users);
+  return { success: true, user: publicUser(users[users.length - 1]) };
+}
+
+function updateUser(options, session) {
+  const { username, role, password } = options;
+  const users = loadUsers();
+  const user = users.find((u) => u.username === username);
+  if (!user) return { success: false, status: 404, error: "User not found" };
+
+  if (role !== undefined) {
+    if (!ROLES.includes(role)) {
+      return { success: false, status: 400, error: "Role must be one of: " + ROLES.join(", ") };
+    }
+    if (user.role === "admin" && role !== "admin" &&
+        users.filter((u) => u.role === "admin").length === 1) {
+      return { success: false, status: 409, error: "Cannot demote the last admin account." };
+    }
+    user.role = role;
+  }
+
+  if (password !== undefined) {
+    const passwordError = validatePassword(password);
+    if (passwordError) return { success: false, status: 400, error: passwordError };
+    Object.assign(user, hashPassword(password));
+  }
+
+  saveUsers(users);
+  // Role or password changes take effect immediately for other sessions
+  endSessionsFor(username, username === session.username ? session.token : null);
+  if (username === session.username) session.role = user.role;
+  return { success: true, user: publicUser(user) };
+}
+
+function deleteUser(username, session) {
+  if (username === session.username) {
+    return { success: false, status: 409, error: "You cannot delete your own account." };
+  }
+  const users = loadUsers();
+  const user = users.find((u) => u.username === username);
+  if (!user) return { success: false, status: 404, error: "User not found" };
+  if (user.role === "admin" && users.filter((u) => u.role === "admin").length === 1) {
+    return { success: false, status: 409, error: "Cannot delete the last admin account." };
+  }
+
+  saveUsers(users.filter((u) => u.username !== username));
+  endSessionsFor(username);
+  return { success: true };
+}
+
+function changeOwnPassword(options, session) {
+  const { currentPassword, newPassword } = options;
+  const users = loadUsers();
+  const user = users.find((u) => u.username === session.username);
+  if (!user || typeof currentPassword !== "string" || !verifyPassword(currentPassword, user)) {
+    return { success: false, status: 403, error: "Current password is incorrect." };
+  }
+  const passwordError = validatePassword(newPassword);
+  if (passwordError) return { success: false, status: 400, error: passwordError };
+
+  Object.assign(user, hashPassword(newPassword));
+  saveUsers(users);
+  endSessionsFor(user.username, session.token);
+  return { success: true };
+}
+
+function parseCookies(req) {
+  const cookies = {};
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const idx = part.indexOf("=");
+    if (idx === -1) continue;
+    // A value that does not decode is treated as absent
+    try {
+      cookies[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch (_) {}
+  }
+  return cookies;
+}
+
+function getSession(req) {
+  const token = parseCookies(req)[SESSION_COOKIE];
+  if (!token) return null;
+  const session = sessions.get(token);
+  if (!session) return null;
+  if (session.expires < Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  session.expires = Date.now() + CONFIG.sessionTtlHours * 3600000;
+  return session;
+}
+
+function endSessionsFor(username, exceptToken = null) {
+  for (const [token, session] of sessions) {
+    if (session.username === username && token !== exceptToken) sessions.delete(token);
+  }
+}
+
+function login(body, req, res) {
+  const ip = req.socket.remoteAddress;
+  const failures = loginFailures.get(ip);
+  if (failures && failures.count >= 5 && Date.now() - failures.last < 15 * 60000) {
+    return { success: false, status: 429, error: "Too many failed logins. Try again in 15 minutes." };
+  }
+
+  const { username, password } = body;
+  const user = loadUsers().find((u) => u.username === username);
+  if (!user || typeof password !== "string" || !verifyPassword(password, user)) {
+    const count = failures && Date.now() - failures.last < 15 * 60000 ? failures.count + 1 : 1;
+    loginFailures.set(ip, { count, last: Date.now() });
+    return { success: false, status: 401, error: "Invalid username or password" };
+  }
+  loginFailures.delete(ip);
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const session = {
+    token,
+    username: user.username,
+    role: user.role,
+    csrfToken: crypto.randomBytes(32).toString("hex"),
+    expires: Date.now() + CONFIG.sessionTtlHours * 3600000,
+  };
+  sessions.set(token, session);
+
+  res.setHeader("Set-Cookie",
+    `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${CONFIG.sessionTtlHours * 3600}`);
+  return { success: true, user: publicUser(user), csrfToken: session.csrfToken };
+}
+
+function logout(session, res) {
+  sessions.delete(session.token);
+  res.setHeader("Set-Cookie", `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+  return { success: true };
+}
+
+function checkCsrf(req, session) {
+  const header = req.headers["x-csrf-token"];
+  if (typeof header !== "string" || header.length !== session.csrfToken.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(header), Buffer.from(session.csrfToken));
+}
+
+// ── API Router ─────────────────────────────────────────────────────────────
+// Minimum role for each route. Anything not listed here is a 404.
+const ROUTE_ROLES = {
+  "auth/login": null,
+  "auth/session": "viewer",
+  "auth/logout": "viewer",
+  "auth/password": "viewer",
+  "status": "viewer",
+  "worlds": "viewer",
+  "worlds/:name": "viewer",
+  "worlds/datapacks": "viewer",
+  "properties": "viewer",
+  "properties/schema": "viewer",
+  "metrics/history": "viewer",
+  "worlds/backup": "operator",
+  "server/start": "operator",
+  "server/stop": "operator",
+  "server/restart": "operator",
+  "server/cancel": "operator",
+  "backups": "operator",
+  "backups/upload": "operator",
+  "backups/restore": "admin",
+  "backups/gc": "admin",
+  "backups/verify": "operator",
+  "backups/download": "operator",
+  "backups/import": "operator",
+  "worlds/download": "operator",
+  "players": "operator",
+  "players/analytics": "viewer",
+  "players/history": "viewer",
+  "players/whitelist": "operator",
+  "players/bans": "operator",
+  "players/ip-bans": "operator",
+  "players/kick": "operator",
+  "plugins": "operator",
+  "schedules": "operator",
+  "schedules/save": "operator",
+  "schedules/delete": "operator",
+  "schedules/run": "operator",
+  "tasks": "operator",
+  "tasks/save": "operator",
+  "tasks/delete": "operator",
+  "tasks/run": "operator",
+  "jobs": "operator",
+  "jobs/cancel": "operator",
+  "remotes": "operator",
+  "gdrive/status": "operator",
+  "remotes/files": "operator",
+  "remotes/download": "operator",
+  "rcon": "operator",
+  "logs/stream": "operator",
+  "logs/files": "operator",
+  "logs/file": "operator",
+  "worlds/create": "admin",
+  "worlds/delete": "admin",
+  "worlds/activate": "admin",
+  "worlds/import": "admin",
+  "worlds/prune": "admin",
+  "worlds/datapacks/upload": "admin",
+  "worlds/datapacks/enable": "admin",
+  "worlds/datapacks/delete": "admin",
+  "worlds/datapacks/reload": "admin",
+  "players/ops": "admin",
+  "players/whitelist/enabled": "admin",
+  "remotes/destinations/save": "admin",
+  "remotes/destinations/delete": "admin",
+  "remotes/delete": "admin",
+  "plugins/upload": "admin",
+  "plugins/enable": "admin",
+  "plugins/delete": "admin",
+  "properties/update": "admin",
+  "users": "admin",
+  "users/create": "admin",
+  "users/update": "admin",
+  "users/delete": "admin",
+  "notifications": "admin",
+  "notifications/save": "admin",
+  "notifications/delete": "admin",
+  "notifications/test": "admin",
+  "notifications/settings": "admin",
+  "audit": "admin",
+  "audit/export": "admin",
+};
+
+// These read the raw request body themselves
+const STREAMING_ROUTES = new Set([
+  "worlds/import", "backups/import", "plugins/upload", "worlds/datapacks/upload",
+]);
+
+// Reads that are audited like changes: they hand out whole worlds, backups,
+// the live console or the audit log itself
+const AUDITED_READS = new Set(["worlds/download", "backups/download", "logs/stream", "audit/export"]);
+
+function sendJSON(res, statusCode, data) {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+}
+
+// JSON bodies of both routers. Reading stops as soon as a body passes the
+// limit (login needs no session, so anyone can send one): the 413 reply
+// closes the connection instead of draining the rest.
+const MAX_JSON_BODY_BYTES = 1048576;
+
+function readJSONBody(req, res) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_JSON_BODY_BYTES) return chunks.push(chunk);
+      req.off("data", onData);
+      req.pause();
+      res.setHeader("Connection", "close");
+      res.on("finish", () => req.destroy());
+      resolve({ status: 413, error: `Request body exceeds ${MAX_JSON_BODY_BYTES} bytes` });
+    };
+    req.on("data", onData);
+    req.on("end", () => resolve({ text: Buffer.concat(chunks).toString("utf-8") }));
+    req.on("error", () => resolve({ status: 400, error: "Request body could not be read" }));
+  });
+}
+
+// Shared by the dashboard's status poll and GET /api/v1/status
+async function getStatusSummary() {
+  const status = await getServerStatus();
+  const { configured, message } = getRemoteStatus();
+  return {
+    ...status,
+    serverProperties: getServerProperties(),
+    remoteBackups: { configured, message },
+    worldSwitch,
+    rcon: getRconState(),
+    container: await getContainerState(),
+    serverAction,
+  };
+}
+
+async function listWorldSummaries() {
+  const serverVersion = await getServerVersion();
+  return getWorlds().map((w) => ({
+    ...w,
+    newerThanServer: savedByNewerVersion(w.version, serverVersion),
+  }));
+}
+
+async function handleAPI(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  let apiPath = url.pathname.replace("/api/", "");
+
+  // Kept for the dashboard and existing scripts; new clients use /api/v1
+  res.setHeader("Deprecation", "true");
+  res.setHeader("Link", `<${V1_PREFIX}/openapi.json>; rel="successor-version"`);
+
+  // worlds/<name> is the only route with a path parameter; fixed routes
+  // such as worlds/create take precedence
+  let worldParam = null;
+  if (!(apiPath in ROUTE_ROLES) && /^worlds\/[^/]+$/.test(apiPath)) {
+    try {
+      worldParam = decodeURIComponent(apiPath.slice("worlds/".length));
+    } catch (_) {
+      return sendJSON(res, 400, { success: false, error: "Invalid world name" });
+    }
+    apiPath = "worlds/:name";
+  }
+
+  if (!(apiPath in ROUTE_ROLES)) {
+    return sendJSON(res, 404, { error: "Not found" });
+  }
+
+  const session = getSession(req);
+  const audit = {
+    user: session ? session.username : null,
+    action: apiPath,
+    params: Object.fromEntries(url.searchParams),
+    result: null,
+  };
+  if (req.method === "POST" || AUDITED_READS.has(apiPath)) auditResponse(req, res, audit);
+  const refuse = (status, error) => {
+    audit.result = { success: false, error };
+    return sendJSON(res, status, { success: false, error });
+  };
+
+  const requiredRole = ROUTE_ROLES[apiPath];
+  if (requiredRole) {
+    if (!session) {
+      return refuse(401, "Authentication required");
+    }
+    if (req.method !== "GET" && req.method !== "HEAD" && !checkCsrf(req, session)) {
+      return refuse(403, "Invalid or missing CSRF token");
+    }
+    if (!hasRole(session.role, requiredRole)) {
+      return refuse(403, `This action requires the ${requiredRole} role`);
+    }
+  }
+
+  if (STREAMING_ROUTES.has(apiPath) && req.method !== "POST") {
+    return refuse(405, "Uploads must be POSTed");
+  }
+
+  let body = {};
+  if (req.method === "POST" && !STREAMING_ROUTES.has(apiPath)) {
+    const read = await readJSONBody(req, res);
+    if (read.error) return refuse(read.status, read.error);
+    // Handlers destructure the body, so "null" or "[1]" must not reach them
+    let parsed = null;
+    try { parsed = JSON.parse(read.text); } catch (_) {}
+    body = parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+    audit.params = body;
+    if (!audit.user) audit.user = body.username || null;
+  }
+
+  let result;
+
+  try {
+    switch (apiPath) {
+      case "auth/login":
+        result = login(body, req, res);
+        break;
+      case "auth/session":
+        result = { user: { username: session.username, role: session.role }, csrfToken: session.csrfToken };
+        break;
+      case "auth/logout":
+        result = logout(session, res);
+        break;
+      case "auth/password":
+        result = changeOwnPassword(body, session);
+        break;
+      case "status":
+        result = { ...(await getStatusSummary()), gdrive: getGDriveStatus() };
+        break;
+      case "worlds":
+        result = await listWorldSummaries();
+        break;
+      case "worlds/:name":
+        result = await getWorldDetails(worldParam);
+        break;
+      case "worlds/create":
+        result = await createWorld(body);
+        break;
+      case "worlds/delete":
+        result = await deleteWorld(body.name);
+        break;
+      case "worlds/backup":
+        result = queueBackup(body.name, body.mode);
+        break;
+      case "server/start":
+      case "server/stop":
+      case "server/restart":
+        result = await scheduleServerAction({ action: apiPath.slice("server/".length), countdown: body.countdown });
+        break;
+      case "server/cancel":
+        result = cancelServerAction();
+        break;
+      case "worlds/prune":
+        result = queuePrune(body);
+        break;
+      case "worlds/datapacks":
+        result = await listDatapacks(url.searchParams.get("name"));
+        break;
+      case "worlds/datapacks/upload":
+        result = await uploadDatapack(req, url.searchParams.get("name"), url.searchParams.get("filename"));
+        break;
+      case "worlds/datapacks/enable":
+        result = await setDatapackEnabled(body);
+        break;
+      case "worlds/datapacks/delete":
+        result = deleteDatapack(body);
+        break;
+      case "worlds/datapacks/reload":
+        result = await reloadDatapacks();
+        break;
+      case "worlds/activate":
+        result = await activateWorld(body);
+        break;
+      case "backups":
+        result = listBackups();
+        break;
+      case "backups/upload":
+        result = queueUpload(body);
+        break;
+      case "backups/restore":
+        result = queueRestore(body);
+        break;
+      case "metrics/history":
+        result = getMetricsHistory(url.searchParams.get("range"));
+        break;
+      case "players":
+        result = await getPlayers();
+        break;
+      case "players/whitelist":
+        result = await updatePlayerList("whitelist", body);
+        break;
+      case "players/ops":
+        result = await updatePlayerList("ops", body);
+        break;
+      case "players/bans":
+        result = await updatePlayerList("bans", body);
+        break;
+      case "players/ip-bans":
+        result = await updatePlayerList("ipBans", body);
+        break;
+      case "players/kick":
+        result = await kickPlayer(body);
+        break;
+      case "players/analytics":
+        result = getPlayerAnalytics(url.searchParams.get("range"));
+        break;
+      case "players/history":
+        result = getPlayerHistory(url.searchParams.get("name"));
+        break;
+      case "players/whitelist/enabled":
+        result = await setWhitelistEnabled(body);
+        break;
+      case "plugins":
+        result = await listPlugins();
+        break;
+      case "plugins/upload":
+        result = await uploadPlugin(req, url.searchParams.get("filename"));
+        break;
+      case "plugins/enable":
+        result = setPluginEnabled(body);
+        break;
+      case "plugins/delete":
+        result = deletePlugin(body);
+        break;
+      case "backups/verify":
+        result = queueVerify(body);
+        break;
+      case "backups/gc":
+        result = await collectGarbage();
+        break;
+      case "backups/download":
+        return downloadBackup(res, url.searchParams.get("filename"));
+      case "backups/import":
+        result = await importBackup(req, url.searchParams.get("filename"));
+        break;
+      case "worlds/download":
+        return downloadWorld(req, res, url.searchParams.get("name"));
+      case "worlds/import":
+        result = await importWorld(req, url.searchParams.get("name"));
+        break;
+      case "schedules":
+        result = listSchedules();
+        break;
+      case "schedules/save":
+        result = saveSchedule(body);
+        break;
+      case "schedules/delete":
+        result = deleteSchedule(body.id);
+        break;
+      case "schedules/run":
+        result = runScheduleNow(body.id);
+        break;
+      case "tasks":
+        result = { tasks: listTasks(), conditions: TASK_CONDITIONS };
+        break;
+      case "tasks/save":
+        result = saveTask(body);
+        break;
+      case "tasks/delete":
+        result = deleteTask(body.id);
+        break;
+      case "tasks/run":
+        result = runTaskNow(body.id);
+        break;
+      case "jobs":
+        result = listJobs();
+        break;
+      case "jobs/cancel":
+        result = cancelJob(body.id);
+        break;
+      case "rcon":
+        result = await rconCommand(body.command);
+        break;
+      case "logs/stream":
+        return streamLog(req, res);
+      case "logs/files":
+        result = listLogFiles();
+        break;
+      case "logs/file":
+        result = await readLogFile(url.searchParams.get("name"), url.searchParams.get("end"), url.searchParams.get("limit"));
+        break;
+      case "properties":
+        result = getServerProperties();
+        break;
+      case "properties/schema":
+        result = getPropertiesSchema();
+        break;
+      case "properties/update":
+        result = await updateServerProperties(body.changes);
+        break;
+      case "remotes":
+        result = getRemoteStatus();
+        break;
+      case "gdrive/status":
+        result = getGDriveStatus();
+        break;
+      case "remotes/files":
+        result = await listRemoteBackups(url.searchParams.get("destination"));
+        break;
+      case "remotes/download":
+        result = queueDownload(body);
+        break;
+      case "remotes/delete":
+        result = await deleteRemoteBackup(body.destination, body.filename);
+        break;
+      case "remotes/destinations/save":
+        result = saveDestination(body);
+        break;
+      case "remotes/destinations/delete":
+        result = deleteDestination(body.id);
+        break;
+      case "users":
+        result = listUsers();
+        break;
+      case "users/create":
+        result = createUser(body);
+        break;
+      case "users/update":
+        result = updateUser(body, session);
+        break;
+      case "users/delete":
+        result = deleteUser(body.username, session);
+        break;
+      case "notifications":
+        result = getNotificationSettings();
+        break;
+      case "notifications/save":
+        result = saveNotificationTarget(body);
+        break;
+      case "notifications/delete":
+        result = deleteNotificationTarget(body.id);
+        break;
+      case "notifications/test":
+        result = await testNotificationTarget(body.id);
+        break;
+      case "notifications/settings":
+        result = saveNotificationSettings(body);
+        break;
+      case "audit":
+        result = queryAudit(url.searchParams, AUDIT_QUERY_LIMIT);
+        break;
+      case "audit/export":
+        return exportAudit(res, url.searchParams);
+    }
+  } catch (err) {
+    console.error(`${req.method} ${url.pathname} failed:`, err);
+    audit.result = { success: false, error: "Internal error: " + err.message };
+    if (!res.headersSent) sendJSON(res, 500, { success: false, error: "Internal error" });
+    else res.destroy();
+    return;
+  }
+
+  audit.result = result;
+  sendJSON(res, 200, result);
+}
+
+// ── REST API v1 ────────────────────────────────────────────────────────────
+// Resource routes under /api/v1. Every route is one entry in V1_ROUTES with
+// its method, path, role and request schemas; the router validates against
+// those schemas and /api/v1/openapi.json is generated from the same table,
+// so the document cannot drift from the code. Handlers call the functions
+// behind the legacy routes and the router turns their { success, status,
+// error } results into { error: { code, message } } bodies.
+const API_VERSION = "1.0.0";
+const V1_PREFIX = "/api/v1";
+const V1_ERROR_CODES = {
+  400: "invalid_request",
+  401: "unauthenticated",
+  403: "forbidden",
+  404: "not_found",
+  405: "method_not_allowed",
+  409: "conflict",
+  413: "payload_too_large",
+  422: "unprocessable",
+  429: "too_many_requests",
+  500: "internal_error",
+  502: "bad_gateway",
+  503: "unavailable",
+  507: "insufficient_storage",
+};
+
+function sendV1Error(res, status, message, details) {
+  sendJSON(res, status, { error: { code: V1_ERROR_CODES[status] || "error", message, ...(details ? { details } : {}) } });
+}
+
+// ── Schemas
+
+const WORLD_NAME = { type: "string", pattern: "^[a-zA-Z0-9_-]+$", maxLength: 64 };
+const BACKUP_NAME = { type: "string", pattern: "^[^/\\\\]+\\.(tar\\.gz|snapshot)$", maxLength: 255 };
+const FILE_NAME = { type: "string", pattern: "^[^/\\\\]+$", maxLength: 255 };
+const RECORD_ID = { type: "string", pattern: "^[a-zA-Z0-9_-]+$", maxLength: 64 };
+const PLAYER_NAME = { type: "string", pattern: PLAYER_NAME_RE.source };
+const CRON = { type: "string", minLength: 9, maxLength: 100, description: "Five-field cron expression" };
+const LINES = { type: "array", items: { type: "string", maxLength: 256 }, maxItems: 100 };
+const REASON = { type: "string", maxLength: 256 };
+
+// OpenAPI 3.0 does not allow an empty required list
+function objectSchema(properties, required = []) {
+  return { type: "object", properties, ...(required.length ? { required } : {}), additionalProperties: false };
+}
+
+const COUNTDOWN_BODY = objectSchema({
+  countdown: { type: "integer", minimum: 0, maximum: LIFECYCLE_MAX_COUNTDOWN, description: "Seconds of in-game warnings first" },
+});
+const SCHEDULE_BODY = objectSchema({
+  world: { type: "string", pattern: "^(@active|[a-zA-Z0-9_-]+)$" },
+  cron: CRON,
+  mode: { type: "string", enum: ["full", "incremental"] },
+  upload: { type: "boolean" },
+  enabled: { type: "boolean" },
+  retention: objectSchema(Object.fromEntries(Object.keys(DEFAULT_RETENTION).map((period) =>
+    [period, { type: "integer", minimum: 0, maximum: 1000 }]))),
+}, ["world", "cron"]);
+const TASK_BODY = objectSchema({
+  name: { type: "string", minLength: 1, maxLength: 64 },
+  cron: CRON,
+  condition: { type: "string", enum: Object.keys(TASK_CONDITIONS) },
+  enabled: { type: "boolean" },
+  commands: LINES,
+  announcements: LINES,
+}, ["name", "cron"]);
+const DESTINATION_BODY = objectSchema({
+  remote: { type: "string", minLength: 1, maxLength: 64 },
+  path: { type: "string", maxLength: 255 },
+  enabled: { type: "boolean" },
+}, ["remote"]);
+const NOTIFICATION_TARGET_BODY = objectSchema({
+  name: { type: "string", minLength: 1, maxLength: 64 },
+  format: { type: "string", enum: NOTIFY_FORMATS },
+  url: { type: "string", pattern: "^https?://", maxLength: 2048, description: "Omit when updating to keep the stored URL" },
+  events: { type: "array", items: { type: "string", enum: Object.keys(NOTIFY_EVENTS) } },
+  enabled: { type: "boolean" },
+}, ["name", "format"]);
+const PLAYER_LIST_KEYS = { whitelist: "whitelist", bans: "bans", "ip-bans": "ipBans" };
+
+// Shared validator for bodies, path parameters and query strings: a subset
+// of JSON Schema (type, enum, pattern, length and range limits, format
+// date-time, object properties and array items).
+function validateSchema(value, schema, field, errors) {
+  const fail = (message) => errors.push({ field: field || "body", message });
+  const type = schema.type;
+  if (type === "integer" && !Number.isInteger(value)) return fail("must be an integer");
+  if (type === "number" && (typeof value !== "number" || !Number.isFinite(value))) return fail("must be a number");
+  if (type === "string" && typeof value !== "string") return fail("must be a string");
+  if (type === "boolean" && typeof value !== "boolean") return fail("must be true or false");
+  if (type === "array" && !Array.isArray(value)) return fail("must be an array");
+  if (type === "object" && (!value || typeof value !== "object" || Array.isArray(value))) return fail("must be an object");
+
+  if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of: ${schema.enum.join(", ")}`);
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) return fail(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail("has an invalid format");
+    if (schema.format === "date-time" && Number.isNaN(Date.parse(value))) return fail("must be a date");
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => validateSchema(item, schema.items, `${field}[${i}]`, errors));
+  }
+  if (type === "object") {
+    const prefix = field ? field + "." : "";
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ field: prefix + key, message: "is required" });
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const propertySchema = (schema.properties || {})[key] || schema.additionalProperties;
+      if (!propertySchema) errors.push({ field: prefix + key, message: "is not allowed" });
+      else if (propertySchema !== true && item !== undefined) validateSchema(item, propertySchema, prefix + key, errors);
+    }
+  }
+}
+
+// Query strings and path segments arrive as text
+function coerceParam(value, schema) {
+  if (schema.type === "integer" && /^-?\d+$/.test(value)) return parseInt(value);
+  if (schema.type === "number" && value.trim() !== "" && Number.isFinite(Number(value))) return Number(value);
+  if (schema.type === "boolean" && (value === "true" || value === "false")) return value === "true";
+  return value;
+}
+
+// ── Routes
+// handler({ params, query, body, session, req, res }) returns a legacy-style
+// result, or nothing when it wrote the response itself (raw). upload routes
+// read the request body as a file stream instead of JSON. Everything but a
+// GET is audited under its action; a GET only when it names one.
+
+const V1_ROUTES = [
+  // Session
+  {
+    method: "POST", path: "/session", role: null, tag: "Session", action: "auth/login", status: 201,
+    summary: "Log in; sets the session cookie and returns the CSRF token for later writes",
+    body: objectSchema({ username: { type: "string", maxLength: 64 }, password: { type: "string", maxLength: 1024 } }, ["username", "password"]),
+    handler: ({ body, req, res }) => login(body, req, res),
+  },
+  {
+    method: "GET", path: "/session", role: "viewer", tag: "Session", summary: "The logged-in user and CSRF token",
+    handler: ({ session }) => ({ user: { username: session.username, role: session.role }, csrfToken: session.csrfToken }),
+  },
+  {
+    method: "DELETE", path: "/session", role: "viewer", tag: "Session", action: "auth/logout", summary: "Log out",
+    handler: ({ session, res }) => logout(session, res),
+  },
+  {
+    method: "PUT", path: "/session/password", role: "viewer", tag: "Session", action: "auth/password",
+    summary: "Change your own password; ends your other sessions",
+    body: objectSchema({ currentPassword: { type: "string", maxLength: 1024 }, newPassword: { type: "string", maxLength: 1024 } },
+      ["currentPassword", "newPassword"]),
+    handler: ({ body, session }) => changeOwnPassword(body, session),
+  },
+
+  // Server
+  {
+    method: "GET", path: "/status", role: "viewer", tag: "Server", summary: "Server, players, container and pending actions",
+    handler: () => getStatusSummary(),
+  },
+  {
+    method: "GET", path: "/metrics/history", role: "viewer", tag: "Server", summary: "Performance history",
+    query: { range: { type: "string", enum: Object.keys(METRIC_RANGES) } },
+    handler: ({ query }) => getMetricsHistory(query.range),
+  },
+  ...["start", "stop", "restart"].map((action) => ({
+    method: "POST", path: `/server/${action}`, role: "operator", tag: "Server", action: `server/${action}`, status: 202,
+    summary: `${action[0].toUpperCase() + action.slice(1)} the Minecraft server` + (action === "start" ? "" : ", optionally after a countdown"),
+    body: action === "start" ? undefined : COUNTDOWN_BODY,
+    handler: ({ body }) => scheduleServerAction({ action, countdown: body.countdown }),
+  })),
+  {
+    method: "DELETE", path: "/server/action", role: "operator", tag: "Server", action: "server/cancel",
+    summary: "Cancel a pending stop or restart countdown",
+    handler: () => cancelServerAction(),
+  },
+  {
+    method: "POST", path: "/server/reload", role: "admin", tag: "Server", action: "worlds/datapacks/reload",
+    summary: "Reload datapacks on the running server",
+    handler: () => reloadDatapacks(),
+  },
+  {
+    method: "POST", path: "/rcon", role: "operator", tag: "Server", action: "rcon", summary: "Run a console command",
+    body: objectSchema({ command: { type: "string", minLength: 1, maxLength: 1000 } }, ["command"]),
+    handler: async ({ body }) => {
+      const result = await rconCommand(body.command);
+      return result.success ? result : { success: false, status: result.status, error: result.response };
+    },
+  },
+  {
+    method: "GET", path: "/logs/stream", role: "operator", tag: "Server", action: "logs/stream", raw: true, produces: "text/event-stream",
+    summary: "Live server log as server-sent events, starting with recent lines",
+    handler: ({ req, res }) => streamLog(req, res),
+  },
+  {
+    method: "GET", path: "/logs/files", role: "operator", tag: "Server", summary: "Current and rotated log files",
+    handler: () => listLogFiles(),
+  },
+  {
+    method: "GET", path: "/logs/files/{name}", role: "operator", tag: "Server", summary: "Lines of a log file, newest last",
+    params: { name: FILE_NAME },
+    query: {
+      end: { type: "integer", minimum: 0, description: "Line to stop before; defaults to the end of the file" },
+      limit: { type: "integer", minimum: 1, maximum: 5000 },
+    },
+    handler: ({ params, query }) => readLogFile(params.name, query.end, query.limit),
+  },
+
+  // Worlds
+  {
+    method: "GET", path: "/worlds", role: "viewer", tag: "Worlds", summary: "All worlds",
+    handler: () => listWorldSummaries(),
+  },
+  {
+    method: "POST", path: "/worlds", role: "admin", tag: "Worlds", action: "worlds/create", status: 202,
+    summary: "Configure a new world and restart the server to generate it",
+    body: objectSchema({
+      name: WORLD_NAME,
+      seed: { type: "string", maxLength: 64 },
+      gamemode: { type: "string", enum: PROPERTY_SCHEMA.gamemode.values },
+      difficulty: { type: "string", enum: PROPERTY_SCHEMA.difficulty.values },
+      worldType: { type: "string", enum: PROPERTY_SCHEMA["level-type"].values },
+      countdown: { type: "integer", minimum: 0, maximum: 300 },
+    }, ["name"]),
+    handler: ({ body }) => createWorld(body),
+  },
+  {
+    method: "GET", path: "/worlds/{name}", role: "viewer", tag: "Worlds", summary: "level.dat details and storage of a world",
+    params: { name: WORLD_NAME },
+    handler: ({ params }) => getWorldDetails(params.name),
+  },
+  {
+    method: "DELETE", path: "/worlds/{name}", role: "admin", tag: "Worlds", action: "worlds/delete", summary: "Delete an inactive world",
+    params: { name: WORLD_NAME },
+    handler: ({ params }) => deleteWorld(params.name),
+  },
+  {
+    method: "POST", path: "/worlds/{name}/activate", role: "admin", tag: "Worlds", action: "worlds/activate", status: 202,
+    summary: "Switch the server to this world",
+    params: { name: WORLD_NAME },
+    body: objectSchema({ countdown: { type: "integer", minimum: 0, maximum: 300 } }),
+    handler: ({ params, body }) => activateWorld({ name: params.name, countdown: body.countdown }),
+  },
+  {
+    method: "POST", path: "/worlds/{name}/backups", role: "operator", tag: "Worlds", action: "worlds/backup", status: 202,
+    summary: "Queue a backup job", response: "JobQueued",
+    params: { name: WORLD_NAME },
+    body: objectSchema({ mode: { type: "string", enum: ["full", "incremental"] } }),
+    handler: ({ params, body }) => queueBackup(params.name, body.mode),
+  },
+  {
+    method: "GET", path: "/worlds/{name}/archive", role: "operator", tag: "Worlds", action: "worlds/download", raw: true, produces: "application/gzip",
+    summary: "Download the world as .tar.gz",
+    params: { name: WORLD_NAME },
+    handler: ({ params, req, res }) => {
+      if (!getWorlds().some((w) => w.name === params.name)) return { success: false, status: 404, error: "World not found" };
+      return downloadWorld(req, res, params.name);
+    },
+  },
+  {
+    method: "PUT", path: "/worlds/{name}/archive", role: "admin", tag: "Worlds", action: "worlds/import", upload: true, status: 201,
+    summary: "Import a .zip or .tar.gz archive as a new world",
+    params: { name: WORLD_NAME },
+    handler: ({ params, req }) => importWorld(req, params.name),
+  },
+  {
+    method: "POST", path: "/worlds/{name}/prune", role: "admin", tag: "Worlds", action: "worlds/prune", status: 202,
+    summary: "Queue a chunk pruning job (or a dry run)", response: "JobQueued",
+    params: { name: WORLD_NAME },
+    body: objectSchema({
+      dryRun: { type: "boolean" },
+      minInhabitedMinutes: { type: "number", minimum: 0 },
+      protectRadius: { type: "integer", minimum: 0, maximum: 30000000 },
+    }),
+    handler: ({ params, body }) => queuePrune({ ...body, name: params.name }),
+  },
+  {
+    method: "GET", path: "/worlds/{name}/datapacks", role: "viewer", tag: "Worlds", summary: "Datapacks of a world",
+    params: { name: WORLD_NAME },
+    handler: ({ params }) => listDatapacks(params.name),
+  },
+  {
+    method: "PUT", path: "/worlds/{name}/datapacks/{pack}", role: "admin", tag: "Worlds", action: "worlds/datapacks/upload",
+    upload: true, status: 201, summary: "Add a .zip datapack",
+    params: { name: WORLD_NAME, pack: FILE_NAME },
+    handler: ({ params, req }) => uploadDatapack(req, params.name, params.pack),
+  },
+  {
+    method: "PATCH", path: "/worlds/{name}/datapacks/{pack}", role: "admin", tag: "Worlds", action: "worlds/datapacks/enable",
+    summary: "Enable or disable a datapack on the active world",
+    params: { name: WORLD_NAME, pack: FILE_NAME },
+    body: objectSchema({ enabled: { type: "boolean" } }, ["enabled"]),
+    handler: ({ params, body }) => setDatapackEnabled({ ...params, enabled: body.enabled }),
+  },
+  {
+    method: "DELETE", path: "/worlds/{name}/datapacks/{pack}", role: "admin", tag: "Worlds", action: "worlds/datapacks/delete",
+    summary: "Delete a datapack from an inactive world",
+    params: { name: WORLD_NAME, pack: FILE_NAME },
+    handler: ({ params }) => deleteDatapack(params),
+  },
+
+  // Backups
+  {
+    method: "GET", path: "/backups", role: "operator", tag: "Backups", summary: "Local backups with verification state",
+    handler: () => listBackups(),
+  },
+  {
+    method: "POST", path: "/backups/gc", role: "admin", tag: "Backups", action: "backups/gc",
+    summary: "Delete snapshot blocks no snapshot uses",
+    handler: () => collectGarbage(),
+  },
+  {
+    method: "GET", path: "/backups/{filename}", role: "operator", tag: "Backups", summary: "One backup",
+    params: { filename: BACKUP_NAME },
+    handler: ({ params }) => listBackups().find((b) => b.filename === params.filename) ||
+      { success: false, status: 404, error: "Backup not found" },
+  },
+  {
+    method: "PUT", path: "/backups/{filename}", role: "operator", tag: "Backups", action: "backups/import", upload: true, status: 201,
+    summary: "Upload a .tar.gz backup made elsewhere",
+    params: { filename: BACKUP_NAME },
+    handler: ({ params, req }) => importBackup(req, params.filename),
+  },
+  {
+    method: "GET", path: "/backups/{filename}/archive", role: "operator", tag: "Backups", action: "backups/download", raw: true, produces: "application/gzip",
+    summary: "Download a full backup archive",
+    params: { filename: BACKUP_NAME },
+    handler: ({ params, res }) => {
+      if (!isBackupName(params.filename) || !fs.existsSync(path.join(CONFIG.backupDir, params.filename))) {
+        return { success: false, status: 404, error: "Backup not found" };
+      }
+      return downloadBackup(res, params.filename);
+    },
+  },
+  {
+    method: "POST", path: "/backups/{filename}/upload", role: "operator", tag: "Backups", action: "backups/upload", status: 202,
+    summary: "Queue uploads to one or every enabled remote destination", response: "JobQueued",
+    params: { filename: BACKUP_NAME },
+    body: objectSchema({ destination: RECORD_ID }),
+    handler: ({ params, body }) => queueUpload({ filename: params.filename, destination: body.destination }),
+  },
+  {
+    method: "POST", path: "/backups/{filename}/restore", role: "admin", tag: "Backups", action: "backups/restore", status: 202,
+    summary: "Queue a restore over the original world or into another", response: "JobQueued",
+    params: { filename: BACKUP_NAME },
+    body: objectSchema({ target: WORLD_NAME }),
+    handler: ({ params, body }) => queueRestore({ filename: params.filename, target: body.target }),
+  },
+  {
+    method: "POST", path: "/backups/{filename}/verify", role: "operator", tag: "Backups", action: "backups/verify", status: 202,
+    summary: "Queue a verification job", response: "JobQueued",
+    params: { filename: BACKUP_NAME },
+    handler: ({ params }) => queueVerify(params),
+  },
+
+  // Remote backups
+  {
+    method: "GET", path: "/remotes", role: "operator", tag: "Remotes", summary: "rclone remotes and backup destinations",
+    handler: () => getRemoteStatus(),
+  },
+  {
+    method: "POST", path: "/remotes/destinations", role: "admin", tag: "Remotes", action: "remotes/destinations/save", status: 201,
+    summary: "Add a backup destination", body: DESTINATION_BODY,
+    handler: ({ body }) => saveDestination(body),
+  },
+  {
+    method: "PUT", path: "/remotes/destinations/{id}", role: "admin", tag: "Remotes", action: "remotes/destinations/save",
+    summary: "Change a backup destination", params: { id: RECORD_ID }, body: DESTINATION_BODY,
+    handler: ({ params, body }) => saveDestination({ ...body, id: params.id }),
+  },
+  {
+    method: "DELETE", path: "/remotes/destinations/{id}", role: "admin", tag: "Remotes", action: "remotes/destinations/delete",
+    summary: "Remove a backup destination (its remote copies stay)", params: { id: RECORD_ID },
+    handler: ({ params }) => deleteDestination(params.id),
+  },
+  {
+    method: "GET", path: "/remotes/destinations/{id}/backups", role: "operator", tag: "Remotes",
+    summary: "Backups stored at a destination", params: { id: RECORD_ID },
+    handler: ({ params }) => listRemoteBackups(params.id),
+  },
+  {
+    method: "POST", path: "/remotes/destinations/{id}/backups/{filename}/download", role: "operator", tag: "Remotes",
+    action: "remotes/download", status: 202, response: "JobQueued",
+    summary: "Queue a download of a remote backup to the server",
+    params: { id: RECORD_ID, filename: BACKUP_NAME },
+    handler: ({ params }) => queueDownload({ destination: params.id, filename: params.filename }),
+  },
+  {
+    method: "DELETE", path: "/remotes/destinations/{id}/backups/{filename}", role: "admin", tag: "Remotes",
+    action: "remotes/delete", summary: "Delete a remote backup",
+    params: { id: RECORD_ID, filename: BACKUP_NAME },
+    handler: ({ params }) => deleteRemoteBackup(params.id, params.filename),
+  },
+
+  // Players
+  {
+    method: "GET", path: "/players", role: "operator", tag: "Players", summary: "Online players, whitelist, operators and bans",
+    handler: () => getPlayers(),
+  },
+  {
+    method: "GET", path: "/players/analytics", role: "viewer", tag: "Players",
+    summary: "Daily active players, peak concurrency and per-player playtime and stats",
+    query: { range: { type: "string", enum: Object.keys(PLAYER_RANGES) } },
+    handler: ({ query }) => getPlayerAnalytics(query.range),
+  },
+  {
+    method: "GET", path: "/players/{name}/history", role: "viewer", tag: "Players",
+    summary: "A player's recent sessions, daily playtime and stats per world",
+    params: { name: PLAYER_NAME },
+    handler: ({ params }) => getPlayerHistory(params.name),
+  },
+  {
+    method: "PATCH", path: "/players/whitelist", role: "admin", tag: "Players", action: "players/whitelist/enabled",
+    summary: "Turn the whitelist on or off",
+    body: objectSchema({ enabled: { type: "boolean" } }, ["enabled"]),
+    handler: ({ body }) => setWhitelistEnabled(body),
+  },
+  ...["PUT", "DELETE"].map((method) => ({
+    method, path: "/players/ops/{name}", role: "admin", tag: "Players", action: "players/ops",
+    summary: method === "PUT" ? "Make a player an operator" : "Remove operator status",
+    params: { name: PLAYER_NAME },
+    handler: ({ params }) => updatePlayerList("ops", { action: method === "PUT" ? "add" : "remove", name: params.name }),
+  })),
+  ...["PUT", "DELETE"].map((method) => ({
+    method, path: "/players/{list}/{name}", role: "operator", tag: "Players",
+    summary: method === "PUT"
+      ? "Whitelist or ban a player, or ban an IP (ip-bans takes the address as name)"
+      : "Remove a player or IP from the whitelist or a ban list",
+    params: { list: { type: "string", enum: Object.keys(PLAYER_LIST_KEYS) }, name: { type: "string", maxLength: 64 } },
+    body: method === "PUT" ? objectSchema({ reason: REASON }) : undefined,
+    auditAction: ({ params }) => `players/${params.list}`,
+    handler: ({ params, body }) => {
+      const list = PLAYER_LIST_KEYS[params.list];
+      return updatePlayerList(list, {
+        action: method === "PUT" ? "add" : "remove",
+        [list === "ipBans" ? "ip" : "name"]: params.name,
+        reason: body.reason,
+      });
+    },
+  })),
+  {
+    method: "POST", path: "/players/{name}/kick", role: "operator", tag: "Players", action: "players/kick",
+    summary: "Kick an online player", params: { name: PLAYER_NAME }, body: objectSchema({ reason: REASON }),
+    handler: ({ params, body }) => kickPlayer({ name: params.name, reason: body.reason }),
+  },
+
+  // Plugins
+  {
+    method: "GET", path: "/plugins", role: "operator", tag: "Plugins", summary: "Installed plugins and their problems",
+    handler: () => listPlugins(),
+  },
+  {
+    method: "PUT", path: "/plugins/{file}", role: "admin", tag: "Plugins", action: "plugins/upload", upload: true, status: 201,
+    summary: "Install a plugin jar (loaded on the next restart)", params: { file: FILE_NAME },
+    handler: ({ params, req }) => uploadPlugin(req, params.file),
+  },
+  {
+    method: "PATCH", path: "/plugins/{file}", role: "admin", tag: "Plugins", action: "plugins/enable",
+    summary: "Enable or disable a plugin (renames the jar)", params: { file: FILE_NAME },
+    body: objectSchema({ enabled: { type: "boolean" } }, ["enabled"]),
+    handler: ({ params, body }) => setPluginEnabled({ file: params.file, enabled: body.enabled }),
+  },
+  {
+    method: "DELETE", path: "/plugins/{file}", role: "admin", tag: "Plugins", action: "plugins/delete",
+    summary: "Delete a plugin jar", params: { file: FILE_NAME },
+    handler: ({ params }) => deletePlugin(params),
+  },
+
+  // Backup schedules and scheduled tasks
+  {
+    method: "GET", path: "/schedules", role: "operator", tag: "Schedules", summary: "Backup schedules",
+    handler: () => listSchedules(),
+  },
+  {
+    method: "POST", path: "/schedules", role: "operator", tag: "Schedules", action: "schedules/save", status: 201,
+    summary: "Add a backup schedule", body: SCHEDULE_BODY,
+    handler: ({ body }) => saveSchedule(body),
+  },
+  {
+    method: "PUT", path: "/schedules/{id}", role: "operator", tag: "Schedules", action: "schedules/save",
+    summary: "Change a backup schedule", params: { id: RECORD_ID }, body: SCHEDULE_BODY,
+    handler: ({ params, body }) => saveSchedule({ ...body, id: params.id }),
+  },
+  {
+    method: "DELETE", path: "/schedules/{id}", role: "operator", tag: "Schedules", action: "schedules/delete",
+    summary: "Delete a backup schedule", params: { id: RECORD_ID },
+    handler: ({ params }) => deleteSchedule(params.id),
+  },
+  {
+    method: "POST", path: "/schedules/{id}/run", role: "operator", tag: "Schedules", action: "schedules/run", status: 202,
+    summary: "Run a backup schedule now", params: { id: RECORD_ID },
+    handler: ({ params }) => runScheduleNow(params.id),
+  },
+  {
+    method: "GET", path: "/tasks", role: "operator", tag: "Schedules", summary: "Scheduled RCON tasks and the run conditions",
+    handler: () => ({ tasks: listTasks(), conditions: TASK_CONDITIONS }),
+  },
+  {
+    method: "POST", path: "/tasks", role: "operator", tag: "Schedules", action: "tasks/save", status: 201,
+    summary: "Add a scheduled task", body: TASK_BODY,
+    handler: ({ body }) => saveTask(body),
+  },
+  {
+    method: "PUT", path: "/tasks/{id}", role: "operator", tag: "Schedules", action: "tasks/save",
+    summary: "Change a scheduled task", params: { id: RECORD_ID }, body: TASK_BODY,
+    handler: ({ params, body }) => saveTask({ ...body, id: params.id }),
+  },
+  {
+    method: "DELETE", path: "/tasks/{id}", role: "operator", tag: "Schedules", action: "tasks/delete",
+    summary: "Delete a scheduled task", params: { id: RECORD_ID },
+    handler: ({ params }) => deleteTask(params.id),
+  },
+  {
+    method: "POST", path: "/tasks/{id}/run", role: "operator", tag: "Schedules", action: "tasks/run", status: 202,
+    summary: "Run a task now, whatever its player condition", params: { id: RECORD_ID },
+    handler: ({ params }) => runTaskNow(params.id),
+  },
+
+  // Jobs
+  {
+    method: "GET", path: "/jobs", role: "operator", tag: "Jobs", summary: "Recent jobs, newest first",
+    handler: () => listJobs(),
+  },
+  {
+    method: "GET", path: "/jobs/{id}", role: "operator", tag: "Jobs", summary: "One job with its progress and result",
+    params: { id: RECORD_ID },
+    handler: ({ params }) => jobs.find((j) => j.id === params.id) || { success: false, status: 404, error: "Job not found" },
+  },
+  {
+    method: "POST", path: "/jobs/{id}/cancel", role: "operator", tag: "Jobs", action: "jobs/cancel",
+    summary: "Cancel a queued or running job", params: { id: RECORD_ID },
+    handler: ({ params }) => cancelJob(params.id),
+  },
+
+  // Server properties
+  {
+    method: "GET", path: "/properties", role: "viewer", tag: "Properties", summary: "server.properties as an object",
+    handler: () => getServerProperties(),
+  },
+  {
+    method: "GET", path: "/properties/schema", role: "viewer", tag: "Properties", summary: "Known properties and their rules",
+    handler: () => getPropertiesSchema(),
+  },
+  {
+    method: "PATCH", path: "/properties", role: "admin", tag: "Properties", action: "properties/update",
+    summary: "Change properties; live ones are applied over RCON",
+    body: { type: "object", additionalProperties: true, description: "Property names mapped to their new values" },
+    handler: ({ body }) => updateServerProperties(body),
+  },
+
+  // Users
+  {
+    method: "GET", path: "/users", role: "admin", tag: "Users", summary: "Accounts and roles",
+    handler: () => listUsers(),
+  },
+  {
+    method: "POST", path: "/users", role: "admin", tag: "Users", action: "users/create", status: 201, summary: "Add an account",
+    body: objectSchema({
+      username: { type: "string", pattern: "^[a-zA-Z0-9_.-]{1,32}$" },
+      password: { type: "string", maxLength: 1024 },
+      role: { type: "string", enum: ROLES },
+    }, ["username", "password", "role"]),
+    handler: ({ body }) => createUser(body),
+  },
+  {
+    method: "PATCH", path: "/users/{username}", role: "admin", tag: "Users", action: "users/update",
+    summary: "Change an account's role or reset its password",
+    params: { username: { type: "string", maxLength: 32 } },
+    body: objectSchema({ role: { type: "string", enum: ROLES }, password: { type: "string", maxLength: 1024 } }),
+    handler: ({ params, body, session }) => updateUser({ ...body, username: params.username }, session),
+  },
+  {
+    method: "DELETE", path: "/users/{username}", role: "admin", tag: "Users", action: "users/delete",
+    summary: "Delete an account and end its sessions", params: { username: { type: "string", maxLength: 32 } },
+    handler: ({ params, session }) => deleteUser(params.username, session),
+  },
+
+  // Notifications
+  {
+    method: "GET", path: "/notifications", role: "admin", tag: "Notifications", summary: "Webhook targets (URLs masked) and settings",
+    handler: () => getNotificationSettings(),
+  },
+  {
+    method: "POST", path: "/notifications/targets", role: "admin", tag: "Notifications", action: "notifications/save", status: 201,
+    summary: "Add a webhook", body: { ...NOTIFICATION_TARGET_BODY, required: ["name", "format", "url"] },
+    handler: ({ body }) => saveNotificationTarget(body),
+  },
+  {
+    method: "PUT", path: "/notifications/targets/{id}", role: "admin", tag: "Notifications", action: "notifications/save",
+    summary: "Change a webhook", params: { id: RECORD_ID }, body: NOTIFICATION_TARGET_BODY,
+    handler: ({ params, body }) => saveNotificationTarget({ ...body, id: params.id }),
+  },
+  {
+    method: "DELETE", path: "/notifications/targets/{id}", role: "admin", tag: "Notifications", action: "notifications/delete",
+    summary: "Remove a webhook", params: { id: RECORD_ID },
+    handler: ({ params }) => deleteNotificationTarget(params.id),
+  },
+  {
+    method: "POST", path: "/notifications/targets/{id}/test", role: "admin", tag: "Notifications", action: "notifications/test",
+    summary: "Send a test notification", params: { id: RECORD_ID },
+    handler: ({ params }) => testNotificationTarget(params.id),
+  },
+  {
+    method: "PATCH", path: "/notifications/settings", role: "admin", tag: "Notifications", action: "notifications/settings",
+    summary: "Change the low disk space threshold",
+    body: objectSchema({ lowDiskMB: { type: "integer", minimum: 0 } }, ["lowDiskMB"]),
+    handler: ({ body }) => saveNotificationSettings(body),
+  },
+
+  // Audit log
+  {
+    method: "GET", path: "/audit", role: "admin", tag: "Audit", summary: `Matching audit entries, newest first (at most ${AUDIT_QUERY_LIMIT})`,
+    query: {
+      action: { type: "string", maxLength: 64 },
+      world: { type: "string", maxLength: 64 },
+      from: { type: "string", format: "date-time" },
+      to: { type: "string", format: "date-time" },
+    },
+    handler: ({ query }) => queryAudit(new URLSearchParams(query), AUDIT_QUERY_LIMIT),
+  },
+  {
+    method: "GET", path: "/audit/export", role: "admin", tag: "Audit", action: "audit/export", raw: true, produces: "text/csv",
+    summary: "Every matching audit entry as a CSV or JSON download",
+    query: {
+      action: { type: "string", maxLength: 64 },
+      world: { type: "string", maxLength: 64 },
+      from: { type: "string", format: "date-time" },
+      to: { type: "string", format: "date-time" },
+      format: { type: "string", enum: ["csv", "json"] },
+    },
+    handler: ({ query, res }) => exportAudit(res, new URLSearchParams(query)),
+  },
+
+  {
+    method: "GET", path: "/openapi.json", role: null, tag: "Meta", summary: "This API as an OpenAPI 3.0 document",
+    handler: () => v1OpenAPIDocument(),
+  },
+];
+
+// ── Router
+
+function matchV1Route(method, apiPath) {
+  const segments = apiPath.split("/").slice(1);
+  const allowed = [];
+  for (const route of V1_ROUTES) {
+    const pattern = route.path.split("/").slice(1);
+    if (pattern.length !== segments.length) continue;
+    const params = {};
+    const matches = pattern.every((part, i) => {
+      if (part.startsWith("{")) {
+        params[part.slice(1, -1)] = segments[i];
+        return segments[i] !== "";
+      }
+      return part === segments[i];
+    });
+    if (!matches) continue;
+    if (route.method === method) return { route, params };
+    allowed.push(route.method);
+  }
+  return allowed.length ? { allowed: [...new Set(allowed)] } : null;
+}
+
+async function readV1Body(req, res) {
+  const read = await readJSONBody(req, res);
+  if (read.error) return read;
+  if (!read.text.trim()) return { value: {} };
+  try {
+    return { value: JSON.parse(read.text) };
+  } catch (err) {
+    return { status: 400, error: `Request body is not valid JSON: ${err.message}` };
+  }
+}
+
+async function handleAPIv1(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  let segmentsDecoded;
+  try {
+    segmentsDecoded = url.pathname.slice(V1_PREFIX.length).split("/").map((s, i) => (i ? decodeURIComponent(s) : s));
+  } catch (_) {
+    return sendV1Error(res, 400, "Malformed URL encoding in the path");
+  }
+  if (segmentsDecoded.slice(1).some((s) => s.includes("/"))) {
+    return sendV1Error(res, 400, "Path segments must not contain encoded slashes");
+  }
+  const match = matchV1Route(req.method, segmentsDecoded.join("/"));
+  if (!match) return sendV1Error(res, 404, `No route for ${url.pathname}`);
+  if (match.allowed) {
+    res.setHeader("Allow", match.allowed.join(", "));
+    return sendV1Error(res, 405, `${req.method} is not supported here; use ${match.allowed.join(", ")}`);
+  }
+  const { route } = match;
+
+  const session = getSession(req);
+  const audit = {
+    user: session ? session.username : null,
+    action: route.auditAction ? route.auditAction({ params: match.params }) : route.action,
+    params: { ...match.params },
+    result: null,
+  };
+  if (req.method !== "GET" || route.action) auditResponse(req, res, audit);
+  const refuse = (status, message, details) => {
+    audit.result = { success: false, error: message };
+    return sendV1Error(res, status, message, details);
+  };
+
+  if (route.role) {
+    if (!session) return refuse(401, "Authentication required");
+    if (req.method !== "GET" && !checkCsrf(req, session)) return refuse(403, "Invalid or missing CSRF token");
+    if (!hasRole(session.role, route.role)) return refuse(403, `This action requires the ${route.role} role`);
+  }
+
+  const errors = [];
+  const params = {};
+  for (const [name, schema] of Object.entries(route.params || {})) {
+    params[name] = coerceParam(match.params[name], schema);
+    validateSchema(params[name], schema, name, errors);
+  }
+  const query = {};
+  for (const [name, value] of url.searchParams) {
+    const schema = (route.query || {})[name];
+    if (!schema) {
+      errors.push({ field: name, message: "is not a known query parameter" });
+      continue;
+    }
+    query[name] = coerceParam(value, schema);
+    validateSchema(query[name], schema, name, errors);
+  }
+
+  audit.params = { ...params, ...query };
+
+  let body = {};
+  if (!route.upload && req.method !== "GET") {
+    const parsed = await readV1Body(req, res);
+    if (parsed.error) return refuse(parsed.status, parsed.error);
+    body = parsed.value;
+    audit.params = { ...params, ...query, ...body };
+    if (!audit.user) audit.user = body.username || null;
+    validateSchema(body, route.body || objectSchema({}), "", errors);
+  }
+  if (errors.length) {
+    req.resume();
+    return refuse(400, errors.map((e) => `${e.field} ${e.message}`).join("; "), errors);
+  }
+
+  let result;
+  try {
+    result = await route.handler({ params, query, body, session, req, res });
+  } catch (err) {
+    console.error(`${req.method} ${url.pathname} failed:`, err);
+    audit.result = { success: false, error: "Internal error: " + err.message };
+    if (!res.headersSent) sendV1Error(res, 500, "Internal error");
+    else res.destroy();
+    return;
+  }
+  if (result !== undefined) audit.result = result;
+
+  if (res.headersSent) return;
+  if (result === undefined) return;
+  if (result && result.success === false) {
+    if (route.upload) req.resume();
+    return sendV1Error(res, result.status || 500, result.error || result.response || "Request failed",
+      result.errors ? Object.entries(result.errors).map(([field, message]) => ({ field, message })) : undefined);
+  }
+
+  let data = result;
+  if (result && result.success === true) {
+    const { success, ...rest } = result;
+    data = rest;
+  }
+  if (data && data.jobId) res.setHeader("Location", `${V1_PREFIX}/jobs/${data.jobId}`);
+  if (req.method === "DELETE" && data && !Object.keys(data).length) {
+    res.writeHead(204);
+    return res.end();
+  }
+  sendJSON(res, route.status || 200, data);
+}
+
+// ── OpenAPI
+
+function v1OperationId(route) {
+  return route.method.toLowerCase() + route.path
+    .split("/")
+    .filter(Boolean)
+    .map((part) => {
+      const name = part.replace(/^\{(.*)\}$/, "By-$1").replace(/\.json$/, "");
+      return name.split(/[-_.]/).map((w) => w[0].toUpperCase() + w.slice(1)).join("");
+    })
+    .join("");
+}
+
+function v1OpenAPIDocument() {
+  const paths = {};
+  for (const route of V1_ROUTES) {
+    const parameters = [
+      ...Object.entries(route.params || {}).map(([name, schema]) => ({ name, in: "path", required: true, schema })),
+      ...Object.entries(route.query || {}).map(([name, { description, ...schema }]) =>
+        ({ name, in: "query", required: false, ...(description ? { description } : {}), schema })),
+    ];
+    const responses = {
+      [route.status || 200]: {
+        description: route.status === 202 ? "Accepted" : route.status === 201 ? "Created" : "OK",
+        ...(route.raw ? { content: { [route.produces]: {} } }
+          : route.response ? { content: { "application/json": { schema: { $ref: `#/components/schemas/${route.response}` } } } }
+            : {}),
+      },
+      400: { $ref: "#/components/responses/Error" },
+      ...(route.role ? { 401: { $ref: "#/components/responses/Error" }, 403: { $ref: "#/components/responses/Error" } } : {}),
+      ...(route.params ? { 404: { $ref: "#/components/responses/Error" } } : {}),
+      default: { $ref: "#/components/responses/Error" },
+    };
+    if (route.method === "DELETE") responses[204] = { description: "Deleted" };
+
+    let requestBody;
+    if (route.upload) {
+      requestBody = { required: true, content: { "application/octet-stream": { schema: { type: "string", format: "binary" } } } };
+    } else if (route.body) {
+      requestBody = {
+        required: Boolean(route.body.required && route.body.required.length),
+        content: { "application/json": { schema: route.body } },
+      };
+    }
+
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method.toLowerCase()] = {
+      operationId: v1OperationId(route),
+      summary: route.summary,
+      tags: [route.tag],
+      ...(parameters.length ? { parameters } : {}),
+      ...(requestBody ? { requestBody } : {}),
+      responses,
+      security: route.role ? [{ session: [], csrf: [] }] : [],
+      ...(route.role ? { "x-required-role": route.role } : {}),
+    };
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "MC World Manager API",
+      version: API_VERSION,
+      description: "Log in with POST /session, then send the session cookie with every request and the " +
+        "returned csrfToken as X-CSRF-Token on every request that is not a GET. Roles: viewer < operator < admin. " +
+        "Failures use 4xx/5xx status codes with an { error: { code, message, details } } body.",
+    },
+    servers: [{ url: V1_PREFIX }],
+    paths,
+    components: {
+      securitySchemes: {
+        session: { type: "apiKey", in: "cookie", name: SESSION_COOKIE },
+        csrf: { type: "apiKey", in: "header", name: "X-CSRF-Token", description: "Required on every request that is not a GET" },
+      },
+      schemas: {
+        Error: objectSchema({
+          error: objectSchema({
+            code: { type: "string", enum: [...new Set(Object.values(V1_ERROR_CODES))] },
+            message: { type: "string" },
+            details: { type: "array", items: objectSchema({ field: { type: "string" }, message: { type: "string" } }) },
+          }, ["code", "message"]),
+        }, ["error"]),
+        JobQueued: objectSchema({
+          jobId: { type: "string" },
+          jobIds: { type: "array", items: { type: "string" }, description: "Uploads to several destinations queue one job each" },
+          message: { type: "string" },
+        }, ["jobId", "message"]),
+      },
+      responses: {
+        Error: { description: "Error", content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } },
+      },
+    },
+  };
+}
+
+// ── HTML Frontend ──────────────────────────────────────────────────────────
+function getHTML() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>MC World Manager</title>
   <link rel="preconnect" href="https://fonts.googleapis.com">
   <link href="https://fonts.googleapis.com/css2?family=JetBrains+Mono:wght@400;600;700&family=Outfit:wght@400;500;600;700&display=swap" rel="stylesheet">
   <style>
@@ -373,477 +6669,2557 @@ function getHTML() {
       --border: #2a3a5e;
       --radius: 8px;
     }
-    * { box-sizing: border-box; margin: 0; padding: 0; }
-    body {
-      font-family: 'Outfit', sans-serif;
-      background: var(--bg-dark);
-      color: var(--text-primary);
-      min-height: 100vh;
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    body {
+      font-family: 'Outfit', sans-serif;
+      background: var(--bg-dark);
+      color: var(--text-primary);
+      min-height: 100vh;
+    }
+
+    .header {
+      background: linear-gradient(135deg, #0f3460, #16213e);
+      border-bottom: 2px solid var(--accent-green);
+      padding: 16px 24px;
+      display: flex; align-items: center; justify-content: space-between;
+      flex-wrap: wrap; gap: 12px;
+    }
+    .header h1 {
+      font-family: 'JetBrains Mono', monospace;
+      font-size: 20px; color: var(--accent-green); letter-spacing: -0.5px;
+    }
+    .header h1 span { color: var(--text-muted); font-weight: 400; }
+
+    .status-bar {
+      display: flex; gap: 16px; font-size: 13px;
+      font-family: 'JetBrains Mono', monospace;
+    }
+    .status-dot {
+      width: 8px; height: 8px; border-radius: 50%;
+      display: inline-block; margin-right: 6px;
+    }
+    .status-dot.online { background: var(--accent-green); box-shadow: 0 0 6px var(--accent-green); }
+    .status-dot.offline { background: var(--accent-red); box-shadow: 0 0 6px var(--accent-red); }
+
+    .container { max-width: 1100px; margin: 0 auto; padding: 24px; }
+
+    .tabs {
+      display: flex; gap: 4px; margin-bottom: 24px;
+      border-bottom: 2px solid var(--border); padding-bottom: 0;
+    }
+    .tab {
+      padding: 10px 20px; background: transparent; border: none;
+      color: var(--text-muted); font-family: 'Outfit', sans-serif;
+      font-size: 14px; font-weight: 600; cursor: pointer;
+      border-bottom: 2px solid transparent; margin-bottom: -2px;
+      transition: all 0.2s;
+    }
+    .tab:hover { color: var(--text-primary); }
+    .tab.active { color: var(--accent-green); border-bottom-color: var(--accent-green); }
+
+    .tab-content { display: none; }
+    .tab-content.active { display: block; }
+
+    .card {
+      background: var(--bg-card); border: 1px solid var(--border);
+      border-radius: var(--radius); padding: 20px; margin-bottom: 16px;
+    }
+    .card-title {
+      font-size: 14px; font-weight: 600; color: var(--accent-green);
+      text-transform: uppercase; letter-spacing: 1px; margin-bottom: 16px;
+    }
+
+    .world-item {
+      display: flex; align-items: center; justify-content: space-between;
+      padding: 12px 16px; background: var(--bg-dark);
+      border-radius: var(--radius); margin-bottom: 8px;
+      flex-wrap: wrap; gap: 8px;
+    }
+    .world-info { display: flex; align-items: center; gap: 12px; flex: 1; min-width: 200px; }
+    .world-name { font-family: 'JetBrains Mono', monospace; font-weight: 600; font-size: 15px; }
+    .world-badge {
+      font-size: 10px; padding: 2px 8px; border-radius: 4px;
+      font-weight: 600; text-transform: uppercase;
+    }
+    .badge-active { background: var(--accent-green); color: #000; }
+    .badge-inactive { background: var(--border); color: var(--text-muted); }
+    .world-meta { font-size: 12px; color: var(--text-muted); font-family: 'JetBrains Mono', monospace; }
+    .world-actions { display: flex; gap: 6px; }
+
+    .btn {
+      padding: 8px 16px; border: none; border-radius: var(--radius);
+      font-family: 'Outfit', sans-serif; font-size: 13px; font-weight: 600;
+      cursor: pointer; transition: all 0.15s;
+    }
+    .btn:hover { transform: translateY(-1px); }
+    .btn:active { transform: translateY(0); }
+    .btn-primary { background: var(--accent-green); color: #000; }
+    .btn-danger  { background: var(--accent-red); color: #fff; }
+    .btn-blue    { background: var(--accent-blue); color: #000; }
+    .btn-small   { padding: 5px 10px; font-size: 12px; }
+
+    .form-group { margin-bottom: 14px; }
+    .form-group label {
+      display: block; font-size: 12px; font-weight: 600;
+      color: var(--text-muted); text-transform: uppercase;
+      letter-spacing: 0.5px; margin-bottom: 6px;
+    }
+    .form-group input, .form-group select, .form-group textarea {
+      width: 100%; padding: 10px 14px; background: var(--bg-input);
+      border: 1px solid var(--border); border-radius: var(--radius);
+      color: var(--text-primary); font-family: 'JetBrains Mono', monospace;
+      font-size: 14px;
+    }
+    .form-group input:focus, .form-group select:focus, .form-group textarea:focus {
+      outline: none; border-color: var(--accent-green);
+    }
+    .form-row { display: grid; grid-template-columns: 1fr 1fr; gap: 14px; }
+
+    .console {
+      background: #000; border-radius: var(--radius); padding: 16px;
+      font-family: 'JetBrains Mono', monospace; font-size: 13px;
+      height: 480px; overflow-y: auto; white-space: pre-wrap; word-break: break-word;
+    }
+    .console-line { margin-bottom: 4px; }
+    .console-line .cmd { color: var(--accent-green); }
+    .console-line .resp { color: var(--text-muted); }
+    .console-line.log-INFO { color: var(--text-primary); margin-bottom: 0; }
+    .console-line.log-WARN { color: var(--accent-yellow); margin-bottom: 0; }
+    .console-line.log-ERROR, .console-line.log-FATAL { color: var(--accent-red); margin-bottom: 0; }
+    .console-line.log-DEBUG, .console-line.log-TRACE { color: var(--text-muted); margin-bottom: 0; }
+    .console-line.log-marker { color: var(--accent-blue); }
+    .console-line.hidden { display: none; }
+    .console-filters {
+      display: flex; gap: 12px; align-items: center; flex-wrap: wrap;
+      margin-bottom: 12px; font-size: 13px;
+    }
+    .console-filters input[type=text], .console-filters select {
+      padding: 6px 10px; background: var(--bg-input); border: 1px solid var(--border);
+      border-radius: 4px; color: var(--text-primary); font-family: 'JetBrains Mono', monospace; font-size: 12px;
+    }
+    .console-input-row { display: flex; gap: 8px; margin-top: 12px; }
+    .console-input-row input {
+      flex: 1; padding: 10px 14px; background: #111;
+      border: 1px solid var(--border); border-radius: var(--radius);
+      color: var(--accent-green); font-family: 'JetBrains Mono', monospace; font-size: 13px;
+    }
+    .console-input-row input:focus { outline: none; border-color: var(--accent-green); }
+
+    .props-table {
+      width: 100%; border-collapse: collapse;
+      font-family: 'JetBrains Mono', monospace; font-size: 13px;
+    }
+    .props-table tr { border-bottom: 1px solid var(--border); }
+    .props-table td { padding: 8px 12px; }
+    .props-table td:first-child { color: var(--accent-blue); width: 280px; }
+    .props-table input, .props-table select {
+      width: 100%; padding: 6px 10px; background: var(--bg-input);
+      border: 1px solid var(--border); border-radius: 4px;
+      color: var(--text-primary); font-family: 'JetBrains Mono', monospace; font-size: 13px;
+    }
+    .props-table input:disabled, .props-table select:disabled { opacity: 0.6; }
+    .props-table .changed { border-color: var(--accent-yellow); }
+    .props-table .invalid { border-color: var(--accent-red); }
+    .badge-live { background: var(--accent-blue); color: #000; }
+    .badge-warning { background: var(--accent-yellow); color: #000; }
+
+    .backup-item {
+      display: flex; align-items: center; justify-content: space-between;
+      padding: 10px 16px; background: var(--bg-dark);
+      border-radius: var(--radius); margin-bottom: 6px;
+      font-family: 'JetBrains Mono', monospace; font-size: 13px;
+      flex-wrap: wrap; gap: 8px;
+    }
+
+    .stat-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 12px; }
+    .stat {
+      padding: 12px 16px; background: var(--bg-dark); border-radius: var(--radius);
+    }
+    .stat-label { font-size: 12px; color: var(--text-muted); }
+    .stat-value { font-family: 'JetBrains Mono', monospace; font-size: 20px; font-weight: 600; margin-top: 4px; }
+    .chart { width: 100%; height: 160px; display: block; }
+    .chart text { fill: var(--text-muted); font-family: 'JetBrains Mono', monospace; font-size: 10px; }
+    .chart-legend { display: flex; gap: 14px; font-size: 12px; color: var(--text-muted); margin-top: 6px; }
+
+    .progress {
+      height: 6px; background: var(--bg-input); border-radius: 3px;
+      overflow: hidden; margin-top: 6px; min-width: 200px;
+    }
+    .progress-bar { height: 100%; background: var(--accent-green); transition: width 0.5s; }
+
+    .remote-status { padding: 16px; border-radius: var(--radius); text-align: center; }
+    .remote-connected { background: rgba(78, 204, 163, 0.1); border: 1px solid var(--accent-green); }
+    .remote-disconnected { background: rgba(243, 156, 18, 0.1); border: 1px solid var(--accent-yellow); }
+    .remote-instructions {
+      background: var(--bg-dark); border-radius: var(--radius);
+      padding: 20px; margin-top: 16px; font-size: 14px; line-height: 1.8;
+    }
+    .remote-instructions code {
+      background: var(--bg-input); padding: 2px 8px; border-radius: 4px;
+      font-family: 'JetBrains Mono', monospace; font-size: 13px;
+    }
+
+    .toast-container { position: fixed; top: 20px; right: 20px; z-index: 9999; }
+    .toast {
+      padding: 12px 20px; border-radius: var(--radius); margin-bottom: 8px;
+      font-size: 13px; font-weight: 600; animation: slideIn 0.3s ease;
+    }
+    .toast-success { background: var(--accent-green); color: #000; }
+    .toast-error   { background: var(--accent-red); color: #fff; }
+    .toast-info    { background: var(--accent-blue); color: #000; }
+    @keyframes slideIn {
+      from { transform: translateX(100%); opacity: 0; }
+      to   { transform: translateX(0); opacity: 1; }
+    }
+
+    .login-overlay {
+      position: fixed; inset: 0; background: var(--bg-dark); z-index: 5000;
+      display: flex; align-items: center; justify-content: center;
+    }
+    .login-overlay.hidden { display: none; }
+    .login-card { width: 100%; max-width: 360px; }
+    .user-bar { display: flex; align-items: center; gap: 8px; font-size: 13px; }
+    .user-bar .world-badge { background: var(--border); color: var(--text-muted); }
+
+    @media (max-width: 640px) {
+      .form-row { grid-template-columns: 1fr; }
+      .header { padding: 12px 16px; }
+      .container { padding: 16px; }
+      .tabs { overflow-x: auto; }
+    }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>\\u26CF MC World Manager <span>// Appliance</span></h1>
+    <div class="status-bar">
+      <span><span class="status-dot" id="statusDot"></span><span id="statusText">Checking...</span></span>
+      <span id="playerCount"></span>
+      <span id="rconState" style="color:var(--text-muted)"></span>
+    </div>
+    <div class="user-bar">
+      <span id="currentUser"></span>
+      <span class="world-badge" id="currentRole"></span>
+      <button class="btn btn-small" onclick="changePassword()">Password</button>
+      <button class="btn btn-small" onclick="logout()">Log out</button>
+    </div>
+  </div>
+
+  <div class="login-overlay hidden" id="loginOverlay">
+    <div class="card login-card">
+      <div class="card-title">Log in</div>
+      <div class="form-group">
+        <label>Username</label>
+        <input type="text" id="loginUsername" autocomplete="username">
+      </div>
+      <div class="form-group">
+        <label>Password</label>
+        <input type="password" id="loginPassword" autocomplete="current-password" onkeydown="if(event.key==='Enter')login()">
+      </div>
+      <button class="btn btn-primary" onclick="login()">Log in</button>
+    </div>
+  </div>
+
+  <div class="container">
+    <div class="tabs">
+      <button class="tab active" onclick="switchTab('dashboard')">Dashboard</button>
+      <button class="tab" onclick="switchTab('worlds')">Worlds</button>
+      <button class="tab" data-role="admin" onclick="switchTab('create')">Create World</button>
+      <button class="tab" data-role="operator" onclick="switchTab('backups')">Backups</button>
+      <button class="tab" data-role="operator" onclick="switchTab('jobs')">Jobs</button>
+      <button class="tab" data-role="operator" onclick="switchTab('console')">Console</button>
+      <button class="tab" data-role="operator" onclick="switchTab('tasks')">Tasks</button>
+      <button class="tab" data-role="operator" onclick="switchTab('players')">Players</button>
+      <button class="tab" onclick="switchTab('playtime')">Playtime</button>
+      <button class="tab" data-role="operator" onclick="switchTab('plugins')">Plugins</button>
+      <button class="tab" onclick="switchTab('properties')">Properties</button>
+      <button class="tab" data-role="operator" onclick="switchTab('remotes')">Remote Backups</button>
+      <button class="tab" data-role="admin" onclick="switchTab('notifications')">Notifications</button>
+      <button class="tab" data-role="admin" onclick="switchTab('users')">Users</button>
+      <button class="tab" data-role="admin" onclick="switchTab('activity')">Activity</button>
+    </div>
+
+    <div class="tab-content active" id="tab-dashboard">
+      <div class="card">
+        <div class="card-title">Server</div>
+        <div class="world-meta" id="containerState">Loading...</div>
+        <div class="world-meta" id="serverActionState" style="margin-top:8px;display:none;"></div>
+        <div data-role="operator" style="margin-top:16px;">
+          <div class="form-group">
+            <label>Countdown before stop or restart (seconds, players are warned in game)</label>
+            <input type="number" id="lifecycleCountdown" value="60" min="0" max="3600" step="1">
+          </div>
+          <button class="btn btn-primary btn-small" onclick="serverAction('start')">Start</button>
+          <button class="btn btn-danger btn-small" onclick="serverAction('stop')">Stop</button>
+          <button class="btn btn-blue btn-small" onclick="serverAction('restart')">Restart</button>
+          <button class="btn btn-small" id="cancelServerAction" style="display:none;" onclick="cancelServerAction()">Cancel Countdown</button>
+        </div>
+      </div>
+      <div class="card">
+        <div class="card-title">Now</div>
+        <div class="stat-grid" id="metricsNow">Loading...</div>
+      </div>
+      <div class="card">
+        <div class="console-filters">
+          <label>Range
+            <select id="metricsRange" onchange="loadMetrics()">
+              <option value="1h">Last hour</option>
+              <option value="24h" selected>Last 24 hours</option>
+              <option value="7d">Last 7 days</option>
+              <option value="90d">Last 90 days</option>
+            </select>
+          </label>
+        </div>
+        <div class="card-title">TPS</div>
+        <div id="chartTps"></div>
+        <div class="card-title" style="margin-top:20px;">MSPT</div>
+        <div id="chartMspt"></div>
+        <div class="card-title" style="margin-top:20px;">Players</div>
+        <div id="chartPlayers"></div>
+        <div class="card-title" style="margin-top:20px;">Disk</div>
+        <div id="chartDisk"></div>
+      </div>
+    </div>
+
+    <div class="tab-content" id="tab-worlds">
+      <div class="card">
+        <div class="card-title">Worlds</div>
+        <div class="world-meta" id="worldSwitchStatus" style="margin-bottom:12px;display:none;"></div>
+        <div id="worldList">Loading...</div>
+      </div>
+      <div class="card" id="worldDetailCard" style="display:none;">
+        <div class="card-title" id="worldDetailTitle">World Details</div>
+        <div class="remote-status remote-disconnected" id="worldDetailWarning" style="display:none;margin-bottom:12px;"></div>
+        <table class="props-table" id="worldDetailTable"></table>
+        <div class="card-title" style="margin-top:20px;">Game Rules</div>
+        <table class="props-table" id="worldGameRules"></table>
+        <div class="card-title" style="margin-top:20px;">Storage</div>
+        <table class="props-table" id="worldStorage"></table>
+        <div class="world-meta" style="margin:12px 0 8px;">Largest region files</div>
+        <table class="props-table" id="worldRegions"></table>
+        <div class="card-title" style="margin-top:20px;">Datapacks</div>
+        <div class="world-meta" id="datapackStatus" style="margin-bottom:8px;"></div>
+        <div id="datapackList"></div>
+        <div data-role="admin" style="margin-top:12px;">
+          <div class="form-row">
+            <div class="form-group">
+              <label>Add datapack (.zip with pack.mcmeta at the top level)</label>
+              <input type="file" id="datapackFile" accept=".zip">
+            </div>
+          </div>
+          <div class="progress" id="datapackUploadProgress" style="display:none;"><div class="progress-bar" style="width:0%"></div></div>
+          <button class="btn btn-primary btn-small" onclick="uploadDatapack()">Upload Datapack</button>
+          <button class="btn btn-small" id="datapackReload" onclick="reloadDatapacks()">Reload Datapacks</button>
+        </div>
+        <div data-role="admin">
+          <div class="card-title" style="margin-top:20px;">Prune Chunks</div>
+          <div class="world-meta" style="margin-bottom:12px;">Deletes chunks players spent little time in, outside a protected square around spawn (the nether and end are protected around 0,0). Run a dry run first; pruning only works on an inactive world and backs it up beforehand.</div>
+          <div class="form-row">
+            <div class="form-group">
+              <label>Inhabited less than (minutes)</label>
+              <input type="number" id="pruneMinutes" value="5" min="0" step="0.5" oninput="pruneSettingsChanged()">
+            </div>
+            <div class="form-group">
+              <label>Protected radius (blocks)</label>
+              <input type="number" id="pruneRadius" value="1000" min="0" step="1" oninput="pruneSettingsChanged()">
+            </div>
+          </div>
+          <div class="world-meta" id="pruneReport" style="margin-bottom:12px;"></div>
+          <button class="btn btn-blue btn-small" onclick="pruneWorld(true)">Dry Run</button>
+          <button class="btn btn-danger btn-small" id="pruneButton" onclick="pruneWorld(false)" disabled>Prune</button>
+        </div>
+        <button class="btn btn-small" style="margin-top:16px;" onclick="closeWorldDetails()">Close</button>
+      </div>
+      <div class="card" data-role="admin">
+        <div class="card-title">Import World</div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Archive (.zip or .tar.gz)</label>
+            <input type="file" id="importWorldFile" accept=".zip,.tar.gz,.tgz">
+          </div>
+          <div class="form-group">
+            <label>World Name</label>
+            <input type="text" id="importWorldName" placeholder="my-world">
+          </div>
+        </div>
+        <div class="progress" id="importWorldProgress" style="display:none;"><div class="progress-bar" style="width:0%"></div></div>
+        <button class="btn btn-primary" onclick="importWorld()">Upload World</button>
+      </div>
+    </div>
+
+    <div class="tab-content" id="tab-create">
+      <div class="card">
+        <div class="card-title">Create New World</div>
+        <div class="form-group">
+          <label>World Name</label>
+          <input type="text" id="newWorldName" placeholder="my-world">
+        </div>
+        <div class="form-group">
+          <label>Seed (leave blank for random)</label>
+          <input type="text" id="newWorldSeed" placeholder="Optional seed value">
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Gamemode</label>
+            <select id="newWorldGamemode">
+              <option value="survival">Survival</option>
+              <option value="creative">Creative</option>
+              <option value="adventure">Adventure</option>
+              <option value="spectator">Spectator</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label>Difficulty</label>
+            <select id="newWorldDifficulty">
+              <option value="easy">Easy</option>
+              <option value="normal" selected>Normal</option>
+              <option value="hard">Hard</option>
+              <option value="peaceful">Peaceful</option>
+            </select>
+          </div>
+        </div>
+        <div class="form-group">
+          <label>World Type</label>
+          <select id="newWorldType">
+            <option value="minecraft:normal">Normal</option>
+            <option value="minecraft:flat">Flat / Superflat</option>
+            <option value="minecraft:large_biomes">Large Biomes</option>
+            <option value="minecraft:amplified">Amplified</option>
+          </select>
+        </div>
+        <button class="btn btn-primary" onclick="createWorld()">Create World & Restart Server</button>
+      </div>
+    </div>
+
+    <div class="tab-content" id="tab-backups">
+      <div class="card">
+        <div class="card-title">Local Backups</div>
+        <div id="backupList">Loading...</div>
+        <div style="margin-top:12px;" data-role="admin">
+          <button class="btn btn-small" onclick="collectGarbage()">Clean Up Snapshot Store</button>
+        </div>
+      </div>
+      <div class="card" data-role="operator">
+        <div class="card-title">Import Backup</div>
+        <div class="form-group">
+          <label>Backup archive (.tar.gz or .tgz)</label>
+          <input type="file" id="importBackupFile" accept=".tar.gz,.tgz">
+        </div>
+        <div class="progress" id="importBackupProgress" style="display:none;"><div class="progress-bar" style="width:0%"></div></div>
+        <button class="btn btn-primary" onclick="importBackup()">Upload Backup</button>
+      </div>
+      <div class="card">
+        <div class="card-title">Backup Schedules</div>
+        <div id="scheduleList">Loading...</div>
+      </div>
+      <div class="card">
+        <div class="card-title" id="scheduleFormTitle">Add Schedule</div>
+        <input type="hidden" id="scheduleId">
+        <div class="form-row">
+          <div class="form-group">
+            <label>World (or @active)</label>
+            <input type="text" id="scheduleWorld" value="@active">
+          </div>
+          <div class="form-group">
+            <label>Cron (min hour day month weekday)</label>
+            <input type="text" id="scheduleCron" value="0 3 * * *">
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Keep hourly</label>
+            <input type="number" min="0" id="retainHourly" value="24">
+          </div>
+          <div class="form-group">
+            <label>Keep daily</label>
+            <input type="number" min="0" id="retainDaily" value="7">
+          </div>
+          <div class="form-group">
+            <label>Keep weekly</label>
+            <input type="number" min="0" id="retainWeekly" value="4">
+          </div>
+          <div class="form-group">
+            <label>Keep monthly</label>
+            <input type="number" min="0" id="retainMonthly" value="0">
+          </div>
+        </div>
+        <div class="form-group">
+          <label>Backup Type</label>
+          <select id="scheduleMode">
+            <option value="full">Full archive (.tar.gz)</option>
+            <option value="incremental">Incremental snapshot (deduplicated, local only)</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label><input type="checkbox" id="scheduleUpload" style="width:auto;"> Upload to the enabled remote destinations after each run (retention applies there too)</label>
+        </div>
+        <div class="form-group">
+          <label><input type="checkbox" id="scheduleEnabled" style="width:auto;" checked> Enabled</label>
+        </div>
+        <button class="btn btn-primary" onclick="saveSchedule()">Save Schedule</button>
+        <button class="btn btn-small" onclick="resetScheduleForm()">Clear</button>
+      </div>
+    </div>
+
+    <div class="tab-content" id="tab-jobs">
+      <div class="card">
+        <div class="card-title">Jobs</div>
+        <div id="jobList">Loading...</div>
+      </div>
+    </div>
+
+    <div class="tab-content" id="tab-tasks">
+      <div class="card">
+        <div class="card-title">Scheduled Tasks</div>
+        <div id="taskList">Loading...</div>
+      </div>
+      <div class="card">
+        <div class="card-title" id="taskFormTitle">Add Task</div>
+        <input type="hidden" id="taskId">
+        <div class="form-row">
+          <div class="form-group">
+            <label>Name</label>
+            <input type="text" id="taskName" placeholder="Nightly restart">
+          </div>
+          <div class="form-group">
+            <label>Cron (min hour day month weekday)</label>
+            <input type="text" id="taskCron" value="0 4 * * *">
+          </div>
+        </div>
+        <div class="form-group">
+          <label>Condition</label>
+          <select id="taskCondition"></select>
+        </div>
+        <div class="form-group">
+          <label>RCON commands, one per line (&quot;@restart 300&quot; restarts after a 5 minute in-game countdown)</label>
+          <textarea id="taskCommands" rows="4" placeholder="weather clear"></textarea>
+        </div>
+        <div class="form-group">
+          <label>Rotating announcements, one per line (one is broadcast per run)</label>
+          <textarea id="taskAnnouncements" rows="4" placeholder="Join our Discord!"></textarea>
+        </div>
+        <div class="form-group">
+          <label><input type="checkbox" id="taskEnabled" style="width:auto;" checked> Enabled</label>
+        </div>
+        <button class="btn btn-primary" onclick="saveTask()">Save Task</button>
+        <button class="btn btn-small" onclick="resetTaskForm()">Clear</button>
+      </div>
+    </div>
+
+    <div class="tab-content" id="tab-players">
+      <div class="card">
+        <div class="card-title">Online Players</div>
+        <div id="onlinePlayers">Loading...</div>
+      </div>
+      <div class="card">
+        <div class="card-title">Whitelist</div>
+        <div class="world-meta" style="margin-bottom:12px;">
+          <span id="whitelistState"></span>
+          <button class="btn btn-small" data-role="admin" id="whitelistToggle" onclick="toggleWhitelist()"></button>
+        </div>
+        <div id="whitelistList"></div>
+        <div class="console-input-row">
+          <input type="text" id="whitelistName" placeholder="Player name">
+          <button class="btn btn-primary" onclick="addToList('whitelist', 'whitelistName')">Add</button>
+        </div>
+      </div>
+      <div class="card">
+        <div class="card-title">Operators</div>
+        <div id="opsList"></div>
+        <div class="console-input-row" data-role="admin">
+          <input type="text" id="opName" placeholder="Player name">
+          <button class="btn btn-primary" onclick="addToList('ops', 'opName')">Op</button>
+        </div>
+      </div>
+      <div class="card">
+        <div class="card-title">Banned Players</div>
+        <div id="bansList"></div>
+        <div class="form-row" style="margin-top:12px;">
+          <div class="form-group">
+            <label>Player Name</label>
+            <input type="text" id="banName">
+          </div>
+          <div class="form-group">
+            <label>Reason (optional)</label>
+            <input type="text" id="banReason">
+          </div>
+        </div>
+        <button class="btn btn-danger" onclick="addToList('bans', 'banName', 'banReason')">Ban Player</button>
+      </div>
+      <div class="card">
+        <div class="card-title">Banned IPs</div>
+        <div id="ipBansList"></div>
+        <div class="form-row" style="margin-top:12px;">
+          <div class="form-group">
+            <label>IP Address</label>
+            <input type="text" id="ipBanAddress">
+          </div>
+          <div class="form-group">
+            <label>Reason (optional)</label>
+            <input type="text" id="ipBanReason">
+          </div>
+        </div>
+        <button class="btn btn-danger" onclick="addToList('ipBans', 'ipBanAddress', 'ipBanReason')">Ban IP</button>
+      </div>
+    </div>
+
+    <div class="tab-content" id="tab-playtime">
+      <div class="card">
+        <div class="console-filters">
+          <label>Range
+            <select id="playtimeRange" onchange="loadPlaytime()">
+              <option value="7d">Last 7 days</option>
+              <option value="30d" selected>Last 30 days</option>
+              <option value="90d">Last 90 days</option>
+              <option value="365d">Last year</option>
+            </select>
+          </label>
+        </div>
+        <div class="stat-grid" id="playtimeSummary">Loading...</div>
+        <div class="card-title" style="margin-top:20px;">Players per Day</div>
+        <div id="chartDailyPlayers"></div>
+        <div class="world-meta" id="playtimeTracking" style="margin-top:8px;"></div>
+      </div>
+      <div class="card">
+        <div class="card-title">Players</div>
+        <div id="playtimePlayers">Loading...</div>
+      </div>
+      <div class="card" id="playerHistoryCard" style="display:none;">
+        <div class="card-title" id="playerHistoryTitle">Player History</div>
+        <div class="stat-grid" id="playerHistoryStats"></div>
+        <div class="card-title" style="margin-top:20px;">Playtime per Day (last 30 days)</div>
+        <div id="chartPlayerDaily"></div>
+        <div class="card-title" style="margin-top:20px;">Worlds</div>
+        <table class="props-table" id="playerHistoryWorlds"></table>
+        <div class="card-title" style="margin-top:20px;">Sessions</div>
+        <div id="playerHistorySessions"></div>
+      </div>
+    </div>
+
+    <div class="tab-content" id="tab-plugins">
+      <div class="card">
+        <div class="card-title">Plugins</div>
+        <div class="world-meta" id="pluginServerVersion" style="margin-bottom:12px;"></div>
+        <div id="pluginList">Loading...</div>
+      </div>
+      <div class="card" data-role="admin">
+        <div class="card-title">Install Plugin</div>
+        <div class="form-group">
+          <label>Plugin jar</label>
+          <input type="file" id="pluginFile" accept=".jar">
+        </div>
+        <div class="progress" id="pluginUploadProgress" style="display:none;"><div class="progress-bar" style="width:0%"></div></div>
+        <button class="btn btn-primary" onclick="uploadPlugin()">Upload Plugin</button>
+      </div>
+    </div>
+
+    <div class="tab-content" id="tab-console">
+      <div class="card">
+        <div class="card-title">RCON Console</div>
+        <div class="console-filters" id="consoleFilters">
+          <label><input type="checkbox" value="INFO" checked onchange="applyConsoleFilter('consoleOutput')"> Info</label>
+          <label><input type="checkbox" value="WARN" checked onchange="applyConsoleFilter('consoleOutput')"> Warn</label>
+          <label><input type="checkbox" value="ERROR" checked onchange="applyConsoleFilter('consoleOutput')"> Error</label>
+          <input type="text" placeholder="Filter text..." oninput="applyConsoleFilter('consoleOutput')">
+          <span class="world-meta" id="logStreamState"></span>
+        </div>
+        <div class="console" id="consoleOutput">
+          <div class="console-line"><span class="resp">Type a command below. e.g. "list", "time set day", "gamerule keepInventory true"</span></div>
+        </div>
+        <div class="console-input-row">
+          <input type="text" id="consoleInput" placeholder="Enter RCON command..." onkeydown="if(event.key==='Enter')sendCommand()">
+          <button class="btn btn-primary" onclick="sendCommand()">Send</button>
+        </div>
+      </div>
+      <div class="card">
+        <div class="card-title">Log History</div>
+        <div class="console-filters" id="historyFilters">
+          <select id="logFileSelect"></select>
+          <button class="btn btn-blue btn-small" onclick="openLogFile()">Open</button>
+          <button class="btn btn-small" id="olderLogButton" onclick="loadOlderLog()" disabled>Load older</button>
+          <label><input type="checkbox" value="INFO" checked onchange="applyConsoleFilter('logHistory')"> Info</label>
+          <label><input type="checkbox" value="WARN" checked onchange="applyConsoleFilter('logHistory')"> Warn</label>
+          <label><input type="checkbox" value="ERROR" checked onchange="applyConsoleFilter('logHistory')"> Error</label>
+          <input type="text" placeholder="Filter text..." oninput="applyConsoleFilter('logHistory')">
+        </div>
+        <div class="console" id="logHistory"></div>
+      </div>
+    </div>
+
+    <div class="tab-content" id="tab-properties">
+      <div class="card">
+        <div class="card-title">Server Properties</div>
+        <table class="props-table" id="propsTable">
+          <tr><td colspan="3">Loading...</td></tr>
+        </table>
+        <div style="margin-top:16px;" data-role="admin">
+          <button class="btn btn-primary" onclick="saveProperties()">Save Changes</button>
+        </div>
+      </div>
+    </div>
+
+    <div class="tab-content" id="tab-remotes">
+      <div class="card">
+        <div class="card-title">Remote Backup Destinations</div>
+        <div id="remoteStatus">Checking...</div>
+        <div id="destinationList" style="margin-top:16px;"></div>
+        <div class="form-row" style="margin-top:12px;" data-role="admin">
+          <div class="form-group">
+            <label>rclone Remote</label>
+            <select id="destinationRemote"></select>
+          </div>
+          <div class="form-group">
+            <label>Folder on the remote</label>
+            <input type="text" id="destinationPath" value="mc-appliance-backups">
+          </div>
+        </div>
+        <button class="btn btn-primary" data-role="admin" onclick="addDestination()">Add Destination</button>
+      </div>
+      <div class="card">
+        <div class="card-title">Remote Files</div>
+        <div class="console-filters">
+          <select id="remoteFilesDestination" onchange="loadRemoteFiles()"></select>
+          <button class="btn btn-blue btn-small" onclick="loadRemoteFiles()">Refresh</button>
+        </div>
+        <div id="remoteFileList"></div>
+      </div>
+      <div class="card">
+        <div class="card-title">Setup</div>
+        <div class="remote-instructions">
+          <strong>Adding a remote:</strong><br><br>
+          SSH into the appliance and run:<br><br>
+          <code>rclone config</code><br><br>
+          Any rclone backend works: Google Drive (<code>drive</code>), S3, Backblaze B2, SFTP,
+          or a NAS share mounted into the container (<code>local</code>).
+          For Google Drive on this headless server, choose <strong>"No"</strong> when asked about auto config,
+          then complete the OAuth flow on your local machine and paste the token back.<br><br>
+          New remotes show up in the list above. Add one as a destination and backups uploaded
+          from the Backups tab, or by a schedule with upload enabled, are copied there.
+        </div>
+      </div>
+    </div>
+
+    <div class="tab-content" id="tab-notifications">
+      <div class="card">
+        <div class="card-title">Webhook Targets</div>
+        <div id="notifyTargetList">Loading...</div>
+      </div>
+      <div class="card">
+        <div class="card-title" id="notifyFormTitle">Add Webhook</div>
+        <input type="hidden" id="notifyId">
+        <div class="form-row">
+          <div class="form-group">
+            <label>Name</label>
+            <input type="text" id="notifyName" placeholder="Discord #server">
+          </div>
+          <div class="form-group">
+            <label>Format</label>
+            <select id="notifyFormat">
+              <option value="discord">Discord</option>
+              <option value="slack">Slack</option>
+              <option value="generic">Generic JSON</option>
+            </select>
+          </div>
+        </div>
+        <div class="form-group">
+          <label>Webhook URL</label>
+          <input type="text" id="notifyUrl" placeholder="https://discord.com/api/webhooks/...">
+        </div>
+        <div class="form-group">
+          <label>Events</label>
+          <div id="notifyEvents"></div>
+        </div>
+        <div class="form-group">
+          <label><input type="checkbox" id="notifyEnabled" style="width:auto;" checked> Enabled</label>
+        </div>
+        <button class="btn btn-primary" onclick="saveNotifyTarget()">Save Webhook</button>
+        <button class="btn btn-small" onclick="resetNotifyForm()">Clear</button>
+      </div>
+      <div class="card">
+        <div class="card-title">Low Disk Space</div>
+        <div class="form-group">
+          <label>Notify when free space on the data volume drops below (MB, 0 turns it off)</label>
+          <input type="number" id="notifyLowDisk" min="0" step="1">
+        </div>
+        <button class="btn btn-primary" onclick="saveNotifySettings()">Save</button>
+      </div>
+    </div>
+
+    <div class="tab-content" id="tab-users">
+      <div class="card">
+        <div class="card-title">Users</div>
+        <div id="userList">Loading...</div>
+      </div>
+      <div class="card">
+        <div class="card-title">Add User</div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Username</label>
+            <input type="text" id="newUserName" autocomplete="off">
+          </div>
+          <div class="form-group">
+            <label>Password (min. 8 characters)</label>
+            <input type="password" id="newUserPassword" autocomplete="new-password">
+          </div>
+        </div>
+        <div class="form-group">
+          <label>Role</label>
+          <select id="newUserRole">
+            <option value="viewer">Viewer &mdash; status, worlds, properties</option>
+            <option value="operator">Operator &mdash; backups, console</option>
+            <option value="admin">Admin &mdash; create/delete worlds, users</option>
+          </select>
+        </div>
+        <button class="btn btn-primary" onclick="createUser()">Add User</button>
+      </div>
+    </div>
+
+    <div class="tab-content" id="tab-activity">
+      <div class="card">
+        <div class="card-title">Activity</div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Action</label>
+            <select id="auditAction" onchange="loadActivity()"><option value="">All actions</option></select>
+          </div>
+          <div class="form-group">
+            <label>World</label>
+            <select id="auditWorld" onchange="loadActivity()"><option value="">All worlds</option></select>
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>From</label>
+            <input type="datetime-local" id="auditFrom" onchange="loadActivity()">
+          </div>
+          <div class="form-group">
+            <label>To</label>
+            <input type="datetime-local" id="auditTo" onchange="loadActivity()">
+          </div>
+        </div>
+        <div style="margin-bottom:16px;">
+          <button class="btn btn-small" onclick="download('audit/export?' + auditQuery('csv'))">Export CSV</button>
+          <button class="btn btn-small" onclick="download('audit/export?' + auditQuery('json'))">Export JSON</button>
+          <span class="world-meta" id="auditCount" style="margin-left:8px;"></span>
+        </div>
+        <div id="auditList">Loading...</div>
+      </div>
+    </div>
+  </div>
+
+  <div class="toast-container" id="toasts"></div>
+
+  <script>
+    const ROLES = ["viewer", "operator", "admin"];
+    let currentUser = null;
+    let csrfToken = "";
+    let statusTimer = null;
+    let metricsTimer = null;
+    let lastStatus = {};
+    let switchTimer = null;
+
+    async function api(path, body) {
+      const opts = body
+        ? { method: "POST", headers: { "Content-Type": "application/json", "X-CSRF-Token": csrfToken }, body: JSON.stringify(body) }
+        : {};
+      const res = await fetch("/api/" + path, opts);
+      if (res.status === 401 && path !== "auth/login") {
+        showLogin();
+        throw new Error("Authentication required");
+      }
+      return res.json();
+    }
+
+    // fetch() cannot report upload progress, so uploads go through XHR
+    function uploadFile(path, file, progressEl) {
+      return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        const bar = progressEl.firstElementChild;
+        progressEl.style.display = "";
+        bar.style.width = "0%";
+        xhr.open("POST", "/api/" + path);
+        xhr.setRequestHeader("X-CSRF-Token", csrfToken);
+        xhr.upload.onprogress = (e) => {
+          if (e.lengthComputable) bar.style.width = Math.round(e.loaded / e.total * 100) + "%";
+        };
+        xhr.onload = () => {
+          progressEl.style.display = "none";
+          if (xhr.status === 401) { showLogin(); return reject(new Error("Authentication required")); }
+          try { resolve(JSON.parse(xhr.responseText)); }
+          catch (_) { reject(new Error("Unexpected response (" + xhr.status + ")")); }
+        };
+        xhr.onerror = () => {
+          progressEl.style.display = "none";
+          reject(new Error("Upload failed"));
+        };
+        xhr.send(file);
+      });
     }
 
-    .header {
-      background: linear-gradient(135deg, #0f3460, #16213e);
-      border-bottom: 2px solid var(--accent-green);
-      padding: 16px 24px;
-      display: flex; align-items: center; justify-content: space-between;
-      flex-wrap: wrap; gap: 12px;
+    function download(path) {
+      window.location.href = "/api/" + path;
     }
-    .header h1 {
-      font-family: 'JetBrains Mono', monospace;
-      font-size: 20px; color: var(--accent-green); letter-spacing: -0.5px;
+
+    function can(role) {
+      return currentUser && ROLES.indexOf(currentUser.role) >= ROLES.indexOf(role);
+    }
+
+    function showLogin() {
+      currentUser = null;
+      clearInterval(statusTimer);
+      clearInterval(metricsTimer);
+      closeLogStream();
+      document.getElementById("loginOverlay").classList.remove("hidden");
+      document.getElementById("loginUsername").focus();
+    }
+
+    function startSession(data) {
+      currentUser = data.user;
+      csrfToken = data.csrfToken;
+      document.getElementById("loginOverlay").classList.add("hidden");
+      document.getElementById("currentUser").textContent = currentUser.username;
+      document.getElementById("currentRole").textContent = currentUser.role;
+      document.querySelectorAll("[data-role]").forEach((el) => {
+        el.style.display = can(el.dataset.role) ? "" : "none";
+      });
+      refreshStatus();
+      loadMetrics();
+      loadWorlds();
+      clearInterval(statusTimer);
+      statusTimer = setInterval(refreshStatus, 15000);
+      clearInterval(metricsTimer);
+      metricsTimer = setInterval(() => {
+        if (document.getElementById("tab-dashboard").classList.contains("active")) loadMetrics();
+      }, 60000);
+    }
+
+    async function login() {
+      const result = await api("auth/login", {
+        username: document.getElementById("loginUsername").value.trim(),
+        password: document.getElementById("loginPassword").value,
+      });
+      document.getElementById("loginPassword").value = "";
+      if (result.success) startSession(result);
+      else toast(result.error, "error");
+    }
+
+    async function logout() {
+      await api("auth/logout", {});
+      csrfToken = "";
+      showLogin();
+    }
+
+    async function changePassword() {
+      const currentPassword = prompt("Current password:");
+      if (currentPassword === null) return;
+      const newPassword = prompt("New password (min. 8 characters):");
+      if (newPassword === null) return;
+      const result = await api("auth/password", { currentPassword, newPassword });
+      if (result.success) toast("Password changed", "success");
+      else toast("Failed: " + result.error, "error");
+    }
+
+    function toast(message, type = "info") {
+      const container = document.getElementById("toasts");
+      const el = document.createElement("div");
+      el.className = "toast toast-" + type;
+      el.textContent = message;
+      container.appendChild(el);
+      setTimeout(() => el.remove(), 4000);
+    }
+
+    function switchTab(name) {
+      document.querySelectorAll(".tab").forEach((t) => t.classList.remove("active"));
+      document.querySelectorAll(".tab-content").forEach((t) => t.classList.remove("active"));
+      event.target.classList.add("active");
+      document.getElementById("tab-" + name).classList.add("active");
+      if (name === "dashboard") loadMetrics();
+      if (name === "worlds") loadWorlds();
+      if (name === "backups") { loadBackups(); loadSchedules(); }
+      if (name === "properties") loadProperties();
+      if (name === "remotes") loadRemotes();
+      if (name === "users") loadUsers();
+      if (name === "notifications") loadNotifications();
+      if (name === "activity") loadActivity();
+      if (name === "jobs") loadJobs();
+      if (name === "tasks") loadTasks();
+      if (name === "players") loadPlayers();
+      if (name === "playtime") loadPlaytime();
+      if (name === "plugins") loadPlugins();
+      if (name === "console") { openLogStream(); loadLogFiles(); }
+      else closeLogStream();
+    }
+
+    async function refreshStatus() {
+      try {
+        const data = await api("status");
+        lastStatus = data;
+        showWorldSwitch(data.worldSwitch);
+        showServerAction(data.container, data.serverAction);
+        const r = data.rcon;
+        document.getElementById("rconState").textContent = r.status === "connected"
+          ? "RCON connected"
+          : "RCON " + r.status + (r.nextRetry ? ", retry " + new Date(r.nextRetry).toLocaleTimeString() : "") + (r.lastError ? " (" + r.lastError + ")" : "");
+        const dot = document.getElementById("statusDot");
+        const text = document.getElementById("statusText");
+        const count = document.getElementById("playerCount");
+        if (data.online) {
+          dot.className = "status-dot online";
+          text.textContent = "Online";
+          count.textContent = data.playerCount + "/" + data.maxPlayers + " players";
+        } else {
+          dot.className = "status-dot offline";
+          text.textContent = "Offline";
+          count.textContent = "";
+        }
+      } catch (_) {
+        document.getElementById("statusDot").className = "status-dot offline";
+        document.getElementById("statusText").textContent = "Unreachable";
+      }
+    }
+
+    let lifecycleTimer = null;
+
+    function showServerAction(container, action) {
+      document.getElementById("containerState").textContent = container.available
+        ? "Container " + container.status + (container.health ? " (" + container.health + ")" : "") +
+          (container.status === "running" ? " since " + new Date(container.startedAt).toLocaleString() : "")
+        : "Docker API unavailable: " + container.error + ". Restart still works through RCON.";
+      const el = document.getElementById("serverActionState");
+      const busy = action && ["countdown", "stopping", "starting"].includes(action.phase);
+      document.getElementById("cancelServerAction").style.display = action && action.phase === "countdown" ? "" : "none";
+      if (!action) { el.style.display = "none"; return; }
+      el.style.display = "";
+      el.textContent = action.action.charAt(0).toUpperCase() + action.action.slice(1) + ": " + action.message;
+      el.style.color = action.phase === "failed" ? "var(--accent-red)"
+        : action.phase === "online" || action.phase === "stopped" ? "var(--accent-green)" : "var(--accent-yellow)";
+      if (busy && !lifecycleTimer) {
+        lifecycleTimer = setInterval(refreshStatus, 3000);
+      } else if (!busy && lifecycleTimer) {
+        clearInterval(lifecycleTimer);
+        lifecycleTimer = null;
+        toast(action.message, action.phase === "failed" ? "error" : "success");
+      }
+    }
+
+    async function serverAction(action) {
+      const countdown = parseInt(document.getElementById("lifecycleCountdown").value) || 0;
+      if (action !== "start" && !confirm(action.charAt(0).toUpperCase() + action.slice(1) + " the server" + (countdown ? " in " + countdown + " seconds" : " now") + "?")) return;
+      const result = await api("server/" + action, { countdown });
+      if (!result.success) { toast(action + " failed: " + result.error, "error"); return; }
+      toast(result.message, "info");
+      refreshStatus();
+    }
+
+    async function cancelServerAction() {
+      const result = await api("server/cancel", {});
+      if (result.success) toast(result.message, "info");
+      else toast("Cancel failed: " + result.error, "error");
+      refreshStatus();
+    }
+
+    async function loadWorlds() {
+      const worlds = await api("worlds");
+      const el = document.getElementById("worldList");
+      if (!worlds.length) {
+        el.innerHTML = '<div style="color:var(--text-muted);padding:12px;">No worlds found. The server may still be starting.</div>';
+        return;
+      }
+      el.innerHTML = worlds.map(w => \`
+        <div class="world-item">
+          <div class="world-info">
+            <span class="world-name">\${w.name}</span>
+            <span class="world-badge \${w.active ? 'badge-active' : 'badge-inactive'}">\${w.active ? 'ACTIVE' : 'INACTIVE'}</span>
+            \${w.newerThanServer ? '<span class="world-badge badge-warning" title="Saved by a newer Minecraft version than the server">NEWER VERSION</span>' : ''}
+          </div>
+          <div class="world-meta">\${w.version ? escapeHTML(w.version) + ' &middot; ' : ''}\${w.sizeMB} MB</div>
+          <div class="world-actions">
+            <button class="btn btn-small" data-name="\${escapeHTML(w.name)}" onclick="showWorldDetails(this.dataset.name)">Details</button>
+            \${!w.active && can('admin') ? \`<button class="btn btn-primary btn-small" onclick="activateWorld('\${w.name}')">Activate</button>\` : ''}
+            \${can('operator') ? \`<button class="btn btn-blue btn-small" onclick="backupWorld('\${w.name}')">Backup</button>\` : ''}
+            \${can('operator') ? \`<button class="btn btn-blue btn-small" onclick="backupWorld('\${w.name}', 'incremental')">Incremental</button>\` : ''}
+            \${can('operator') ? \`<button class="btn btn-small" onclick="download('worlds/download?name=\${encodeURIComponent(w.name)}')">Download</button>\` : ''}
+            \${!w.active && can('admin') ? \`<button class="btn btn-danger btn-small" onclick="deleteWorld('\${w.name}')">Delete</button>\` : ''}
+          </div>
+        </div>
+      \`).join("");
+    }
+
+    function formatDuration(seconds) {
+      const days = Math.floor(seconds / 86400);
+      const hours = Math.floor(seconds % 86400 / 3600);
+      const minutes = Math.floor(seconds % 3600 / 60);
+      return (days ? days + "d " : "") + (days || hours ? hours + "h " : "") + minutes + "m";
+    }
+
+    async function showWorldDetails(name) {
+      const result = await api("worlds/" + encodeURIComponent(name));
+      if (!result.success) { toast("Could not load details: " + result.error, "error"); return; }
+      const w = result.world;
+      const unknown = '<span style="color:var(--text-muted)">unknown</span>';
+      const rows = [
+        ["Level name", w.levelName],
+        ["Seed", w.seed],
+        ["Minecraft version", w.versionName && (w.versionName + (w.snapshot ? " (snapshot)" : ""))],
+        ["Data version", w.dataVersion],
+        ["Spawn", w.spawn.x !== null ? w.spawn.x + ", " + w.spawn.y + ", " + w.spawn.z : null],
+        ["Game type", w.gameType],
+        ["Difficulty", w.difficulty],
+        ["Hardcore", w.hardcore ? "yes" : "no"],
+        ["Time played", w.timePlayedSeconds !== null ? formatDuration(w.timePlayedSeconds) : null],
+        ["Last played", w.lastPlayed && new Date(w.lastPlayed).toLocaleString()],
+        ["Size", w.sizeMB + " MB"],
+      ];
+      document.getElementById("worldDetailTitle").textContent = "World Details: " + w.name;
+      document.getElementById("worldDetailTable").innerHTML = rows.map(([label, value]) =>
+        \`<tr><td>\${label}</td><td>\${value !== null && value !== undefined ? escapeHTML(String(value)) : unknown}</td></tr>\`
+      ).join("");
+      const rules = Object.keys(w.gameRules).sort();
+      document.getElementById("worldGameRules").innerHTML = rules.length
+        ? rules.map(rule => \`<tr><td>\${escapeHTML(rule)}</td><td>\${escapeHTML(w.gameRules[rule])}</td></tr>\`).join("")
+        : '<tr><td colspan="2">No game rules stored in level.dat</td></tr>';
+      const warning = document.getElementById("worldDetailWarning");
+      warning.style.display = w.warning ? "" : "none";
+      warning.textContent = w.warning || "";
+      const storage = w.storage;
+      document.getElementById("worldStorage").innerHTML = storage.dimensions.map(d =>
+        \`<tr><td>\${escapeHTML(d.label)}</td><td>\${formatBytes(d.bytes)} &middot; \${d.regions.length} region file(s) &middot; <span class="world-meta">\${escapeHTML(d.folder)}</span></td></tr>\`
+      ).join("") + \`<tr><td>Other</td><td>\${formatBytes(storage.otherBytes)} <span class="world-meta">player data, stats, maps</span></td></tr>\`;
+      const regions = storage.dimensions.flatMap(d => d.regions.map(r => ({ ...r, label: d.label }))).sort((a, b) => b.bytes - a.bytes).slice(0, 10);
+      document.getElementById("worldRegions").innerHTML = regions.length
+        ? regions.map(r => \`<tr><td>\${escapeHTML(r.label)} \${escapeHTML(r.file)}</td><td>\${formatBytes(r.bytes)} &middot; \${r.chunks} chunks</td></tr>\`).join("")
+        : '<tr><td colspan="2">No region files</td></tr>';
+      detailWorld = w;
+      pruneSettingsChanged();
+      document.getElementById("pruneReport").textContent = w.active ? "This world is active, so only a dry run is possible." : "";
+      loadDatapacks();
+      const card = document.getElementById("worldDetailCard");
+      card.style.display = "";
+      card.scrollIntoView({ behavior: "smooth" });
+    }
+
+    // The Prune button only unlocks after a dry run with the same settings
+    let detailWorld = null;
+    let pruneChecked = null;
+
+    function pruneSettings() {
+      return {
+        name: detailWorld.name,
+        minInhabitedMinutes: parseFloat(document.getElementById("pruneMinutes").value),
+        protectRadius: parseInt(document.getElementById("pruneRadius").value),
+      };
+    }
+
+    function pruneSettingsChanged() {
+      pruneChecked = null;
+      document.getElementById("pruneButton").disabled = true;
+    }
+
+    function jobFinished(id) {
+      return new Promise(resolve => {
+        const timer = setInterval(async () => {
+          const job = (await api("jobs")).find(j => j.id === id);
+          if (job && job.status !== "queued" && job.status !== "running") {
+            clearInterval(timer);
+            resolve(job);
+          }
+        }, 2000);
+      });
+    }
+
+    async function pruneWorld(dryRun) {
+      const settings = pruneSettings();
+      if (!dryRun) {
+        if (JSON.stringify(settings) !== pruneChecked) return;
+        if (!confirm("Back up " + settings.name + " and delete the chunks found by the dry run?")) return;
+      }
+      const result = await api("worlds/prune", { ...settings, dryRun });
+      if (!result.success) { toast((dryRun ? "Dry run" : "Prune") + " failed: " + result.error, "error"); return; }
+      toast(result.message, "info");
+      const report = document.getElementById("pruneReport");
+      report.textContent = dryRun ? "Scanning region files..." : "Backing up and pruning...";
+      const job = await jobFinished(result.jobId);
+      if (job.status !== "succeeded") {
+        report.textContent = job.type + " " + job.status + (job.error ? ": " + job.error : "");
+        return;
+      }
+      const r = job.result;
+      report.innerHTML = escapeHTML(r.message) + "<br>" + r.report.map(d =>
+        escapeHTML(d.label) + ": " + d.pruned + " of " + d.chunks + " chunks, " + formatBytes(d.prunedBytes) +
+        (d.emptiedRegions ? ", " + d.emptiedRegions + " region file(s) emptied" : "")
+      ).join("<br>") + (r.unreadable ? "<br>" + r.unreadable + " chunk(s) could not be read and were kept" : "") +
+        (r.backup ? "<br>Backup: " + escapeHTML(r.backup) : "");
+      if (dryRun && !detailWorld.active && r.report.some(d => d.pruned)) {
+        pruneChecked = JSON.stringify(settings);
+        document.getElementById("pruneButton").disabled = false;
+      } else if (!dryRun) {
+        pruneSettingsChanged();
+        loadWorlds();
+      }
+    }
+
+    async function loadDatapacks() {
+      const data = await api("worlds/datapacks?name=" + encodeURIComponent(detailWorld.name));
+      const status = document.getElementById("datapackStatus");
+      const el = document.getElementById("datapackList");
+      if (!data.success) {
+        status.textContent = "Could not list datapacks: " + data.error;
+        el.innerHTML = "";
+        return;
+      }
+      document.getElementById("datapackReload").style.display = data.active ? "" : "none";
+      status.textContent = (data.active
+        ? "Enabled state comes from the running server; enabling and disabling apply immediately."
+        : "Enabled state as saved in level.dat. Packs can be switched on while this world is active.") +
+        (data.serverFormat ? " Minecraft " + data.serverVersion + " uses pack format " + data.serverFormat + "." : "") +
+        (data.otherEnabled.length ? " Also enabled: " + data.otherEnabled.join(", ") + "." : "");
+      if (!data.packs.length) {
+        el.innerHTML = '<div style="color:var(--text-muted);padding:12px;">No datapacks in this world.</div>';
+        return;
+      }
+      el.innerHTML = data.packs.map(p => \`
+        <div class="world-item">
+          <div class="world-info">
+            <span class="world-name">\${escapeHTML(p.file)}</span>
+            <span class="world-meta">\${p.packFormat !== undefined ? "format " + p.packFormat + (p.supportedFormats ? " (" + p.supportedFormats.join("-") + ")" : "") : ""}</span>
+            <span class="world-badge \${p.enabled ? 'badge-active' : 'badge-inactive'}">\${p.enabled ? 'ENABLED' : 'DISABLED'}</span>
+            \${p.warning ? '<span class="world-badge badge-warning">FORMAT MISMATCH</span>' : ''}
+          </div>
+          <div class="world-meta">
+            \${escapeHTML(p.description || "")}
+            \${p.warning ? \`<br><span style="color:var(--accent-red)">\${escapeHTML(p.warning)}</span>\` : ""}
+            \${p.error ? \`<br><span style="color:var(--accent-red)">\${escapeHTML(p.error)}</span>\` : ""}
+          </div>
+          <div class="world-actions">
+            \${can('admin') && data.active ? \`<button class="btn btn-small" data-pack="\${escapeHTML(p.file)}" onclick="setDatapackEnabled(this.dataset.pack, \${!p.enabled})">\${p.enabled ? 'Disable' : 'Enable'}</button>\` : ''}
+            \${can('admin') && !data.active ? \`<button class="btn btn-danger btn-small" data-pack="\${escapeHTML(p.file)}" onclick="deleteDatapack(this.dataset.pack)">Delete</button>\` : ''}
+          </div>
+        </div>
+      \`).join("");
+    }
+
+    async function setDatapackEnabled(pack, enabled) {
+      const result = await api("worlds/datapacks/enable", { name: detailWorld.name, pack, enabled });
+      if (result.success) toast(result.message, "success");
+      else toast("Failed: " + result.error, "error");
+      loadDatapacks();
+    }
+
+    async function deleteDatapack(pack) {
+      if (!confirm("Delete " + pack + " from " + detailWorld.name + "?")) return;
+      const result = await api("worlds/datapacks/delete", { name: detailWorld.name, pack });
+      if (result.success) toast(result.message, "success");
+      else toast("Failed: " + result.error, "error");
+      loadDatapacks();
+    }
+
+    async function uploadDatapack() {
+      const file = document.getElementById("datapackFile").files[0];
+      if (!file) return toast("Choose a .zip to upload", "error");
+      try {
+        const result = await uploadFile("worlds/datapacks/upload?name=" + encodeURIComponent(detailWorld.name) +
+          "&filename=" + encodeURIComponent(file.name), file, document.getElementById("datapackUploadProgress"));
+        if (result.success) {
+          toast(result.message, "success");
+          document.getElementById("datapackFile").value = "";
+          loadDatapacks();
+        } else toast("Upload failed: " + result.error, "error");
+      } catch (err) {
+        toast("Upload failed: " + err.message, "error");
+      }
+    }
+
+    async function reloadDatapacks() {
+      const result = await api("worlds/datapacks/reload", {});
+      if (result.success) toast(result.message, "success");
+      else toast("Failed: " + result.error, "error");
+      loadDatapacks();
+    }
+
+    function closeWorldDetails() {
+      document.getElementById("worldDetailCard").style.display = "none";
+    }
+
+    async function activateWorld(name) {
+      let countdown = 0;
+      if (lastStatus.playerCount > 0) {
+        const answer = prompt(lastStatus.playerCount + " player(s) online. Warn them for how many seconds before restarting?", "30");
+        if (answer === null) return;
+        countdown = parseInt(answer) || 0;
+      } else if (!confirm("Activate world '" + name + "'? The server will restart.")) return;
+      const result = await api("worlds/activate", { name, countdown });
+      if (!result.success) { toast("Activate failed: " + result.error, "error"); return; }
+      toast(result.message, "success");
+      clearInterval(switchTimer);
+      switchTimer = setInterval(refreshStatus, 3000);
+      refreshStatus();
+    }
+
+    function showWorldSwitch(sw) {
+      const el = document.getElementById("worldSwitchStatus");
+      if (!sw) { el.style.display = "none"; return; }
+      el.style.display = "";
+      el.textContent = "Switching to " + sw.world + ": " + sw.message;
+      el.style.color = sw.phase === "failed" ? "var(--accent-red)" : sw.phase === "online" ? "var(--accent-green)" : "var(--accent-yellow)";
+      if (switchTimer && (sw.phase === "online" || sw.phase === "failed")) {
+        clearInterval(switchTimer);
+        switchTimer = null;
+        toast(sw.message, sw.phase === "online" ? "success" : "error");
+        loadWorlds();
+      }
+    }
+
+    async function backupWorld(name, mode) {
+      const result = await api("worlds/backup", { name, mode });
+      if (result.success) { toast(result.message, "info"); watchJob(result.jobId); }
+      else toast("Backup failed: " + result.error, "error");
+    }
+
+    async function deleteWorld(name) {
+      if (!confirm("Delete world '" + name + "'? This cannot be undone!")) return;
+      const result = await api("worlds/delete", { name });
+      if (result.success) { toast("World deleted: " + name, "success"); loadWorlds(); }
+      else toast("Delete failed: " + result.error, "error");
+    }
+
+    async function createWorld() {
+      const name = document.getElementById("newWorldName").value.trim();
+      if (!name) { toast("Please enter a world name", "error"); return; }
+      let countdown = 0;
+      if (lastStatus.playerCount > 0) {
+        const answer = prompt(lastStatus.playerCount + " player(s) online. Warn them for how many seconds before restarting?", "30");
+        if (answer === null) return;
+        countdown = parseInt(answer) || 0;
+      }
+      const result = await api("worlds/create", {
+        name,
+        countdown,
+        seed: document.getElementById("newWorldSeed").value.trim(),
+        gamemode: document.getElementById("newWorldGamemode").value,
+        difficulty: document.getElementById("newWorldDifficulty").value,
+        worldType: document.getElementById("newWorldType").value,
+      });
+      if (result.success) {
+        toast(result.message, "success");
+        document.getElementById("newWorldName").value = "";
+        document.getElementById("newWorldSeed").value = "";
+      } else toast("Failed: " + result.error, "error");
+    }
+
+    async function loadBackups() {
+      const backups = await api("backups");
+      const el = document.getElementById("backupList");
+      if (!backups.length) {
+        el.innerHTML = '<div style="color:var(--text-muted);padding:12px;">No backups yet. Go to Worlds tab and click Backup.</div>';
+        return;
+      }
+      el.innerHTML = backups.map(b => \`
+        <div class="backup-item">
+          <span>\${b.filename} <span class="world-badge badge-inactive">\${b.type === "incremental" ? "INCREMENTAL" : "FULL"}</span>
+            <span class="world-badge \${VERIFY_BADGES[b.verification]}" title="\${escapeHTML(verificationTitle(b))}">\${b.verification.toUpperCase()}</span></span>
+          <span title="\${b.type === "incremental" ? "Space this snapshot added to the store / size of the world it holds" : ""}">\${b.type === "incremental" ? "+" + b.sizeMB + " MB of " + b.totalSizeMB + " MB" : b.sizeMB + " MB"}</span>
+          <span style="color:var(--text-muted)">\${new Date(b.created).toLocaleString()}</span>
+          <div class="world-actions">
+            \${b.type === "full" ? \`<button class="btn btn-small" onclick="download('backups/download?filename=\${encodeURIComponent(b.filename)}')">Download</button>\` : ''}
+            \${b.type === "full" ? \`<button class="btn btn-blue btn-small" onclick="uploadBackup('\${b.filename}')">Upload to Remote</button>\` : ''}
+            <button class="btn btn-small" onclick="verifyBackup('\${b.filename}')">Verify</button>
+            \${can('admin') ? \`<button class="btn btn-primary btn-small" onclick="restoreBackup('\${b.filename}')">Restore</button>\` : ''}
+          </div>
+        </div>
+      \`).join("");
     }
-    .header h1 span { color: var(--text-muted); font-weight: 400; }
 
-    .status-bar {
-      display: flex; gap: 16px; font-size: 13px;
-      font-family: 'JetBrains Mono', monospace;
+    const VERIFY_BADGES = { verified: "badge-active", corrupt: "badge-warning", unverified: "badge-inactive" };
+
+    function verificationTitle(b) {
+      const lines = [];
+      if (b.verifiedAt) lines.push("Checked " + new Date(b.verifiedAt).toLocaleString());
+      if (b.verificationError) lines.push(b.verificationError);
+      if (b.sha256) lines.push("SHA-256 " + b.sha256);
+      if (b.fileCount !== null && b.fileCount !== undefined) lines.push(b.fileCount + " files");
+      if (b.level && b.level.versionName) lines.push("Minecraft " + b.level.versionName + (b.level.levelName ? ", " + b.level.levelName : ""));
+      return lines.join("\\n");
     }
-    .status-dot {
-      width: 8px; height: 8px; border-radius: 50%;
-      display: inline-block; margin-right: 6px;
+
+    async function verifyBackup(filename) {
+      const result = await api("backups/verify", { filename });
+      if (result.success) { toast(result.message, "info"); watchJob(result.jobId); }
+      else toast("Verify failed: " + result.error, "error");
     }
-    .status-dot.online { background: var(--accent-green); box-shadow: 0 0 6px var(--accent-green); }
-    .status-dot.offline { background: var(--accent-red); box-shadow: 0 0 6px var(--accent-red); }
 
-    .container { max-width: 1100px; margin: 0 auto; padding: 24px; }
+    let tasks = [];
 
-    .tabs {
-      display: flex; gap: 4px; margin-bottom: 24px;
-      border-bottom: 2px solid var(--border); padding-bottom: 0;
+    async function loadTasks() {
+      const data = await api("tasks");
+      tasks = data.tasks;
+      const select = document.getElementById("taskCondition");
+      if (!select.options.length) {
+        select.innerHTML = Object.entries(data.conditions).map(([id, label]) => \`<option value="\${id}">\${escapeHTML(label)}</option>\`).join("");
+      }
+      const el = document.getElementById("taskList");
+      if (!tasks.length) {
+        el.innerHTML = '<div style="color:var(--text-muted);padding:12px;">No tasks. Add one below.</div>';
+        return;
+      }
+      el.innerHTML = tasks.map(t => {
+        const r = t.lastRun;
+        const last = !r ? "never"
+          : new Date(r.finished).toLocaleString() + (r.skipped ? " skipped (" + r.skipped + ")" : r.success ? " ok" : " failed");
+        const results = r && r.results.length
+          ? r.results.map(c => (c.success ? "\\u2705 " : "\\u274C ") + c.command + (c.response ? " \\u2192 " + c.response : "")).join("\\n")
+          : "";
+        return \`
+        <div class="backup-item">
+          <div style="flex:1;">
+            <div><strong>\${escapeHTML(t.name)}</strong> &middot; <code>\${escapeHTML(t.cron)}</code> &middot; \${escapeHTML(data.conditions[t.condition])} \${t.enabled ? "" : "(disabled)"}</div>
+            <div class="world-meta">\${t.commands.length} command(s)\${t.announcements.length ? " &middot; " + t.announcements.length + " announcement(s), next: " + escapeHTML(t.announcements[t.nextAnnouncement || 0]) : ""}</div>
+            <div class="world-meta">next: \${t.nextRun ? new Date(t.nextRun).toLocaleString() : "-"} &middot; last: \${escapeHTML(last)}\${t.running ? " (running)" : ""}</div>
+            \${results ? \`<div class="world-meta" style="white-space:pre-wrap;">\${escapeHTML(results)}</div>\` : ""}
+          </div>
+          <div class="world-actions">
+            <button class="btn btn-primary btn-small" onclick="runTask('\${t.id}')">Run Now</button>
+            <button class="btn btn-blue btn-small" onclick="editTask('\${t.id}')">Edit</button>
+            <button class="btn btn-danger btn-small" onclick="deleteTask('\${t.id}')">Delete</button>
+          </div>
+        </div>\`;
+      }).join("");
     }
-    .tab {
-      padding: 10px 20px; background: transparent; border: none;
-      color: var(--text-muted); font-family: 'Outfit', sans-serif;
-      font-size: 14px; font-weight: 600; cursor: pointer;
-      border-bottom: 2px solid transparent; margin-bottom: -2px;
-      transition: all 0.2s;
+
+    function editTask(id) {
+      const t = tasks.find(t => t.id === id);
+      document.getElementById("taskFormTitle").textContent = "Edit Task";
+      document.getElementById("taskId").value = t.id;
+      document.getElementById("taskName").value = t.name;
+      document.getElementById("taskCron").value = t.cron;
+      document.getElementById("taskCondition").value = t.condition;
+      document.getElementById("taskCommands").value = t.commands.join("\\n");
+      document.getElementById("taskAnnouncements").value = t.announcements.join("\\n");
+      document.getElementById("taskEnabled").checked = t.enabled;
     }
-    .tab:hover { color: var(--text-primary); }
-    .tab.active { color: var(--accent-green); border-bottom-color: var(--accent-green); }
 
-    .tab-content { display: none; }
-    .tab-content.active { display: block; }
+    function resetTaskForm() {
+      document.getElementById("taskFormTitle").textContent = "Add Task";
+      document.getElementById("taskId").value = "";
+      document.getElementById("taskName").value = "";
+      document.getElementById("taskCommands").value = "";
+      document.getElementById("taskAnnouncements").value = "";
+    }
 
-    .card {
-      background: var(--bg-card); border: 1px solid var(--border);
-      border-radius: var(--radius); padding: 20px; margin-bottom: 16px;
+    async function saveTask() {
+      const result = await api("tasks/save", {
+        id: document.getElementById("taskId").value || undefined,
+        name: document.getElementById("taskName").value.trim(),
+        cron: document.getElementById("taskCron").value,
+        condition: document.getElementById("taskCondition").value,
+        commands: document.getElementById("taskCommands").value,
+        announcements: document.getElementById("taskAnnouncements").value,
+        enabled: document.getElementById("taskEnabled").checked,
+      });
+      if (result.success) { toast("Task saved", "success"); resetTaskForm(); loadTasks(); }
+      else toast("Failed: " + result.error, "error");
     }
-    .card-title {
-      font-size: 14px; font-weight: 600; color: var(--accent-green);
-      text-transform: uppercase; letter-spacing: 1px; margin-bottom: 16px;
+
+    async function runTask(id) {
+      const result = await api("tasks/run", { id });
+      if (result.success) toast(result.message, "info");
+      else toast("Task failed: " + result.error, "error");
+      setTimeout(loadTasks, 1500);
     }
 
-    .world-item {
-      display: flex; align-items: center; justify-content: space-between;
-      padding: 12px 16px; background: var(--bg-dark);
-      border-radius: var(--radius); margin-bottom: 8px;
-      flex-wrap: wrap; gap: 8px;
+    async function deleteTask(id) {
+      if (!confirm("Delete this task?")) return;
+      const result = await api("tasks/delete", { id });
+      if (!result.success) toast("Failed: " + result.error, "error");
+      loadTasks();
     }
-    .world-info { display: flex; align-items: center; gap: 12px; flex: 1; min-width: 200px; }
-    .world-name { font-family: 'JetBrains Mono', monospace; font-weight: 600; font-size: 15px; }
-    .world-badge {
-      font-size: 10px; padding: 2px 8px; border-radius: 4px;
-      font-weight: 600; text-transform: uppercase;
+
+    let schedules = [];
+
+    async function loadSchedules() {
+      schedules = await api("schedules");
+      const el = document.getElementById("scheduleList");
+      if (!schedules.length) {
+        el.innerHTML = '<div style="color:var(--text-muted);padding:12px;">No schedules. Add one below.</div>';
+        return;
+      }
+      el.innerHTML = schedules.map(s => {
+        const r = s.retention;
+        const last = s.lastRun
+          ? (s.lastRun.success ? "\\u2705 " : "\\u274C ") + new Date(s.lastRun.finished).toLocaleString() +
+            (s.lastRun.success ? " " + s.lastRun.filename : " " + s.lastRun.error)
+          : "never";
+        return \`
+        <div class="backup-item">
+          <div>
+            <div><strong>\${s.world}</strong> &middot; <code>\${s.cron}</code> \${s.enabled ? "" : "(disabled)"} \${s.mode === "incremental" ? "&middot; incremental" : ""} \${s.upload ? "&middot; uploads" : ""}</div>
+            <div class="world-meta">keep \${r.hourly}h / \${r.daily}d / \${r.weekly}w / \${r.monthly}m</div>
+            <div class="world-meta">next: \${s.nextRun ? new Date(s.nextRun).toLocaleString() : "-"} &middot; last: \${escapeHTML(last)}\${s.running ? " (running)" : ""}</div>
+          </div>
+          <div class="world-actions">
+            <button class="btn btn-primary btn-small" onclick="runSchedule('\${s.id}')">Run Now</button>
+            <button class="btn btn-blue btn-small" onclick="editSchedule('\${s.id}')">Edit</button>
+            <button class="btn btn-danger btn-small" onclick="deleteSchedule('\${s.id}')">Delete</button>
+          </div>
+        </div>\`;
+      }).join("");
     }
-    .badge-active { background: var(--accent-green); color: #000; }
-    .badge-inactive { background: var(--border); color: var(--text-muted); }
-    .world-meta { font-size: 12px; color: var(--text-muted); font-family: 'JetBrains Mono', monospace; }
-    .world-actions { display: flex; gap: 6px; }
 
-    .btn {
-      padding: 8px 16px; border: none; border-radius: var(--radius);
-      font-family: 'Outfit', sans-serif; font-size: 13px; font-weight: 600;
-      cursor: pointer; transition: all 0.15s;
+    function editSchedule(id) {
+      const s = schedules.find(s => s.id === id);
+      document.getElementById("scheduleFormTitle").textContent = "Edit Schedule";
+      document.getElementById("scheduleId").value = s.id;
+      document.getElementById("scheduleWorld").value = s.world;
+      document.getElementById("scheduleCron").value = s.cron;
+      document.getElementById("retainHourly").value = s.retention.hourly;
+      document.getElementById("retainDaily").value = s.retention.daily;
+      document.getElementById("retainWeekly").value = s.retention.weekly;
+      document.getElementById("retainMonthly").value = s.retention.monthly;
+      document.getElementById("scheduleMode").value = s.mode || "full";
+      document.getElementById("scheduleUpload").checked = s.upload;
+      document.getElementById("scheduleEnabled").checked = s.enabled;
     }
-    .btn:hover { transform: translateY(-1px); }
-    .btn:active { transform: translateY(0); }
-    .btn-primary { background: var(--accent-green); color: #000; }
-    .btn-danger  { background: var(--accent-red); color: #fff; }
-    .btn-blue    { background: var(--accent-blue); color: #000; }
-    .btn-small   { padding: 5px 10px; font-size: 12px; }
 
-    .form-group { margin-bottom: 14px; }
-    .form-group label {
-      display: block; font-size: 12px; font-weight: 600;
-      color: var(--text-muted); text-transform: uppercase;
-      letter-spacing: 0.5px; margin-bottom: 6px;
+    function resetScheduleForm() {
+      document.getElementById("scheduleFormTitle").textContent = "Add Schedule";
+      document.getElementById("scheduleId").value = "";
     }
-    .form-group input, .form-group select {
-      width: 100%; padding: 10px 14px; background: var(--bg-input);
-      border: 1px solid var(--border); border-radius: var(--radius);
-      color: var(--text-primary); font-family: 'JetBrains Mono', monospace;
-      font-size: 14px;
+
+    async function saveSchedule() {
+      const result = await api("schedules/save", {
+        id: document.getElementById("scheduleId").value || undefined,
+        world: document.getElementById("scheduleWorld").value.trim(),
+        cron: document.getElementById("scheduleCron").value,
+        retention: {
+          hourly: document.getElementById("retainHourly").value,
+          daily: document.getElementById("retainDaily").value,
+          weekly: document.getElementById("retainWeekly").value,
+          monthly: document.getElementById("retainMonthly").value,
+        },
+        mode: document.getElementById("scheduleMode").value,
+        upload: document.getElementById("scheduleUpload").checked,
+        enabled: document.getElementById("scheduleEnabled").checked,
+      });
+      if (result.success) { toast("Schedule saved", "success"); resetScheduleForm(); loadSchedules(); }
+      else toast("Failed: " + result.error, "error");
     }
-    .form-group input:focus, .form-group select:focus {
-      outline: none; border-color: var(--accent-green);
+
+    async function runSchedule(id) {
+      const result = await api("schedules/run", { id });
+      if (result.success) toast(result.message, "info");
+      else toast("Scheduled backup failed: " + result.error, "error");
+      loadSchedules();
     }
-    .form-row { display: grid; grid-template-columns: 1fr 1fr; gap: 14px; }
 
-    .console {
-      background: #000; border-radius: var(--radius); padding: 16px;
-      font-family: 'JetBrains Mono', monospace; font-size: 13px;
-      max-height: 300px; overflow-y: auto;
+    async function deleteSchedule(id) {
+      if (!confirm("Delete this schedule? Existing backups are kept.")) return;
+      const result = await api("schedules/delete", { id });
+      if (result.success) loadSchedules();
+      else toast("Delete failed: " + result.error, "error");
     }
-    .console-line { margin-bottom: 4px; }
-    .console-line .cmd { color: var(--accent-green); }
-    .console-line .resp { color: var(--text-muted); }
-    .console-input-row { display: flex; gap: 8px; margin-top: 12px; }
-    .console-input-row input {
-      flex: 1; padding: 10px 14px; background: #111;
-      border: 1px solid var(--border); border-radius: var(--radius);
-      color: var(--accent-green); font-family: 'JetBrains Mono', monospace; font-size: 13px;
+
+    async function uploadBackup(filename) {
+      const result = await api("backups/upload", { filename });
+      if (result.success) { toast(result.message, "info"); result.jobIds.forEach(watchJob); }
+      else toast("Upload failed: " + result.error, "error");
     }
-    .console-input-row input:focus { outline: none; border-color: var(--accent-green); }
 
-    .props-table {
-      width: 100%; border-collapse: collapse;
-      font-family: 'JetBrains Mono', monospace; font-size: 13px;
+    const watchedJobs = new Set();
+    let jobTimer = null;
+
+    function formatBytes(bytes) {
+      if (bytes >= 1073741824) return (bytes / 1073741824).toFixed(1) + " GB";
+      if (bytes >= 1048576) return (bytes / 1048576).toFixed(1) + " MB";
+      return (bytes / 1024).toFixed(0) + " KB";
     }
-    .props-table tr { border-bottom: 1px solid var(--border); }
-    .props-table td { padding: 8px 12px; }
-    .props-table td:first-child { color: var(--accent-blue); width: 280px; }
 
-    .backup-item {
-      display: flex; align-items: center; justify-content: space-between;
-      padding: 10px 16px; background: var(--bg-dark);
-      border-radius: var(--radius); margin-bottom: 6px;
-      font-family: 'JetBrains Mono', monospace; font-size: 13px;
-      flex-wrap: wrap; gap: 8px;
+    // Minimal SVG line chart; null values (server offline) break the line
+    function lineChart(points, series, format) {
+      const W = 600, H = 160, left = 56, right = 8, top = 8, bottom = 18;
+      const values = points.flatMap(p => series.map(s => p[s.key])).filter(v => v != null);
+      if (!values.length) return '<div style="color:var(--text-muted);padding:12px;">No data for this range yet.</div>';
+      const min = Math.min(0, ...values);
+      const max = Math.max(...values) > min ? Math.max(...values) : min + 1;
+      const t0 = points[0].t;
+      const t1 = points[points.length - 1].t > t0 ? points[points.length - 1].t : t0 + 1;
+      const x = (t) => left + (t - t0) / (t1 - t0) * (W - left - right);
+      const y = (v) => top + (1 - (v - min) / (max - min)) * (H - top - bottom);
+
+      let lines = "";
+      for (const s of series) {
+        let segment = [];
+        const flush = () => {
+          if (segment.length) lines += \`<polyline fill="none" style="stroke:\${s.color}" stroke-width="1.5" points="\${segment.join(" ")}"/>\`;
+          segment = [];
+        };
+        for (const p of points) {
+          if (p[s.key] == null) flush();
+          else segment.push(x(p.t).toFixed(1) + "," + y(p[s.key]).toFixed(1));
+        }
+        flush();
+      }
+      const time = (t) => new Date(t).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+      return \`
+        <svg class="chart" viewBox="0 0 \${W} \${H}" preserveAspectRatio="none">
+          <line x1="\${left}" x2="\${W - right}" y1="\${y(max)}" y2="\${y(max)}" style="stroke:var(--border)"/>
+          <line x1="\${left}" x2="\${W - right}" y1="\${y(min)}" y2="\${y(min)}" style="stroke:var(--border)"/>
+          <text x="\${left - 4}" y="\${y(max) + 4}" text-anchor="end">\${format(max)}</text>
+          <text x="\${left - 4}" y="\${y(min)}" text-anchor="end">\${format(min)}</text>
+          <text x="\${left}" y="\${H - 2}">\${time(t0)}</text>
+          <text x="\${W - right}" y="\${H - 2}" text-anchor="end">\${time(t1)}</text>
+          \${lines}
+        </svg>
+        \${series.length > 1 ? \`<div class="chart-legend">\${series.map(s => \`<span style="color:\${s.color}">&#9632; \${s.label}</span>\`).join("")}</div>\` : ""}
+      \`;
     }
 
-    .gdrive-status { padding: 16px; border-radius: var(--radius); text-align: center; }
-    .gdrive-connected { background: rgba(78, 204, 163, 0.1); border: 1px solid var(--accent-green); }
-    .gdrive-disconnected { background: rgba(243, 156, 18, 0.1); border: 1px solid var(--accent-yellow); }
-    .gdrive-instructions {
-      background: var(--bg-dark); border-radius: var(--radius);
-      padding: 20px; margin-top: 16px; font-size: 14px; line-height: 1.8;
+    async function loadMetrics() {
+      const data = await api("metrics/history?range=" + document.getElementById("metricsRange").value);
+      if (!data.success) return toast("Metrics: " + data.error, "error");
+
+      const s = data.latest;
+      const stat = (label, value) => \`<div class="stat"><div class="stat-label">\${label}</div><div class="stat-value">\${value}</div></div>\`;
+      document.getElementById("metricsNow").innerHTML = !s ? "No samples yet." : [
+        stat("TPS", s.tps != null ? s.tps.toFixed(1) : "&ndash;"),
+        stat("MSPT", s.mspt != null ? s.mspt.toFixed(1) : "&ndash;"),
+        stat("Players", s.online ? s.players + " / " + s.maxPlayers : "offline"),
+        stat("Worlds", formatBytes(s.worldBytes)),
+        stat("Backups", formatBytes(s.backupBytes)),
+        stat("Free Space", formatBytes(s.freeBytes)),
+      ].join("");
+
+      const number = (v) => Math.round(v * 10) / 10;
+      document.getElementById("chartTps").innerHTML = lineChart(data.points, [{ key: "tps", color: "var(--accent-green)" }], number);
+      document.getElementById("chartMspt").innerHTML = lineChart(data.points, [{ key: "mspt", color: "var(--accent-yellow)" }], number);
+      document.getElementById("chartPlayers").innerHTML = lineChart(data.points, [{ key: "players", color: "var(--accent-blue)" }], number);
+      document.getElementById("chartDisk").innerHTML = lineChart(data.points, [
+        { key: "worldBytes", label: "Worlds", color: "var(--accent-green)" },
+        { key: "backupBytes", label: "Backups", color: "var(--accent-blue)" },
+        { key: "freeBytes", label: "Free", color: "var(--accent-yellow)" },
+      ], formatBytes);
     }
-    .gdrive-instructions code {
-      background: var(--bg-input); padding: 2px 8px; border-radius: 4px;
-      font-family: 'JetBrains Mono', monospace; font-size: 13px;
+
+    function watchJob(id) {
+      if (id) watchedJobs.add(id);
+      if (!jobTimer) jobTimer = setInterval(pollJobs, 2000);
     }
 
-    .toast-container { position: fixed; top: 20px; right: 20px; z-index: 9999; }
-    .toast {
-      padding: 12px 20px; border-radius: var(--radius); margin-bottom: 8px;
-      font-size: 13px; font-weight: 600; animation: slideIn 0.3s ease;
+    async function pollJobs() {
+      const jobs = await api("jobs");
+      for (const job of jobs) {
+        if (!watchedJobs.has(job.id) || job.status === "queued" || job.status === "running") continue;
+        watchedJobs.delete(job.id);
+        const label = job.type + " of " + job.world;
+        if (job.status === "succeeded") toast((job.result.message || label + " finished") + (job.result.filename ? ": " + job.result.filename : ""), "success");
+        else toast(label + " " + job.status + (job.error ? ": " + job.error : ""), "error");
+        if (document.getElementById("tab-backups").classList.contains("active")) loadBackups();
+      }
+      const jobsTabOpen = document.getElementById("tab-jobs").classList.contains("active");
+      if (jobsTabOpen) renderJobs(jobs);
+      const busy = jobs.some(j => j.status === "queued" || j.status === "running");
+      if (!watchedJobs.size && !(jobsTabOpen && busy)) { clearInterval(jobTimer); jobTimer = null; }
     }
-    .toast-success { background: var(--accent-green); color: #000; }
-    .toast-error   { background: var(--accent-red); color: #fff; }
-    .toast-info    { background: var(--accent-blue); color: #000; }
-    @keyframes slideIn {
-      from { transform: translateX(100%); opacity: 0; }
-      to   { transform: translateX(0); opacity: 1; }
+
+    async function loadJobs() {
+      renderJobs(await api("jobs"));
+      watchJob();
     }
 
-    @media (max-width: 640px) {
-      .form-row { grid-template-columns: 1fr; }
-      .header { padding: 12px 16px; }
-      .container { padding: 16px; }
-      .tabs { overflow-x: auto; }
+    function renderJobs(jobs) {
+      const el = document.getElementById("jobList");
+      if (!jobs.length) {
+        el.innerHTML = '<div style="color:var(--text-muted);padding:12px;">No jobs yet.</div>';
+        return;
+      }
+      el.innerHTML = jobs.map(j => {
+        const p = j.progress;
+        const pct = p && p.total ? Math.min(100, Math.round(p.bytes / p.total * 100)) : 0;
+        const detail = j.status === "running" && p
+          ? formatBytes(p.bytes) + (p.total ? " of " + formatBytes(p.total) + " (" + pct + "%)" : "")
+          : j.error || (j.result && (j.result.filename || j.result.message)) || "";
+        return \`
+        <div class="backup-item">
+          <div style="flex:1;">
+            <div><strong>\${j.type}</strong> &middot; \${j.world} &middot; <span class="world-badge \${j.status === 'succeeded' ? 'badge-active' : 'badge-inactive'}">\${j.status}</span></div>
+            <div class="world-meta">\${new Date(j.created).toLocaleString()} &middot; \${escapeHTML(detail)}</div>
+            \${j.status === "running" ? \`<div class="progress"><div class="progress-bar" style="width:\${pct}%"></div></div>\` : ""}
+          </div>
+          \${j.status === "queued" || j.status === "running" ? \`<button class="btn btn-danger btn-small" onclick="cancelJob('\${j.id}')">Cancel</button>\` : ""}
+        </div>\`;
+      }).join("");
     }
-  </style>
-</head>
-<body>
-  <div class="header">
-    <h1>\\u26CF MC World Manager <span>// Appliance</span></h1>
-    <div class="status-bar">
-      <span><span class="status-dot" id="statusDot"></span><span id="statusText">Checking...</span></span>
-      <span id="playerCount"></span>
-    </div>
-  </div>
 
-  <div class="container">
-    <div class="tabs">
-      <button class="tab active" onclick="switchTab('worlds')">Worlds</button>
-      <button class="tab" onclick="switchTab('create')">Create World</button>
-      <button class="tab" onclick="switchTab('backups')">Backups</button>
-      <button class="tab" onclick="switchTab('console')">Console</button>
-      <button class="tab" onclick="switchTab('properties')">Properties</button>
-      <button class="tab" onclick="switchTab('gdrive')">Google Drive</button>
-    </div>
+    async function cancelJob(id) {
+      const result = await api("jobs/cancel", { id });
+      if (result.success) toast(result.message, "info");
+      else toast("Cancel failed: " + result.error, "error");
+      loadJobs();
+    }
 
-    <div class="tab-content active" id="tab-worlds">
-      <div class="card">
-        <div class="card-title">Worlds</div>
-        <div id="worldList">Loading...</div>
-      </div>
-    </div>
+    const PLAYER_ROUTES = { whitelist: "players/whitelist", ops: "players/ops", bans: "players/bans", ipBans: "players/ip-bans" };
+    let whitelistEnabled = false;
 
-    <div class="tab-content" id="tab-create">
-      <div class="card">
-        <div class="card-title">Create New World</div>
-        <div class="form-group">
-          <label>World Name</label>
-          <input type="text" id="newWorldName" placeholder="my-world">
-        </div>
-        <div class="form-group">
-          <label>Seed (leave blank for random)</label>
-          <input type="text" id="newWorldSeed" placeholder="Optional seed value">
-        </div>
-        <div class="form-row">
-          <div class="form-group">
-            <label>Gamemode</label>
-            <select id="newWorldGamemode">
-              <option value="survival">Survival</option>
-              <option value="creative">Creative</option>
-              <option value="adventure">Adventure</option>
-              <option value="spectator">Spectator</option>
-            </select>
-          </div>
-          <div class="form-group">
-            <label>Difficulty</label>
-            <select id="newWorldDifficulty">
-              <option value="easy">Easy</option>
-              <option value="normal" selected>Normal</option>
-              <option value="hard">Hard</option>
-              <option value="peaceful">Peaceful</option>
-            </select>
+    function playerListHTML(list, entries, removable) {
+      if (!entries.length) return '<div style="color:var(--text-muted);padding:12px;">Nobody yet.</div>';
+      return entries.map(e => {
+        const id = list === "ipBans" ? e.ip : e.name;
+        const details = list === "ops" ? "level " + e.level
+          : list === "bans" || list === "ipBans" ? [e.reason, e.created].filter(Boolean).join(" - ")
+          : e.uuid;
+        return \`
+          <div class="world-item">
+            <div class="world-info">
+              <span class="world-name">\${escapeHTML(id)}</span>
+            </div>
+            <div class="world-meta">\${escapeHTML(details)}</div>
+            <div class="world-actions">
+              \${removable ? \`<button class="btn btn-danger btn-small" data-id="\${escapeHTML(id)}" onclick="removeFromList('\${list}', this.dataset.id)">Remove</button>\` : ""}
+            </div>
           </div>
-        </div>
-        <div class="form-group">
-          <label>World Type</label>
-          <select id="newWorldType">
-            <option value="minecraft\\\\:normal">Normal</option>
-            <option value="minecraft\\\\:flat">Flat / Superflat</option>
-            <option value="minecraft\\\\:large_biomes">Large Biomes</option>
-            <option value="minecraft\\\\:amplified">Amplified</option>
-          </select>
-        </div>
-        <button class="btn btn-primary" onclick="createWorld()">Create World & Restart Server</button>
-      </div>
-    </div>
+        \`;
+      }).join("");
+    }
 
-    <div class="tab-content" id="tab-backups">
-      <div class="card">
-        <div class="card-title">Local Backups</div>
-        <div id="backupList">Loading...</div>
-      </div>
-    </div>
+    async function loadPlayers() {
+      const data = await api("players");
+      whitelistEnabled = data.whitelistEnabled;
+      document.getElementById("whitelistState").textContent = "Whitelist is " + (data.whitelistEnabled ? "ON: only listed players can join" : "OFF: anyone can join");
+      document.getElementById("whitelistToggle").textContent = data.whitelistEnabled ? "Turn off" : "Turn on";
 
-    <div class="tab-content" id="tab-console">
-      <div class="card">
-        <div class="card-title">RCON Console</div>
-        <div class="console" id="consoleOutput">
-          <div class="console-line"><span class="resp">Type a command below. e.g. "list", "time set day", "gamerule keepInventory true"</span></div>
-        </div>
-        <div class="console-input-row">
-          <input type="text" id="consoleInput" placeholder="Enter RCON command..." onkeydown="if(event.key==='Enter')sendCommand()">
-          <button class="btn btn-primary" onclick="sendCommand()">Send</button>
+      const online = document.getElementById("onlinePlayers");
+      if (!data.online) online.innerHTML = '<div style="color:var(--text-muted);padding:12px;">Server is offline. List changes are saved to disk and picked up on the next start.</div>';
+      else if (!data.players.length) online.innerHTML = '<div style="color:var(--text-muted);padding:12px;">Nobody is online.</div>';
+      else online.innerHTML = data.players.map(name => \`
+        <div class="world-item">
+          <div class="world-info">
+            <span class="world-name">\${escapeHTML(name)}</span>
+            \${data.ops.some(o => o.name === name) ? '<span class="world-badge badge-active">OP</span>' : ''}
+          </div>
+          <div class="world-actions">
+            <button class="btn btn-small" data-name="\${escapeHTML(name)}" onclick="kickPlayer(this.dataset.name)">Kick</button>
+            <button class="btn btn-danger btn-small" data-name="\${escapeHTML(name)}" onclick="banPlayer(this.dataset.name)">Ban</button>
+            \${can('admin') && !data.ops.some(o => o.name === name) ? \`<button class="btn btn-blue btn-small" data-name="\${escapeHTML(name)}" onclick="updateList('ops', { action: 'add', name: this.dataset.name })">Op</button>\` : ''}
+          </div>
         </div>
-      </div>
-    </div>
+      \`).join("");
 
-    <div class="tab-content" id="tab-properties">
-      <div class="card">
-        <div class="card-title">Server Properties (read-only)</div>
-        <table class="props-table" id="propsTable">
-          <tr><td colspan="2">Loading...</td></tr>
-        </table>
-      </div>
-    </div>
+      document.getElementById("whitelistList").innerHTML = playerListHTML("whitelist", data.whitelist, true);
+      document.getElementById("opsList").innerHTML = playerListHTML("ops", data.ops, can("admin"));
+      document.getElementById("bansList").innerHTML = playerListHTML("bans", data.bans, true);
+      document.getElementById("ipBansList").innerHTML = playerListHTML("ipBans", data.ipBans, true);
+    }
 
-    <div class="tab-content" id="tab-gdrive">
-      <div class="card">
-        <div class="card-title">Google Drive Backup</div>
-        <div id="gdriveStatus">Checking...</div>
-        <div class="gdrive-instructions">
-          <strong>Setup Instructions:</strong><br><br>
-          To link your Google Drive for cloud backups, SSH into the appliance and run:<br><br>
-          <code>rclone config</code><br><br>
-          Follow the prompts to create a remote named <code>gdrive</code> with type <code>drive</code>.<br>
-          Since this is a headless server, choose <strong>"No"</strong> when asked about auto config,
-          then complete the OAuth flow on your local machine and paste the token back.<br><br>
-          Once configured, backups uploaded from the Backups tab will sync to your
-          <code>mc-appliance-backups</code> folder on Google Drive.
-        </div>
-      </div>
-    </div>
-  </div>
+    async function updateList(list, body) {
+      const result = await api(PLAYER_ROUTES[list], body);
+      if (result.success) toast(result.message, "success");
+      else toast("Failed: " + result.error, "error");
+      loadPlayers();
+      return result.success;
+    }
 
-  <div class="toast-container" id="toasts"></div>
+    async function addToList(list, inputId, reasonId) {
+      const value = document.getElementById(inputId).value.trim();
+      if (!value) return;
+      const body = { action: "add", reason: reasonId ? document.getElementById(reasonId).value.trim() : "" };
+      body[list === "ipBans" ? "ip" : "name"] = value;
+      if (await updateList(list, body)) {
+        document.getElementById(inputId).value = "";
+        if (reasonId) document.getElementById(reasonId).value = "";
+      }
+    }
 
-  <script>
-    async function api(path, body) {
-      const opts = body
-        ? { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) }
-        : {};
-      const res = await fetch("/api/" + path, opts);
-      return res.json();
+    function removeFromList(list, id) {
+      const body = { action: "remove" };
+      body[list === "ipBans" ? "ip" : "name"] = id;
+      updateList(list, body);
     }
 
-    function toast(message, type = "info") {
-      const container = document.getElementById("toasts");
-      const el = document.createElement("div");
-      el.className = "toast toast-" + type;
-      el.textContent = message;
-      container.appendChild(el);
-      setTimeout(() => el.remove(), 4000);
+    async function kickPlayer(name) {
+      const reason = prompt("Kick " + name + "? Reason (optional):", "");
+      if (reason === null) return;
+      const result = await api("players/kick", { name, reason });
+      if (result.success) toast(result.message, "success");
+      else toast("Kick failed: " + result.error, "error");
+      loadPlayers();
     }
 
-    function switchTab(name) {
-      document.querySelectorAll(".tab").forEach((t) => t.classList.remove("active"));
-      document.querySelectorAll(".tab-content").forEach((t) => t.classList.remove("active"));
-      event.target.classList.add("active");
-      document.getElementById("tab-" + name).classList.add("active");
-      if (name === "worlds") loadWorlds();
-      if (name === "backups") loadBackups();
-      if (name === "properties") loadProperties();
-      if (name === "gdrive") loadGDriveStatus();
+    function banPlayer(name) {
+      const reason = prompt("Ban " + name + "? Reason (optional):", "");
+      if (reason === null) return;
+      updateList("bans", { action: "add", name, reason });
     }
 
-    async function refreshStatus() {
-      try {
-        const data = await api("status");
-        const dot = document.getElementById("statusDot");
-        const text = document.getElementById("statusText");
-        const count = document.getElementById("playerCount");
-        if (data.online) {
-          dot.className = "status-dot online";
-          text.textContent = "Online";
-          count.textContent = data.playerCount + "/" + data.maxPlayers + " players";
-        } else {
-          dot.className = "status-dot offline";
-          text.textContent = "Offline";
-          count.textContent = "";
-        }
-      } catch (_) {
-        document.getElementById("statusDot").className = "status-dot offline";
-        document.getElementById("statusText").textContent = "Unreachable";
+    async function toggleWhitelist() {
+      const result = await api("players/whitelist/enabled", { enabled: !whitelistEnabled });
+      if (result.success) toast(result.message, "success");
+      else toast("Failed: " + result.error, "error");
+      loadPlayers();
+    }
+
+    function plural(count, word) {
+      return count + " " + word + (count === 1 ? "" : "s");
+    }
+
+    async function loadPlaytime() {
+      const data = await api("players/analytics?range=" + document.getElementById("playtimeRange").value);
+      if (!data.success) return toast("Player analytics: " + data.error, "error");
+
+      const stat = (label, value) => \`<div class="stat"><div class="stat-label">\${label}</div><div class="stat-value">\${value}</div></div>\`;
+      document.getElementById("playtimeSummary").innerHTML = [
+        stat("Online Now", data.online.length),
+        stat("Active Players", data.activePlayers),
+        stat("Peak Online", data.peak.count),
+        stat("Total Playtime", formatDuration(data.playtimeSec)),
+      ].join("");
+      document.getElementById("chartDailyPlayers").innerHTML = lineChart(data.daily, [
+        { key: "activePlayers", label: "Players that day", color: "var(--accent-green)" },
+        { key: "peakOnline", label: "Most online at once", color: "var(--accent-blue)" },
+      ], (v) => Math.round(v));
+      document.getElementById("playtimeTracking").textContent =
+        (data.trackingSince ? "Sessions recorded since " + new Date(data.trackingSince).toLocaleString() + ". " : "No sessions recorded yet. ") +
+        (data.peak.time ? "Peak of " + data.peak.count + " on " + new Date(data.peak.time).toLocaleString() + ". " : "") +
+        "All-time totals come from each world's statistics.";
+
+      const el = document.getElementById("playtimePlayers");
+      if (!data.players.length) {
+        el.innerHTML = '<div style="color:var(--text-muted);padding:12px;">Nobody has played yet.</div>';
+        return;
       }
+      el.innerHTML = data.players.map(p => \`
+        <div class="world-item">
+          <div class="world-info">
+            <span class="world-name">\${escapeHTML(p.name)}</span>
+            \${p.online ? '<span class="world-badge badge-active">ONLINE</span>' : ''}
+          </div>
+          <div class="world-meta">
+            \${p.sessions ? formatDuration(p.playtimeSec) + " in " + plural(p.sessions, "session") + " on " + plural(p.daysActive, "day") : "Not seen in this range"}
+            \${p.lastSeen && !p.online ? " &middot; last seen " + new Date(p.lastSeen).toLocaleString() : ""}
+            \${p.stats ? "<br>All time: " + formatDuration(p.stats.playTimeSec) + " played &middot; " + plural(p.stats.deaths, "death") + " &middot; " + p.stats.distanceKm + " km travelled" : ""}
+          </div>
+          <div class="world-actions">
+            \${/^[A-Za-z0-9_]{1,16}$/.test(p.name) ? \`<button class="btn btn-small" data-name="\${escapeHTML(p.name)}" onclick="showPlayerHistory(this.dataset.name)">History</button>\` : ''}
+          </div>
+        </div>
+      \`).join("");
     }
 
-    async function loadWorlds() {
-      const worlds = await api("worlds");
-      const el = document.getElementById("worldList");
-      if (!worlds.length) {
-        el.innerHTML = '<div style="color:var(--text-muted);padding:12px;">No worlds found. The server may still be starting.</div>';
+    async function showPlayerHistory(name) {
+      const data = await api("players/history?name=" + encodeURIComponent(name));
+      if (!data.success) { toast("Could not load history: " + data.error, "error"); return; }
+      const s = data.stats;
+      const none = "&ndash;";
+      const stat = (label, value) => \`<div class="stat"><div class="stat-label">\${label}</div><div class="stat-value">\${value}</div></div>\`;
+      document.getElementById("playerHistoryTitle").textContent = "Player History: " + data.name;
+      document.getElementById("playerHistoryStats").innerHTML = [
+        stat("Played", s ? formatDuration(s.playTimeSec) : none),
+        stat("Deaths", s ? s.deaths : none),
+        stat("Distance", s ? s.distanceKm + " km" : none),
+        stat("Mobs Killed", s ? s.mobKills : none),
+        stat("First Seen", data.firstSeen ? new Date(data.firstSeen).toLocaleDateString() : none),
+        stat("Last Seen", data.online ? "online now" : data.lastSeen ? new Date(data.lastSeen).toLocaleDateString() : none),
+      ].join("");
+      document.getElementById("chartPlayerDaily").innerHTML = lineChart(data.daily, [{ key: "playtimeSec", color: "var(--accent-green)" }], formatDuration);
+      const worlds = Object.entries(data.worlds);
+      document.getElementById("playerHistoryWorlds").innerHTML = worlds.length
+        ? worlds.map(([world, w]) => \`<tr><td>\${escapeHTML(world)}</td><td>\${formatDuration(w.playTimeSec)} played &middot; \${plural(w.deaths, "death")} &middot; \${w.distanceKm} km &middot; \${w.mobKills} mobs killed</td></tr>\`).join("")
+        : '<tr><td colspan="2">No statistics saved yet</td></tr>';
+      document.getElementById("playerHistorySessions").innerHTML = data.sessions.length
+        ? data.sessions.map(x => \`
+          <div class="backup-item">
+            <div>\${new Date(x.start).toLocaleString()} &middot; \${escapeHTML(x.world)}</div>
+            <div>\${x.end ? formatDuration(x.durationSec) : '<span class="world-badge badge-active">ONLINE</span> ' + formatDuration(x.durationSec)}</div>
+          </div>\`).join("")
+        : '<div style="color:var(--text-muted);padding:12px;">No sessions recorded.</div>';
+      const card = document.getElementById("playerHistoryCard");
+      card.style.display = "";
+      card.scrollIntoView({ behavior: "smooth" });
+    }
+
+    async function loadPlugins() {
+      const data = await api("plugins");
+      document.getElementById("pluginServerVersion").textContent =
+        (data.serverVersion ? "Server version " + data.serverVersion + ". " : "Server version unknown. ") +
+        "Installing, enabling, disabling or deleting a plugin takes effect after the server restarts.";
+      const el = document.getElementById("pluginList");
+      if (!data.plugins.length) {
+        el.innerHTML = '<div style="color:var(--text-muted);padding:12px;">No plugins installed.</div>';
         return;
       }
-      el.innerHTML = worlds.map(w => \`
+      el.innerHTML = data.plugins.map(p => \`
         <div class="world-item">
           <div class="world-info">
-            <span class="world-name">\${w.name}</span>
-            <span class="world-badge \${w.active ? 'badge-active' : 'badge-inactive'}">\${w.active ? 'ACTIVE' : 'INACTIVE'}</span>
+            <span class="world-name">\${escapeHTML(p.name)}</span>
+            <span class="world-meta">\${escapeHTML(p.version || "")}</span>
+            <span class="world-badge \${p.enabled ? 'badge-active' : 'badge-inactive'}">\${p.enabled ? 'ENABLED' : 'DISABLED'}</span>
+          </div>
+          <div class="world-meta">
+            \${escapeHTML(p.file)} &middot; \${formatBytes(p.sizeBytes)}
+            \${p.authors && p.authors.length ? " &middot; by " + escapeHTML(p.authors.join(", ")) : ""}
+            \${p.depend && p.depend.length ? "<br>Requires: " + escapeHTML(p.depend.join(", ")) : ""}
+            \${p.problems.map(msg => \`<br><span style="color:var(--accent-red)">\${escapeHTML(msg)}</span>\`).join("")}
           </div>
-          <div class="world-meta">\${w.sizeMB} MB</div>
           <div class="world-actions">
-            <button class="btn btn-blue btn-small" onclick="backupWorld('\${w.name}')">Backup</button>
-            \${!w.active ? \`<button class="btn btn-danger btn-small" onclick="deleteWorld('\${w.name}')">Delete</button>\` : ''}
+            \${can('admin') ? \`<button class="btn btn-small" data-file="\${escapeHTML(p.file)}" onclick="setPluginEnabled(this.dataset.file, \${!p.enabled})">\${p.enabled ? 'Disable' : 'Enable'}</button>\` : ''}
+            \${can('admin') ? \`<button class="btn btn-danger btn-small" data-file="\${escapeHTML(p.file)}" onclick="deletePlugin(this.dataset.file)">Delete</button>\` : ''}
           </div>
         </div>
       \`).join("");
     }
 
-    async function backupWorld(name) {
-      toast("Backing up " + name + "...", "info");
-      const result = await api("worlds/backup", { name });
-      if (result.success) toast("Backup created: " + result.filename + " (" + result.sizeMB + " MB)", "success");
-      else toast("Backup failed: " + result.error, "error");
+    async function setPluginEnabled(file, enabled) {
+      const result = await api("plugins/enable", { file, enabled });
+      if (result.success) toast(result.message, "success");
+      else toast("Failed: " + result.error, "error");
+      loadPlugins();
     }
 
-    async function deleteWorld(name) {
-      if (!confirm("Delete world '" + name + "'? This cannot be undone!")) return;
-      const result = await api("worlds/delete", { name });
-      if (result.success) { toast("World deleted: " + name, "success"); loadWorlds(); }
-      else toast("Delete failed: " + result.error, "error");
+    async function deletePlugin(file) {
+      if (!confirm("Delete " + file + "? Its config folder is kept.")) return;
+      const result = await api("plugins/delete", { file });
+      if (result.success) toast(result.message, "success");
+      else toast("Failed: " + result.error, "error");
+      loadPlugins();
     }
 
-    async function createWorld() {
-      const name = document.getElementById("newWorldName").value.trim();
-      if (!name) { toast("Please enter a world name", "error"); return; }
-      const result = await api("worlds/create", {
-        name,
-        seed: document.getElementById("newWorldSeed").value.trim(),
-        gamemode: document.getElementById("newWorldGamemode").value,
-        difficulty: document.getElementById("newWorldDifficulty").value,
-        worldType: document.getElementById("newWorldType").value,
-      });
-      if (result.success) {
-        toast(result.message, "success");
-        document.getElementById("newWorldName").value = "";
-        document.getElementById("newWorldSeed").value = "";
-      } else toast("Failed: " + result.error, "error");
+    async function uploadPlugin() {
+      const file = document.getElementById("pluginFile").files[0];
+      if (!file) return toast("Choose a .jar to upload", "error");
+      try {
+        const result = await uploadFile("plugins/upload?filename=" + encodeURIComponent(file.name), file,
+          document.getElementById("pluginUploadProgress"));
+        if (result.success) {
+          toast(result.message, "success");
+          document.getElementById("pluginFile").value = "";
+          loadPlugins();
+        } else toast("Upload failed: " + result.error, "error");
+      } catch (err) {
+        toast("Upload failed: " + err.message, "error");
+      }
     }
 
-    async function loadBackups() {
-      const backups = await api("backups");
-      const el = document.getElementById("backupList");
-      if (!backups.length) {
-        el.innerHTML = '<div style="color:var(--text-muted);padding:12px;">No backups yet. Go to Worlds tab and click Backup.</div>';
-        return;
+    async function importWorld() {
+      const file = document.getElementById("importWorldFile").files[0];
+      const name = document.getElementById("importWorldName").value.trim();
+      if (!file) return toast("Choose an archive to upload", "error");
+      if (!name) return toast("Enter a world name", "error");
+      try {
+        const result = await uploadFile("worlds/import?name=" + encodeURIComponent(name), file,
+          document.getElementById("importWorldProgress"));
+        if (result.success) {
+          toast(result.message, "success");
+          document.getElementById("importWorldFile").value = "";
+          document.getElementById("importWorldName").value = "";
+          loadWorlds();
+        } else toast("Import failed: " + result.error, "error");
+      } catch (err) {
+        toast("Import failed: " + err.message, "error");
       }
-      el.innerHTML = backups.map(b => \`
-        <div class="backup-item">
-          <span>\${b.filename}</span>
-          <span>\${b.sizeMB} MB</span>
-          <span style="color:var(--text-muted)">\${new Date(b.created).toLocaleString()}</span>
-          <button class="btn btn-blue btn-small" onclick="uploadBackup('\${b.filename}')">Upload to GDrive</button>
-        </div>
-      \`).join("");
     }
 
-    async function uploadBackup(filename) {
-      toast("Uploading to Google Drive...", "info");
-      const result = await api("backups/upload", { filename });
+    async function importBackup() {
+      const file = document.getElementById("importBackupFile").files[0];
+      if (!file) return toast("Choose a backup to upload", "error");
+      try {
+        const result = await uploadFile("backups/import?filename=" + encodeURIComponent(file.name), file,
+          document.getElementById("importBackupProgress"));
+        if (result.success) {
+          toast(result.message, "success");
+          document.getElementById("importBackupFile").value = "";
+          loadBackups();
+        } else toast("Import failed: " + result.error, "error");
+      } catch (err) {
+        toast("Import failed: " + err.message, "error");
+      }
+    }
+
+    async function collectGarbage() {
+      const result = await api("backups/gc", {});
       if (result.success) toast(result.message, "success");
-      else toast("Upload failed: " + result.error, "error");
+      else toast("Clean up failed: " + result.error, "error");
+    }
+
+    async function restoreBackup(filename) {
+      const original = filename.replace(/_\\d{4}-\\d{2}-\\d{2}T.*\\.(tar\\.gz|snapshot)$/, "");
+      const target = prompt("Restore " + filename + " into world:", original);
+      if (!target) return;
+      const world = (await api("worlds")).find(w => w.name === target.trim());
+      let warning = "Restore " + filename + " as world '" + target.trim() + "'?";
+      if (world) warning += "\\n\\nThe existing world will be replaced. A safety backup is taken first.";
+      if (world && world.active) warning += "\\nThis is the ACTIVE world: the server will be stopped and restarted.";
+      if (!confirm(warning)) return;
+      const result = await api("backups/restore", { filename, target: target.trim() });
+      if (result.success) { toast(result.message, "info"); watchJob(result.jobId); }
+      else toast("Restore failed: " + result.error, "error");
+    }
+
+    const CONSOLE_MAX_LINES = 2000;
+    const FILTER_LEVELS = { TRACE: "INFO", DEBUG: "INFO", FATAL: "ERROR" };
+    let logStream = null;
+
+    function consoleLineElement(text, level, spanClass) {
+      const el = document.createElement("div");
+      el.className = "console-line" + (level ? " log-" + level : "");
+      if (level) el.dataset.level = FILTER_LEVELS[level] || level;
+      if (spanClass) {
+        const span = document.createElement("span");
+        span.className = spanClass;
+        span.textContent = text;
+        el.appendChild(span);
+      } else el.textContent = text;
+      return el;
+    }
+
+    function lineVisible(el, filtersId) {
+      const filters = document.getElementById(filtersId);
+      const levels = [...filters.querySelectorAll("input[type=checkbox]")].filter(c => c.checked).map(c => c.value);
+      const text = filters.querySelector("input[type=text]").value.toLowerCase();
+      if (el.dataset.level && !levels.includes(el.dataset.level)) return false;
+      return !text || el.textContent.toLowerCase().includes(text);
+    }
+
+    function applyConsoleFilter(outputId) {
+      const filtersId = outputId === "consoleOutput" ? "consoleFilters" : "historyFilters";
+      document.querySelectorAll("#" + outputId + " .console-line").forEach(el => {
+        el.classList.toggle("hidden", !lineVisible(el, filtersId));
+      });
+    }
+
+    function appendConsoleLine(text, level, spanClass) {
+      const output = document.getElementById("consoleOutput");
+      const atBottom = output.scrollHeight - output.scrollTop - output.clientHeight < 40;
+      const el = consoleLineElement(text, level, spanClass);
+      el.classList.toggle("hidden", !lineVisible(el, "consoleFilters"));
+      output.appendChild(el);
+      while (output.children.length > CONSOLE_MAX_LINES) output.firstChild.remove();
+      if (atBottom) output.scrollTop = output.scrollHeight;
+    }
+
+    function openLogStream() {
+      if (logStream) return;
+      const state = document.getElementById("logStreamState");
+      logStream = new EventSource("/api/logs/stream");
+      logStream.onopen = () => { state.textContent = "\\u25CF live"; };
+      logStream.onerror = () => { state.textContent = "reconnecting..."; };
+      logStream.onmessage = (e) => {
+        const entry = JSON.parse(e.data);
+        appendConsoleLine(entry.text, entry.marker ? "marker" : entry.level);
+      };
+    }
+
+    function closeLogStream() {
+      if (!logStream) return;
+      logStream.close();
+      logStream = null;
+      document.getElementById("logStreamState").textContent = "";
     }
 
     async function sendCommand() {
       const input = document.getElementById("consoleInput");
       const cmd = input.value.trim();
       if (!cmd) return;
-      const output = document.getElementById("consoleOutput");
-      output.innerHTML += '<div class="console-line"><span class="cmd">> ' + cmd + '</span></div>';
+      appendConsoleLine("> " + cmd, null, "cmd");
       input.value = "";
       const result = await api("rcon", { command: cmd });
-      output.innerHTML += '<div class="console-line"><span class="resp">' + (result.response || "(no response)") + '</span></div>';
-      output.scrollTop = output.scrollHeight;
+      appendConsoleLine(result.response || "(no response)", null, "resp");
+    }
+
+    let historyFile = null;
+    let historyStart = 0;
+
+    async function loadLogFiles() {
+      const files = await api("logs/files");
+      document.getElementById("logFileSelect").innerHTML = files
+        .map(f => \`<option value="\${f.name}">\${f.name} (\${f.sizeKB} KB)</option>\`).join("");
+    }
+
+    async function openLogFile() {
+      historyFile = document.getElementById("logFileSelect").value;
+      if (!historyFile) return;
+      document.getElementById("logHistory").innerHTML = "";
+      historyStart = null;
+      await loadOlderLog();
+      const el = document.getElementById("logHistory");
+      el.scrollTop = el.scrollHeight;
+    }
+
+    async function loadOlderLog() {
+      const end = historyStart === null ? "" : historyStart;
+      const result = await api("logs/file?name=" + encodeURIComponent(historyFile) + "&end=" + end + "&limit=500");
+      if (!result.success) { toast(result.error, "error"); return; }
+      const el = document.getElementById("logHistory");
+      const previousHeight = el.scrollHeight;
+      const fragment = document.createDocumentFragment();
+      for (const line of result.lines) {
+        const lineEl = consoleLineElement(line.text, line.level);
+        lineEl.classList.toggle("hidden", !lineVisible(lineEl, "historyFilters"));
+        fragment.appendChild(lineEl);
+      }
+      el.insertBefore(fragment, el.firstChild);
+      el.scrollTop += el.scrollHeight - previousHeight;
+      historyStart = result.start;
+      document.getElementById("olderLogButton").disabled = result.start === 0;
+    }
+
+    let propertySchema = [];
+
+    function escapeHTML(value) {
+      return String(value).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+    }
+
+    function propertyInput(p) {
+      const disabled = p.readOnly || !can("admin") ? "disabled" : "";
+      const attrs = \`data-key="\${p.key}" onchange="markChanged(this)" \${disabled}\`;
+      const value = p.value === null ? "" : p.value;
+      if (p.type === "boolean" || p.type === "enum") {
+        const options = p.type === "boolean" ? ["true", "false"] : p.values;
+        const blank = p.value === null ? '<option value="" selected>(not set)</option>' : "";
+        return \`<select \${attrs}>\${blank}\${options.map(o => \`<option \${o === value ? "selected" : ""}>\${o}</option>\`).join("")}</select>\`;
+      }
+      if (p.type === "integer") {
+        return \`<input type="number" min="\${p.min}" max="\${p.max}" value="\${escapeHTML(value)}" \${attrs}>\`;
+      }
+      return \`<input type="text" value="\${escapeHTML(value)}" \${attrs}>\`;
     }
 
     async function loadProperties() {
-      const props = await api("properties");
+      propertySchema = await api("properties/schema");
       const el = document.getElementById("propsTable");
-      el.innerHTML = Object.entries(props)
-        .sort(([a], [b]) => a.localeCompare(b))
-        .map(([k, v]) => \`<tr><td>\${k}</td><td>\${v}</td></tr>\`)
+      el.innerHTML = propertySchema
+        .filter(p => p.value !== null || can("admin"))
+        .map(p => \`<tr>
+          <td>\${p.key}</td>
+          <td>\${propertyInput(p)}</td>
+          <td style="width:90px;"><span class="world-badge \${p.apply === 'live' ? 'badge-live' : 'badge-inactive'}" title="\${p.apply === 'live' ? 'Applied immediately via RCON' : 'Takes effect after a restart'}">\${p.readOnly ? 'managed' : p.apply}</span></td>
+        </tr>\`)
         .join("");
     }
 
-    async function loadGDriveStatus() {
-      const status = await api("gdrive/status");
-      const el = document.getElementById("gdriveStatus");
+    function markChanged(input) {
+      const p = propertySchema.find(p => p.key === input.dataset.key);
+      input.classList.toggle("changed", input.value !== (p.value === null ? "" : p.value));
+      input.classList.remove("invalid");
+    }
+
+    async function saveProperties() {
+      const changes = {};
+      document.querySelectorAll("#propsTable .changed").forEach(input => { changes[input.dataset.key] = input.value; });
+      if (!Object.keys(changes).length) { toast("No changes to save", "info"); return; }
+      const result = await api("properties/update", { changes });
+      if (!result.success) {
+        Object.keys(result.errors || {}).forEach(key => {
+          const input = document.querySelector('#propsTable [data-key="' + key + '"]');
+          if (input) input.classList.add("invalid");
+        });
+        toast("Not saved: " + result.error, "error");
+        return;
+      }
+      if (result.appliedLive.length) toast("Applied live: " + result.appliedLive.join(", "), "success");
+      toast(result.message, result.restartRequired.length ? "info" : "success");
+      loadProperties();
+    }
+
+    let remoteDestinations = [];
+
+    async function loadRemotes() {
+      const status = await api("remotes");
+      const el = document.getElementById("remoteStatus");
       if (status.configured) {
-        el.innerHTML = '<div class="gdrive-status gdrive-connected">\\u2705 ' + status.message + '</div>';
+        el.innerHTML = '<div class="remote-status remote-connected">\\u2705 ' + escapeHTML(status.message) + '</div>';
       } else {
-        el.innerHTML = '<div class="gdrive-status gdrive-disconnected">\\u26A0\\uFE0F ' + status.message + '</div>';
+        el.innerHTML = '<div class="remote-status remote-disconnected">\\u26A0\\uFE0F ' + escapeHTML(status.message) + '</div>';
+      }
+
+      document.getElementById("destinationList").innerHTML = status.destinations.map(d => \`
+        <div class="world-item">
+          <div class="world-info">
+            <span class="world-name">\${escapeHTML(d.target)}</span>
+            <span class="world-badge \${d.enabled && d.available ? 'badge-active' : 'badge-inactive'}">\${!d.available ? 'REMOTE MISSING' : d.enabled ? 'ENABLED' : 'DISABLED'}</span>
+          </div>
+          <div class="world-actions">
+            \${can('admin') ? \`<button class="btn btn-small" onclick="toggleDestination('\${d.id}')">\${d.enabled ? 'Disable' : 'Enable'}</button>\` : ''}
+            \${can('admin') ? \`<button class="btn btn-danger btn-small" onclick="deleteDestination('\${d.id}')">Remove</button>\` : ''}
+          </div>
+        </div>
+      \`).join("");
+      remoteDestinations = status.destinations;
+
+      document.getElementById("destinationRemote").innerHTML = status.remotes
+        .map(r => \`<option value="\${escapeHTML(r.name)}">\${escapeHTML(r.name)} (\${escapeHTML(r.type || "unknown type")})</option>\`).join("");
+      const select = document.getElementById("remoteFilesDestination");
+      const previous = select.value;
+      select.innerHTML = status.destinations.filter(d => d.available)
+        .map(d => \`<option value="\${d.id}">\${escapeHTML(d.target)}</option>\`).join("");
+      if (previous && status.destinations.some(d => d.id === previous)) select.value = previous;
+      loadRemoteFiles();
+    }
+
+    async function addDestination() {
+      const result = await api("remotes/destinations/save", {
+        remote: document.getElementById("destinationRemote").value,
+        path: document.getElementById("destinationPath").value.trim(),
+      });
+      if (result.success) toast("Destination added", "success");
+      else toast("Failed: " + result.error, "error");
+      loadRemotes();
+    }
+
+    async function toggleDestination(id) {
+      const d = remoteDestinations.find(x => x.id === id);
+      const result = await api("remotes/destinations/save", { id, remote: d.remote, path: d.path, enabled: !d.enabled });
+      if (!result.success) toast("Failed: " + result.error, "error");
+      loadRemotes();
+    }
+
+    async function deleteDestination(id) {
+      if (!confirm("Remove this destination? Files already on the remote are kept.")) return;
+      const result = await api("remotes/destinations/delete", { id });
+      if (!result.success) toast("Failed: " + result.error, "error");
+      loadRemotes();
+    }
+
+    async function loadRemoteFiles() {
+      const destination = document.getElementById("remoteFilesDestination").value;
+      const el = document.getElementById("remoteFileList");
+      if (!destination) {
+        el.innerHTML = '<div style="color:var(--text-muted);padding:12px;">Add a destination first.</div>';
+        return;
+      }
+      el.innerHTML = "Loading...";
+      const result = await api("remotes/files?destination=" + encodeURIComponent(destination));
+      if (!result.success) {
+        el.innerHTML = '<div style="color:var(--accent-red);padding:12px;">' + escapeHTML(result.error) + '</div>';
+        return;
+      }
+      if (!result.files.length) {
+        el.innerHTML = '<div style="color:var(--text-muted);padding:12px;">No backups on this remote yet.</div>';
+        return;
+      }
+      el.innerHTML = result.files.map(f => \`
+        <div class="backup-item">
+          <span>\${escapeHTML(f.filename)}</span>
+          <span>\${formatBytes(f.size)}</span>
+          <span style="color:var(--text-muted)">\${new Date(f.modified).toLocaleString()}</span>
+          <div class="world-actions">
+            <button class="btn btn-blue btn-small" data-file="\${escapeHTML(f.filename)}" onclick="downloadRemoteBackup(this.dataset.file)">Download to Server</button>
+            \${can('admin') ? \`<button class="btn btn-danger btn-small" data-file="\${escapeHTML(f.filename)}" onclick="deleteRemoteBackup(this.dataset.file)">Delete</button>\` : ''}
+          </div>
+        </div>
+      \`).join("");
+    }
+
+    async function downloadRemoteBackup(filename) {
+      const destination = document.getElementById("remoteFilesDestination").value;
+      const result = await api("remotes/download", { destination, filename });
+      if (result.success) { toast(result.message + ". It will appear under Backups, ready to restore.", "info"); watchJob(result.jobId); }
+      else toast("Download failed: " + result.error, "error");
+    }
+
+    async function deleteRemoteBackup(filename) {
+      if (!confirm("Delete " + filename + " from the remote? This cannot be undone.")) return;
+      const destination = document.getElementById("remoteFilesDestination").value;
+      const result = await api("remotes/delete", { destination, filename });
+      if (result.success) toast(result.message, "success");
+      else toast("Delete failed: " + result.error, "error");
+      loadRemoteFiles();
+    }
+
+    let notifyTargets = [];
+    let notifyEventNames = {};
+
+    async function loadNotifications() {
+      const data = await api("notifications");
+      notifyTargets = data.targets;
+      notifyEventNames = data.events;
+      document.getElementById("notifyLowDisk").value = data.lowDiskMB;
+      if (!document.getElementById("notifyEvents").children.length) resetNotifyForm();
+      const el = document.getElementById("notifyTargetList");
+      if (!data.targets.length) {
+        el.innerHTML = '<div style="color:var(--text-muted);padding:12px;">No webhooks yet.</div>';
+        return;
+      }
+      el.innerHTML = data.targets.map(t => {
+        const last = t.lastDelivery;
+        const lastText = last
+          ? "Last: " + last.event + " " + (last.success ? "delivered" : "failed (" + last.error + ", attempt " + last.attempt + ")") + " " + new Date(last.time).toLocaleString()
+          : "Nothing sent since the World Manager started";
+        return \`
+        <div class="world-item">
+          <div style="flex:1;">
+            <div class="world-info">
+              <span class="world-name">\${escapeHTML(t.name)}</span>
+              <span class="world-badge \${t.enabled ? 'badge-active' : 'badge-inactive'}">\${t.enabled ? 'ENABLED' : 'DISABLED'}</span>
+              <span class="world-badge badge-inactive">\${escapeHTML(t.format)}</span>
+            </div>
+            <div class="world-meta">\${escapeHTML(t.url)} &middot; \${t.events.length} event(s)</div>
+            <div class="world-meta" style="\${last && !last.success ? 'color:var(--accent-red)' : ''}">\${escapeHTML(lastText)}</div>
+          </div>
+          <div class="world-actions">
+            <button class="btn btn-blue btn-small" onclick="testNotifyTarget('\${t.id}')">Send Test</button>
+            <button class="btn btn-small" onclick="editNotifyTarget('\${t.id}')">Edit</button>
+            <button class="btn btn-danger btn-small" onclick="deleteNotifyTarget('\${t.id}')">Delete</button>
+          </div>
+        </div>\`;
+      }).join("");
+    }
+
+    function renderNotifyEvents(selected) {
+      document.getElementById("notifyEvents").innerHTML = Object.entries(notifyEventNames).map(([id, label]) =>
+        \`<label style="display:block;"><input type="checkbox" value="\${id}" style="width:auto;" \${selected.includes(id) ? 'checked' : ''}> \${escapeHTML(label)}</label>\`
+      ).join("");
+    }
+
+    function resetNotifyForm() {
+      document.getElementById("notifyFormTitle").textContent = "Add Webhook";
+      document.getElementById("notifyId").value = "";
+      document.getElementById("notifyName").value = "";
+      document.getElementById("notifyFormat").value = "discord";
+      document.getElementById("notifyUrl").value = "";
+      document.getElementById("notifyUrl").placeholder = "https://discord.com/api/webhooks/...";
+      document.getElementById("notifyEnabled").checked = true;
+      renderNotifyEvents(Object.keys(notifyEventNames).filter(e => !e.startsWith("player.")));
+    }
+
+    function editNotifyTarget(id) {
+      const t = notifyTargets.find(t => t.id === id);
+      document.getElementById("notifyFormTitle").textContent = "Edit Webhook";
+      document.getElementById("notifyId").value = t.id;
+      document.getElementById("notifyName").value = t.name;
+      document.getElementById("notifyFormat").value = t.format;
+      document.getElementById("notifyUrl").value = "";
+      document.getElementById("notifyUrl").placeholder = "Leave blank to keep the current URL";
+      document.getElementById("notifyEnabled").checked = t.enabled;
+      renderNotifyEvents(t.events);
+    }
+
+    async function saveNotifyTarget() {
+      const result = await api("notifications/save", {
+        id: document.getElementById("notifyId").value || undefined,
+        name: document.getElementById("notifyName").value.trim(),
+        format: document.getElementById("notifyFormat").value,
+        url: document.getElementById("notifyUrl").value.trim(),
+        enabled: document.getElementById("notifyEnabled").checked,
+        events: [...document.querySelectorAll("#notifyEvents input:checked")].map(i => i.value),
+      });
+      if (!result.success) { toast("Failed: " + result.error, "error"); return; }
+      toast("Webhook saved", "success");
+      resetNotifyForm();
+      loadNotifications();
+    }
+
+    async function testNotifyTarget(id) {
+      const result = await api("notifications/test", { id });
+      if (result.success) toast(result.message, "success");
+      else toast("Test failed: " + result.error, "error");
+    }
+
+    async function deleteNotifyTarget(id) {
+      if (!confirm("Delete this webhook?")) return;
+      const result = await api("notifications/delete", { id });
+      if (!result.success) toast("Failed: " + result.error, "error");
+      loadNotifications();
+    }
+
+    async function saveNotifySettings() {
+      const result = await api("notifications/settings", { lowDiskMB: document.getElementById("notifyLowDisk").value });
+      if (result.success) toast("Saved", "success");
+      else toast("Failed: " + result.error, "error");
+    }
+
+    function auditQuery(format) {
+      const params = new URLSearchParams();
+      const value = (id) => document.getElementById(id).value;
+      if (value("auditAction")) params.set("action", value("auditAction"));
+      if (value("auditWorld")) params.set("world", value("auditWorld"));
+      // datetime-local has no zone; the browser's is the one the user meant
+      if (value("auditFrom")) params.set("from", new Date(value("auditFrom")).toISOString());
+      if (value("auditTo")) params.set("to", new Date(value("auditTo")).toISOString());
+      if (format) params.set("format", format);
+      return params.toString();
+    }
+
+    function fillAuditFilter(id, values, allLabel) {
+      const select = document.getElementById(id);
+      const current = select.value;
+      select.innerHTML = '<option value="">' + allLabel + '</option>' +
+        values.map(v => \`<option value="\${escapeHTML(v)}">\${escapeHTML(v)}</option>\`).join("");
+      select.value = values.includes(current) ? current : "";
+    }
+
+    async function loadActivity() {
+      const result = await api("audit?" + auditQuery());
+      const el = document.getElementById("auditList");
+      if (!result.success) {
+        el.innerHTML = '<div style="color:var(--accent-red);padding:12px;">' + escapeHTML(result.error) + '</div>';
+        return;
+      }
+      fillAuditFilter("auditAction", result.actions, "All actions");
+      fillAuditFilter("auditWorld", result.worlds, "All worlds");
+      document.getElementById("auditCount").textContent = result.total > result.entries.length
+        ? "Showing the latest " + result.entries.length + " of " + result.total + " entries"
+        : result.total + " entries";
+      if (!result.entries.length) {
+        el.innerHTML = '<div style="color:var(--text-muted);padding:12px;">No activity recorded yet.</div>';
+        return;
       }
+      el.innerHTML = result.entries.map(e => \`
+        <div class="backup-item">
+          <div style="flex:1;">
+            <div><strong>\${escapeHTML(e.action)}</strong>\${e.world ? ' &middot; ' + escapeHTML(e.world) : ''} &middot; <span class="world-badge \${e.success ? 'badge-active' : 'badge-inactive'}">\${e.success ? 'ok' : 'failed'}</span></div>
+            <div class="world-meta">\${new Date(e.time).toLocaleString()} &middot; \${escapeHTML(e.user || 'system')}\${e.ip ? ' (' + escapeHTML(e.ip) + ')' : ''}\${e.error ? ' &middot; ' + escapeHTML(e.error) : ''}</div>
+            \${Object.keys(e.params || {}).length ? \`<div class="world-meta">\${escapeHTML(JSON.stringify(e.params))}</div>\` : ''}
+          </div>
+        </div>
+      \`).join("");
+    }
+
+    async function loadUsers() {
+      const users = await api("users");
+      const el = document.getElementById("userList");
+      el.innerHTML = users.map(u => \`
+        <div class="world-item">
+          <div class="world-info">
+            <span class="world-name">\${u.username}</span>
+            <span class="world-badge badge-inactive">\${u.role}</span>
+          </div>
+          <div class="world-actions">
+            <select onchange="setUserRole('\${u.username}', this.value)">
+              \${ROLES.map(r => \`<option value="\${r}" \${r === u.role ? 'selected' : ''}>\${r}</option>\`).join("")}
+            </select>
+            <button class="btn btn-blue btn-small" onclick="resetUserPassword('\${u.username}')">Reset Password</button>
+            \${u.username !== currentUser.username ? \`<button class="btn btn-danger btn-small" onclick="deleteUser('\${u.username}')">Delete</button>\` : ''}
+          </div>
+        </div>
+      \`).join("");
+    }
+
+    async function createUser() {
+      const result = await api("users/create", {
+        username: document.getElementById("newUserName").value.trim(),
+        password: document.getElementById("newUserPassword").value,
+        role: document.getElementById("newUserRole").value,
+      });
+      if (result.success) {
+        toast("User added: " + result.user.username, "success");
+        document.getElementById("newUserName").value = "";
+        document.getElementById("newUserPassword").value = "";
+        loadUsers();
+      } else toast("Failed: " + result.error, "error");
+    }
+
+    async function setUserRole(username, role) {
+      const result = await api("users/update", { username, role });
+      if (result.success) toast(username + " is now " + role, "success");
+      else toast("Failed: " + result.error, "error");
+      loadUsers();
+    }
+
+    async function resetUserPassword(username) {
+      const password = prompt("New password for " + username + " (min. 8 characters):");
+      if (password === null) return;
+      const result = await api("users/update", { username, password });
+      if (result.success) toast("Password reset for " + username, "success");
+      else toast("Failed: " + result.error, "error");
+    }
+
+    async function deleteUser(username) {
+      if (!confirm("Delete user '" + username + "'?")) return;
+      const result = await api("users/delete", { username });
+      if (result.success) { toast("User deleted: " + username, "success"); loadUsers(); }
+      else toast("Delete failed: " + result.error, "error");
     }
 
-    refreshStatus();
-    loadWorlds();
-    setInterval(refreshStatus, 15000);
+    fetch("/api/auth/session").then(async (res) => {
+      if (res.ok) startSession(await res.json());
+      else showLogin();
+    });
   </script>
 </body>
 </html>`;
 }
 
 // ── HTTP Server ────────────────────────────────────────────────────────────
-const server = http.createServer(async (req, res) => {
+async function handleRequest(req, res) {
+  if (req.url.startsWith(V1_PREFIX + "/")) return handleAPIv1(req, res);
   if (req.url.startsWith("/api/")) return handleAPI(req, res);
+  if (req.url.split("?")[0] === "/metrics") return serveMetrics(req, res);
   res.writeHead(200, { "Content-Type": "text/html" });
   res.end(getHTML());
+}
+
+// Anything a handler did not catch answers 500 instead of ending the process
+const server = http.createServer(async (req, res) => {
+  try {
+    await handleRequest(req, res);
+  } catch (err) {
+    console.error(`${req.method} ${req.url} failed:`, err);
+    if (!res.headersSent) sendJSON(res, 500, { success: false, error: "Internal error" });
+    else res.destroy();
+  }
 });
 
-server.listen(CONFIG.port, () => {
-  console.log(`
+// Tests require this file for its internals without starting anything
+if (require.main === module) {
+  ensureAdminUser();
+  loadJobs();
+  rconConnect().catch(() => {});
+  startScheduler();
+  startMetrics();
+  startNotifications();
+  startPlayerTracking();
+
+  server.listen(CONFIG.port, () => {
+    console.log(`
   ═══════════════════════════════════════════════════════
   ⛏  MC World Manager running on port ${CONFIG.port}
   ═══════════════════════════════════════════════════════
      RCON:    ${CONFIG.rcon.host}:${CONFIG.rcon.port}
      MC Data: ${CONFIG.mcDataPath}
      Backups: ${CONFIG.backupDir}
+     State:   ${CONFIG.stateDir}
   ═══════════════════════════════════════════════════════
   `);
-});
+  });
+}
+
+module.exports = {
+  CONFIG,
+  rcon,
+  rconConnect,
+  rconCommand,
+  encodeRconPacket,
+  decodeRconPackets,
+  parseNBT,
+  readLevelData,
+  chunkDistance,
+  pruneChunks,
+  backupWorld,
+  snapshotWorld,
+  collectGarbage,
+  listBackups,
+  verifyBackup,
+  restoreBackup,
+  getRemoteStatus,
+  getGDriveStatus,
+  saveDestination,
+  pushToRemote,
+  listRemoteBackups,
+  pullFromRemote,
+  deleteRemoteBackup,
+  parseCron,
+  cronMatches,
+  nextCronRun,
+  selectExpiredBackups,
+  pruneBackups,
+  parseSimpleYaml,
+  getServerVersion,
+  parsePlayerLogLine,
+  logLineTime,
+  NOTIFY_RETRY_DELAYS_MS,
+  getNotificationSettings,
+  saveNotificationTarget,
+  deleteNotificationTarget,
+  deliverNotification,
+  testNotificationTarget,
+  createUser,
+  V1_ROUTES,
+  server,
+};
@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { once } = require("events");
+const { CONFIG, createUser, V1_ROUTES, server } = require("../server.js");
+
+let base;
+let root;
+let session;
+
+test.before(async () => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), "wm-api-"));
+  Object.assign(CONFIG, { stateDir: path.join(root, "state"), mcDataPath: path.join(root, "data") });
+  fs.mkdirSync(CONFIG.stateDir);
+  fs.mkdirSync(CONFIG.mcDataPath);
+  assert.ok(createUser({ username: "boss", password: "adminpass1", role: "admin" }).success);
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  base = `http://127.0.0.1:${server.address().port}/api/v1`;
+
+  const res = await fetch(base + "/session", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username: "boss", password: "adminpass1" }),
+  });
+  assert.strictEqual(res.status, 201);
+  session = { cookie: res.headers.get("set-cookie").split(";")[0], csrf: (await res.json()).csrfToken };
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+// Sends body as is when it is a string, so malformed JSON reaches the server
+async function request(apiPath, { method = "GET", body } = {}) {
+  const res = await fetch(base + apiPath, {
+    method,
+    headers: {
+      Cookie: session.cookie,
+      "X-CSRF-Token": session.csrf,
+      ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+    },
+    body: body === undefined || typeof body === "string" ? body : JSON.stringify(body),
+  });
+  return { status: res.status, headers: res.headers, body: await res.json().catch(() => null) };
+}
+
+test("refuses body fields the route does not declare", async () => {
+  const res = await request("/worlds", { method: "POST", body: { name: "farm", colour: "red" } });
+  assert.strictEqual(res.status, 400);
+  assert.deepStrictEqual(res.body.error, {
+    code: "invalid_request",
+    message: "colour is not allowed",
+    details: [{ field: "colour", message: "is not allowed" }],
+  });
+});
+
+test("refuses values that miss a pattern or an enum", async () => {
+  const pattern = await request("/worlds", { method: "POST", body: { name: "../farm" } });
+  assert.strictEqual(pattern.status, 400);
+  assert.deepStrictEqual(pattern.body.error.details, [{ field: "name", message: "has an invalid format" }]);
+
+  const param = await request("/worlds/bad%20name");
+  assert.strictEqual(param.status, 400);
+  assert.deepStrictEqual(param.body.error.details, [{ field: "name", message: "has an invalid format" }]);
+
+  const enumBody = await request("/worlds/world/backups", { method: "POST", body: { mode: "weekly" } });
+  assert.strictEqual(enumBody.status, 400);
+  assert.deepStrictEqual(enumBody.body.error.details, [{ field: "mode", message: "must be one of: full, incremental" }]);
+
+  const enumQuery = await request("/metrics/history?range=forever");
+  assert.strictEqual(enumQuery.status, 400);
+  assert.match(enumQuery.body.error.message, /^range must be one of: /);
+});
+
+test("reports every failing field at once", async () => {
+  const res = await request("/worlds", { method: "POST", body: { gamemode: "hardcore", countdown: 900 } });
+  assert.strictEqual(res.status, 400);
+  assert.deepStrictEqual(res.body.error.details.map((d) => d.field).sort(), ["countdown", "gamemode", "name"]);
+});
+
+test("answers 400 to a body that is not JSON", async () => {
+  for (const body of ["{", "[1, 2", "not json"]) {
+    const res = await request("/rcon", { method: "POST", body });
+    assert.strictEqual(res.status, 400, body);
+    assert.strictEqual(res.body.error.code, "invalid_request");
+    assert.match(res.body.error.message, /^Request body is not valid JSON/);
+  }
+});
+
+test("answers 404 to unknown routes and 405 to unsupported methods", async () => {
+  const missing = await request("/nothing/here");
+  assert.strictEqual(missing.status, 404);
+  assert.deepStrictEqual(missing.body.error, { code: "not_found", message: "No route for /api/v1/nothing/here" });
+
+  const method = await request("/status", { method: "PATCH", body: {} });
+  assert.strictEqual(method.status, 405);
+  assert.strictEqual(method.headers.get("allow"), "GET");
+  assert.strictEqual(method.body.error.code, "method_not_allowed");
+});
+
+test("the OpenAPI document lists exactly the routes the router serves", async () => {
+  const res = await fetch(base + "/openapi.json");
+  assert.strictEqual(res.status, 200);
+  const document = await res.json();
+
+  const documented = Object.entries(document.paths)
+    .flatMap(([route, methods]) => Object.keys(methods).map((method) => `${method.toUpperCase()} ${route}`));
+  const served = V1_ROUTES.map((route) => `${route.method} ${route.path}`);
+  assert.deepStrictEqual(documented.sort(), served.sort());
+  assert.strictEqual(new Set(served).size, served.length, "no route is declared twice");
+});
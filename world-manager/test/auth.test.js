@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { once } = require("events");
+const { CONFIG, createUser, server } = require("../server.js");
+
+let base;
+let root;
+
+test.before(async () => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), "wm-auth-"));
+  Object.assign(CONFIG, { stateDir: path.join(root, "state"), mcDataPath: path.join(root, "data") });
+  fs.mkdirSync(CONFIG.stateDir);
+  assert.ok(createUser({ username: "boss", password: "adminpass1", role: "admin" }).success);
+  assert.ok(createUser({ username: "watcher", password: "viewerpass1", role: "viewer" }).success);
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+async function request(apiPath, { method = "GET", cookie, csrf, body } = {}) {
+  const res = await fetch(base + apiPath, {
+    method,
+    headers: {
+      ...(cookie ? { Cookie: cookie } : {}),
+      ...(csrf ? { "X-CSRF-Token": csrf } : {}),
+      ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: res.status, headers: res.headers, body: await res.json().catch(() => null) };
+}
+
+async function login(username, password) {
+  const res = await request("/api/auth/login", { method: "POST", body: { username, password } });
+  assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+  return { cookie: res.headers.get("set-cookie").split(";")[0], csrf: res.body.csrfToken };
+}
+
+test("refuses requests without a session", async () => {
+  assert.deepStrictEqual(await request("/api/jobs").then((r) => [r.status, r.body.error]), [401, "Authentication required"]);
+  const v1 = await request("/api/v1/jobs");
+  assert.strictEqual(v1.status, 401);
+  assert.strictEqual(v1.body.error.code, "unauthenticated");
+});
+
+test("refuses a wrong password on both routers", async () => {
+  // The legacy router reports failures as 200 with success: false
+  const legacy = await request("/api/auth/login", { method: "POST", body: { username: "boss", password: "nope-nope" } });
+  assert.deepStrictEqual([legacy.status, legacy.body.success, legacy.body.error], [200, false, "Invalid username or password"]);
+  assert.strictEqual(legacy.headers.get("set-cookie"), null);
+
+  const v1 = await request("/api/v1/session", { method: "POST", body: { username: "ghost", password: "whatever1" } });
+  assert.deepStrictEqual([v1.status, v1.body.error.message], [401, "Invalid username or password"]);
+});
+
+test("refuses changes without the CSRF token", async () => {
+  const session = await login("boss", "adminpass1");
+  const legacy = await request("/api/jobs/cancel", { method: "POST", cookie: session.cookie, body: { id: "x" } });
+  assert.deepStrictEqual([legacy.status, legacy.body.error], [403, "Invalid or missing CSRF token"]);
+  const v1 = await request("/api/v1/jobs/x/cancel", { method: "POST", cookie: session.cookie, csrf: "wrong" });
+  assert.deepStrictEqual([v1.status, v1.body.error.message], [403, "Invalid or missing CSRF token"]);
+
+  // The same request with the token gets past the check
+  const allowed = await request("/api/v1/jobs/x/cancel", { method: "POST", ...session });
+  assert.strictEqual(allowed.status, 404);
+});
+
+test("refuses routes above the account's role", async () => {
+  const session = await login("watcher", "viewerpass1");
+  assert.strictEqual((await request("/api/properties", session)).status, 200);
+  const legacy = await request("/api/jobs", session);
+  assert.deepStrictEqual([legacy.status, legacy.body.error], [403, "This action requires the operator role"]);
+  const v1 = await request("/api/v1/jobs", session);
+  assert.deepStrictEqual([v1.status, v1.body.error.code], [403, "forbidden"]);
+});
+
+test("treats a malformed session cookie as no session", async () => {
+  for (const apiPath of ["/api/jobs", "/api/v1/jobs", "/metrics"]) {
+    assert.strictEqual((await request(apiPath, { cookie: "wm_session=%E0" })).status, 401, apiPath);
+  }
+  // Still serving
+  assert.strictEqual((await request("/api/v1/session", { method: "POST", body: { username: "a", password: "b" } })).status, 401);
+});
+
+test("stops reading a body that passes the limit", async () => {
+  for (const apiPath of ["/api/auth/login", "/api/v1/session"]) {
+    const req = http.request(base + apiPath, { method: "POST", headers: { "Content-Type": "application/json" } });
+    req.on("error", () => {});
+    const chunk = Buffer.alloc(65536, " ");
+    let sent = 0;
+    const write = () => {
+      // Keep sending until the server hangs up, well past the limit
+      while (sent < 32 * 1048576 && !req.destroyed) {
+        sent += chunk.length;
+        if (!req.write(chunk)) return req.once("drain", write);
+      }
+      req.end();
+    };
+    write();
+    // The client may see the 413 or, with its own writes still in flight,
+    // only the reset that follows it
+    const status = await new Promise((resolve) => {
+      req.on("response", (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+      req.on("error", () => resolve(null));
+    });
+    if (status !== null) assert.strictEqual(status, 413, apiPath);
+    if (!req.closed) await new Promise((resolve) => req.on("close", resolve));
+    assert.ok(sent < 32 * 1048576, `${apiPath} read the whole body`);
+  }
+});
@@ -0,0 +1,146 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { CONFIG, rcon, parseNBT, chunkDistance, pruneChunks } = require("../server.js");
+
+const SECTOR = 4096;
+const MINUTE = 60 * 20;
+
+test("measures to the nearest block of a chunk", () => {
+  assert.strictEqual(chunkDistance(0, 0, { x: 5, z: 5 }), 0, "inside the chunk");
+  assert.strictEqual(chunkDistance(2, 0, { x: 0, z: 0 }), 32);
+  assert.strictEqual(chunkDistance(-1, 0, { x: 0, z: 0 }), 1);
+  assert.strictEqual(chunkDistance(-3, 4, { x: 0, z: 0 }), Math.hypot(33, 64));
+});
+
+test("a radius protects a circle, not its bounding square", () => {
+  // Chunk 44,44 starts at block 704,704: inside a 1000 block square, 995 blocks away
+  assert.ok(chunkDistance(44, 44, { x: 0, z: 0 }) <= 1000);
+  // Chunk 45,45 starts at 720,720: still inside the square, but 1018 blocks away
+  assert.ok(chunkDistance(45, 45, { x: 0, z: 0 }) > 1000);
+});
+
+// A chunk compound holding only what pruning looks at
+function chunkNBT(index, inhabited) {
+  const name = (n) => {
+    const bytes = Buffer.from(n);
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(bytes.length);
+    return Buffer.concat([length, bytes]);
+  };
+  const int = (n, v) => {
+    const value = Buffer.alloc(4);
+    value.writeInt32BE(v);
+    return Buffer.concat([Buffer.from([3]), name(n), value]);
+  };
+  const value = Buffer.alloc(8);
+  value.writeBigInt64BE(BigInt(inhabited));
+  return Buffer.concat([
+    Buffer.from([10]), name(""),
+    int("xPos", index % 32),
+    int("zPos", Math.floor(index / 32)),
+    Buffer.from([4]), name("InhabitedTime"), value,
+    Buffer.from([0]),
+  ]);
+}
+
+// A region file with zlib chunks laid out one after another; chunks maps a
+// chunk index to its InhabitedTime, and each timestamp is 1000 + index
+function writeRegion(file, chunks) {
+  const header = Buffer.alloc(SECTOR * 2);
+  const parts = [header];
+  let sector = 2;
+  for (const [index, inhabited] of Object.entries(chunks)) {
+    const payload = zlib.deflateSync(chunkNBT(Number(index), inhabited));
+    const sectors = Math.ceil((payload.length + 5) / SECTOR);
+    const data = Buffer.alloc(sectors * SECTOR);
+    data.writeUInt32BE(payload.length + 1);
+    data[4] = 2;
+    payload.copy(data, 5);
+    header.writeUInt32BE((sector << 8) | sectors, index * 4);
+    header.writeUInt32BE(1000 + Number(index), SECTOR + index * 4);
+    parts.push(data);
+    sector += sectors;
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, Buffer.concat(parts));
+}
+
+// InhabitedTime of every chunk a region file lists, decoded from scratch
+function readRegion(file) {
+  const buffer = fs.readFileSync(file);
+  const chunks = {};
+  for (let index = 0; index < 1024; index++) {
+    const entry = buffer.readUInt32BE(index * 4);
+    if (!entry) continue;
+    const start = (entry >>> 8) * SECTOR;
+    assert.ok(start + (entry & 0xff) * SECTOR <= buffer.length, `chunk ${index} inside the file`);
+    const length = buffer.readUInt32BE(start);
+    assert.strictEqual(buffer[start + 4], 2);
+    const nbt = parseNBT(zlib.inflateSync(buffer.subarray(start + 5, start + 4 + length)));
+    assert.strictEqual(buffer.readUInt32BE(SECTOR + index * 4), 1000 + index, `timestamp of chunk ${index}`);
+    chunks[index] = Number(nbt.InhabitedTime);
+  }
+  return chunks;
+}
+
+function setup(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "wm-chunks-"));
+  Object.assign(CONFIG, {
+    mcDataPath: path.join(root, "data"),
+    backupDir: path.join(root, "backups"),
+    stateDir: path.join(root, "state"),
+  });
+  // Nothing answers RCON, so the backup before pruning does not hold saves
+  Object.assign(CONFIG.rcon, { host: "127.0.0.1", port: 1 });
+  fs.mkdirSync(path.join(CONFIG.mcDataPath, "farm"), { recursive: true });
+  fs.writeFileSync(path.join(CONFIG.mcDataPath, "server.properties"), "level-name=world\n");
+  fs.copyFileSync(path.join(__dirname, "fixtures", "level.dat"), path.join(CONFIG.mcDataPath, "farm", "level.dat"));
+  t.after(() => {
+    clearTimeout(rcon.retryTimer);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+  const region = (file) => path.join(CONFIG.mcDataPath, "farm", "region", file);
+  // Spawn is at -120,48 in region -1,0, well away from every chunk below
+  writeRegion(region("r.0.0.mca"), { 0: 0, 1: 10 * MINUTE, 33: 100, 40: 60 * MINUTE, 500: MINUTE });
+  writeRegion(region("r.1.0.mca"), { 0: 0, 7: 2 * MINUTE });
+  return region;
+}
+
+const params = { world: "farm", minInhabitedMinutes: 5, protectRadius: 0 };
+
+test("a dry run reports what it would prune and leaves region files alone", async (t) => {
+  const region = setup(t);
+  const before = [fs.readFileSync(region("r.0.0.mca")), fs.readFileSync(region("r.1.0.mca"))];
+
+  const result = await pruneChunks({ ...params, dryRun: true });
+  assert.ok(result.success, result.error);
+  assert.strictEqual(result.backup, null);
+  assert.deepStrictEqual(result.report[0], {
+    id: "overworld", label: "Overworld", regions: 2, chunks: 7, pruned: 5, prunedBytes: 5 * SECTOR, emptiedRegions: 1,
+  });
+  assert.ok(fs.readFileSync(region("r.0.0.mca")).equals(before[0]));
+  assert.ok(fs.readFileSync(region("r.1.0.mca")).equals(before[1]));
+});
+
+test("drops idle chunks, keeps the rest readable and removes emptied regions", async (t) => {
+  const region = setup(t);
+
+  const result = await pruneChunks(params);
+  assert.ok(result.success, result.error);
+  assert.ok(fs.existsSync(path.join(CONFIG.backupDir, result.backup)), "backed up first");
+  assert.strictEqual(result.report[0].pruned, 5);
+  assert.strictEqual(result.unreadable, 0);
+
+  assert.deepStrictEqual(readRegion(region("r.0.0.mca")), { 1: 10 * MINUTE, 40: 60 * MINUTE });
+  const buffer = fs.readFileSync(region("r.0.0.mca"));
+  for (const index of [0, 33, 500]) {
+    assert.strictEqual(buffer.readUInt32BE(index * 4), 0, `location of chunk ${index}`);
+    assert.strictEqual(buffer.readUInt32BE(SECTOR + index * 4), 0, `timestamp of chunk ${index}`);
+  }
+  assert.strictEqual(buffer.length, 4 * SECTOR, "no gaps left behind");
+  assert.ok(!fs.existsSync(region("r.1.0.mca")));
+});
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseCron, cronMatches, nextCronRun } = require("../server.js");
+
+// Local time, like the scheduler; 5 January 2026 is a Monday
+const at = (day, hour = 0, minute = 0, month = 1) => new Date(2026, month - 1, day, hour, minute);
+
+test("expands ranges, lists and steps", () => {
+  const cron = parseCron("*/15 9-17 1,15 1-6/2 *");
+  assert.deepStrictEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepStrictEqual([...cron.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepStrictEqual([...cron.days], [1, 15]);
+  assert.deepStrictEqual([...cron.months], [1, 3, 5]);
+});
+
+test("a step after a single value runs to the end of the field", () => {
+  assert.deepStrictEqual([...parseCron("5/20 * * * *").minutes], [5, 25, 45]);
+  assert.deepStrictEqual([...parseCron("0 0 * * 1-5/2").weekdays], [1, 3, 5]);
+});
+
+test("treats 7 as Sunday", () => {
+  const cron = parseCron("0 3 * * 7");
+  assert.ok(cronMatches(cron, at(11, 3)));
+  assert.ok(!cronMatches(cron, at(10, 3)));
+});
+
+test("rejects malformed expressions", () => {
+  for (const expression of ["", "* * * *", "* * * * * *", "60 * * * *", "* 24 * * *", "* * 0 * *",
+    "* * * 13 *", "* * * * 8", "5-1 * * * *", "*/0 * * * *", "a * * * *", "1,,2 * * * *"]) {
+    assert.throws(() => parseCron(expression), Error, expression);
+  }
+});
+
+test("matches minute, hour and month", () => {
+  const cron = parseCron("30 9-17 * 1 *");
+  assert.ok(cronMatches(cron, at(5, 9, 30)));
+  assert.ok(cronMatches(cron, at(5, 17, 30)));
+  assert.ok(!cronMatches(cron, at(5, 18, 30)));
+  assert.ok(!cronMatches(cron, at(5, 9, 31)));
+  assert.ok(!cronMatches(cron, at(5, 9, 30, 2)));
+});
+
+test("restricting only one day field requires that field", () => {
+  const mondays = parseCron("0 0 * * 1");
+  assert.ok(cronMatches(mondays, at(5)));
+  assert.ok(!cronMatches(mondays, at(6)));
+
+  const firsts = parseCron("0 0 1 * *");
+  assert.ok(cronMatches(firsts, at(1)));
+  assert.ok(!cronMatches(firsts, at(5)));
+});
+
+test("restricting both day fields matches either, like cron(8)", () => {
+  const cron = parseCron("0 0 13 * 5");
+  assert.ok(cronMatches(cron, at(13)), "the 13th, a Tuesday");
+  assert.ok(cronMatches(cron, at(16)), "a Friday");
+  assert.ok(cronMatches(cron, at(13, 0, 0, 2)), "Friday the 13th");
+  assert.ok(!cronMatches(cron, at(14)));
+});
+
+test("a day field starting with * counts as unrestricted", () => {
+  // Odd days that are also Mondays, not odd days or Mondays
+  const cron = parseCron("0 0 */2 * 1");
+  assert.ok(cronMatches(cron, at(5)));
+  assert.ok(!cronMatches(cron, at(12)), "an even Monday");
+  assert.ok(!cronMatches(cron, at(7)), "an odd Wednesday");
+});
+
+test("finds the next run", () => {
+  assert.deepStrictEqual(nextCronRun(parseCron("*/15 * * * *"), at(5, 10, 7)), at(5, 10, 15));
+  assert.deepStrictEqual(nextCronRun(parseCron("*/15 * * * *"), at(5, 10, 15)), at(5, 10, 30));
+  assert.deepStrictEqual(nextCronRun(parseCron("0 3 * * 0"), at(5, 12)), at(11, 3));
+  assert.deepStrictEqual(nextCronRun(parseCron("0 0 1 6-8 *"), at(5)), at(1, 0, 0, 6));
+  assert.deepStrictEqual(nextCronRun(parseCron("59 23 31 12 *"), at(5)), at(31, 23, 59, 12));
+});
+
+test("gives up on expressions with no run in the coming year", () => {
+  // The next 29 February is in 2028
+  assert.strictEqual(nextCronRun(parseCron("0 0 29 2 *"), at(5)), null);
+  assert.strictEqual(nextCronRun(parseCron("0 0 31 4 *"), at(5)), null);
+});
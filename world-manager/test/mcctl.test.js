@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const path = require("path");
+const { spawn } = require("child_process");
+const { once } = require("events");
+
+const MCCTL = path.join(__dirname, "..", "mcctl.js");
+const WORLDS = [{ name: "world", active: true, sizeBytes: 2097152, version: "1.21.1", lastModified: "2026-01-05T03:00:00.000Z" }];
+
+// Runs mcctl with only the given environment, so a developer's own config
+// file and MCCTL_* variables cannot leak in
+async function mcctl(args, env = {}) {
+  const child = spawn(process.execPath, [MCCTL, ...args], {
+    env: { PATH: process.env.PATH, HOME: "/nonexistent", ...env },
+  });
+  let stdout = "";
+  let stderr = "";
+  child.stdout.on("data", (chunk) => (stdout += chunk));
+  child.stderr.on("data", (chunk) => (stderr += chunk));
+  const [code] = await once(child, "close");
+  return { code, stdout, stderr };
+}
+
+// A World Manager stand-in answering a few /api/v1 routes the way the real
+// router does. Every request is kept.
+async function fakeManager(t) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+    const reply = (status, data, headers = {}) => {
+      res.writeHead(status, { "Content-Type": "application/json", ...headers });
+      res.end(JSON.stringify(data));
+    };
+    const route = `${req.method} ${req.url}`;
+    if (route === "POST /api/v1/session") {
+      if (JSON.parse(body).password !== "s3cret") {
+        return reply(401, { error: { code: "unauthenticated", message: "Invalid username or password" } });
+      }
+      return reply(201, { csrfToken: "token" }, { "Set-Cookie": "wm_session=abc; HttpOnly; Path=/" });
+    }
+    if (route === "DELETE /api/v1/session") {
+      res.writeHead(204);
+      return res.end();
+    }
+    if (req.headers.cookie !== "wm_session=abc") return reply(401, { error: { code: "unauthenticated", message: "Authentication required" } });
+    if (route === "GET /api/v1/worlds") return reply(200, WORLDS);
+    if (route === "POST /api/v1/rcon") return reply(200, { response: `ran ${JSON.parse(body).command}` });
+    if (route === "GET /api/v1/users") return reply(403, { error: { code: "forbidden", message: "This action requires the admin role" } });
+    reply(404, { error: { code: "not_found", message: "World not found" } });
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  t.after(() => server.close());
+  return { requests, env: { MCCTL_URL: `http://127.0.0.1:${server.address().port}`, MCCTL_PASSWORD: "s3cret" } };
+}
+
+test("prints the usage and exits 0", async () => {
+  for (const args of [["help"], ["--help"], []]) {
+    const result = await mcctl(args);
+    assert.strictEqual(result.code, 0, args.join(" "));
+    assert.match(result.stdout, /^Usage: mcctl \[options\] <command>/);
+  }
+});
+
+test("exits 2 on usage errors before contacting the server", async () => {
+  const cases = {
+    "--bogus status": /Unknown option --bogus/,
+    "status --url": /--url needs a value/,
+    "frobnicate": /Unknown command "frobnicate"/,
+    "status": /No password configured/,
+  };
+  for (const [args, message] of Object.entries(cases)) {
+    const result = await mcctl(args.split(" "), { MCCTL_URL: "http://127.0.0.1:1" });
+    assert.strictEqual(result.code, 2, args);
+    assert.match(result.stderr, message, args);
+  }
+});
+
+test("exits 4 when the World Manager cannot be reached", async () => {
+  const result = await mcctl(["status"], { MCCTL_URL: "http://127.0.0.1:1", MCCTL_PASSWORD: "x" });
+  assert.strictEqual(result.code, 4);
+  assert.match(result.stderr, /Cannot reach the World Manager/);
+});
+
+test("logs in, calls /api/v1 and logs out", async (t) => {
+  const manager = await fakeManager(t);
+  const result = await mcctl(["worlds"], manager.env);
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.match(result.stdout, /^NAME {3}ACTIVE {2}SIZE {4}VERSION {2}MODIFIED\nworld  yes {5}2\.0 MB {2}1\.21\.1 {3}2026-01-05 03:00:00$/m);
+  assert.deepStrictEqual(manager.requests.map((r) => `${r.method} ${r.url}`),
+    ["POST /api/v1/session", "GET /api/v1/worlds", "DELETE /api/v1/session"]);
+  assert.deepStrictEqual(manager.requests[0].body, { username: "admin", password: "s3cret" });
+  assert.strictEqual(manager.requests[2].headers["x-csrf-token"], "token");
+});
+
+test("passes everything after -- through as arguments", async (t) => {
+  const manager = await fakeManager(t);
+  const result = await mcctl(["--json", "rcon", "--", "say", "--loud"], manager.env);
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.deepStrictEqual(JSON.parse(result.stdout), { response: "ran say --loud" });
+  assert.deepStrictEqual(manager.requests[1].body, { command: "say --loud" });
+});
+
+test("exits 3 when the login or the role is refused", async (t) => {
+  const manager = await fakeManager(t);
+  const login = await mcctl(["status"], { ...manager.env, MCCTL_PASSWORD: "wrong" });
+  assert.strictEqual(login.code, 3);
+  assert.match(login.stderr, /Login as admin failed: Invalid username or password/);
+
+  const role = await mcctl(["api", "users"], manager.env);
+  assert.strictEqual(role.code, 3);
+  assert.match(role.stderr, /requires the admin role/);
+});
+
+test("exits 1 with the server's message when a request is refused", async (t) => {
+  const manager = await fakeManager(t);
+  const result = await mcctl(["worlds", "info", "nope"], manager.env);
+  assert.strictEqual(result.code, 1);
+  assert.strictEqual(result.stderr, "mcctl: World not found\n");
+  assert.strictEqual(manager.requests[1].url, "/api/v1/worlds/nope");
+  assert.strictEqual(manager.requests.at(-1).method, "DELETE", "still logs out");
+});
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { parseNBT, readLevelData } = require("../server.js");
+
+// all-tags.nbt holds one of every tag type under a compound named "root";
+// level.dat is a gzipped level.dat cut down to a few fields
+const FIXTURES = path.join(__dirname, "fixtures");
+const allTags = fs.readFileSync(path.join(FIXTURES, "all-tags.nbt"));
+
+test("decodes every tag type", () => {
+  assert.deepStrictEqual(parseNBT(allTags), {
+    byte: -5,
+    short: -1234,
+    int: 123456789,
+    long: -9007199254740993n,
+    float: 1.5,
+    double: -0.25,
+    byteArray: [1, -2, 127],
+    string: "Grüße 村",
+    intList: [1, 2, 3],
+    compoundList: [{ id: "minecraft:stone" }, {}],
+    emptyList: [],
+    nested: { deeper: { flag: 1 } },
+    intArray: [-1, 2147483647],
+    longArray: [0n, 9223372036854775807n],
+  });
+});
+
+test("rejects a file cut off anywhere", () => {
+  for (let length = 0; length < allTags.length; length++) {
+    assert.throws(() => parseNBT(allTags.subarray(0, length)), /Unexpected end of NBT data/, `${length} bytes`);
+  }
+});
+
+test("rejects other roots, unknown tags and negative array lengths", () => {
+  assert.throws(() => parseNBT(Buffer.from([8, 0, 0, 0, 0])), /root is not a compound/);
+  assert.throws(() => parseNBT(Buffer.from([10, 0, 0, 13, 0, 0])), /Unknown NBT tag type 13/);
+  assert.throws(() => parseNBT(Buffer.from([10, 0, 0, 7, 0, 0, 0xff, 0xff, 0xff, 0xff])), /Negative/);
+});
+
+test("reads the Data compound of a gzipped or plain level.dat", (t) => {
+  const world = fs.mkdtempSync(path.join(os.tmpdir(), "wm-nbt-"));
+  t.after(() => fs.rmSync(world, { recursive: true, force: true }));
+  const expected = {
+    LevelName: "Fixture World",
+    DataVersion: 3953,
+    Version: { Name: "1.21", Id: 3953, Snapshot: 0 },
+    SpawnX: -120,
+    SpawnZ: 48,
+  };
+
+  fs.copyFileSync(path.join(FIXTURES, "level.dat"), path.join(world, "level.dat"));
+  assert.deepStrictEqual(readLevelData(world), expected);
+
+  const plain = zlib.gunzipSync(fs.readFileSync(path.join(FIXTURES, "level.dat")));
+  fs.writeFileSync(path.join(world, "level.dat"), plain);
+  fs.utimesSync(path.join(world, "level.dat"), new Date(), new Date(Date.now() + 1000));
+  assert.deepStrictEqual(readLevelData(world), expected);
+});
+
+test("reuses a parsed level.dat until the file changes", (t) => {
+  const world = fs.mkdtempSync(path.join(os.tmpdir(), "wm-nbt-"));
+  t.after(() => fs.rmSync(world, { recursive: true, force: true }));
+  const file = path.join(world, "level.dat");
+  fs.copyFileSync(path.join(FIXTURES, "level.dat"), file);
+
+  const first = readLevelData(world);
+  assert.strictEqual(readLevelData(world), first, "not parsed again");
+
+  fs.writeFileSync(file, "not nbt");
+  assert.throws(() => readLevelData(world));
+  fs.rmSync(file);
+  assert.throws(() => readLevelData(world), /ENOENT/);
+});
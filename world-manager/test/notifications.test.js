@@ -0,0 +1,191 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { once } = require("events");
+const {
+  CONFIG, NOTIFY_RETRY_DELAYS_MS, getNotificationSettings, saveNotificationTarget,
+  deleteNotificationTarget, deliverNotification, testNotificationTarget,
+} = require("../server.js");
+
+const EVENT = {
+  type: "backup.failed",
+  message: "Backup of world failed: disk full",
+  details: { world: "world" },
+  time: "2026-01-05T03:00:00.000Z",
+};
+
+// The real delays are minutes long
+const realDelays = [...NOTIFY_RETRY_DELAYS_MS];
+test.before(() => NOTIFY_RETRY_DELAYS_MS.fill(20));
+test.after(() => NOTIFY_RETRY_DELAYS_MS.splice(0, realDelays.length, ...realDelays));
+
+// A webhook stand-in answering with `replies` in turn ([status, headers]),
+// then 200. Every request body is kept.
+async function fakeWebhook(t, replies = []) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    requests.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+    const [status, headers] = replies.shift() || [200];
+    res.writeHead(status, headers);
+    res.end();
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  t.after(() => server.close());
+  return { requests, url: `http://127.0.0.1:${server.address().port}/hook/s3cret` };
+}
+
+function addTarget(t, url, fields = {}) {
+  CONFIG.stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "wm-notify-"));
+  t.after(() => fs.rmSync(CONFIG.stateDir, { recursive: true, force: true }));
+  const result = saveNotificationTarget({ name: "Ops", format: "generic", url, events: [EVENT.type], ...fields });
+  assert.ok(result.success, result.error);
+  return getTarget(result.id);
+}
+
+// The stored target, URL included, as notify() would pass it
+function getTarget(id) {
+  const stored = JSON.parse(fs.readFileSync(path.join(CONFIG.stateDir, "notifications.json"), "utf-8"));
+  return stored.targets.find((target) => target.id === id);
+}
+
+const lastDelivery = (id) => getNotificationSettings().targets.find((target) => target.id === id).lastDelivery;
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function waitFor(check) {
+  for (let i = 0; i < 200 && !check(); i++) await sleep(10);
+  assert.ok(check(), "timed out");
+}
+
+test("posts the generic payload", async (t) => {
+  const hook = await fakeWebhook(t);
+  const target = addTarget(t, hook.url);
+  await deliverNotification(target, EVENT);
+
+  assert.strictEqual(hook.requests.length, 1);
+  assert.strictEqual(hook.requests[0].path, "/hook/s3cret");
+  assert.strictEqual(hook.requests[0].headers["content-type"], "application/json");
+  assert.deepStrictEqual(hook.requests[0].body, {
+    event: "backup.failed",
+    title: "Backup failed",
+    message: EVENT.message,
+    details: { world: "world" },
+    time: EVENT.time,
+  });
+  assert.strictEqual(lastDelivery(target.id).success, true);
+});
+
+test("posts Discord embeds and Slack text", async (t) => {
+  const hook = await fakeWebhook(t);
+  const discord = addTarget(t, hook.url, { format: "discord" });
+  await deliverNotification(discord, EVENT);
+  await deliverNotification(discord, { ...EVENT, type: "backup.succeeded", message: "Backed up" });
+  const slack = { ...discord, format: "slack" };
+  await deliverNotification(slack, EVENT);
+
+  assert.deepStrictEqual(hook.requests[0].body, {
+    username: "MC World Manager",
+    embeds: [{ title: "Backup failed", description: EVENT.message, color: 0xe74c3c, timestamp: EVENT.time }],
+  });
+  assert.strictEqual(hook.requests[1].body.embeds[0].color, 0x2ecc71);
+  assert.deepStrictEqual(hook.requests[2].body, { text: `*Backup failed*\n${EVENT.message}` });
+});
+
+test("retries 5xx and 429 until the webhook accepts", async (t) => {
+  const hook = await fakeWebhook(t, [[503], [429], [500]]);
+  const target = addTarget(t, hook.url);
+  await deliverNotification(target, EVENT);
+
+  await waitFor(() => hook.requests.length === 4);
+  await waitFor(() => lastDelivery(target.id).success);
+  assert.strictEqual(lastDelivery(target.id).attempt, 4);
+  assert.deepStrictEqual(hook.requests.map((r) => r.body), Array(4).fill(hook.requests[0].body));
+});
+
+test("waits at least as long as Retry-After asks", async (t) => {
+  const hook = await fakeWebhook(t, [[429, { "Retry-After": "1" }]]);
+  const target = addTarget(t, hook.url);
+  const started = Date.now();
+  await deliverNotification(target, EVENT);
+
+  await sleep(300);
+  assert.strictEqual(hook.requests.length, 1, "not retried after the default delay");
+  await waitFor(() => hook.requests.length === 2);
+  assert.ok(Date.now() - started >= 1000);
+});
+
+test("gives up after the last retry", async (t) => {
+  const hook = await fakeWebhook(t, Array(10).fill([502]));
+  const target = addTarget(t, hook.url);
+  await deliverNotification(target, EVENT);
+
+  await waitFor(() => hook.requests.length === NOTIFY_RETRY_DELAYS_MS.length + 1);
+  await sleep(100);
+  assert.strictEqual(hook.requests.length, NOTIFY_RETRY_DELAYS_MS.length + 1);
+  assert.deepStrictEqual(
+    { success: lastDelivery(target.id).success, error: lastDelivery(target.id).error },
+    { success: false, error: "HTTP 502" });
+});
+
+test("does not retry other 4xx answers", async (t) => {
+  for (const status of [400, 401, 404, 410]) {
+    const hook = await fakeWebhook(t, [[status]]);
+    const target = addTarget(t, hook.url);
+    await deliverNotification(target, EVENT);
+    await sleep(100);
+    assert.strictEqual(hook.requests.length, 1, `HTTP ${status}`);
+    assert.strictEqual(lastDelivery(target.id).error, `HTTP ${status}`);
+  }
+});
+
+test("retries when the webhook cannot be reached", async (t) => {
+  const hook = await fakeWebhook(t);
+  const target = addTarget(t, "http://127.0.0.1:1/unreachable");
+  await deliverNotification(target, EVENT);
+  assert.strictEqual(lastDelivery(target.id).success, false);
+
+  // Fixing the URL in the meantime lets the retry through
+  saveNotificationTarget({ id: target.id, name: "Ops", format: "generic", url: hook.url, events: [EVENT.type] });
+  await waitFor(() => hook.requests.length === 1);
+  await waitFor(() => lastDelivery(target.id).success);
+});
+
+test("stops retrying a target that was deleted, disabled or unsubscribed", async (t) => {
+  const changes = {
+    deleted: (target) => deleteNotificationTarget(target.id),
+    disabled: (target) => saveNotificationTarget({ ...target, enabled: false }),
+    unsubscribed: (target) => saveNotificationTarget({ ...target, events: ["world.created"] }),
+  };
+  for (const [name, change] of Object.entries(changes)) {
+    const hook = await fakeWebhook(t, [[503], [503]]);
+    const target = addTarget(t, hook.url);
+    await deliverNotification(target, EVENT);
+    change(target);
+    await sleep(150);
+    assert.strictEqual(hook.requests.length, 1, name);
+  }
+});
+
+test("sends a test notification once and reports the result", async (t) => {
+  const hook = await fakeWebhook(t, [[503]]);
+  const target = addTarget(t, hook.url);
+
+  assert.deepStrictEqual(await testNotificationTarget(target.id), { success: false, status: 502, error: "HTTP 503" });
+  await sleep(100);
+  assert.strictEqual(hook.requests.length, 1, "no retries");
+  assert.strictEqual(hook.requests[0].body.event, "test");
+  assert.strictEqual((await testNotificationTarget(target.id)).success, true);
+  assert.strictEqual((await testNotificationTarget("missing")).status, 404);
+});
+
+test("shows only the origin of stored webhook URLs", async (t) => {
+  const hook = await fakeWebhook(t);
+  const target = addTarget(t, hook.url);
+  const shown = getNotificationSettings().targets.find((s) => s.id === target.id);
+  assert.strictEqual(shown.url, new URL(hook.url).origin + "/…");
+});
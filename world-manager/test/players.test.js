@@ -0,0 +1,39 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parsePlayerLogLine, logLineTime } = require("../server.js");
+
+// Local time, like the server's log stamps
+const local = (day, hour, minute, second) => new Date(2026, 0, day, hour, minute, second).toISOString();
+
+test("reads joins, leaves, UUIDs and shutdowns from Paper and vanilla lines", () => {
+  assert.deepStrictEqual(parsePlayerLogLine("[21:04:55 INFO]: Steve joined the game"), { type: "join", name: "Steve" });
+  assert.deepStrictEqual(parsePlayerLogLine("[21:04:55] [Server thread/INFO]: Alex_2 left the game"),
+    { type: "leave", name: "Alex_2" });
+  assert.deepStrictEqual(
+    parsePlayerLogLine("[21:04:54 INFO]: UUID of player Steve is 069a79f4-44e9-4726-a5be-fca90e38aaf5"),
+    { type: "uuid", name: "Steve", uuid: "069a79f4-44e9-4726-a5be-fca90e38aaf5" });
+  assert.deepStrictEqual(parsePlayerLogLine("[22:00:00 INFO]: Stopping the server"), { type: "stop" });
+  assert.deepStrictEqual(parsePlayerLogLine("[22:00:00] [Server thread/INFO]: Stopping server"), { type: "stop" });
+});
+
+test("ignores chat that looks like a join", () => {
+  assert.strictEqual(parsePlayerLogLine("[21:05:00 INFO]: <Steve> Alex joined the game"), null);
+  assert.strictEqual(parsePlayerLogLine("[21:05:00 INFO]: [Server] Alex left the game lol"), null);
+});
+
+test("dates a log line by its own stamp, not when it was read", () => {
+  const now = local(5, 21, 5, 10);
+  assert.strictEqual(logLineTime("[21:04:55 INFO]: Steve joined the game", now), local(5, 21, 4, 55));
+  assert.strictEqual(logLineTime("[09:00:01] [Server thread/INFO]: Steve left the game", now), local(5, 9, 0, 1));
+});
+
+test("puts lines stamped just before midnight on the previous day", () => {
+  assert.strictEqual(logLineTime("[23:59:58 INFO]: Steve left the game", local(6, 0, 0, 5)), local(5, 23, 59, 58));
+  // A few seconds of clock skew is not a day
+  assert.strictEqual(logLineTime("[12:00:20 INFO]: Steve left the game", local(6, 12, 0, 5)), local(6, 12, 0, 20));
+});
+
+test("falls back to the read time for unstamped lines", () => {
+  const now = local(5, 21, 5, 10);
+  assert.strictEqual(logLineTime("Steve joined the game", now), now);
+});
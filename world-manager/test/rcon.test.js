@@ -0,0 +1,210 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const net = require("net");
+const { once } = require("events");
+const {
+  CONFIG, rcon, rconConnect, rconCommand, encodeRconPacket, decodeRconPackets, getServerVersion,
+} = require("../server.js");
+
+const AUTH = 3;
+const COMMAND = 2;
+const AUTH_RESPONSE = 2;
+const RESPONSE = 0;
+
+// A stand-in Minecraft server. `reply(command, socket, id)` returns the
+// bodies to send back, one packet each; `send(socket, bytes)` may split or delay them.
+async function fakeServer({ password = "secret", reply = () => [""], send } = {}) {
+  const received = [];
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    const write = (bytes) => (send ? send(socket, bytes) : socket.write(bytes));
+    socket.on("error", () => {});
+    socket.on("data", (chunk) => {
+      const { packets, rest } = decodeRconPackets(Buffer.concat([buffer, chunk]));
+      buffer = rest;
+      for (const packet of packets) {
+        const body = packet.body.toString("utf-8");
+        if (packet.type === AUTH) {
+          write(encodeRconPacket(body === password ? packet.id : -1, AUTH_RESPONSE, ""));
+        } else if (packet.type === COMMAND) {
+          received.push(body);
+          const bodies = reply(body, socket, packet.id);
+          if (bodies) write(Buffer.concat(bodies.map((b) => encodeRconPacket(packet.id, RESPONSE, b))));
+        } else {
+          // The marker: vanilla answers an empty type-0 packet with the same id
+          write(encodeRconPacket(packet.id, RESPONSE, "Unknown request 0"));
+        }
+      }
+    });
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  Object.assign(CONFIG.rcon, { host: "127.0.0.1", port: server.address().port, password: "secret" });
+  return { server, received };
+}
+
+// Drop the client connection and the reconnect it schedules
+async function disconnect() {
+  if (rcon.socket) {
+    const socket = rcon.socket;
+    socket.destroy();
+    await once(socket, "close");
+  }
+  clearTimeout(rcon.retryTimer);
+  Object.assign(rcon, { status: "disconnected", attempts: 0 });
+}
+
+test("encodes packets with length, id, type and two trailing nulls", () => {
+  const packet = encodeRconPacket(7, COMMAND, "list");
+  assert.strictEqual(packet.length, 4 + 4 + 4 + 4 + 2);
+  assert.strictEqual(packet.readInt32LE(0), 14);
+  assert.strictEqual(packet.readInt32LE(4), 7);
+  assert.strictEqual(packet.readInt32LE(8), COMMAND);
+  assert.strictEqual(packet.subarray(12, 16).toString(), "list");
+  assert.deepStrictEqual([...packet.subarray(16)], [0, 0]);
+});
+
+test("decodes several packets from one chunk and keeps a partial one", () => {
+  const first = encodeRconPacket(1, RESPONSE, "There are 0 of a max of 20 players online");
+  const second = encodeRconPacket(2, RESPONSE, "§aDone");
+  const third = encodeRconPacket(3, RESPONSE, "tail");
+  const { packets, rest } = decodeRconPackets(Buffer.concat([first, second, third.subarray(0, 9)]));
+
+  assert.deepStrictEqual(packets.map((p) => [p.id, p.type, p.body.toString()]), [
+    [1, RESPONSE, "There are 0 of a max of 20 players online"],
+    [2, RESPONSE, "§aDone"],
+  ]);
+  assert.strictEqual(rest.length, 9);
+
+  const next = decodeRconPackets(Buffer.concat([rest, third.subarray(9)]));
+  assert.deepStrictEqual(next.packets.map((p) => p.body.toString()), ["tail"]);
+  assert.strictEqual(next.rest.length, 0);
+});
+
+test("waits for the length prefix itself to arrive", () => {
+  const { packets, rest } = decodeRconPackets(Buffer.from([14, 0]));
+  assert.deepStrictEqual(packets, []);
+  assert.strictEqual(rest.length, 2);
+});
+
+test("rejects impossible packet lengths", () => {
+  const tooShort = Buffer.alloc(14);
+  tooShort.writeInt32LE(9, 0);
+  assert.throws(() => decodeRconPackets(tooShort), /Malformed/);
+  const tooLong = Buffer.alloc(4);
+  tooLong.writeInt32LE(2 * 1048576, 0);
+  assert.throws(() => decodeRconPackets(tooLong), /Malformed/);
+});
+
+test("authenticates and runs a command", async (t) => {
+  const { server, received } = await fakeServer({ reply: (command) => [`ran ${command}`] });
+  t.after(() => server.close());
+  t.after(disconnect);
+
+  const result = await rconCommand("list");
+  assert.deepStrictEqual(result, { success: true, response: "ran list" });
+  assert.deepStrictEqual(received, ["list"]);
+  assert.strictEqual(rcon.status, "connected");
+});
+
+test("reports a wrong password as auth-failed", async (t) => {
+  const { server } = await fakeServer({ password: "other" });
+  t.after(() => server.close());
+  t.after(disconnect);
+
+  await assert.rejects(rconConnect(), /authentication failed/);
+  assert.strictEqual(rcon.status, "auth-failed");
+  assert.ok(rcon.nextRetry, "a reconnect is scheduled");
+});
+
+test("joins a reply split over several packets, up to the marker", async (t) => {
+  const parts = ["a".repeat(4096), "b".repeat(4096), "c".repeat(100)];
+  const { server } = await fakeServer({ reply: () => parts });
+  t.after(() => server.close());
+  t.after(disconnect);
+
+  const result = await rconCommand("help");
+  assert.strictEqual(result.response, parts.join(""));
+});
+
+test("reassembles packets that arrive a few bytes at a time", async (t) => {
+  let sending = Promise.resolve();
+  const { server } = await fakeServer({
+    reply: () => ["§6Pong", " from the server"],
+    send: (socket, bytes) => {
+      // Chained so the marker's reply cannot overtake the command's
+      sending = sending.then(async () => {
+        for (let i = 0; i < bytes.length; i += 5) {
+          socket.write(bytes.subarray(i, i + 5));
+          await new Promise((r) => setTimeout(r, 1));
+        }
+      });
+    },
+  });
+  t.after(() => server.close());
+  t.after(disconnect);
+
+  const result = await rconCommand("ping");
+  assert.strictEqual(result.response, "Pong from the server", "colour codes are stripped");
+});
+
+test("sends queued commands one at a time and keeps replies apart", async (t) => {
+  const { server, received } = await fakeServer({ reply: (command) => [command.toUpperCase(), "!"] });
+  t.after(() => server.close());
+  t.after(disconnect);
+
+  const results = await Promise.all(["one", "two", "three"].map((c) => rconCommand(c)));
+  assert.deepStrictEqual(results.map((r) => r.response), ["ONE!", "TWO!", "THREE!"]);
+  assert.deepStrictEqual(received, ["one", "two", "three"]);
+});
+
+test("keeps the reply when the server hangs up before the marker", async (t) => {
+  const { server } = await fakeServer({
+    reply: (command, socket, id) => {
+      socket.end(encodeRconPacket(id, RESPONSE, "Stopping the server"));
+    },
+  });
+  t.after(() => server.close());
+  t.after(disconnect);
+
+  const result = await rconCommand("stop");
+  assert.deepStrictEqual(result, { success: true, response: "Stopping the server" });
+});
+
+test("fails the command when a malformed packet arrives", async (t) => {
+  const { server } = await fakeServer({
+    reply: (command, socket) => {
+      const garbage = Buffer.alloc(12);
+      garbage.writeInt32LE(3, 0);
+      socket.write(garbage);
+    },
+  });
+  t.after(() => server.close());
+  t.after(disconnect);
+
+  const result = await rconCommand("list");
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.status, 503);
+  assert.strictEqual(rcon.status, "disconnected");
+});
+
+test("refuses empty commands without touching the connection", async () => {
+  assert.deepStrictEqual(await rconCommand("  "), { success: false, status: 400, response: "No command given" });
+});
+
+test("asks for the server version once per connection", async (t) => {
+  const { server, received } = await fakeServer({
+    reply: (command) => [command === "version" ? "This server is running Paper version 1.21.1-119 (MC: 1.21.1)" : ""],
+  });
+  t.after(() => server.close());
+  t.after(disconnect);
+
+  assert.strictEqual(await getServerVersion(), "1.21.1");
+  assert.strictEqual(await getServerVersion(), "1.21.1");
+  assert.deepStrictEqual(received, ["version"]);
+
+  // A restart drops the connection, so the next call asks again
+  await disconnect();
+  assert.strictEqual(await getServerVersion(), "1.21.1");
+  assert.deepStrictEqual(received, ["version", "version"]);
+});
@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const {
+  CONFIG, getRemoteStatus, getGDriveStatus, saveDestination,
+  pushToRemote, listRemoteBackups, pullFromRemote, deleteRemoteBackup,
+} = require("../server.js");
+
+const hasRclone = spawnSync("rclone", ["version"]).status === 0;
+const needsRclone = { skip: !hasRclone && "rclone is not installed" };
+const FILENAME = "world_2026-01-05T03-00-00-000Z.tar.gz";
+
+// Fresh state, backup and rclone config directories per test. rclone
+// resolves a relative local path against the working directory.
+function setup(t, rcloneConf) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "wm-remotes-"));
+  const cwd = process.cwd();
+  Object.assign(CONFIG, {
+    stateDir: path.join(root, "state"),
+    backupDir: path.join(root, "backups"),
+    mcDataPath: path.join(root, "data"),
+    rcloneConfigPath: path.join(root, "rclone.conf"),
+  });
+  for (const dir of [CONFIG.stateDir, CONFIG.backupDir, CONFIG.mcDataPath]) fs.mkdirSync(dir);
+  if (rcloneConf !== undefined) fs.writeFileSync(CONFIG.rcloneConfigPath, rcloneConf);
+  process.chdir(root);
+  t.after(() => {
+    process.chdir(cwd);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+  return root;
+}
+
+// A real archive in CONFIG.backupDir, so a pulled copy passes inspection
+function makeBackup(root) {
+  fs.mkdirSync(path.join(root, "src", "world"), { recursive: true });
+  fs.writeFileSync(path.join(root, "src", "world", "level.dat"), "");
+  spawnSync("tar", ["-czf", path.join(CONFIG.backupDir, FILENAME), "-C", path.join(root, "src"), "world"]);
+  fs.writeFileSync(path.join(CONFIG.backupDir, FILENAME + ".manifest.json"), JSON.stringify({ filename: FILENAME }));
+}
+
+function addLocalDestination() {
+  const result = saveDestination({ remote: "nas", path: "remote/backups" });
+  assert.ok(result.success, result.error);
+  return result.destination.id;
+}
+
+test("lists remotes and destinations from rclone.conf", (t) => {
+  setup(t, "[nas]\ntype = local\n\n# [old]\n[s3 eu]\ntype = s3\nprovider = AWS\n");
+  const status = getRemoteStatus();
+  assert.deepStrictEqual(status.remotes, [{ name: "nas", type: "local" }, { name: "s3 eu", type: "s3" }]);
+  assert.strictEqual(status.configured, false);
+  assert.strictEqual(status.message, "No backup destination enabled");
+
+  addLocalDestination();
+  assert.strictEqual(getRemoteStatus().message, "Backing up to nas:remote/backups");
+});
+
+test("keeps the old gdrive destination and status until destinations are edited", (t) => {
+  setup(t, "[gdrive]\ntype = drive\n");
+  assert.deepStrictEqual(getRemoteStatus().destinations.map((d) => d.target), ["gdrive:mc-appliance-backups"]);
+  assert.deepStrictEqual(getGDriveStatus(), { configured: true, message: "Backing up to gdrive:mc-appliance-backups" });
+});
+
+test("reports a missing or encrypted rclone.conf", (t) => {
+  setup(t);
+  assert.deepStrictEqual(getGDriveStatus(), { configured: false, message: "rclone not configured" });
+  fs.writeFileSync(CONFIG.rcloneConfigPath, "# Encrypted rclone configuration File\n\nRCLONE_ENCRYPT_V0:\nabc\n");
+  assert.strictEqual(getGDriveStatus().configured, false);
+  assert.match(getGDriveStatus().message, /encrypted/);
+});
+
+test("refuses destinations on unknown remotes or outside their folder", (t) => {
+  setup(t, "[nas]\ntype = local\n");
+  assert.strictEqual(saveDestination({ remote: "gdrive" }).status, 400);
+  assert.strictEqual(saveDestination({ remote: "nas", path: "../etc" }).status, 400);
+});
+
+test("lists an empty remote before anything was uploaded", needsRclone, async (t) => {
+  setup(t, "[nas]\ntype = local\n");
+  const result = await listRemoteBackups(addLocalDestination());
+  assert.deepStrictEqual(result, { success: true, destination: "nas:remote/backups", files: [] });
+});
+
+test("uploads, lists, downloads and deletes a backup on a local remote", needsRclone, async (t) => {
+  const root = setup(t, "[nas]\ntype = local\n");
+  const id = addLocalDestination();
+  makeBackup(root);
+  const remoteDir = path.join(root, "remote", "backups");
+
+  const upload = await pushToRemote(FILENAME, id);
+  assert.ok(upload.success, upload.error);
+  assert.ok(fs.existsSync(path.join(remoteDir, FILENAME)));
+  assert.ok(fs.existsSync(path.join(remoteDir, FILENAME + ".manifest.json")), "the manifest travels along");
+
+  const listing = await listRemoteBackups(id);
+  assert.ok(listing.success, listing.error);
+  assert.deepStrictEqual(listing.files.map((f) => [f.filename, f.size]),
+    [[FILENAME, fs.statSync(path.join(CONFIG.backupDir, FILENAME)).size]]);
+
+  assert.strictEqual((await pullFromRemote({ destination: id, filename: FILENAME })).success, false,
+    "a local copy is never overwritten");
+  fs.rmSync(path.join(CONFIG.backupDir, FILENAME));
+  fs.rmSync(path.join(CONFIG.backupDir, FILENAME + ".manifest.json"));
+  const download = await pullFromRemote({ destination: id, filename: FILENAME });
+  assert.ok(download.success, download.error);
+  assert.ok(fs.existsSync(path.join(CONFIG.backupDir, FILENAME)));
+  assert.ok(fs.existsSync(path.join(CONFIG.backupDir, FILENAME + ".manifest.json")));
+
+  const removal = await deleteRemoteBackup(id, FILENAME);
+  assert.ok(removal.success, removal.error);
+  assert.deepStrictEqual(fs.readdirSync(remoteDir), []);
+});
+
+test("refuses to pull an archive that is not a world backup", needsRclone, async (t) => {
+  const root = setup(t, "[nas]\ntype = local\n");
+  const id = addLocalDestination();
+  fs.mkdirSync(path.join(root, "remote", "backups"), { recursive: true });
+  fs.writeFileSync(path.join(root, "remote", "backups", FILENAME), "not an archive");
+
+  const download = await pullFromRemote({ destination: id, filename: FILENAME });
+  assert.strictEqual(download.success, false);
+  assert.deepStrictEqual(fs.readdirSync(CONFIG.backupDir), [], "the partial download is removed");
+});
+
+test("reports rclone failures and unknown destinations", needsRclone, async (t) => {
+  setup(t, "[nas]\ntype = local\n");
+  const id = addLocalDestination();
+  assert.strictEqual((await listRemoteBackups("nope")).status, 404);
+  assert.strictEqual((await deleteRemoteBackup(id, "../x.tar.gz")).status, 400);
+  const missing = await deleteRemoteBackup(id, FILENAME);
+  assert.strictEqual(missing.success, false);
+  assert.strictEqual(missing.status, 502);
+});
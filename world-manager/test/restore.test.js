@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { once } = require("events");
+const { CONFIG, rcon, backupWorld, restoreBackup } = require("../server.js");
+
+const LEVEL_DAT = path.join(__dirname, "fixtures", "level.dat");
+
+// A world folder holding level.dat and one marker file
+function makeWorld(name, marker) {
+  const dir = path.join(CONFIG.mcDataPath, name);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.copyFileSync(LEVEL_DAT, path.join(dir, "level.dat"));
+  fs.writeFileSync(path.join(dir, "marker.txt"), marker);
+}
+
+const marker = (name) => fs.readFileSync(path.join(CONFIG.mcDataPath, name, "marker.txt"), "utf-8");
+
+function setup(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "wm-restore-"));
+  Object.assign(CONFIG, {
+    mcDataPath: path.join(root, "data"),
+    backupDir: path.join(root, "backups"),
+    stateDir: path.join(root, "state"),
+    dockerSocket: path.join(root, "docker.sock"),
+    mcContainer: "mc-server",
+  });
+  // Nothing answers RCON, so saves are not held and the server counts as offline
+  Object.assign(CONFIG.rcon, { host: "127.0.0.1", port: 1 });
+  fs.mkdirSync(CONFIG.mcDataPath);
+  fs.writeFileSync(path.join(CONFIG.mcDataPath, "server.properties"), "level-name=world\n");
+  t.after(() => {
+    clearTimeout(rcon.retryTimer);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+}
+
+// A Docker Engine stand-in on a unix socket. Each call records the marker
+// the active world holds at that moment.
+async function fakeDocker(t, status = "running") {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://docker");
+    calls.push({ call: `${req.method} ${url.pathname}`, world: marker("world") });
+    if (req.method === "GET") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify({ State: { Status: status, StartedAt: "2026-01-05T03:00:00Z" } }));
+    }
+    status = url.pathname.endsWith("/stop") ? "exited" : "running";
+    res.writeHead(204);
+    res.end();
+  });
+  server.listen(CONFIG.dockerSocket);
+  await once(server, "listening");
+  t.after(() => server.close());
+  return calls;
+}
+
+test("stops the container around the swap of the active world", async (t) => {
+  setup(t);
+  makeWorld("world", "old");
+  const backup = await backupWorld("world");
+  assert.ok(backup.success, backup.error);
+  fs.writeFileSync(path.join(CONFIG.mcDataPath, "world", "marker.txt"), "changed");
+  const calls = await fakeDocker(t);
+
+  const result = await restoreBackup({ filename: backup.filename });
+  assert.ok(result.success, result.error);
+  assert.strictEqual(marker("world"), "old");
+  assert.deepStrictEqual(calls, [
+    { call: "GET /containers/mc-server/json", world: "changed" },
+    { call: "POST /containers/mc-server/stop", world: "changed" },
+    { call: "POST /containers/mc-server/start", world: "old" },
+  ]);
+});
+
+test("leaves a container that was not running stopped", async (t) => {
+  setup(t);
+  makeWorld("world", "old");
+  const backup = await backupWorld("world");
+  assert.ok(backup.success, backup.error);
+  const calls = await fakeDocker(t, "exited");
+
+  const result = await restoreBackup({ filename: backup.filename });
+  assert.ok(result.success, result.error);
+  assert.deepStrictEqual(calls.map((c) => c.call), ["GET /containers/mc-server/json"]);
+});
@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { CONFIG, selectExpiredBackups, pruneBackups } = require("../server.js");
+
+// Backup name for a UTC time, like backupWorld makes
+const nameAt = (iso, world = "world") => `${world}_${iso.replace(/[:.]/g, "-")}.tar.gz`;
+
+function setup(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "wm-retention-"));
+  CONFIG.backupDir = root;
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+}
+
+// An archive and its manifest; `schedule` is null for manual backups
+function addBackup(filename, schedule) {
+  fs.writeFileSync(path.join(CONFIG.backupDir, filename), "");
+  fs.writeFileSync(path.join(CONFIG.backupDir, filename + ".manifest.json"), JSON.stringify({ filename, schedule }));
+}
+
+const remaining = () => fs.readdirSync(CONFIG.backupDir).filter((f) => f.endsWith(".tar.gz")).sort();
+
+test("keeps the newest backup of each period", () => {
+  const names = [
+    nameAt("2026-01-05T10:30:00.000Z"),
+    nameAt("2026-01-05T10:00:00.000Z"),
+    nameAt("2026-01-05T09:00:00.000Z"),
+    nameAt("2026-01-04T09:00:00.000Z"),
+    nameAt("2026-01-03T09:00:00.000Z"),
+  ];
+  assert.deepStrictEqual(selectExpiredBackups(names, "world", { hourly: 2 }), [names[1], names[3], names[4]]);
+  assert.deepStrictEqual(selectExpiredBackups(names, "world", { hourly: 1, daily: 2 }), [names[1], names[2], names[4]]);
+});
+
+test("only considers the given world and backup names it understands", () => {
+  const names = [nameAt("2026-01-05T10:00:00.000Z", "other"), "world_upload.tar.gz", nameAt("2026-01-05T10:00:00.000Z")];
+  assert.deepStrictEqual(selectExpiredBackups(names, "world", { hourly: 1 }), []);
+});
+
+test("a schedule prunes only the backups it made", async (t) => {
+  setup(t);
+  const own = ["2026-01-05T10:00:00.000Z", "2026-01-05T11:00:00.000Z", "2026-01-05T12:00:00.000Z"].map((iso) => nameAt(iso));
+  own.forEach((f) => addBackup(f, "nightly"));
+  const manual = nameAt("2026-01-05T09:00:00.000Z");
+  const other = nameAt("2026-01-05T08:00:00.000Z");
+  addBackup(manual, null);
+  addBackup(other, "hourly");
+  // Imported backups have no manifest until they are verified
+  const imported = nameAt("2026-01-05T07:00:00.000Z");
+  fs.writeFileSync(path.join(CONFIG.backupDir, imported), "");
+
+  const pruned = await pruneBackups("nightly", "world", { hourly: 1 });
+  assert.deepStrictEqual(pruned, { local: [own[1], own[0]], remote: [] });
+  assert.deepStrictEqual(remaining(), [imported, other, manual, own[2]].sort());
+  assert.ok(!fs.existsSync(path.join(CONFIG.backupDir, own[0] + ".manifest.json")), "the manifest goes too");
+});
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { CONFIG, rcon, snapshotWorld, collectGarbage, restoreBackup } = require("../server.js");
+
+const BLOCK = 256 * 1024;
+
+function setup(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "wm-snapshots-"));
+  Object.assign(CONFIG, {
+    mcDataPath: path.join(root, "data"),
+    backupDir: path.join(root, "backups"),
+    stateDir: path.join(root, "state"),
+  });
+  // Nothing answers RCON, so snapshots do not hold saves
+  Object.assign(CONFIG.rcon, { host: "127.0.0.1", port: 1 });
+  fs.mkdirSync(path.join(CONFIG.mcDataPath, "farm", "region"), { recursive: true });
+  fs.writeFileSync(path.join(CONFIG.mcDataPath, "server.properties"), "level-name=world\n");
+  fs.copyFileSync(path.join(__dirname, "fixtures", "level.dat"), path.join(CONFIG.mcDataPath, "farm", "level.dat"));
+  t.after(() => {
+    clearTimeout(rcon.retryTimer);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+}
+
+// Every file of a world folder, relative path mapped to its contents
+function readTree(dir, relative = "", files = {}) {
+  for (const entry of fs.readdirSync(path.join(dir, relative), { withFileTypes: true })) {
+    const rel = path.join(relative, entry.name);
+    if (entry.isDirectory()) readTree(dir, rel, files);
+    else files[rel] = fs.readFileSync(path.join(dir, rel));
+  }
+  return files;
+}
+
+const countObjects = () => fs.readdirSync(path.join(CONFIG.backupDir, "store", "objects"), { recursive: true })
+  .filter((f) => f.length > 2).length;
+
+test("collecting garbage keeps the blocks another snapshot still shares", async (t) => {
+  setup(t);
+  const world = path.join(CONFIG.mcDataPath, "farm");
+  const region = path.join(world, "region", "r.0.0.mca");
+  fs.writeFileSync(region, crypto.randomBytes(3 * BLOCK));
+  const original = readTree(world);
+
+  const first = await snapshotWorld("farm");
+  assert.ok(first.success, first.error);
+  const blocks = countObjects();
+
+  // The second snapshot shares level.dat and the first two region blocks
+  const changed = Buffer.from(original[path.join("region", "r.0.0.mca")]);
+  crypto.randomBytes(BLOCK).copy(changed, 2 * BLOCK);
+  fs.writeFileSync(region, changed);
+  fs.writeFileSync(path.join(world, "region", "r.1.0.mca"), crypto.randomBytes(BLOCK));
+  const second = await snapshotWorld("farm");
+  assert.ok(second.success, second.error);
+  assert.strictEqual(countObjects(), blocks + 2);
+
+  fs.rmSync(path.join(CONFIG.backupDir, "store", "snapshots", second.filename + ".json"));
+  const collected = await collectGarbage();
+  assert.ok(collected.success);
+  assert.strictEqual(collected.removedBlocks, 2);
+  assert.strictEqual(countObjects(), blocks);
+
+  const restored = await restoreBackup({ filename: first.filename });
+  assert.ok(restored.success, restored.error);
+  assert.deepStrictEqual(readTree(world), original);
+});
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { CONFIG, rcon, backupWorld, listBackups, verifyBackup } = require("../server.js");
+
+const noProgress = { onProgress: () => {} };
+
+// Backs up a world holding level.dat and a region file of random bytes
+async function setup(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "wm-verify-"));
+  Object.assign(CONFIG, {
+    mcDataPath: path.join(root, "data"),
+    backupDir: path.join(root, "backups"),
+    stateDir: path.join(root, "state"),
+  });
+  // Nothing answers RCON, so the backup does not hold saves
+  Object.assign(CONFIG.rcon, { host: "127.0.0.1", port: 1 });
+  const world = path.join(CONFIG.mcDataPath, "farm");
+  fs.mkdirSync(path.join(world, "region"), { recursive: true });
+  fs.writeFileSync(path.join(CONFIG.mcDataPath, "server.properties"), "level-name=world\n");
+  fs.copyFileSync(path.join(__dirname, "fixtures", "level.dat"), path.join(world, "level.dat"));
+  fs.writeFileSync(path.join(world, "region", "r.0.0.mca"), crypto.randomBytes(256 * 1024));
+  t.after(() => {
+    clearTimeout(rcon.retryTimer);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const backup = await backupWorld("farm");
+  assert.ok(backup.success, backup.error);
+  return backup.filename;
+}
+
+const listed = (filename) => listBackups().find((b) => b.filename === filename);
+
+// Cuts the last half of an archive off
+function truncate(filename) {
+  const file = path.join(CONFIG.backupDir, filename);
+  fs.truncateSync(file, Math.floor(fs.statSync(file).size / 2));
+}
+
+test("a freshly written archive verifies", async (t) => {
+  const filename = await setup(t);
+  assert.strictEqual(listed(filename).verification, "unverified");
+
+  const result = await verifyBackup({ filename }, noProgress);
+  assert.ok(result.success, result.error);
+  const backup = listed(filename);
+  assert.strictEqual(backup.verification, "verified");
+  assert.strictEqual(backup.verificationError, null);
+  assert.strictEqual(backup.fileCount, 2);
+});
+
+test("an archive truncated after its manifest was written is corrupt", async (t) => {
+  const filename = await setup(t);
+  truncate(filename);
+  // The size no longer matches, which shows before any check runs
+  assert.strictEqual(listed(filename).verification, "corrupt");
+
+  const result = await verifyBackup({ filename }, noProgress);
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /is corrupt: Checksum mismatch/);
+  const manifest = JSON.parse(fs.readFileSync(path.join(CONFIG.backupDir, filename + ".manifest.json"), "utf-8"));
+  assert.strictEqual(manifest.verification.status, "corrupt");
+  assert.strictEqual(listed(filename).verification, "corrupt");
+});
+
+test("a truncated archive without a manifest fails to extract", async (t) => {
+  const filename = await setup(t);
+  fs.rmSync(path.join(CONFIG.backupDir, filename + ".manifest.json"));
+  truncate(filename);
+  assert.strictEqual(listed(filename).verification, "unverified");
+
+  const result = await verifyBackup({ filename }, noProgress);
+  assert.strictEqual(result.success, false);
+  const backup = listed(filename);
+  assert.strictEqual(backup.verification, "corrupt");
+  assert.ok(backup.verificationError, "says why");
+});
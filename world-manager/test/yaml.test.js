@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseSimpleYaml } = require("../server.js");
+
+test("reads plain, quoted and numeric-looking scalars as strings", () => {
+  const yaml = [
+    "name: Essentials",
+    'main: "com.earth2me.essentials.Essentials"',
+    "version: '2.20.1'",
+    'description: "Teleports: homes, warps"',
+    "api-version: 1.20",
+  ].join("\n");
+  assert.deepStrictEqual(parseSimpleYaml(yaml), {
+    name: "Essentials",
+    main: "com.earth2me.essentials.Essentials",
+    version: "2.20.1",
+    description: "Teleports: homes, warps",
+    "api-version": "1.20",
+  });
+});
+
+test("skips comment lines and trailing comments", () => {
+  const yaml = "# plugin.yml\nname: Vault # economy bridge\n\n  # indented comment\nversion: 1.7";
+  assert.deepStrictEqual(parseSimpleYaml(yaml), { name: "Vault", version: "1.7" });
+});
+
+test("reads flow lists and block lists, indented or not", () => {
+  const yaml = [
+    "authors: [md_5, 'Ghost_chu', \"Dinnerbone\"]",
+    "depend:",
+    "  - Vault",
+    '  - "WorldEdit"',
+    "softdepend:",
+    "- PlaceholderAPI",
+    "loadbefore: []",
+  ].join("\n");
+  assert.deepStrictEqual(parseSimpleYaml(yaml), {
+    authors: ["md_5", "Ghost_chu", "Dinnerbone"],
+    depend: ["Vault", "WorldEdit"],
+    softdepend: ["PlaceholderAPI"],
+    loadbefore: [],
+  });
+});
+
+test("joins literal blocks with newlines and folded blocks with spaces", () => {
+  const yaml = [
+    "description: |",
+    "  First line",
+    "  Second line",
+    "summary: >-",
+    "  Folded onto",
+    "  one line",
+    "name: After",
+  ].join("\n");
+  assert.deepStrictEqual(parseSimpleYaml(yaml), {
+    description: "First line\nSecond line",
+    summary: "Folded onto one line",
+    name: "After",
+  });
+});
+
+test("nests maps and leaves empty keys null", () => {
+  const yaml = [
+    "commands:",
+    "  home:",
+    "    description: Go home",
+    "    aliases: [h, homes]",
+    "  sethome:",
+    "    usage: /<command> [name]",
+    "permissions:",
+    "name: Homes",
+  ].join("\n");
+  assert.deepStrictEqual(parseSimpleYaml(yaml), {
+    commands: {
+      home: { description: "Go home", aliases: ["h", "homes"] },
+      sethome: { usage: "/<command> [name]" },
+    },
+    permissions: null,
+    name: "Homes",
+  });
+});
+
+test("handles CRLF line endings, tabs and empty input", () => {
+  assert.deepStrictEqual(parseSimpleYaml("name: Win\r\ndepend:\r\n\t- Vault\r\n"), { name: "Win", depend: ["Vault"] });
+  assert.deepStrictEqual(parseSimpleYaml(""), {});
+  assert.deepStrictEqual(parseSimpleYaml("# only a comment\n"), {});
+});